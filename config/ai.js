@@ -0,0 +1,82 @@
+// centralising which LLM provider + model each AI task uses
+// Everything can be switched with env vars so the pipeline can run offline in development
+const dotenv = require("dotenv");
+
+dotenv.config();
+
+// Tasks that callAI / generateText are called with
+const AI_TASKS = [
+  "summary",
+  "answer",
+  "tags",
+  "sentiment",
+  "analysis", // combined per-source neutrality/sentiment/tags
+  "sources",
+  "bias",
+  "claims", // claim extraction + per-source verification
+  "language", // sentence-level loaded-language spans
+  "perspectives", // dominant framing + counter-perspective sources
+];
+
+const DEFAULT_MODELS = {
+  gemini: "gemini-2.5-flash-lite",
+  openai: process.env.OPENAI_MODEL || "llama3.1",
+  mock: "mock-1",
+};
+
+// Default cache lifetimes (seconds) - article analysis is stable, answers go stale faster
+const DEFAULT_CACHE_TTLS = {
+  summary: 24 * 60 * 60,
+  answer: 24 * 60 * 60,
+  tags: 7 * 24 * 60 * 60,
+  sentiment: 7 * 24 * 60 * 60,
+  analysis: 7 * 24 * 60 * 60,
+  sources: 24 * 60 * 60,
+  bias: 24 * 60 * 60,
+  claims: 7 * 24 * 60 * 60,
+  language: 7 * 24 * 60 * 60,
+  perspectives: 24 * 60 * 60,
+};
+
+const defaultProvider = (process.env.AI_PROVIDER || "gemini").toLowerCase();
+
+// Resolve provider and model for a task, e.g. AI_TAGS_PROVIDER=mock, AI_BIAS_MODEL=gemini-2.5-flash
+function getTaskConfig(task) {
+  const prefix = `AI_${String(task).toUpperCase()}_`;
+  const provider = (
+    process.env[`${prefix}PROVIDER`] || defaultProvider
+  ).toLowerCase();
+
+  // A global AI_MODEL only applies when the task uses the default provider
+  const model =
+    process.env[`${prefix}MODEL`] ||
+    (provider === defaultProvider && process.env.AI_MODEL) ||
+    DEFAULT_MODELS[provider];
+
+  return { task, provider, model };
+}
+
+// TTL for a task, overridable with AI_CACHE_TTL_<TASK> (seconds, 0 disables caching for that task)
+function getCacheTtl(task) {
+  const override = process.env[`AI_CACHE_TTL_${String(task).toUpperCase()}`];
+  if (override !== undefined) return parseInt(override) || 0;
+  return DEFAULT_CACHE_TTLS[task] ?? 24 * 60 * 60;
+}
+
+module.exports = {
+  AI_TASKS,
+  DEFAULT_MODELS,
+  getTaskConfig,
+  // extra attempts callAI makes when structured output fails validation
+  maxRepairAttempts: parseInt(process.env.AI_MAX_REPAIR_ATTEMPTS ?? "1") || 0,
+  getCacheTtl,
+  cache: {
+    enabled: process.env.AI_CACHE_ENABLED !== "false",
+    memorySize: parseInt(process.env.AI_CACHE_MEMORY_SIZE) || 0, // 0 = Mongo only
+  },
+  openai: {
+    baseUrl: process.env.OPENAI_BASE_URL || "http://localhost:11434/v1", // Ollama default
+    apiKey: process.env.OPENAI_API_KEY || "",
+    timeout: parseInt(process.env.OPENAI_TIMEOUT_MS) || 60000,
+  },
+};
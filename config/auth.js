@@ -0,0 +1,20 @@
+// authentication settings (see middleware/authMiddleware.js and services/tokenVerifier.js)
+const dotenv = require("dotenv");
+
+dotenv.config();
+
+module.exports = {
+  // "firebase" verifies Firebase ID tokens, "local" verifies HS256 JWTs signed with localSecret
+  verifier: process.env.AUTH_VERIFIER || "firebase",
+  localSecret: process.env.AUTH_LOCAL_SECRET,
+  localIssuer: process.env.AUTH_LOCAL_ISSUER || "thnk-local",
+  localTokenTtlSeconds: parseInt(process.env.AUTH_LOCAL_TOKEN_TTL) || 60 * 60,
+  // POST /api/auth/local-token signs a token for any uid, so it needs its own opt-in on top of
+  // AUTH_VERIFIER=local and is never available in production
+  localTokenIssuance:
+    process.env.AUTH_LOCAL_TOKEN_ISSUANCE === "true" &&
+    process.env.NODE_ENV !== "production",
+  // trial use without an account: requests without a token get their own history bucket,
+  // keyed by an X-Anonymous-Id the client keeps
+  allowAnonymous: process.env.AUTH_ALLOW_ANONYMOUS === "true",
+};
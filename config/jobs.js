@@ -0,0 +1,14 @@
+// background job worker settings
+const dotenv = require("dotenv");
+
+dotenv.config();
+
+module.exports = {
+  workerEnabled: process.env.JOB_WORKER_ENABLED !== "false",
+  pollIntervalMs: parseInt(process.env.JOB_POLL_INTERVAL_MS) || 2000,
+  concurrency: parseInt(process.env.JOB_CONCURRENCY) || 2, // jobs one process runs at once
+  maxAttempts: parseInt(process.env.JOB_MAX_ATTEMPTS) || 3,
+  retryBaseDelayMs: parseInt(process.env.JOB_RETRY_BASE_DELAY_MS) || 5000,
+  lockTimeoutMs: parseInt(process.env.JOB_LOCK_TIMEOUT_MS) || 10 * 60 * 1000, // running jobs older than this are requeued
+  resultTtlSeconds: parseInt(process.env.JOB_RESULT_TTL) || 7 * 24 * 60 * 60,
+};
@@ -0,0 +1,64 @@
+// scraping + source enrichment settings, all overridable from .env
+const dotenv = require("dotenv");
+
+dotenv.config();
+
+module.exports = {
+  enrichment: {
+    concurrency: parseInt(process.env.ENRICH_CONCURRENCY) || 4, // sources enriched at once
+    perHostConcurrency: parseInt(process.env.ENRICH_PER_HOST_CONCURRENCY) || 1,
+    timeBudgetMs: parseInt(process.env.ENRICH_TIME_BUDGET_MS) || 15000, // after this, unfinished sources come back as pending
+  },
+  // limits for every outbound page fetch (see utils/safeFetch.js)
+  fetch: {
+    timeoutMs: parseInt(process.env.FETCH_TIMEOUT_MS) || 10000,
+    totalTimeoutMs: parseInt(process.env.FETCH_TOTAL_TIMEOUT_MS) || 30000, // whole fetch: redirects and body included
+    maxRedirects: parseInt(process.env.FETCH_MAX_REDIRECTS) || 5,
+    maxBytes: parseInt(process.env.FETCH_MAX_BYTES) || 15 * 1024 * 1024, // reports can be large PDFs
+    allowedContentTypes: [
+      "text/html",
+      "application/xhtml+xml",
+      "application/xml",
+      "text/xml",
+      "text/plain",
+      "text/markdown",
+      "text/x-markdown",
+      "application/pdf",
+    ],
+    // only for local development - lets the scraper reach localhost / private hosts
+    allowPrivateNetworks: process.env.FETCH_ALLOW_PRIVATE_NETWORKS === "true",
+  },
+  // raw page snapshots kept for every scrape (see services/snapshotStore.js)
+  snapshots: {
+    enabled: process.env.SNAPSHOTS_ENABLED !== "false",
+    maxStoredBytes:
+      parseInt(process.env.SNAPSHOT_MAX_STORED_BYTES) || 8 * 1024 * 1024, // compressed; bigger bodies keep only the text
+  },
+  // site-specific extractors (see services/siteExtractors.js)
+  extractors: {
+    enabled: process.env.SITE_EXTRACTORS_ENABLED !== "false",
+    maxPages: parseInt(process.env.EXTRACTOR_MAX_PAGES) || 3, // pages followed for paginated articles (live blogs)
+  },
+  // direct document uploads to /api/analyze-document (see middleware/documentUpload.js)
+  upload: {
+    maxBytes: parseInt(process.env.UPLOAD_MAX_BYTES) || 15 * 1024 * 1024,
+  },
+  // feed / URL-list batch analysis (see services/batchAnalysis.js)
+  batch: {
+    maxItems: parseInt(process.env.BATCH_MAX_ITEMS) || 25, // articles analysed per batch
+    concurrency: parseInt(process.env.BATCH_CONCURRENCY) || 3, // articles in flight at once (per-host limits still apply)
+  },
+  // how the scraper identifies itself and how gently it treats each host (see utils/crawlPolicy.js)
+  crawler: {
+    userAgent:
+      process.env.SCRAPER_USER_AGENT ||
+      "THNKBot/1.0 (+research tool checking sources for bias and credibility)",
+    robotsAgent: process.env.SCRAPER_ROBOTS_AGENT || "THNKBot", // token matched against robots.txt User-agent lines
+    respectRobots: process.env.SCRAPER_RESPECT_ROBOTS !== "false",
+    robotsCacheTtlMs:
+      parseInt(process.env.ROBOTS_CACHE_TTL_MS) || 60 * 60 * 1000,
+    perHostConcurrency: parseInt(process.env.FETCH_PER_HOST_CONCURRENCY) || 2,
+    minHostDelayMs: parseInt(process.env.FETCH_MIN_HOST_DELAY_MS) || 1000, // between request starts to one host
+    maxCrawlDelayMs: 10000, // cap on robots.txt Crawl-delay so one host can't stall a request
+  },
+};
@@ -0,0 +1,12 @@
+// public share links for history entries
+const dotenv = require("dotenv");
+
+dotenv.config();
+
+module.exports = {
+  // frontend page the token is appended to (e.g. https://thnk-frontend.vercel.app/shared) -
+  // without it links point straight at GET /api/shared/:token
+  baseUrl: (process.env.SHARE_BASE_URL || "").replace(/\/+$/, ""),
+  maxExpiryHours: parseInt(process.env.SHARE_MAX_EXPIRY_HOURS) || 365 * 24,
+  maxActiveLinksPerEntry: parseInt(process.env.SHARE_MAX_LINKS_PER_ENTRY) || 10,
+};
@@ -0,0 +1,18 @@
+// article watchlist scheduler settings
+const dotenv = require("dotenv");
+
+dotenv.config();
+
+module.exports = {
+  schedulerEnabled: process.env.WATCHLIST_SCHEDULER_ENABLED !== "false",
+  pollIntervalMs: parseInt(process.env.WATCHLIST_POLL_INTERVAL_MS) || 60000,
+  concurrency: parseInt(process.env.WATCHLIST_CONCURRENCY) || 2, // items re-scraped at once
+  defaultIntervalMinutes:
+    parseInt(process.env.WATCHLIST_DEFAULT_INTERVAL_MINUTES) || 360,
+  minIntervalMinutes:
+    parseInt(process.env.WATCHLIST_MIN_INTERVAL_MINUTES) || 30,
+  maxIntervalMinutes: 7 * 24 * 60,
+  maxItemsPerUser: parseInt(process.env.WATCHLIST_MAX_ITEMS) || 50,
+  checkTimeoutMs: 5 * 60 * 1000, // a claimed check that hasn't finished by then is retried
+  maxConsecutiveFailures: 5, // then the item is paused with status "error"
+};
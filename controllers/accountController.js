@@ -0,0 +1,47 @@
+const {
+  streamAccountExport,
+  eraseAccountData,
+} = require("../services/accountData");
+
+// Typed confirmation, so a stray DELETE can't wipe an account
+const ERASE_CONFIRMATION = "ERASE";
+
+// GET /api/account/export - zip of everything stored for the user (see services/accountData.js)
+exports.exportAccountData = async (req, res) => {
+  const userId = req.user.uid;
+  const date = new Date().toISOString().slice(0, 10);
+
+  res.attachment(`thnk-export-${date}.zip`);
+  res.set("Cache-Control", "no-store");
+
+  try {
+    await streamAccountExport(userId, res);
+  } catch (error) {
+    console.error("exportAccountData error:", error);
+    // once the zip has started streaming the only way to signal failure is to cut it off
+    if (res.headersSent) return res.destroy(error);
+    res.removeHeader("Content-Disposition");
+    res.removeHeader("Content-Type");
+    res.status(500).json({ error: "Failed to export account data" });
+  }
+};
+
+// DELETE /api/account { confirm: "ERASE" }
+exports.eraseAccountData = async (req, res) => {
+  if (req.body?.confirm !== ERASE_CONFIRMATION) {
+    return res.status(400).json({
+      error: `Send { "confirm": "${ERASE_CONFIRMATION}" } to erase all account data`,
+    });
+  }
+
+  try {
+    const userId = req.user.uid;
+    const receipt = await eraseAccountData(userId);
+    res.json(receipt);
+  } catch (error) {
+    console.error("eraseAccountData error:", error);
+    res.status(500).json({
+      error: "Failed to erase account data - it is safe to retry",
+    });
+  }
+};
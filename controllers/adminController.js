@@ -0,0 +1,137 @@
+const { invalidateByPrefix } = require("../services/aiCache");
+const {
+  getCredibility,
+  listReputations,
+  getReputation,
+  createReputation,
+  updateReputation,
+  deleteReputation,
+  seedDomainReputations,
+} = require("../services/domainReputation");
+
+// Invalidate cached AI responses by key prefix (task:provider:model:promptVersion:inputHash)
+exports.invalidateAICache = async (req, res) => {
+  const prefix = req.query.prefix ?? req.body?.prefix;
+  if (prefix === undefined) {
+    return res.status(400).json({
+      error: 'prefix is required (use "*" to clear the whole cache)',
+    });
+  }
+
+  try {
+    const result = await invalidateByPrefix(prefix === "*" ? "" : prefix);
+    res.json({
+      message: "AI cache entries invalidated",
+      prefix,
+      ...result,
+    });
+  } catch (error) {
+    console.error("invalidateAICache error:", error);
+    res.status(500).json({ error: "Failed to invalidate AI cache" });
+  }
+};
+
+// Domain reputation registry CRUD (see services/domainReputation.js)
+
+// Mongoose validation / duplicate key errors are the caller's fault
+function sendReputationError(res, error, action) {
+  if (error.name === "ValidationError" || error.name === "CastError") {
+    return res.status(400).json({ error: error.message });
+  }
+  if (error.code === 11000) {
+    return res
+      .status(409)
+      .json({ error: "A rule for this domain already exists" });
+  }
+  console.error(`${action} error:`, error);
+  res.status(500).json({ error: `Failed to ${action}` });
+}
+
+exports.listDomainReputations = async (req, res) => {
+  try {
+    const { q, matchType } = req.query;
+    const limit = Math.min(parseInt(req.query.limit) || 100, 500);
+    const skip = parseInt(req.query.skip) || 0;
+
+    const result = await listReputations({ q, matchType, limit, skip });
+    res.json(result);
+  } catch (error) {
+    console.error("listDomainReputations error:", error);
+    res.status(500).json({ error: "Failed to list domain reputations" });
+  }
+};
+
+exports.getDomainReputation = async (req, res) => {
+  try {
+    const entry = await getReputation(req.params.domain);
+    if (!entry) {
+      return res.status(404).json({ error: "Domain reputation not found" });
+    }
+    res.json(entry);
+  } catch (error) {
+    console.error("getDomainReputation error:", error);
+    res.status(500).json({ error: "Failed to fetch domain reputation" });
+  }
+};
+
+// Dry-run a URL or hostname against the registry, showing which rule would apply
+exports.checkDomainCredibility = async (req, res) => {
+  const { domain, sourceType } = req.query;
+  if (!domain) return res.status(400).json({ error: "domain is required" });
+
+  res.json({ domain, ...getCredibility(domain, sourceType) });
+};
+
+exports.createDomainReputation = async (req, res) => {
+  const { domain, credibility } = req.body || {};
+  if (!domain || credibility === undefined) {
+    return res
+      .status(400)
+      .json({ error: "domain and credibility are required" });
+  }
+
+  try {
+    const entry = await createReputation(req.body);
+    res.status(201).json(entry);
+  } catch (error) {
+    sendReputationError(res, error, "create domain reputation");
+  }
+};
+
+exports.updateDomainReputation = async (req, res) => {
+  try {
+    const entry = await updateReputation(req.params.domain, req.body || {});
+    if (!entry) {
+      return res.status(404).json({ error: "Domain reputation not found" });
+    }
+    res.json(entry);
+  } catch (error) {
+    sendReputationError(res, error, "update domain reputation");
+  }
+};
+
+exports.deleteDomainReputation = async (req, res) => {
+  try {
+    const entry = await deleteReputation(req.params.domain);
+    if (!entry) {
+      return res.status(404).json({ error: "Domain reputation not found" });
+    }
+    res.json({ message: "Domain reputation deleted", domain: entry.domain });
+  } catch (error) {
+    console.error("deleteDomainReputation error:", error);
+    res.status(500).json({ error: "Failed to delete domain reputation" });
+  }
+};
+
+// Re-import data/domainReputation.json (overwrite=true also resets edited seed rules)
+exports.seedDomainReputations = async (req, res) => {
+  try {
+    const overwrite =
+      req.query.overwrite === "true" || req.body?.overwrite === true;
+    const result = await seedDomainReputations({ overwrite });
+    res.json({ message: "Domain reputation seed applied", ...result });
+  } catch (error) {
+    console.error("seedDomainReputations error:", error);
+    res.status(500).json({ error: "Failed to seed domain reputations" });
+  }
+};
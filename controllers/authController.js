@@ -0,0 +1,43 @@
+const authConfig = require("../config/auth");
+const { getTokenVerifier } = require("../services/tokenVerifier");
+
+// Who the request is authenticated as - a signed-in user or an anonymous trial bucket
+exports.getCurrentUser = async (req, res) => {
+  res.json({
+    uid: req.user.uid,
+    email: req.user.email || null,
+    provider: req.user.provider,
+    anonymous: req.user.anonymous === true,
+  });
+};
+
+// Development only: issues a JWT the local verifier accepts, so sign-in can be exercised
+// without Firebase. Needs AUTH_VERIFIER=local and AUTH_LOCAL_TOKEN_ISSUANCE=true, and is
+// refused in production whatever the settings.
+exports.issueLocalToken = async (req, res) => {
+  if (authConfig.verifier !== "local" || !authConfig.localTokenIssuance) {
+    return res.status(404).json({ error: "Local tokens are not enabled" });
+  }
+
+  const { uid, email } = req.body || {};
+  if (typeof uid !== "string" || !/^[\w.@-]{1,128}$/.test(uid)) {
+    return res.status(400).json({
+      error: "uid must be 1-128 letters, digits, '.', '_', '@' or '-'",
+    });
+  }
+  if (email !== undefined && typeof email !== "string") {
+    return res.status(400).json({ error: "email must be a string" });
+  }
+
+  try {
+    const token = getTokenVerifier().sign(uid, { email });
+    res.json({
+      token,
+      tokenType: "Bearer",
+      expiresIn: authConfig.localTokenTtlSeconds,
+    });
+  } catch (error) {
+    console.error("issueLocalToken error:", error);
+    res.status(500).json({ error: "Failed to issue token" });
+  }
+};
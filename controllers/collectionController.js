@@ -0,0 +1,209 @@
+const mongoose = require("mongoose");
+const {
+  countCollections,
+  listCollections,
+  createCollection,
+  getCollection,
+  updateCollection,
+  deleteCollection,
+  addEntriesToCollection,
+  removeEntryFromCollection,
+  getCollectionStats,
+} = require("../services/collections");
+
+const MAX_COLLECTIONS = 100;
+const MAX_NAME_LENGTH = 100;
+const MAX_DESCRIPTION_LENGTH = 20000;
+const MAX_ENTRIES_PER_REQUEST = 100;
+
+// undefined when valid, otherwise the error message; required for creates
+function validateFields({ name, description }, { required = false } = {}) {
+  if (name !== undefined || required) {
+    if (
+      typeof name !== "string" ||
+      !name.trim() ||
+      name.trim().length > MAX_NAME_LENGTH
+    ) {
+      return `name must be 1-${MAX_NAME_LENGTH} characters`;
+    }
+  }
+  if (
+    description !== undefined &&
+    description !== null &&
+    (typeof description !== "string" ||
+      description.length > MAX_DESCRIPTION_LENGTH)
+  ) {
+    return `description must be a string of at most ${MAX_DESCRIPTION_LENGTH} characters`;
+  }
+}
+
+function notFound(res) {
+  return res
+    .status(404)
+    .json({ error: "Collection not found or access denied" });
+}
+
+function isCastError(error) {
+  return error.name === "CastError";
+}
+
+exports.getCollections = async (req, res) => {
+  try {
+    const userId = req.user.uid;
+    res.json(await listCollections(userId));
+  } catch (error) {
+    console.error("getCollections error:", error);
+    res.status(500).json({ error: "Failed to fetch collections" });
+  }
+};
+
+exports.createCollection = async (req, res) => {
+  const validationError = validateFields(req.body, { required: true });
+  if (validationError) return res.status(400).json({ error: validationError });
+
+  try {
+    const userId = req.user.uid;
+    if ((await countCollections(userId)) >= MAX_COLLECTIONS) {
+      return res
+        .status(409)
+        .json({ error: `At most ${MAX_COLLECTIONS} collections` });
+    }
+
+    const collection = await createCollection(userId, {
+      name: req.body.name.trim(),
+      description: req.body.description || undefined,
+    });
+    res.status(201).json(collection);
+  } catch (error) {
+    if (error.code === 11000) {
+      return res
+        .status(409)
+        .json({ error: "A collection with this name already exists" });
+    }
+    console.error("createCollection error:", error);
+    res.status(500).json({ error: "Failed to create collection" });
+  }
+};
+
+// Collection plus aggregates over its entries - the entries themselves are listed by
+// GET /api/history?collection=<id>, with the usual filters and paging
+exports.getCollection = async (req, res) => {
+  try {
+    const userId = req.user.uid;
+    const collection = await getCollection(req.params.collectionId, userId);
+    if (!collection) return notFound(res);
+
+    const stats = await getCollectionStats(collection, userId);
+    res.json({ ...collection.toObject(), stats });
+  } catch (error) {
+    if (isCastError(error)) return notFound(res);
+    console.error("getCollection error:", error);
+    res.status(500).json({ error: "Failed to fetch collection" });
+  }
+};
+
+exports.updateCollection = async (req, res) => {
+  const { name, description } = req.body;
+  if (name === undefined && description === undefined) {
+    return res.status(400).json({ error: "name or description required" });
+  }
+  const validationError = validateFields(req.body);
+  if (validationError) return res.status(400).json({ error: validationError });
+
+  try {
+    const userId = req.user.uid;
+    const collection = await updateCollection(req.params.collectionId, userId, {
+      name: name?.trim(),
+      description: description === undefined ? undefined : description || "",
+    });
+    if (!collection) return notFound(res);
+
+    res.json(collection);
+  } catch (error) {
+    if (isCastError(error)) return notFound(res);
+    if (error.code === 11000) {
+      return res
+        .status(409)
+        .json({ error: "A collection with this name already exists" });
+    }
+    console.error("updateCollection error:", error);
+    res.status(500).json({ error: "Failed to update collection" });
+  }
+};
+
+// Deletes the collection only - its entries stay in the history
+exports.deleteCollection = async (req, res) => {
+  try {
+    const userId = req.user.uid;
+    const collection = await deleteCollection(req.params.collectionId, userId);
+    if (!collection) return notFound(res);
+
+    res.json({ message: "Collection deleted" });
+  } catch (error) {
+    if (isCastError(error)) return notFound(res);
+    console.error("deleteCollection error:", error);
+    res.status(500).json({ error: "Failed to delete collection" });
+  }
+};
+
+// { historyIds: [...] } - ids that aren't the user's entries are ignored and reported
+exports.addCollectionEntries = async (req, res) => {
+  const { historyIds } = req.body;
+  if (
+    !Array.isArray(historyIds) ||
+    historyIds.length === 0 ||
+    historyIds.length > MAX_ENTRIES_PER_REQUEST
+  ) {
+    return res.status(400).json({
+      error: `historyIds must be an array of 1-${MAX_ENTRIES_PER_REQUEST} history entry ids`,
+    });
+  }
+  if (!historyIds.every((id) => mongoose.isValidObjectId(id))) {
+    return res.status(400).json({ error: "Invalid history entry id" });
+  }
+
+  try {
+    const userId = req.user.uid;
+    const collection = await getCollection(req.params.collectionId, userId);
+    if (!collection) return notFound(res);
+
+    const uniqueIds = [...new Set(historyIds.map(String))];
+    const { matched, added } = await addEntriesToCollection(
+      collection,
+      userId,
+      uniqueIds
+    );
+    res.json({
+      added,
+      alreadyInCollection: matched - added,
+      notFound: uniqueIds.length - matched,
+    });
+  } catch (error) {
+    if (isCastError(error)) return notFound(res);
+    console.error("addCollectionEntries error:", error);
+    res.status(500).json({ error: "Failed to add entries to collection" });
+  }
+};
+
+exports.removeCollectionEntry = async (req, res) => {
+  try {
+    const userId = req.user.uid;
+    const collection = await getCollection(req.params.collectionId, userId);
+    if (!collection) return notFound(res);
+
+    const removed = await removeEntryFromCollection(
+      collection,
+      userId,
+      req.params.historyId
+    );
+    if (!removed) {
+      return res.status(404).json({ error: "Entry is not in this collection" });
+    }
+
+    res.json({ message: "Entry removed from collection" });
+  } catch (error) {
+    if (isCastError(error)) return notFound(res);
+    console.error("removeCollectionEntry error:", error);
+    res.status(500).json({ error: "Failed to remove entry from collection" });
+  }
+};
@@ -1,18 +1,148 @@
 const {
-  getUserSearchHistory,
+  searchUserHistory,
+  decodeHistoryCursor,
+  HISTORY_SORTS,
   deleteSearchHistory,
   deleteAllUserHistory,
   getFullSearchResult,
+  updateFullSearchResult,
+  getSearchHistoryEntry,
+  updateHistoryEntry,
+  setSourceNote,
 } = require("../services/userHistory");
+const mongoose = require("mongoose");
+const {
+  getSnapshot,
+  listSnapshots,
+  loadSnapshotBody,
+  sha256,
+} = require("../services/snapshotStore");
+const { findCounterPerspectives } = require("../services/counterPerspectives");
+
+const ENTRY_TYPES = ["url", "prompt", "document", "batch"];
+const MAX_HISTORY_LIMIT = 100;
+const MAX_TAGS = 30;
+const MAX_TAG_LENGTH = 40;
+const MAX_NOTES_LENGTH = 20000;
+const MAX_SOURCE_NOTES = 100;
+
+// Tags are matched case-insensitively, so they are stored trimmed and lower-cased
+function normalizeTag(tag) {
+  return String(tag).replace(/\s+/g, " ").trim().toLowerCase();
+}
+
+// "a,b" or repeated ?x=a&x=b -> ["a", "b"]
+function listParam(value) {
+  return []
+    .concat(value || [])
+    .flatMap((item) => String(item).split(","))
+    .map((item) => item.trim())
+    .filter(Boolean);
+}
+
+// The bare array is the original response shape - the paged envelope is opt-in
+function wantsPagedResponse(query) {
+  return query.paginate === "true" || query.cursor !== undefined;
+}
+
+// Parses the history query string - { filters } or { error } for a 400
+function parseHistoryQuery(query) {
+  const filters = {};
+
+  if (query.limit !== undefined) {
+    const limit = parseInt(query.limit);
+    if (limit >= 1) {
+      filters.limit = Math.min(limit, MAX_HISTORY_LIMIT);
+    } else if (wantsPagedResponse(query)) {
+      return { error: "limit must be a positive integer" };
+    }
+    // existing clients of the bare array never had limit checked - bad values get the default
+  }
+
+  if (query.q !== undefined) {
+    filters.q = String(query.q).trim().substring(0, 200) || undefined;
+  }
+
+  for (const name of ["from", "to"]) {
+    if (query[name] === undefined) continue;
+    const date = new Date(query[name]);
+    if (Number.isNaN(date.getTime())) {
+      return { error: `${name} must be an ISO 8601 date` };
+    }
+    filters[name] = date;
+  }
 
-// Get user's search history (lightweight summaries)
+  for (const name of [
+    "minNeutrality",
+    "maxNeutrality",
+    "minPersuasion",
+    "maxPersuasion",
+  ]) {
+    if (query[name] === undefined) continue;
+    const value = Number(query[name]);
+    if (!(value >= 0 && value <= 1)) {
+      return { error: `${name} must be a number between 0 and 1` };
+    }
+    filters[name] = value;
+  }
+
+  filters.domains = listParam(query.domain);
+  filters.types = listParam(query.type);
+  const unknownType = filters.types.find((type) => !ENTRY_TYPES.includes(type));
+  if (unknownType) {
+    return { error: `type must be one of ${ENTRY_TYPES.join(", ")}` };
+  }
+
+  filters.tags = listParam(query.tag).map(normalizeTag);
+
+  if (query.collection !== undefined) {
+    if (!mongoose.isValidObjectId(query.collection)) {
+      return { error: "collection must be a collection id" };
+    }
+    filters.collectionId = String(query.collection);
+  }
+
+  filters.sort = query.sort || (filters.q ? "relevance" : "newest");
+  if (!HISTORY_SORTS[filters.sort]) {
+    return {
+      error: `sort must be one of ${Object.keys(HISTORY_SORTS).join(", ")}`,
+    };
+  }
+  if (filters.sort === "relevance" && !filters.q) {
+    return { error: "sort=relevance needs a search query (q)" };
+  }
+
+  if (query.cursor !== undefined) {
+    filters.cursor = decodeHistoryCursor(query.cursor);
+    // a cursor only makes sense for the sort order it was issued for
+    if (!filters.cursor || filters.cursor.sort !== filters.sort) {
+      return { error: "Invalid cursor for this sort order" };
+    }
+  }
+
+  return { filters };
+}
+
+// Get user's search history (lightweight summaries) - searchable, filterable and paginated
 exports.getUserHistory = async (req, res) => {
   try {
-    const userId = req.user?.uid || "testUser123";
-    const { limit } = req.query;
+    const userId = req.user.uid;
+    const { filters, error } = parseHistoryQuery(req.query);
+    if (error) return res.status(400).json({ error });
 
-    const history = await getUserSearchHistory(userId, parseInt(limit) || 10);
-    res.json(history);
+    const { entries, total, nextCursor } = await searchUserHistory(
+      userId,
+      filters
+    );
+    if (!wantsPagedResponse(req.query)) return res.json(entries);
+    res.json({
+      entries,
+      total,
+      limit: filters.limit || 10,
+      sort: filters.sort,
+      nextCursor,
+      hasMore: Boolean(nextCursor),
+    });
   } catch (error) {
     console.error("getUserHistory error:", error);
     res.status(500).json({ error: "Failed to fetch search history" });
@@ -22,7 +152,7 @@ exports.getUserHistory = async (req, res) => {
 // Get full search result for a specific history entry
 exports.getFullSearchResult = async (req, res) => {
   try {
-    const userId = req.user?.uid || "testUser123";
+    const userId = req.user.uid;
     const { historyId } = req.params;
 
     const fullResult = await getFullSearchResult(historyId, userId);
@@ -40,10 +170,234 @@ exports.getFullSearchResult = async (req, res) => {
   }
 };
 
+// Counter-perspective sources for a saved analysis - works for /prompt and /deeper-scrape entries
+exports.getCounterPerspectives = async (req, res) => {
+  try {
+    const userId = req.user.uid;
+    const { historyId } = req.params;
+
+    const fullResult = await getFullSearchResult(historyId, userId);
+    if (!fullResult) {
+      return res.status(404).json({
+        error: "Full search result not found or access denied",
+      });
+    }
+
+    // deeper-scrape results store their summary and sources under different keys
+    const analysis = {
+      summary:
+        fullResult.summary || fullResult.aiSummary || fullResult.main?.text,
+      sources: fullResult.sources || fullResult.relatedSources || [],
+      neutralityScore: fullResult.neutralityScore,
+      persuasionScore: fullResult.persuasionScore,
+      citations: fullResult.citations || null,
+    };
+    if (!analysis.summary) {
+      return res.status(422).json({
+        error: "This history entry has no analysis to find perspectives for",
+      });
+    }
+
+    const counterPerspectives = await findCounterPerspectives(analysis);
+    await updateFullSearchResult(historyId, userId, { counterPerspectives });
+
+    res.json(counterPerspectives);
+  } catch (error) {
+    console.error("getCounterPerspectives error:", error);
+    res
+      .status(500)
+      .json({ error: "Failed to find counter-perspective sources" });
+  }
+};
+
+// The stored page snapshot behind a history entry: extracted text + metadata as JSON, or the
+// original bytes with ?format=raw. ?snapshotId picks one of the entry's other snapshots.
+exports.getHistorySnapshot = async (req, res) => {
+  try {
+    const userId = req.user.uid;
+    const { historyId } = req.params;
+    const { snapshotId, format } = req.query;
+
+    const entry = await getSearchHistoryEntry(historyId, userId);
+    if (!entry) {
+      return res.status(404).json({
+        error: "Search history entry not found or access denied",
+      });
+    }
+
+    const snapshotIds = (entry.snapshotIds || []).map(String);
+    if (snapshotIds.length === 0) {
+      return res
+        .status(404)
+        .json({ error: "No snapshot was recorded for this history entry" });
+    }
+    if (snapshotId && !snapshotIds.includes(snapshotId)) {
+      return res
+        .status(404)
+        .json({ error: "Snapshot does not belong to this history entry" });
+    }
+
+    const snapshot = await getSnapshot(snapshotId || snapshotIds[0], {
+      includeRaw: true,
+    });
+    if (!snapshot) {
+      return res.status(404).json({ error: "Snapshot no longer available" });
+    }
+    const raw = await loadSnapshotBody(snapshot, { asBuffer: true });
+
+    if (format === "raw") {
+      if (!raw) {
+        return res.status(404).json({
+          error: "The raw page was too large to store, only the text is kept",
+        });
+      }
+      // third-party HTML: download only, never rendered or sniffed on our origin
+      res.set({
+        "Content-Type": "application/octet-stream",
+        "Content-Disposition": `attachment; filename="snapshot-${snapshot._id}"`,
+        "Content-Security-Policy": "sandbox",
+        "X-Content-Type-Options": "nosniff",
+        "X-Original-Content-Type": snapshot.contentType || "",
+        "X-Content-Hash": snapshot.contentHash,
+      });
+      return res.send(raw);
+    }
+
+    res.json({
+      historyId,
+      snapshot: {
+        id: snapshot._id,
+        requestedUrl: snapshot.requestedUrl,
+        url: snapshot.url,
+        title: snapshot.title,
+        status: snapshot.status,
+        contentType: snapshot.contentType,
+        etag: snapshot.etag || null,
+        lastModified: snapshot.lastModified || null,
+        contentHash: snapshot.contentHash,
+        textHash: snapshot.textHash || null,
+        rawSize: snapshot.rawSize,
+        rawStored: snapshot.rawStored,
+        // the stored bytes still hash to what was recorded at fetch time
+        hashVerified: raw ? sha256(raw) === snapshot.contentHash : null,
+        fetchedAt: snapshot.fetchedAt,
+        lastCheckedAt: snapshot.lastCheckedAt,
+        checkCount: snapshot.checkCount,
+        notModifiedCount: snapshot.notModifiedCount,
+        text: snapshot.text,
+      },
+      snapshots: await listSnapshots(snapshotIds),
+    });
+  } catch (error) {
+    if (error.name === "CastError") {
+      return res.status(404).json({ error: "Snapshot not found" });
+    }
+    console.error("getHistorySnapshot error:", error);
+    res.status(500).json({ error: "Failed to fetch snapshot" });
+  }
+};
+
+// Tags and markdown notes on an entry - null / "" notes clear them
+exports.updateHistoryEntry = async (req, res) => {
+  const { tags, notes } = req.body;
+  if (tags === undefined && notes === undefined) {
+    return res.status(400).json({ error: "tags or notes required" });
+  }
+  if (
+    tags !== undefined &&
+    (!Array.isArray(tags) || tags.some((tag) => typeof tag !== "string"))
+  ) {
+    return res.status(400).json({ error: "tags must be an array of strings" });
+  }
+  const normalizedTags = tags && [
+    ...new Set(tags.map(normalizeTag).filter(Boolean)),
+  ];
+  if (normalizedTags?.length > MAX_TAGS) {
+    return res.status(400).json({ error: `At most ${MAX_TAGS} tags` });
+  }
+  if (normalizedTags?.some((tag) => tag.length > MAX_TAG_LENGTH)) {
+    return res
+      .status(400)
+      .json({ error: `Tags can be at most ${MAX_TAG_LENGTH} characters` });
+  }
+  if (notes !== undefined && notes !== null && typeof notes !== "string") {
+    return res.status(400).json({ error: "notes must be a string" });
+  }
+  if (notes?.length > MAX_NOTES_LENGTH) {
+    return res
+      .status(400)
+      .json({ error: `notes can be at most ${MAX_NOTES_LENGTH} characters` });
+  }
+
+  try {
+    const userId = req.user.uid;
+    const entry = await updateHistoryEntry(req.params.historyId, userId, {
+      tags: normalizedTags,
+      notes: notes === undefined ? undefined : notes || null,
+    });
+    if (!entry) {
+      return res.status(404).json({
+        error: "Search history entry not found or access denied",
+      });
+    }
+
+    res.json(entry);
+  } catch (error) {
+    if (error.name === "CastError") {
+      return res.status(404).json({ error: "Search history entry not found" });
+    }
+    console.error("updateHistoryEntry error:", error);
+    res.status(500).json({ error: "Failed to update search history entry" });
+  }
+};
+
+// Markdown note on one source of an entry, keyed by the source URL - empty notes remove it
+exports.setSourceNote = async (req, res) => {
+  const { sourceUrl, notes } = req.body;
+  if (typeof sourceUrl !== "string" || !sourceUrl || sourceUrl.length > 2048) {
+    return res.status(400).json({ error: "sourceUrl required" });
+  }
+  if (notes !== undefined && notes !== null && typeof notes !== "string") {
+    return res.status(400).json({ error: "notes must be a string" });
+  }
+  if (notes?.length > MAX_NOTES_LENGTH) {
+    return res
+      .status(400)
+      .json({ error: `notes can be at most ${MAX_NOTES_LENGTH} characters` });
+  }
+
+  try {
+    const userId = req.user.uid;
+    const entry = await getSearchHistoryEntry(req.params.historyId, userId);
+    if (!entry) {
+      return res.status(404).json({
+        error: "Search history entry not found or access denied",
+      });
+    }
+    const isNew = !entry.sourceNotes.some(
+      (note) => note.sourceUrl === sourceUrl
+    );
+    if (notes && isNew && entry.sourceNotes.length >= MAX_SOURCE_NOTES) {
+      return res
+        .status(409)
+        .json({ error: `At most ${MAX_SOURCE_NOTES} source notes per entry` });
+    }
+
+    const updated = await setSourceNote(entry, sourceUrl, notes || null);
+    res.json({ sourceNotes: updated.sourceNotes });
+  } catch (error) {
+    if (error.name === "CastError") {
+      return res.status(404).json({ error: "Search history entry not found" });
+    }
+    console.error("setSourceNote error:", error);
+    res.status(500).json({ error: "Failed to save source note" });
+  }
+};
+
 // Keep your existing delete functions
 exports.deleteHistoryEntry = async (req, res) => {
   try {
-    const userId = req.user?.uid || "testUser123";
+    const userId = req.user.uid;
     const { historyId } = req.params;
 
     const result = await deleteSearchHistory(historyId, userId);
@@ -63,7 +417,7 @@ exports.deleteHistoryEntry = async (req, res) => {
 
 exports.clearAllHistory = async (req, res) => {
   try {
-    const userId = req.user?.uid || "testUser123";
+    const userId = req.user.uid;
 
     const result = await deleteAllUserHistory(userId);
 
@@ -0,0 +1,76 @@
+const mongoose = require("mongoose");
+const { getJob, cancelJob } = require("../services/jobQueue");
+
+// Public view of a job document
+function formatJob(job) {
+  return {
+    jobId: job._id,
+    type: job.type,
+    status: job.status,
+    progress: job.progress,
+    stages: job.stages,
+    attempts: job.attempts,
+    maxAttempts: job.maxAttempts,
+    cancelRequested: job.cancelRequested,
+    error: job.error?.message ? job.error : null,
+    result: job.status === "completed" ? job.result : null,
+    partialResult:
+      job.status === "completed" ? null : job.partialResult || null,
+    createdAt: job.createdAt,
+    startedAt: job.startedAt,
+    finishedAt: job.finishedAt,
+  };
+}
+
+exports.formatJob = formatJob;
+
+// Get status, per-stage progress, error details and (once done) the result
+exports.getJobStatus = async (req, res) => {
+  if (!mongoose.isValidObjectId(req.params.jobId)) {
+    return res.status(404).json({ error: "Job not found or access denied" });
+  }
+
+  try {
+    const userId = req.user.uid;
+    const job = await getJob(req.params.jobId, userId);
+
+    if (!job) {
+      return res.status(404).json({ error: "Job not found or access denied" });
+    }
+
+    res.json(formatJob(job));
+  } catch (error) {
+    console.error("getJobStatus error:", error);
+    res.status(500).json({ error: "Failed to fetch job status" });
+  }
+};
+
+exports.cancelJob = async (req, res) => {
+  if (!mongoose.isValidObjectId(req.params.jobId)) {
+    return res.status(404).json({
+      error: "Job not found, access denied or already finished",
+    });
+  }
+
+  try {
+    const userId = req.user.uid;
+    const job = await cancelJob(req.params.jobId, userId);
+
+    if (!job) {
+      return res.status(404).json({
+        error: "Job not found, access denied or already finished",
+      });
+    }
+
+    res.json({
+      message:
+        job.status === "cancelled"
+          ? "Job cancelled"
+          : "Cancellation requested, the job will stop at its next stage",
+      ...formatJob(job),
+    });
+  } catch (error) {
+    console.error("cancelJob error:", error);
+    res.status(500).json({ error: "Failed to cancel job" });
+  }
+};
@@ -1,13 +1,17 @@
 const ScrapedContent = require("../models/ScrapedContent");
-const { scrapeWebsite, deeperScrapeWebsite } = require("../services/scrapper");
-const {
-  getEnhancedSmartResponseWithSources,
-} = require("../services/aiServices");
+const { scrapeWebsite } = require("../services/scrapper");
 const { saveSearchHistory } = require("../services/userHistory");
-const SearchHistory = require("../models/SearchHistory");
+const {
+  runDeeperScrape,
+  runDocumentAnalysis,
+} = require("../services/analysisPipeline");
+const { enqueueJob } = require("../services/jobQueue");
+const { openEventStream } = require("../utils/sse");
+const { annotateLoadedLanguage } = require("../services/languageAnalysis");
+const { assertPublicUrl, FetchError } = require("../utils/safeFetch");
 
 exports.scrapeAndSave = async (req, res) => {
-  const { url } = req.body;
+  const { url, annotate } = req.body;
   if (!url) return res.status(400).json({ error: "URL required" });
 
   try {
@@ -20,27 +24,55 @@ exports.scrapeAndSave = async (req, res) => {
     await content.save();
 
     // STEP 3: Save to search history
-    const userId = req.user?.uid || "testUser123";
-    await saveSearchHistory(userId, url, [content._id]);
+    const userId = req.user.uid;
+    await saveSearchHistory(userId, url, [content._id], {
+      snapshotIds: [result.snapshot?.id],
+    });
+
+    // Optional loaded-language spans, offsets point into annotations.text
+    if (annotate === true) {
+      const annotations = await annotateLoadedLanguage(content.text);
+      return res.json({ ...content.toObject(), annotations });
+    }
 
     res.json(content);
   } catch (error) {
+    if (error instanceof FetchError) {
+      return res
+        .status(error.statusCode)
+        .json({ error: error.message, code: error.code });
+    }
     console.error("scrapeAndSave error:", error);
     res.status(500).json({ error: "Internal server error" });
   }
 };
 
 exports.deeperScrape = async (req, res) => {
-  const { url } = req.body;
+  const { url, annotate } = req.body;
   if (!url) return res.status(400).json({ error: "URL required" });
 
   try {
-    // STEP 1: Perform deeper scraping with enhanced AI analysis
-    // Now we need to pass the AI analysis function as a parameter
-    const result = await deeperScrapeWebsite(
-      url,
-      getEnhancedSmartResponseWithSources
-    );
+    const userId = req.user.uid;
+
+    // Optionally run as a background job and hand back its id straight away
+    if (req.body.async === true || req.query.async === "true") {
+      // reject blocked / invalid URLs now rather than in a failed job
+      await assertPublicUrl(url);
+      const job = await enqueueJob("deeper-scrape", userId, {
+        url,
+        annotate: annotate === true,
+      });
+      return res.status(202).json({
+        jobId: job._id,
+        status: job.status,
+        statusUrl: `/api/jobs/${job._id}`,
+      });
+    }
+
+    // Deeper scraping with enhanced AI analysis, then search history
+    const result = await runDeeperScrape(url, userId, {
+      annotate: annotate === true,
+    });
 
     if (!result) {
       return res.status(404).json({
@@ -49,13 +81,134 @@ exports.deeperScrape = async (req, res) => {
       });
     }
 
-    // STEP 2: Save to search history
-    const userId = req.user?.uid || "testUser123";
-    await saveSearchHistory(userId, url, result);
-
     res.json(result);
   } catch (error) {
+    if (error instanceof FetchError) {
+      return res
+        .status(error.statusCode)
+        .json({ error: error.message, code: error.code });
+    }
     console.error("deeperScrape error:", error);
     res.status(500).json({ error: "Internal server error" });
   }
 };
+
+// Streaming variant of deeperScrape - SSE events per stage, "complete" carries the full result
+exports.deeperScrapeStream = async (req, res) => {
+  const { url, annotate } = req.body;
+  if (!url) return res.status(400).json({ error: "URL required" });
+
+  const stream = openEventStream(req, res);
+  try {
+    const userId = req.user.uid;
+    const result = await runDeeperScrape(url, userId, {
+      annotate: annotate === true,
+      onProgress: stream.send,
+    });
+
+    if (!result) {
+      stream.send("error", {
+        error:
+          "Unable to scrape the provided URL. The site may be blocking requests or the URL may be invalid.",
+      });
+    } else {
+      stream.send("complete", result);
+    }
+  } catch (error) {
+    if (error instanceof FetchError) {
+      stream.send("error", { error: error.message, code: error.code });
+      return;
+    }
+    console.error("deeperScrapeStream error:", error);
+    stream.send("error", { error: "Internal server error" });
+  } finally {
+    stream.close();
+  }
+};
+
+// Deeper analysis of an uploaded PDF / text / Markdown file (multipart field "file",
+// validated by the documentUpload middleware)
+exports.analyzeDocument = async (req, res) => {
+  try {
+    const userId = req.user.uid;
+    // multipart fields arrive as strings
+    const annotate = req.body?.annotate === "true";
+
+    const result = await runDocumentAnalysis(req.file, userId, { annotate });
+    if (!result) {
+      return res.status(422).json({
+        error:
+          "Not enough text could be extracted from the document. Scanned PDFs without a text layer are not supported.",
+      });
+    }
+
+    res.json(result);
+  } catch (error) {
+    console.error("analyzeDocument error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+};
+
+// Batch analysis of a feed (RSS/Atom) or a list of article URLs - always a background job,
+// poll /api/jobs/{jobId} for partial results and the aggregate report
+exports.batchAnalysis = async (req, res) => {
+  const { feedUrl, urls, limit } = req.body;
+  if (!feedUrl && !Array.isArray(urls)) {
+    return res.status(400).json({ error: "feedUrl or urls required" });
+  }
+  if (feedUrl && urls) {
+    return res
+      .status(400)
+      .json({ error: "Send either feedUrl or urls, not both" });
+  }
+  if (urls && urls.length === 0) {
+    return res.status(400).json({ error: "urls must not be empty" });
+  }
+  if (limit !== undefined && !(Number.isInteger(limit) && limit > 0)) {
+    return res.status(400).json({ error: "limit must be a positive integer" });
+  }
+
+  try {
+    const userId = req.user.uid;
+
+    // reject blocked / invalid URLs now rather than in a failed job
+    if (feedUrl) {
+      await assertPublicUrl(feedUrl);
+    } else {
+      const invalid = urls.filter((url) => !isHttpUrl(url));
+      if (invalid.length > 0) {
+        return res.status(400).json({
+          error: "urls must be http(s) URLs",
+          invalid: invalid.slice(0, 10),
+        });
+      }
+    }
+
+    const job = await enqueueJob("batch-analysis", userId, {
+      feedUrl: feedUrl || null,
+      urls: feedUrl ? null : urls,
+      limit: limit || null,
+    });
+    res.status(202).json({
+      jobId: job._id,
+      status: job.status,
+      statusUrl: `/api/jobs/${job._id}`,
+    });
+  } catch (error) {
+    if (error instanceof FetchError) {
+      return res
+        .status(error.statusCode)
+        .json({ error: error.message, code: error.code });
+    }
+    console.error("batchAnalysis error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+};
+
+function isHttpUrl(value) {
+  try {
+    return ["http:", "https:"].includes(new URL(value).protocol);
+  } catch (_) {
+    return false;
+  }
+}
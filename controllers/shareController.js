@@ -0,0 +1,155 @@
+const mongoose = require("mongoose");
+const sharingConfig = require("../config/sharing");
+const { getSearchHistoryEntry } = require("../services/userHistory");
+const {
+  linkStatus,
+  countActiveLinks,
+  createShareLink,
+  listShareLinks,
+  revokeShareLink,
+  openShareLink,
+} = require("../services/shareLinks");
+
+// The frontend's share page when SHARE_BASE_URL is set, the public API route otherwise
+function shareUrl(req, token) {
+  if (sharingConfig.baseUrl) return `${sharingConfig.baseUrl}/${token}`;
+  return `${req.protocol}://${req.get("host")}/api/shared/${token}`;
+}
+
+function toShareLinkResponse(req, link) {
+  return {
+    _id: link._id,
+    historyId: link.historyId,
+    token: link.token,
+    url: shareUrl(req, link.token),
+    status: linkStatus(link),
+    redactQuery: link.redactQuery,
+    expiresAt: link.expiresAt,
+    revokedAt: link.revokedAt,
+    viewCount: link.viewCount,
+    lastViewedAt: link.lastViewedAt || null,
+    createdAt: link.createdAt,
+  };
+}
+
+function entryNotFound(res) {
+  return res
+    .status(404)
+    .json({ error: "Search history entry not found or access denied" });
+}
+
+// POST /api/history/:historyId/share-links { expiresInHours?, redactQuery? }
+exports.createShareLink = async (req, res) => {
+  const { expiresInHours, redactQuery } = req.body;
+  if (
+    expiresInHours !== undefined &&
+    expiresInHours !== null &&
+    (typeof expiresInHours !== "number" ||
+      !(expiresInHours > 0) ||
+      expiresInHours > sharingConfig.maxExpiryHours)
+  ) {
+    return res.status(400).json({
+      error: `expiresInHours must be a number between 0 and ${sharingConfig.maxExpiryHours}`,
+    });
+  }
+  if (redactQuery !== undefined && typeof redactQuery !== "boolean") {
+    return res.status(400).json({ error: "redactQuery must be a boolean" });
+  }
+
+  try {
+    const userId = req.user.uid;
+    const entry = await getSearchHistoryEntry(req.params.historyId, userId);
+    if (!entry) return entryNotFound(res);
+    if (!entry.fullResultId) {
+      return res
+        .status(422)
+        .json({ error: "This history entry has no stored result to share" });
+    }
+
+    const activeLinks = await countActiveLinks(entry._id, userId);
+    if (activeLinks >= sharingConfig.maxActiveLinksPerEntry) {
+      return res.status(409).json({
+        error: `At most ${sharingConfig.maxActiveLinksPerEntry} active share links per entry - revoke one first`,
+      });
+    }
+
+    const link = await createShareLink(entry, { expiresInHours, redactQuery });
+    res.status(201).json(toShareLinkResponse(req, link));
+  } catch (error) {
+    if (error.name === "CastError") return entryNotFound(res);
+    console.error("createShareLink error:", error);
+    res.status(500).json({ error: "Failed to create share link" });
+  }
+};
+
+// GET /api/history/:historyId/share-links
+exports.getEntryShareLinks = async (req, res) => {
+  try {
+    const userId = req.user.uid;
+    const entry = await getSearchHistoryEntry(req.params.historyId, userId);
+    if (!entry) return entryNotFound(res);
+
+    const links = await listShareLinks(userId, { historyId: entry._id });
+    res.json(links.map((link) => toShareLinkResponse(req, link)));
+  } catch (error) {
+    if (error.name === "CastError") return entryNotFound(res);
+    console.error("getEntryShareLinks error:", error);
+    res.status(500).json({ error: "Failed to fetch share links" });
+  }
+};
+
+// GET /api/share-links - every link the user created, revoked and expired ones included
+exports.getShareLinks = async (req, res) => {
+  try {
+    const userId = req.user.uid;
+    const links = await listShareLinks(userId);
+    res.json(links.map((link) => toShareLinkResponse(req, link)));
+  } catch (error) {
+    console.error("getShareLinks error:", error);
+    res.status(500).json({ error: "Failed to fetch share links" });
+  }
+};
+
+// DELETE /api/share-links/:linkId - the link stops working but stays listed
+exports.revokeShareLink = async (req, res) => {
+  if (!mongoose.isValidObjectId(req.params.linkId)) {
+    return res.status(404).json({ error: "Share link not found" });
+  }
+
+  try {
+    const userId = req.user.uid;
+    const link = await revokeShareLink(req.params.linkId, userId);
+    if (!link) return res.status(404).json({ error: "Share link not found" });
+
+    res.json(toShareLinkResponse(req, link));
+  } catch (error) {
+    console.error("revokeShareLink error:", error);
+    res.status(500).json({ error: "Failed to revoke share link" });
+  }
+};
+
+// GET /api/shared/:token - public, no authentication
+exports.getSharedResult = async (req, res) => {
+  try {
+    const shared = await openShareLink(req.params.token);
+
+    // revocation has to take effect straight away, and shared results stay out of search engines
+    res.set("Cache-Control", "no-store");
+    res.set("X-Robots-Tag", "noindex");
+
+    if (!shared) return res.status(404).json({ error: "Share link not found" });
+    if (shared.status === "revoked") {
+      return res
+        .status(410)
+        .json({ error: "This share link has been revoked" });
+    }
+    if (shared.status === "expired") {
+      return res.status(410).json({ error: "This share link has expired" });
+    }
+
+    res.json(shared.view);
+  } catch (error) {
+    console.error("getSharedResult error:", error);
+    res.status(500).json({ error: "Failed to load shared result" });
+  }
+};
@@ -1,20 +1,37 @@
 const {
-  getNeutralityAndSentiment,
-  getTagsFromAI,
+  getNeutralityAndSentimentWithMeta,
+  getTagsWithMeta,
   getGenSummary,
   getEnhancedSmartResponseWithSources,
+  findValidatedSources,
+  validateAndEnrichSourcesWithScraping,
 } = require("../services/aiServices");
 
 const { scrapeWebsite } = require("../services/scrapper");
-const { saveSearchHistory } = require("../services/userHistory");
+const { runPromptAnalysis } = require("../services/analysisPipeline");
+const { verifyClaims } = require("../services/claimVerification");
+const { annotateLoadedLanguage } = require("../services/languageAnalysis");
+const { enqueueJob } = require("../services/jobQueue");
+const { openEventStream } = require("../utils/sse");
+const { FetchError } = require("../utils/safeFetch");
+const scraperConfig = require("../config/scraper");
 
 // Handler for neutrality & sentiment analysis
+// annotate: true adds loaded-language spans with offsets into annotations.text
 exports.analyzeSentiment = async (req, res) => {
-  const { text } = req.body;
+  const { text, annotate } = req.body;
   if (!text) return res.status(400).json({ error: "Text is required" });
   try {
-    const result = await getNeutralityAndSentiment(text);
-    res.json({ result });
+    if (annotate === true) {
+      const [{ scores, aiMeta }, annotations] = await Promise.all([
+        getNeutralityAndSentimentWithMeta(text),
+        annotateLoadedLanguage(text),
+      ]);
+      return res.json({ result: scores, aiMeta, annotations });
+    }
+
+    const { scores, aiMeta } = await getNeutralityAndSentimentWithMeta(text);
+    res.json({ result: scores, aiMeta });
   } catch (error) {
     console.error("Sentiment analysis failed:", error.message);
     res.status(500).json({ error: "Sentiment analysis error" });
@@ -26,8 +43,8 @@ exports.generateTags = async (req, res) => {
   const { text } = req.body;
   if (!text) return res.status(400).json({ error: "Text is required" });
   try {
-    const tags = await getTagsFromAI(text);
-    res.json({ tags });
+    const { tags, aiMeta } = await getTagsWithMeta(text);
+    res.json({ tags, aiMeta });
   } catch (error) {
     console.error("Tags generation failed:", error.message);
     res.status(500).json({ error: "Tags generation error" });
@@ -70,18 +87,29 @@ exports.queryHandle = async (req, res) => {
     const summary = await getGenSummary(prompt);
 
     // STEP 2: Get tags
-    const tags = await getTagsFromAI(summary);
+    const { tags, aiMeta: tagsMeta } = await getTagsWithMeta(summary);
 
     // STEP 3: Get neutrality/sentiment scores
-    const { neutralityScore, sentimentScore } = await getNeutralityAndSentiment(
-      summary
-    );
+    const {
+      scores: { neutralityScore, sentimentScore },
+      aiMeta: sentimentMeta,
+    } = await getNeutralityAndSentimentWithMeta(summary);
 
     res.json({
       summary,
       tags,
       neutralityScore,
       sentimentScore,
+      aiMeta: {
+        fallbackFields: [
+          ...(tagsMeta.fallbackFields.length ? ["tags"] : []),
+          ...sentimentMeta.fallbackFields,
+        ],
+        cachedFields: [
+          ...(tagsMeta.cached ? ["tags"] : []),
+          ...(sentimentMeta.cached ? ["neutralityScore", "sentimentScore"] : []),
+        ],
+      },
     });
   } catch (error) {
     console.error("Query handle error:", error.message);
@@ -89,6 +117,54 @@ exports.queryHandle = async (req, res) => {
   }
 };
 
+// Claim-level fact checking for a piece of text or a scraped article
+// Sources come from sourceUrls when given, otherwise they're discovered like /prompt does
+exports.verifyClaims = async (req, res) => {
+  const { text, url, sourceUrls } = req.body;
+  if (!text && !url) {
+    return res.status(400).json({ error: "Text or URL is required" });
+  }
+  if (sourceUrls !== undefined && !Array.isArray(sourceUrls)) {
+    return res.status(400).json({ error: "sourceUrls must be an array" });
+  }
+  // every source is scraped and scored, so the list is capped like a batch
+  if (sourceUrls?.length > scraperConfig.batch.maxItems) {
+    return res.status(400).json({
+      error: `At most ${scraperConfig.batch.maxItems} sourceUrls`,
+    });
+  }
+
+  try {
+    let claimText = text;
+    if (!claimText) {
+      const scraped = await scrapeWebsite(url);
+      if (!scraped) {
+        return res
+          .status(404)
+          .json({ error: "URL scraping failed or no content found" });
+      }
+      claimText = scraped.text;
+    }
+
+    const sources = sourceUrls?.length
+      ? await validateAndEnrichSourcesWithScraping(
+          sourceUrls.map((sourceUrl) => ({ url: sourceUrl }))
+        )
+      : await findValidatedSources(claimText);
+
+    const result = await verifyClaims(claimText, sources);
+    res.json(result);
+  } catch (error) {
+    if (error instanceof FetchError) {
+      return res
+        .status(error.statusCode)
+        .json({ error: error.message, code: error.code });
+    }
+    console.error("Claim verification failed:", error.message);
+    res.status(500).json({ error: "Claim verification failed" });
+  }
+};
+
 // URL scraping endpoint
 exports.scrapeUrl = async (req, res) => {
   const { url } = req.body;
@@ -102,6 +178,11 @@ exports.scrapeUrl = async (req, res) => {
     }
     res.json(result);
   } catch (error) {
+    if (error instanceof FetchError) {
+      return res
+        .status(error.statusCode)
+        .json({ error: error.message, code: error.code });
+    }
     console.error("URL scraping error:", error.message);
     res.status(500).json({ error: "URL scraping failed" });
   }
@@ -109,56 +190,66 @@ exports.scrapeUrl = async (req, res) => {
 
 // Main controller for prompt handling with enhanced source validation
 exports.processUserPrompt = async (req, res) => {
-  const { prompt } = req.body;
+  const { prompt, includeClaims, includeCounterPerspectives } = req.body;
   if (!prompt) return res.status(400).json({ error: "Prompt is required" });
 
   try {
-    // STEP 1: Get enhanced response with validated sources
-    const enhancedResponse = await getEnhancedSmartResponseWithSources(prompt);
-    if (!enhancedResponse) {
+    const userId = req.user.uid;
+
+    // Optionally run as a background job and hand back its id straight away
+    if (req.body.async === true || req.query.async === "true") {
+      const job = await enqueueJob("prompt", userId, {
+        prompt,
+        includeClaims: includeClaims === true,
+        includeCounterPerspectives: includeCounterPerspectives === true,
+      });
+      return res.status(202).json({
+        jobId: job._id,
+        status: job.status,
+        statusUrl: `/api/jobs/${job._id}`,
+      });
+    }
+
+    // Enhanced response -> processed sources -> search history (see services/analysisPipeline.js)
+    const responseData = await runPromptAnalysis(prompt, userId, {
+      includeClaims: includeClaims === true,
+      includeCounterPerspectives: includeCounterPerspectives === true,
+    });
+    if (!responseData) {
       return res.status(500).json({ error: "Failed to get AI response" });
     }
 
-    // STEP 2: Process sources for response
-    const processedSources = enhancedResponse.sources.map((source) => ({
-      url: source.url,
-      title: source.title,
-      text: source.text,
-      tags: source.tags,
-      neutralityScore: source.neutralityScore,
-      sentimentScore: source.sentimentScore,
-      credibilityScore: source.credibilityScore,
-      domain: source.domain,
-      sourceType: source.sourceType,
-      verified: source.verified,
-      predefined: source.predefined,
-      aiGenerated: false,
-    }));
-
-    // STEP 3: Create response data
-    const responseData = {
-      // Core response
-      summary: enhancedResponse.summary,
-      neutralityScore: enhancedResponse.neutralityScore,
-      persuasionScore: enhancedResponse.persuasionScore,
-      sources: processedSources,
-
-      // Enhanced educational content
-      biasAnalysis: enhancedResponse.biasAnalysis,
-      sourceMetrics: enhancedResponse.sourceMetrics,
-      researchQuality: enhancedResponse.researchQuality,
-      quickAssessment: enhancedResponse.quickAssessment,
-      sourcesValidated: enhancedResponse.sourcesValidated,
-    };
-
-    // STEP 4: Save to search history
-    const userId = req.user?.uid || "testUser123";
-    await saveSearchHistory(userId, prompt, responseData);
-
-    // STEP 5: Send response
     res.json(responseData);
   } catch (error) {
     console.error("Error in processUserPrompt:", error);
     res.status(500).json({ error: "Failed to process user prompt" });
   }
 };
+
+// Streaming variant - emits an SSE event per completed stage, then "complete" with the
+// same payload processUserPrompt returns
+exports.processUserPromptStream = async (req, res) => {
+  const { prompt, includeClaims, includeCounterPerspectives } = req.body;
+  if (!prompt) return res.status(400).json({ error: "Prompt is required" });
+
+  const stream = openEventStream(req, res);
+  try {
+    const userId = req.user.uid;
+    const responseData = await runPromptAnalysis(prompt, userId, {
+      includeClaims: includeClaims === true,
+      includeCounterPerspectives: includeCounterPerspectives === true,
+      onProgress: stream.send,
+    });
+
+    if (!responseData) {
+      stream.send("error", { error: "Failed to get AI response" });
+    } else {
+      stream.send("complete", responseData);
+    }
+  } catch (error) {
+    console.error("Error in processUserPromptStream:", error);
+    stream.send("error", { error: "Failed to process user prompt" });
+  } finally {
+    stream.close();
+  }
+};
@@ -0,0 +1,223 @@
+const {
+  addToWatchlist,
+  listWatchlist,
+  countWatchlistItems,
+  getWatchlistItem,
+  getWatchlistTimeline,
+  getWatchlistVersion,
+  updateWatchlistItem,
+  removeFromWatchlist,
+  checkWatchlistItem,
+} = require("../services/watchlist");
+const watchlistConfig = require("../config/watchlist");
+const { assertPublicUrl, FetchError } = require("../utils/safeFetch");
+
+// undefined when valid, otherwise the error message
+function validateInterval(intervalMinutes) {
+  const { minIntervalMinutes, maxIntervalMinutes } = watchlistConfig;
+  if (
+    !Number.isInteger(intervalMinutes) ||
+    intervalMinutes < minIntervalMinutes ||
+    intervalMinutes > maxIntervalMinutes
+  ) {
+    return `intervalMinutes must be an integer between ${minIntervalMinutes} and ${maxIntervalMinutes}`;
+  }
+}
+
+function sendFetchError(res, error) {
+  res.status(error.statusCode).json({ error: error.message, code: error.code });
+}
+
+// Add a URL and record its baseline version
+exports.addWatchlistItem = async (req, res) => {
+  const { url } = req.body;
+  const intervalMinutes =
+    req.body.intervalMinutes ?? watchlistConfig.defaultIntervalMinutes;
+  if (!url) return res.status(400).json({ error: "URL required" });
+  const intervalError = validateInterval(intervalMinutes);
+  if (intervalError) return res.status(400).json({ error: intervalError });
+
+  try {
+    const userId = req.user.uid;
+
+    if (
+      (await countWatchlistItems(userId)) >= watchlistConfig.maxItemsPerUser
+    ) {
+      return res.status(409).json({
+        error: `Watchlist is full (${watchlistConfig.maxItemsPerUser} URLs)`,
+      });
+    }
+    await assertPublicUrl(url);
+
+    const item = await addToWatchlist(userId, url, { intervalMinutes });
+    if (!item) {
+      return res.status(422).json({
+        error:
+          "Unable to scrape the provided URL. The site may be blocking requests or the page has too little text.",
+      });
+    }
+
+    res.status(201).json(item);
+  } catch (error) {
+    if (error instanceof FetchError) return sendFetchError(res, error);
+    if (error.code === 11000) {
+      return res
+        .status(409)
+        .json({ error: "URL is already on your watchlist" });
+    }
+    console.error("addWatchlistItem error:", error);
+    res.status(500).json({ error: "Failed to add URL to watchlist" });
+  }
+};
+
+exports.getWatchlist = async (req, res) => {
+  try {
+    const userId = req.user.uid;
+    const items = await listWatchlist(userId);
+    res.json(items);
+  } catch (error) {
+    console.error("getWatchlist error:", error);
+    res.status(500).json({ error: "Failed to fetch watchlist" });
+  }
+};
+
+// Item plus its version timeline (newest first) with score deltas and diff stats
+exports.getWatchlistItem = async (req, res) => {
+  try {
+    const userId = req.user.uid;
+    const { itemId } = req.params;
+
+    const item = await getWatchlistItem(itemId, userId);
+    if (!item) {
+      return res
+        .status(404)
+        .json({ error: "Watchlist item not found or access denied" });
+    }
+
+    const versions = await getWatchlistTimeline(item._id, userId);
+    res.json({ ...item.toObject(), versions });
+  } catch (error) {
+    if (error.name === "CastError") {
+      return res.status(404).json({ error: "Watchlist item not found" });
+    }
+    console.error("getWatchlistItem error:", error);
+    res.status(500).json({ error: "Failed to fetch watchlist item" });
+  }
+};
+
+// One version with its full text and diff hunks
+exports.getWatchlistVersion = async (req, res) => {
+  try {
+    const userId = req.user.uid;
+    const { itemId } = req.params;
+    const version = parseInt(req.params.version);
+    if (!version) return res.status(400).json({ error: "Invalid version" });
+
+    const result = await getWatchlistVersion(itemId, userId, version);
+    if (!result) {
+      return res
+        .status(404)
+        .json({ error: "Version not found or access denied" });
+    }
+
+    res.json(result);
+  } catch (error) {
+    if (error.name === "CastError") {
+      return res.status(404).json({ error: "Watchlist item not found" });
+    }
+    console.error("getWatchlistVersion error:", error);
+    res.status(500).json({ error: "Failed to fetch watchlist version" });
+  }
+};
+
+// Re-scrape now instead of waiting for the scheduler
+exports.checkWatchlistItem = async (req, res) => {
+  try {
+    const userId = req.user.uid;
+    const item = await getWatchlistItem(req.params.itemId, userId);
+    if (!item) {
+      return res
+        .status(404)
+        .json({ error: "Watchlist item not found or access denied" });
+    }
+
+    const outcome = await checkWatchlistItem(item);
+    if (!outcome) {
+      return res.status(422).json({ error: "Unable to scrape the article" });
+    }
+
+    const { text, ...version } = outcome.version.toObject();
+    res.json({ changed: outcome.changed, version });
+  } catch (error) {
+    if (error instanceof FetchError) return sendFetchError(res, error);
+    if (error.name === "CastError") {
+      return res.status(404).json({ error: "Watchlist item not found" });
+    }
+    // the scheduler recorded the same version first
+    if (error.code === 11000) {
+      return res
+        .status(409)
+        .json({ error: "A check for this item is already running" });
+    }
+    console.error("checkWatchlistItem error:", error);
+    res.status(500).json({ error: "Failed to check watchlist item" });
+  }
+};
+
+// Change the interval or pause / resume checks
+exports.updateWatchlistItem = async (req, res) => {
+  const { intervalMinutes, paused } = req.body;
+  if (intervalMinutes === undefined && paused === undefined) {
+    return res
+      .status(400)
+      .json({ error: "intervalMinutes or paused required" });
+  }
+  if (intervalMinutes !== undefined) {
+    const intervalError = validateInterval(intervalMinutes);
+    if (intervalError) return res.status(400).json({ error: intervalError });
+  }
+  if (paused !== undefined && typeof paused !== "boolean") {
+    return res.status(400).json({ error: "paused must be a boolean" });
+  }
+
+  try {
+    const userId = req.user.uid;
+    const item = await updateWatchlistItem(req.params.itemId, userId, {
+      intervalMinutes,
+      paused,
+    });
+    if (!item) {
+      return res
+        .status(404)
+        .json({ error: "Watchlist item not found or access denied" });
+    }
+
+    res.json(item);
+  } catch (error) {
+    if (error.name === "CastError") {
+      return res.status(404).json({ error: "Watchlist item not found" });
+    }
+    console.error("updateWatchlistItem error:", error);
+    res.status(500).json({ error: "Failed to update watchlist item" });
+  }
+};
+
+exports.removeWatchlistItem = async (req, res) => {
+  try {
+    const userId = req.user.uid;
+    const item = await removeFromWatchlist(req.params.itemId, userId);
+    if (!item) {
+      return res
+        .status(404)
+        .json({ error: "Watchlist item not found or access denied" });
+    }
+
+    res.json({ message: "Removed from watchlist" });
+  } catch (error) {
+    if (error.name === "CastError") {
+      return res.status(404).json({ error: "Watchlist item not found" });
+    }
+    console.error("removeWatchlistItem error:", error);
+    res.status(500).json({ error: "Failed to remove watchlist item" });
+  }
+};
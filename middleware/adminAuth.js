@@ -0,0 +1,16 @@
+// Guards operational routes (cache invalidation etc.) behind a separate admin key
+module.exports = function (req, res, next) {
+  const adminKey = req.headers["x-admin-key"];
+  const validAdminKey = process.env.ADMIN_API_KEY; // Set this in your .env file
+
+  if (!validAdminKey) {
+    return res
+      .status(403)
+      .json({ error: "Admin routes are disabled: ADMIN_API_KEY not set" });
+  }
+
+  if (!adminKey || adminKey !== validAdminKey) {
+    return res.status(401).json({ error: "Unauthorized: invalid admin key" });
+  }
+  next();
+};
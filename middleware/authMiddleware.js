@@ -1,20 +1,64 @@
-//verifies the ID tokens sent by clients that have already authenticated via Firebase  
-const admin = require('../config/firebase');
+//verifies the bearer tokens sent by clients - Firebase ID tokens, or local JWTs in development (see services/tokenVerifier.js)
+const crypto = require('crypto');
+const authConfig = require('../config/auth');
+const { getTokenVerifier } = require('../services/tokenVerifier');
 
+const ANONYMOUS_ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
+
+function readBearerToken(req) {
+    const authHeader = req.headers.authorization;
+    if (!authHeader || !authHeader.startsWith('Bearer ')) return null;
+    return authHeader.slice('Bearer '.length).trim() || null;
+}
+
+function isTokenError(error) {
+    return String(error.code || '').startsWith('auth/') ||
+        ['JsonWebTokenError', 'TokenExpiredError', 'NotBeforeError', 'TokenError'].includes(error.name);
+}
+
+async function verifyRequestToken(req, res, token) {
+    try {
+        req.user = await getTokenVerifier().verify(token);  // { uid, email, provider }
+        return true;
+    } catch (error) {
+        // bad / expired tokens are the client's problem, anything else (e.g. a missing service account) is ours
+        if (!isTokenError(error)) {
+            console.error('Token verification unavailable:', error.message);
+            res.status(500).json({ error: 'Authentication is currently unavailable' });
+            return false;
+        }
+        res.status(401).json({ error: 'Unauthorized: token verification failed', code: 'INVALID_TOKEN' });
+        return false;
+    }
+}
+
+// Signed-in users only
 async function authenticateToken(req, res, next) {
-  const authHeader = req.headers.authorization;
-  if (!authHeader || !authHeader.startsWith('Bearer ')) {
-    return res.status(401).json({ error: 'Authorization header missing or malformed' });
-  }
-
-  const idToken = authHeader.split('Bearer ')[1];
-  try {
-    const decodedToken = await admin.auth().verifyIdToken(idToken);
-    req.user = decodedToken;  // Attach user info to request object
+    const token = readBearerToken(req);
+    if (!token) {
+        return res.status(401).json({ error: 'Authorization header missing or malformed', code: 'AUTH_REQUIRED' });
+    }
+    if (await verifyRequestToken(req, res, token)) next();
+}
+
+// Signed-in users, or - when AUTH_ALLOW_ANONYMOUS=true - anonymous trial users. Each anonymous
+// client gets its own bucket ("anonymous:<uuid>"): it sends the id back as X-Anonymous-Id, and
+// a new one is issued in that response header when it doesn't.
+async function optionalAuth(req, res, next) {
+    const token = readBearerToken(req);
+    if (token) {
+        if (await verifyRequestToken(req, res, token)) next();
+        return;
+    }
+    if (!authConfig.allowAnonymous) {
+        return res.status(401).json({ error: 'Authorization header missing or malformed', code: 'AUTH_REQUIRED' });
+    }
+
+    const sentId = req.headers['x-anonymous-id'];
+    const anonymousId = ANONYMOUS_ID_PATTERN.test(sentId || '') ? sentId.toLowerCase() : crypto.randomUUID();
+    res.set('X-Anonymous-Id', anonymousId);
+    req.user = { uid: `anonymous:${anonymousId}`, email: null, provider: 'anonymous', anonymous: true };
     next();
-  } catch (error) {
-    return res.status(401).json({ error: 'Unauthorized: token verification failed' });
-  }
 }
 
-module.exports = authenticateToken;
+module.exports = { authenticateToken, optionalAuth };
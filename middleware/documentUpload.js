@@ -0,0 +1,51 @@
+// Single-file uploads for /api/analyze-document - PDF, plain text or Markdown, kept in memory
+// (the file is analysed straight away and never written to disk)
+const multer = require("multer");
+const { detectDocumentType } = require("../services/documentExtractor");
+const { upload: uploadConfig } = require("../config/scraper");
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: uploadConfig.maxBytes, files: 1 },
+  fileFilter: (req, file, cb) => {
+    const type = detectDocumentType(file.mimetype, file.originalname);
+    if (!type || type === "html") {
+      const error = new Error(
+        "Unsupported file type, upload a PDF, plain-text or Markdown file"
+      );
+      error.code = "UNSUPPORTED_FILE_TYPE";
+      return cb(error);
+    }
+    cb(null, true);
+  },
+}).single("file");
+
+const uploadDocument = (req, res, next) => {
+  upload(req, res, (error) => {
+    if (!error) {
+      if (!req.file) {
+        return res
+          .status(400)
+          .json({ error: "No file uploaded, send it as the 'file' field" });
+      }
+      return next();
+    }
+
+    if (error.code === "UNSUPPORTED_FILE_TYPE") {
+      return res.status(415).json({ error: error.message, code: error.code });
+    }
+    if (error.code === "LIMIT_FILE_SIZE") {
+      return res.status(413).json({
+        error: `File is larger than ${uploadConfig.maxBytes} bytes`,
+        code: error.code,
+      });
+    }
+    if (error instanceof multer.MulterError) {
+      return res.status(400).json({ error: error.message, code: error.code });
+    }
+    console.error("uploadDocument error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  });
+};
+
+module.exports = uploadDocument;
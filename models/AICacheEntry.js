@@ -0,0 +1,16 @@
+const mongoose = require("mongoose");
+
+// Cached structured AI output, keyed on task:provider:model:promptVersion:inputHash
+const AICacheEntrySchema = new mongoose.Schema({
+  key: { type: String, required: true, unique: true },
+  task: String,
+  provider: String,
+  model: String,
+  promptVersion: String,
+  inputHash: String,
+  value: mongoose.Schema.Types.Mixed,
+  createdAt: { type: Date, default: Date.now },
+  expiresAt: { type: Date, required: true, index: { expires: 0 } }, // Mongo TTL removes it once expired
+});
+
+module.exports = mongoose.model("AICacheEntry", AICacheEntrySchema);
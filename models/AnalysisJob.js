@@ -0,0 +1,52 @@
+const mongoose = require("mongoose");
+
+// Background analysis job - claimed and run by the worker loop in services/jobQueue.js
+const AnalysisJobSchema = new mongoose.Schema({
+  type: { type: String, required: true }, // "prompt", "deeper-scrape", "batch-analysis", ...
+  userId: { type: String, required: true, index: true },
+  input: mongoose.Schema.Types.Mixed,
+  status: {
+    type: String,
+    enum: ["queued", "running", "completed", "failed", "cancelled"],
+    default: "queued",
+  },
+  // one entry per completed pipeline stage, in order
+  stages: [
+    {
+      _id: false,
+      name: String,
+      at: { type: Date, default: Date.now },
+      detail: mongoose.Schema.Types.Mixed,
+    },
+  ],
+  progress: {
+    currentStage: String,
+    sourcesTotal: Number,
+    sourcesDone: Number,
+    itemsTotal: Number, // batch-analysis articles
+    itemsDone: Number,
+  },
+  attempts: { type: Number, default: 0 },
+  maxAttempts: { type: Number, default: 3 },
+  nextRunAt: { type: Date, default: Date.now },
+  lockedAt: Date,
+  lockedBy: String,
+  cancelRequested: { type: Boolean, default: false },
+  error: {
+    message: String,
+    code: String,
+    transient: Boolean,
+    at: Date,
+  },
+  result: mongoose.Schema.Types.Mixed,
+  // results so far while a batch is running ({ feed, items, report }), dropped on completion
+  partialResult: mongoose.Schema.Types.Mixed,
+  createdAt: { type: Date, default: Date.now },
+  startedAt: Date,
+  finishedAt: Date,
+  expiresAt: { type: Date, index: { expires: 0 } }, // finished jobs are cleaned up by Mongo TTL
+});
+
+AnalysisJobSchema.index({ status: 1, nextRunAt: 1 });
+
+module.exports = mongoose.model("AnalysisJob", AnalysisJobSchema);
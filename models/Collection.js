@@ -0,0 +1,15 @@
+const mongoose = require("mongoose");
+
+// A user's folder of history entries (e.g. one per assignment). Membership lives on the
+// entries (SearchHistory.collectionIds) so an entry can be in several collections.
+const CollectionSchema = new mongoose.Schema({
+  userId: { type: String, required: true },
+  name: { type: String, required: true, trim: true, maxlength: 100 },
+  description: { type: String, maxlength: 20000 }, // markdown
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now },
+});
+
+CollectionSchema.index({ userId: 1, name: 1 }, { unique: true });
+
+module.exports = mongoose.model("Collection", CollectionSchema);
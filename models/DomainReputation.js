@@ -0,0 +1,30 @@
+const mongoose = require("mongoose");
+
+// One credibility rule - either a registrable domain / host ("reuters.com", "health.harvard.edu")
+// or a public suffix ("edu", "gov.uk") that applies to every domain registered under it
+const DomainReputationSchema = new mongoose.Schema({
+  domain: {
+    type: String,
+    required: true,
+    unique: true,
+    lowercase: true,
+    trim: true,
+  },
+  matchType: { type: String, enum: ["domain", "suffix"], default: "domain" },
+  credibility: { type: Number, required: true, min: 0, max: 1 },
+  category: String, // e.g. "established_news", "government", "academic"
+  ownership: String, // publisher / parent organisation
+  editorialNotes: String,
+  // topics this domain is offered for when no AI sources could be validated
+  fallbackTopics: [String],
+  homepage: String,
+  provenance: {
+    source: { type: String, default: "admin" }, // "seed", "admin", ...
+    reference: String, // link or citation backing the rating
+    updatedBy: String,
+  },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now },
+});
+
+module.exports = mongoose.model("DomainReputation", DomainReputationSchema);
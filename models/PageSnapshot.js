@@ -0,0 +1,28 @@
+const mongoose = require("mongoose");
+
+// What a page said when it was fetched: the raw body (gzip) and the extracted text, hashed so
+// history entries can show exactly what was analysed. Shared between users - identical
+// re-fetches update lastCheckedAt instead of storing another copy.
+const PageSnapshotSchema = new mongoose.Schema({
+  requestedUrl: { type: String, required: true },
+  url: { type: String, required: true }, // final URL after redirects
+  status: Number,
+  contentType: String,
+  etag: String,
+  lastModified: String,
+  contentHash: { type: String, required: true }, // sha256 of the raw body
+  textHash: String, // sha256 of the extracted text
+  rawSize: Number, // bytes before compression
+  raw: Buffer, // gzip-compressed body, left out when it's over the storage limit
+  rawStored: { type: Boolean, default: true },
+  title: String,
+  text: String, // full extracted text (rawContent)
+  fetchedAt: { type: Date, default: Date.now },
+  lastCheckedAt: { type: Date, default: Date.now },
+  checkCount: { type: Number, default: 1 }, // fetches (200 or 304) that matched this snapshot
+  notModifiedCount: { type: Number, default: 0 },
+});
+
+PageSnapshotSchema.index({ requestedUrl: 1, fetchedAt: -1 });
+
+module.exports = mongoose.model("PageSnapshot", PageSnapshotSchema);
@@ -8,6 +8,12 @@ const ScrapedContentSchema = new mongoose.Schema({
     tags: [String], //mainly to help with retrieval, this represents the groups articles will belong to for egs (education, politics, pop-culture, tech, etc)
     neutralityScore: Number, 
     sentimentScore: Number, 
+    outline: [mongoose.Schema.Types.Mixed], // headings/paragraphs/lists/quotes from the content extractor
+    extraction: mongoose.Schema.Types.Mixed, // { method, confidence, lowConfidence, ... }
+    extractor: String, // "generic", "document" or the site extractor that handled the page (wikipedia, substack, ...)
+    metadata: mongoose.Schema.Types.Mixed, // byline, publishedAt, publisher, canonicalUrl, ... from metadataExtractor
+    document: mongoose.Schema.Types.Mixed, // PDF / text / Markdown only: { type, pageCount, pages }
+    snapshot: mongoose.Schema.Types.Mixed, // { id, contentHash, fetchedAt, ... } of the PageSnapshot this came from
     createdAt: { type: Date, default: Date.now}
 
 });
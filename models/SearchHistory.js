@@ -3,6 +3,11 @@ const mongoose = require("mongoose");
 const SearchHistorySchema = new mongoose.Schema({
   userId: { type: String, required: true },
   query: String,
+  // url (scrape / deeper scrape), prompt, document (upload) or batch (feed / URL list)
+  entryType: {
+    type: String,
+    enum: ["url", "prompt", "document", "batch"],
+  },
   timestamp: { type: Date, default: Date.now },
   resultSummary: {
     // Storing only essential data for history display
@@ -16,6 +21,35 @@ const SearchHistorySchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: "CachedScrapedContent",
   }, // Reference to full results
+  // page snapshots behind this entry (main page first, then sources) - kept after the
+  // 7-day full result expires so the entry can still show what was analysed
+  snapshotIds: [{ type: mongoose.Schema.Types.ObjectId, ref: "PageSnapshot" }],
+  // normalised domains of the analysed page and its sources, for filtering
+  sourceDomains: [String],
+  // user-editable: collections this entry is filed under, free-form tags and markdown notes
+  collectionIds: [{ type: mongoose.Schema.Types.ObjectId, ref: "Collection" }],
+  tags: [String],
+  notes: String,
+  // per-source notes, keyed by the source URL as it appears in the full result
+  sourceNotes: [
+    {
+      _id: false,
+      sourceUrl: String,
+      notes: String,
+      updatedAt: Date,
+    },
+  ],
+  notesUpdatedAt: Date,
 });
 
+SearchHistorySchema.index({ userId: 1, timestamp: -1 });
+SearchHistorySchema.index({ userId: 1, sourceDomains: 1 });
+SearchHistorySchema.index({ userId: 1, collectionIds: 1 });
+SearchHistorySchema.index({ userId: 1, tags: 1 });
+// free-text history search (GET /api/history?q=...)
+SearchHistorySchema.index(
+  { query: "text", "resultSummary.summary": "text" },
+  { weights: { query: 3, "resultSummary.summary": 1 }, name: "history_text" }
+);
+
 module.exports = mongoose.model("SearchHistory", SearchHistorySchema);
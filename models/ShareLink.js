@@ -0,0 +1,24 @@
+const mongoose = require("mongoose");
+
+// Public read-only link to one history entry. Revoked links are kept (with revokedAt) so the
+// owner still sees their view counts.
+const ShareLinkSchema = new mongoose.Schema({
+  token: { type: String, required: true, unique: true },
+  userId: { type: String, required: true },
+  historyId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "SearchHistory",
+    required: true,
+  },
+  redactQuery: { type: Boolean, default: false }, // hide the prompt / URL the analysis started from
+  expiresAt: { type: Date, default: null }, // null = never
+  revokedAt: { type: Date, default: null },
+  viewCount: { type: Number, default: 0 },
+  lastViewedAt: Date,
+  createdAt: { type: Date, default: Date.now },
+});
+
+ShareLinkSchema.index({ userId: 1, createdAt: -1 });
+ShareLinkSchema.index({ historyId: 1 });
+
+module.exports = mongoose.model("ShareLink", ShareLinkSchema);
@@ -0,0 +1,40 @@
+const mongoose = require("mongoose");
+
+// A URL a user watches for edits - re-scraped by the scheduler in services/watchlist.js
+const WatchlistItemSchema = new mongoose.Schema({
+  userId: { type: String, required: true },
+  url: { type: String, required: true },
+  title: String,
+  intervalMinutes: { type: Number, required: true },
+  status: {
+    type: String,
+    enum: ["active", "paused", "error"],
+    default: "active",
+  },
+  nextCheckAt: { type: Date, default: Date.now },
+  lastCheckedAt: Date,
+  lastChangedAt: Date,
+  checkCount: { type: Number, default: 0 },
+  versionCount: { type: Number, default: 0 },
+  // the most recent version, so listings don't need the versions collection
+  latestVersion: {
+    version: Number,
+    textHash: String,
+    headline: String,
+    neutralityScore: Number,
+    sentimentScore: Number,
+    detectedAt: Date,
+  },
+  consecutiveFailures: { type: Number, default: 0 },
+  lastError: {
+    message: String,
+    code: String,
+    at: Date,
+  },
+  createdAt: { type: Date, default: Date.now },
+});
+
+WatchlistItemSchema.index({ userId: 1, url: 1 }, { unique: true });
+WatchlistItemSchema.index({ status: 1, nextCheckAt: 1 });
+
+module.exports = mongoose.model("WatchlistItem", WatchlistItemSchema);
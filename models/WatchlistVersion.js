@@ -0,0 +1,28 @@
+const mongoose = require("mongoose");
+
+// One version of a watched article: its text, scores and what changed since the previous one
+const WatchlistVersionSchema = new mongoose.Schema({
+  itemId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "WatchlistItem",
+    required: true,
+  },
+  userId: { type: String, required: true, index: true },
+  version: { type: Number, required: true }, // 1 is the baseline taken when the URL was added
+  snapshotId: { type: mongoose.Schema.Types.ObjectId, ref: "PageSnapshot" },
+  textHash: String,
+  headline: String,
+  text: String,
+  neutralityScore: Number,
+  sentimentScore: Number,
+  aiFallbackFields: [String],
+  // what changed since the previous version - null for the baseline:
+  // { headline: { from, to } | null, scoreDeltas: { neutrality, sentiment },
+  //   diff: { addedWords, removedWords, changeRatio, hunks } }
+  changes: mongoose.Schema.Types.Mixed,
+  detectedAt: { type: Date, default: Date.now },
+});
+
+WatchlistVersionSchema.index({ itemId: 1, version: -1 }, { unique: true });
+
+module.exports = mongoose.model("WatchlistVersion", WatchlistVersionSchema);
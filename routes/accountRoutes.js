@@ -0,0 +1,128 @@
+const express = require("express");
+const router = express.Router();
+const {
+  exportAccountData,
+  eraseAccountData,
+} = require("../controllers/accountController");
+const rateLimiter = require("../middleware/rateLimiter");
+const { optionalAuth } = require("../middleware/authMiddleware");
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     DeletionReceipt:
+ *       type: object
+ *       properties:
+ *         receiptId:
+ *           type: string
+ *         userId:
+ *           type: string
+ *         erasedAt:
+ *           type: string
+ *           format: date-time
+ *         deleted:
+ *           type: object
+ *           description: Documents deleted per collection
+ *           properties:
+ *             searchHistory:
+ *               type: number
+ *             fullResults:
+ *               type: number
+ *             scrapedContent:
+ *               type: number
+ *             collections:
+ *               type: number
+ *             shareLinks:
+ *               type: number
+ *             watchlistItems:
+ *               type: number
+ *             watchlistVersions:
+ *               type: number
+ *             analysisJobs:
+ *               type: number
+ *         retained:
+ *           type: array
+ *           description: Shared data that is kept, and why
+ *           items:
+ *             type: object
+ *             properties:
+ *               data:
+ *                 type: string
+ *               reason:
+ *                 type: string
+ */
+
+/**
+ * @swagger
+ * /api/account/export:
+ *   get:
+ *     summary: Download all of the user's data
+ *     description: |
+ *       A zip with manifest.json, history.json / history.csv, source-notes.csv,
+ *       collections.json, share-links.json, watchlist.json, the stored full result of each
+ *       entry (full-results/) and the page snapshots behind them (snapshots/). Full results
+ *       are only kept for 7 days, so older entries come with their summary only.
+ *     tags:
+ *       - Account
+ *     security:
+ *       - bearerAuth: []
+ *       - anonymousId: []
+ *     responses:
+ *       200:
+ *         description: The export archive
+ *         content:
+ *           application/zip:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       500:
+ *         description: Internal server error
+ */
+
+/**
+ * @swagger
+ * /api/account:
+ *   delete:
+ *     summary: Erase all of the user's data
+ *     description: |
+ *       Deletes history, full results, scraped content, notes, collections, share links,
+ *       watchlist items and versions and analysis jobs, and returns a deletion receipt.
+ *       Takes a few seconds: running jobs are stopped and everything is swept twice so
+ *       results that were being saved at the time are caught. Cannot be undone - export first.
+ *     tags:
+ *       - Account
+ *     security:
+ *       - bearerAuth: []
+ *       - anonymousId: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [confirm]
+ *             properties:
+ *               confirm:
+ *                 type: string
+ *                 enum: [ERASE]
+ *     responses:
+ *       200:
+ *         description: Deletion receipt
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/DeletionReceipt'
+ *       400:
+ *         description: Missing confirmation
+ *       500:
+ *         description: Erasure failed part-way - safe to retry
+ */
+
+// anonymous trial users can take out or erase their own bucket too
+router.use(optionalAuth);
+
+router.get("/export", rateLimiter, exportAccountData);
+router.delete("/", rateLimiter, eraseAccountData);
+
+module.exports = router;
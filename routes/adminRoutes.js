@@ -0,0 +1,273 @@
+const express = require("express");
+const router = express.Router();
+const adminAuth = require("../middleware/adminAuth");
+const {
+  invalidateAICache,
+  listDomainReputations,
+  getDomainReputation,
+  checkDomainCredibility,
+  createDomainReputation,
+  updateDomainReputation,
+  deleteDomainReputation,
+  seedDomainReputations,
+} = require("../controllers/adminController");
+
+/**
+ * @swagger
+ * components:
+ *   securitySchemes:
+ *     adminKey:
+ *       type: apiKey
+ *       in: header
+ *       name: x-admin-key
+ */
+
+/**
+ * @swagger
+ * /api/admin/ai-cache:
+ *   delete:
+ *     summary: Invalidate cached AI responses by key prefix
+ *     description: Cache keys have the form task:provider:model:promptVersion:inputHash, e.g. "sentiment:" or "bias:gemini:gemini-2.5-flash-lite:v2". Pass "*" to clear everything.
+ *     tags:
+ *       - Admin
+ *     security:
+ *       - adminKey: []
+ *     parameters:
+ *       - in: query
+ *         name: prefix
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Number of entries removed from Mongo and the memory tier
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 prefix:
+ *                   type: string
+ *                 deletedCount:
+ *                   type: number
+ *                   nullable: true
+ *                   description: Entries removed from Mongo - null when the database isn't connected
+ *                 memoryDeleted:
+ *                   type: number
+ *       400:
+ *         description: prefix missing
+ *       401:
+ *         description: Invalid admin key
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     DomainReputation:
+ *       type: object
+ *       properties:
+ *         domain:
+ *           type: string
+ *           description: Registrable domain or host (reuters.com, health.harvard.edu) or a public suffix (edu, gov.uk)
+ *         matchType:
+ *           type: string
+ *           enum: [domain, suffix]
+ *           description: suffix rules apply to every domain registered under that public suffix
+ *         credibility:
+ *           type: number
+ *           minimum: 0
+ *           maximum: 1
+ *         category:
+ *           type: string
+ *         ownership:
+ *           type: string
+ *         editorialNotes:
+ *           type: string
+ *         fallbackTopics:
+ *           type: array
+ *           items:
+ *             type: string
+ *           description: Topics (health, nutrition, general) this domain is offered for when no sources validate
+ *         homepage:
+ *           type: string
+ *         provenance:
+ *           type: object
+ *           properties:
+ *             source:
+ *               type: string
+ *               example: seed
+ *             reference:
+ *               type: string
+ *             updatedBy:
+ *               type: string
+ */
+
+/**
+ * @swagger
+ * /api/admin/domain-reputation:
+ *   get:
+ *     summary: List domain reputation rules
+ *     tags:
+ *       - Admin
+ *     security:
+ *       - adminKey: []
+ *     parameters:
+ *       - in: query
+ *         name: q
+ *         schema:
+ *           type: string
+ *         description: Substring match on the domain
+ *       - in: query
+ *         name: matchType
+ *         schema:
+ *           type: string
+ *           enum: [domain, suffix]
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 100
+ *       - in: query
+ *         name: skip
+ *         schema:
+ *           type: integer
+ *           default: 0
+ *     responses:
+ *       200:
+ *         description: Matching rules and the total count
+ *   post:
+ *     summary: Add a domain reputation rule
+ *     tags:
+ *       - Admin
+ *     security:
+ *       - adminKey: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/DomainReputation'
+ *     responses:
+ *       201:
+ *         description: Rule created
+ *       400:
+ *         description: domain/credibility missing or invalid
+ *       409:
+ *         description: A rule for this domain already exists
+ *
+ * /api/admin/domain-reputation/check:
+ *   get:
+ *     summary: Show the credibility score and registry rule a domain or URL would get
+ *     tags:
+ *       - Admin
+ *     security:
+ *       - adminKey: []
+ *     parameters:
+ *       - in: query
+ *         name: domain
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: sourceType
+ *         schema:
+ *           type: string
+ *         description: Only scores domains no registry rule matches
+ *     responses:
+ *       200:
+ *         description: score, basis (registry, source_type or default) and the matching rule
+ *
+ * /api/admin/domain-reputation/seed:
+ *   post:
+ *     summary: Import the bundled data/domainReputation.json
+ *     description: Missing rules are inserted. With overwrite=true existing seed domains are reset to the bundled values.
+ *     tags:
+ *       - Admin
+ *     security:
+ *       - adminKey: []
+ *     parameters:
+ *       - in: query
+ *         name: overwrite
+ *         schema:
+ *           type: boolean
+ *     responses:
+ *       200:
+ *         description: Counts of inserted and updated rules
+ *
+ * /api/admin/domain-reputation/{domain}:
+ *   get:
+ *     summary: Get a single domain reputation rule
+ *     tags:
+ *       - Admin
+ *     security:
+ *       - adminKey: []
+ *     parameters:
+ *       - in: path
+ *         name: domain
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The rule
+ *       404:
+ *         description: Not found
+ *   put:
+ *     summary: Update a domain reputation rule
+ *     tags:
+ *       - Admin
+ *     security:
+ *       - adminKey: []
+ *     parameters:
+ *       - in: path
+ *         name: domain
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/DomainReputation'
+ *     responses:
+ *       200:
+ *         description: Updated rule
+ *       400:
+ *         description: Invalid values
+ *       404:
+ *         description: Not found
+ *   delete:
+ *     summary: Delete a domain reputation rule
+ *     tags:
+ *       - Admin
+ *     security:
+ *       - adminKey: []
+ *     parameters:
+ *       - in: path
+ *         name: domain
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Rule deleted
+ *       404:
+ *         description: Not found
+ */
+
+router.use(adminAuth);
+router.delete("/ai-cache", invalidateAICache);
+
+router.get("/domain-reputation", listDomainReputations);
+router.post("/domain-reputation", createDomainReputation);
+router.get("/domain-reputation/check", checkDomainCredibility);
+router.post("/domain-reputation/seed", seedDomainReputations);
+router.get("/domain-reputation/:domain", getDomainReputation);
+router.put("/domain-reputation/:domain", updateDomainReputation);
+router.delete("/domain-reputation/:domain", deleteDomainReputation);
+
+module.exports = router;
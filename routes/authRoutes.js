@@ -0,0 +1,73 @@
+const express = require("express");
+const router = express.Router();
+const {
+  getCurrentUser,
+  issueLocalToken,
+} = require("../controllers/authController");
+const { optionalAuth } = require("../middleware/authMiddleware");
+const rateLimiter = require("../middleware/rateLimiter");
+
+/**
+ * @swagger
+ * components:
+ *   securitySchemes:
+ *     anonymousId:
+ *       type: apiKey
+ *       in: header
+ *       name: X-Anonymous-Id
+ *       description: |
+ *         Anonymous trial use (AUTH_ALLOW_ANONYMOUS=true) on routes that accept it. Requests
+ *         without a bearer token get their own history bucket; the id comes back in the
+ *         X-Anonymous-Id response header and should be sent on later requests.
+ */
+
+/**
+ * @swagger
+ * /api/auth/me:
+ *   get:
+ *     summary: The user the request is authenticated as
+ *     tags:
+ *       - Auth
+ *     security:
+ *       - bearerAuth: []
+ *       - anonymousId: []
+ *     responses:
+ *       200:
+ *         description: |
+ *           { uid, email, provider, anonymous } - provider is firebase, local or anonymous;
+ *           anonymous users have uid "anonymous:<id>"
+ *       401:
+ *         description: No valid token (code AUTH_REQUIRED or INVALID_TOKEN)
+ * /api/auth/local-token:
+ *   post:
+ *     summary: Issue a development token (AUTH_VERIFIER=local only)
+ *     description: |
+ *       Signs an HS256 JWT with AUTH_LOCAL_SECRET for the given uid, so the authenticated
+ *       routes can be used without a Firebase project. Returns 404 unless
+ *       AUTH_LOCAL_TOKEN_ISSUANCE=true with the local verifier, and always in production.
+ *     tags:
+ *       - Auth
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               uid:
+ *                 type: string
+ *               email:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: "{ token, tokenType: Bearer, expiresIn } - expiresIn in seconds"
+ *       400:
+ *         description: uid missing or invalid
+ *       404:
+ *         description: Local tokens are not enabled
+ */
+
+router.get("/me", optionalAuth, getCurrentUser);
+router.post("/local-token", rateLimiter, issueLocalToken);
+
+module.exports = router;
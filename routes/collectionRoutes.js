@@ -0,0 +1,299 @@
+const express = require("express");
+const router = express.Router();
+const {
+  getCollections,
+  createCollection,
+  getCollection,
+  updateCollection,
+  deleteCollection,
+  addCollectionEntries,
+  removeCollectionEntry,
+} = require("../controllers/collectionController");
+const { optionalAuth } = require("../middleware/authMiddleware");
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Collection:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         name:
+ *           type: string
+ *           description: Unique per user
+ *         description:
+ *           type: string
+ *           description: Markdown
+ *         entryCount:
+ *           type: number
+ *           description: Only in the collection list
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *         updatedAt:
+ *           type: string
+ *           format: date-time
+ *     CollectionStats:
+ *       type: object
+ *       properties:
+ *         entryCount:
+ *           type: number
+ *         averageNeutrality:
+ *           type: number
+ *           nullable: true
+ *         averagePersuasion:
+ *           type: number
+ *           nullable: true
+ *         firstEntryAt:
+ *           type: string
+ *           format: date-time
+ *         lastEntryAt:
+ *           type: string
+ *           format: date-time
+ *         entryTypes:
+ *           type: object
+ *           additionalProperties:
+ *             type: number
+ *         domainSpread:
+ *           type: object
+ *           properties:
+ *             distinctDomains:
+ *               type: number
+ *             topDomainShare:
+ *               type: number
+ *               nullable: true
+ *               description: Share of domain mentions taken by the most-cited domain (1 = a single source)
+ *             domains:
+ *               type: array
+ *               items:
+ *                 type: object
+ *                 properties:
+ *                   domain:
+ *                     type: string
+ *                   entryCount:
+ *                     type: number
+ *         tags:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               tag:
+ *                 type: string
+ *               count:
+ *                 type: number
+ *   parameters:
+ *     collectionIdParam:
+ *       in: path
+ *       name: collectionId
+ *       required: true
+ *       schema:
+ *         type: string
+ */
+
+/**
+ * @swagger
+ * /api/collections:
+ *   get:
+ *     summary: List the user's collections
+ *     tags:
+ *       - Collections
+ *     security:
+ *       - bearerAuth: []
+ *       - anonymousId: []
+ *     responses:
+ *       200:
+ *         description: Collections by name, with entry counts
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Collection'
+ *   post:
+ *     summary: Create a collection
+ *     tags:
+ *       - Collections
+ *     security:
+ *       - bearerAuth: []
+ *       - anonymousId: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [name]
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 maxLength: 100
+ *               description:
+ *                 type: string
+ *                 maxLength: 20000
+ *     responses:
+ *       201:
+ *         description: Collection created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Collection'
+ *       400:
+ *         description: Invalid name or description
+ *       409:
+ *         description: Name already used, or the collection limit is reached
+ */
+
+/**
+ * @swagger
+ * /api/collections/{collectionId}:
+ *   get:
+ *     summary: Get a collection with aggregates over its entries
+ *     description: The entries themselves are listed by GET /api/history?collection={collectionId}.
+ *     tags:
+ *       - Collections
+ *     security:
+ *       - bearerAuth: []
+ *       - anonymousId: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/collectionIdParam'
+ *     responses:
+ *       200:
+ *         description: The collection and its stats
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/Collection'
+ *                 - type: object
+ *                   properties:
+ *                     stats:
+ *                       $ref: '#/components/schemas/CollectionStats'
+ *       404:
+ *         description: Collection not found or access denied
+ *   patch:
+ *     summary: Rename a collection or change its description
+ *     tags:
+ *       - Collections
+ *     security:
+ *       - bearerAuth: []
+ *       - anonymousId: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/collectionIdParam'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *                 nullable: true
+ *     responses:
+ *       200:
+ *         description: The updated collection
+ *       400:
+ *         description: Invalid name or description
+ *       404:
+ *         description: Collection not found or access denied
+ *       409:
+ *         description: Name already used
+ *   delete:
+ *     summary: Delete a collection
+ *     description: Its entries stay in the history.
+ *     tags:
+ *       - Collections
+ *     security:
+ *       - bearerAuth: []
+ *       - anonymousId: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/collectionIdParam'
+ *     responses:
+ *       200:
+ *         description: Collection deleted
+ *       404:
+ *         description: Collection not found or access denied
+ */
+
+/**
+ * @swagger
+ * /api/collections/{collectionId}/entries:
+ *   post:
+ *     summary: Add history entries to a collection
+ *     tags:
+ *       - Collections
+ *     security:
+ *       - bearerAuth: []
+ *       - anonymousId: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/collectionIdParam'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [historyIds]
+ *             properties:
+ *               historyIds:
+ *                 type: array
+ *                 minItems: 1
+ *                 maxItems: 100
+ *                 items:
+ *                   type: string
+ *     responses:
+ *       200:
+ *         description: Counts of added entries, entries already in the collection and unknown ids
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 added:
+ *                   type: number
+ *                 alreadyInCollection:
+ *                   type: number
+ *                 notFound:
+ *                   type: number
+ *       400:
+ *         description: Invalid historyIds
+ *       404:
+ *         description: Collection not found or access denied
+ */
+
+/**
+ * @swagger
+ * /api/collections/{collectionId}/entries/{historyId}:
+ *   delete:
+ *     summary: Remove a history entry from a collection
+ *     tags:
+ *       - Collections
+ *     security:
+ *       - bearerAuth: []
+ *       - anonymousId: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/collectionIdParam'
+ *       - $ref: '#/components/parameters/historyIdParam'
+ *     responses:
+ *       200:
+ *         description: Entry removed from the collection
+ *       404:
+ *         description: Collection not found, or the entry is not in it
+ */
+
+// anonymous trial users get collections in their own bucket, like their history
+router.use(optionalAuth);
+
+router.get("/", getCollections);
+router.post("/", createCollection);
+router.get("/:collectionId", getCollection);
+router.patch("/:collectionId", updateCollection);
+router.delete("/:collectionId", deleteCollection);
+router.post("/:collectionId/entries", addCollectionEntries);
+router.delete("/:collectionId/entries/:historyId", removeCollectionEntry);
+
+module.exports = router;
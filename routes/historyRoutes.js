@@ -5,7 +5,17 @@ const {
   deleteHistoryEntry,
   clearAllHistory,
   getFullSearchResult,
+  getCounterPerspectives,
+  getHistorySnapshot,
+  updateHistoryEntry,
+  setSourceNote,
 } = require("../controllers/historyController");
+const {
+  createShareLink,
+  getEntryShareLinks,
+} = require("../controllers/shareController");
+const rateLimiter = require("../middleware/rateLimiter");
+const { optionalAuth } = require("../middleware/authMiddleware");
 
 /**
  * @swagger
@@ -23,6 +33,14 @@ const {
  *         query:
  *           type: string
  *           description: The search query or URL that was scraped
+ *         entryType:
+ *           type: string
+ *           enum: [url, prompt, document, batch]
+ *         sourceDomains:
+ *           type: array
+ *           items:
+ *             type: string
+ *           description: Domains of the analysed page and its sources
  *         timestamp:
  *           type: string
  *           format: date-time
@@ -48,6 +66,35 @@ const {
  *         fullResultId:
  *           type: string
  *           description: Reference to full search result data
+ *         collectionIds:
+ *           type: array
+ *           items:
+ *             type: string
+ *           description: Collections the entry belongs to
+ *         tags:
+ *           type: array
+ *           items:
+ *             type: string
+ *           description: User tags, trimmed and lower-cased
+ *         notes:
+ *           type: string
+ *           description: Markdown notes on the entry
+ *         notesUpdatedAt:
+ *           type: string
+ *           format: date-time
+ *         sourceNotes:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               sourceUrl:
+ *                 type: string
+ *               notes:
+ *                 type: string
+ *                 description: Markdown
+ *               updatedAt:
+ *                 type: string
+ *                 format: date-time
  *     FullSearchResult:
  *       type: object
  *       properties:
@@ -120,7 +167,7 @@ const {
  *         minimum: 1
  *         maximum: 100
  *         default: 10
- *       description: Maximum number of history entries to return
+ *       description: Maximum number of history entries to return - larger values are capped at 100
  */
 
 /**
@@ -128,22 +175,114 @@ const {
  * /api/history:
  *   get:
  *     summary: Get user's search history
- *     description: Retrieve the authenticated user's search history with result summaries
+ *     description: |
+ *       The authenticated user's search history with result summaries, filtered and paged
+ *       with a cursor: pass nextCursor back as cursor (with the same sort) for the next page.
+ *       Returns a bare array of entries unless paginate=true or a cursor is given, in which
+ *       case the entries come wrapped with the total and the next cursor.
  *     tags:
  *       - Search History
  *     security:
  *       - bearerAuth: []
+ *       - anonymousId: []
  *     parameters:
  *       - $ref: '#/components/parameters/limitQuery'
+ *       - in: query
+ *         name: q
+ *         schema:
+ *           type: string
+ *         description: Free-text search over the query and summary (whole words, stemmed)
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: minNeutrality
+ *         schema:
+ *           type: number
+ *       - in: query
+ *         name: maxNeutrality
+ *         schema:
+ *           type: number
+ *       - in: query
+ *         name: minPersuasion
+ *         schema:
+ *           type: number
+ *       - in: query
+ *         name: maxPersuasion
+ *         schema:
+ *           type: number
+ *       - in: query
+ *         name: domain
+ *         schema:
+ *           type: string
+ *         description: Source domain(s), comma separated - entries citing any of them match
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *         description: Entry type(s), comma separated - url, prompt, document, batch
+ *       - in: query
+ *         name: tag
+ *         schema:
+ *           type: string
+ *         description: Tag(s), comma separated - entries with any of them match
+ *       - in: query
+ *         name: collection
+ *         schema:
+ *           type: string
+ *         description: Only entries in this collection
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [newest, oldest, most_neutral, least_neutral, most_persuasive, least_persuasive, relevance]
+ *         description: |
+ *           Defaults to relevance with q, newest otherwise. Score sorts only list entries
+ *           that have that score.
+ *       - in: query
+ *         name: cursor
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: paginate
+ *         schema:
+ *           type: boolean
+ *         description: Return the paged envelope instead of a bare array
  *     responses:
  *       200:
- *         description: Successful retrieval of search history
+ *         description: |
+ *           Successful retrieval of search history - an array of SearchHistory entries, or
+ *           the envelope below with paginate=true or a cursor
  *         content:
  *           application/json:
  *             schema:
- *               type: array
- *               items:
- *                 $ref: '#/components/schemas/SearchHistory'
+ *               type: object
+ *               properties:
+ *                 entries:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/SearchHistory'
+ *                 total:
+ *                   type: integer
+ *                   description: Entries matching the filters across all pages
+ *                 limit:
+ *                   type: integer
+ *                 sort:
+ *                   type: string
+ *                 nextCursor:
+ *                   type: string
+ *                   nullable: true
+ *                 hasMore:
+ *                   type: boolean
+ *       400:
+ *         description: Invalid filter, sort or cursor
  *       401:
  *         description: Unauthorized - User authentication required
  *         content:
@@ -163,6 +302,7 @@ const {
  *       - Search History
  *     security:
  *       - bearerAuth: []
+ *       - anonymousId: []
  *     responses:
  *       200:
  *         description: All search history cleared successfully
@@ -199,6 +339,7 @@ const {
  *       - Search History
  *     security:
  *       - bearerAuth: []
+ *       - anonymousId: []
  *     parameters:
  *       - $ref: '#/components/parameters/historyIdParam'
  *     responses:
@@ -232,9 +373,272 @@ const {
  *               $ref: '#/components/schemas/ErrorResponse'
  */
 
+/**
+ * @swagger
+ * /api/history/{historyId}/snapshot:
+ *   get:
+ *     summary: View the page snapshot behind a history entry
+ *     description: |
+ *       Every scrape stores the fetched page (gzip-compressed) with its extracted text and a
+ *       SHA-256 content hash. Returns the entry's main snapshot by default; snapshots lists
+ *       all snapshots of the entry (main page, then sources) and ?snapshotId selects one.
+ *       hashVerified recomputes the hash of the stored bytes. ?format=raw downloads the
+ *       original bytes as an attachment.
+ *     tags:
+ *       - Search History
+ *     security:
+ *       - bearerAuth: []
+ *       - anonymousId: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/historyIdParam'
+ *       - in: query
+ *         name: snapshotId
+ *         required: false
+ *         schema:
+ *           type: string
+ *         description: One of the entry's snapshots (defaults to the first)
+ *       - in: query
+ *         name: format
+ *         required: false
+ *         schema:
+ *           type: string
+ *           enum: [json, raw]
+ *     responses:
+ *       200:
+ *         description: Snapshot metadata and extracted text, or the raw page with format=raw
+ *       404:
+ *         description: |
+ *           Entry not found or access denied, no snapshot recorded for the entry, or (raw only)
+ *           the page was too large to store
+ * /api/history/{historyId}/counter-perspectives:
+ *   post:
+ *     summary: Find sources for perspectives missing from a saved analysis
+ *     description: |
+ *       Identifies the dominant framing of the entry's sources, asks for sources representing
+ *       the missing perspectives and scrapes/validates them like /api/prompt does. Each returned
+ *       source carries the perspective it fills, and combinedMetrics recomputes the source
+ *       metrics with them included. The result is also stored on the entry's full result.
+ *     tags:
+ *       - Search History
+ *     security:
+ *       - bearerAuth: []
+ *       - anonymousId: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/historyIdParam'
+ *     responses:
+ *       200:
+ *         description: Counter-perspective sources and recomputed metrics
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 dominantFraming:
+ *                   type: string
+ *                 coveredPerspectives:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *                 missingPerspectives:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       perspective:
+ *                         type: string
+ *                       rationale:
+ *                         type: string
+ *                 sources:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       url:
+ *                         type: string
+ *                       title:
+ *                         type: string
+ *                       perspective:
+ *                         type: string
+ *                       counterPerspective:
+ *                         type: boolean
+ *                       status:
+ *                         type: string
+ *                 combinedMetrics:
+ *                   type: object
+ *                   properties:
+ *                     sourceMetrics:
+ *                       type: object
+ *                     researchQuality:
+ *                       type: object
+ *                     quickAssessment:
+ *                       type: object
+ *       404:
+ *         description: Full search result not found or access denied
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       422:
+ *         description: The entry has no summary to analyse
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+
+/**
+ * @swagger
+ * /api/history/{historyId}/share-links:
+ *   post:
+ *     summary: Create a public share link for a history entry
+ *     description: |
+ *       Anyone with the link can read the entry's result at GET /api/shared/{token} until it
+ *       expires or is revoked (DELETE /api/share-links/{linkId}).
+ *     tags:
+ *       - Sharing
+ *     security:
+ *       - bearerAuth: []
+ *       - anonymousId: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/historyIdParam'
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               expiresInHours:
+ *                 type: number
+ *                 description: Omit for a link that never expires
+ *               redactQuery:
+ *                 type: boolean
+ *                 description: Hide the prompt / URL the analysis was started from, and the page's title, text and metadata
+ *     responses:
+ *       201:
+ *         description: Share link created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ShareLink'
+ *       400:
+ *         description: Invalid expiresInHours or redactQuery
+ *       404:
+ *         description: Search history entry not found or access denied
+ *       409:
+ *         description: The entry already has the maximum number of active links
+ *       422:
+ *         description: The entry has no stored result
+ *   get:
+ *     summary: List the share links of a history entry
+ *     tags:
+ *       - Sharing
+ *     security:
+ *       - bearerAuth: []
+ *       - anonymousId: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/historyIdParam'
+ *     responses:
+ *       200:
+ *         description: Share links, newest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/ShareLink'
+ *       404:
+ *         description: Search history entry not found or access denied
+ */
+
+/**
+ * @swagger
+ * /api/history/{historyId}/source-notes:
+ *   put:
+ *     summary: Set the note on one source of a history entry
+ *     description: Markdown note keyed by the source URL. Empty or null notes remove it.
+ *     tags:
+ *       - Search History
+ *     security:
+ *       - bearerAuth: []
+ *       - anonymousId: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/historyIdParam'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [sourceUrl]
+ *             properties:
+ *               sourceUrl:
+ *                 type: string
+ *               notes:
+ *                 type: string
+ *                 nullable: true
+ *     responses:
+ *       200:
+ *         description: The entry's source notes
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 sourceNotes:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *       400:
+ *         description: Missing sourceUrl or notes too long
+ *       404:
+ *         description: Search history entry not found or access denied
+ *       409:
+ *         description: The entry already has the maximum number of source notes
+ */
+
 /**
  * @swagger
  * /api/history/{historyId}:
+ *   patch:
+ *     summary: Update the tags and notes of a history entry
+ *     description: |
+ *       Replaces the entry's tags and/or markdown notes. Tags are trimmed, lower-cased and
+ *       deduplicated; null or empty notes clear them.
+ *     tags:
+ *       - Search History
+ *     security:
+ *       - bearerAuth: []
+ *       - anonymousId: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/historyIdParam'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               tags:
+ *                 type: array
+ *                 maxItems: 30
+ *                 items:
+ *                   type: string
+ *                   maxLength: 40
+ *               notes:
+ *                 type: string
+ *                 nullable: true
+ *                 maxLength: 20000
+ *     responses:
+ *       200:
+ *         description: The updated entry
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SearchHistory'
+ *       400:
+ *         description: Invalid tags or notes
+ *       404:
+ *         description: Search history entry not found or access denied
  *   delete:
  *     summary: Delete specific search history entry
  *     description: Delete a specific search history entry by its ID. Users can only delete their own history entries.
@@ -242,6 +646,7 @@ const {
  *       - Search History
  *     security:
  *       - bearerAuth: []
+ *       - anonymousId: []
  *     parameters:
  *       - $ref: '#/components/parameters/historyIdParam'
  *     responses:
@@ -279,9 +684,22 @@ const {
  *               $ref: '#/components/schemas/ErrorResponse'
  */
 
+// anonymous trial users see (and can clear) their own bucket
+router.use(optionalAuth);
+
 router.get("/", getUserHistory);
+router.patch("/:historyId", updateHistoryEntry);
 router.delete("/:historyId", deleteHistoryEntry);
+router.put("/:historyId/source-notes", setSourceNote);
+router.post("/:historyId/share-links", createShareLink);
+router.get("/:historyId/share-links", getEntryShareLinks);
 router.get("/:historyId/full", getFullSearchResult);
+router.get("/:historyId/snapshot", getHistorySnapshot);
+router.post(
+  "/:historyId/counter-perspectives",
+  rateLimiter,
+  getCounterPerspectives
+);
 router.delete("/", clearAllHistory);
 
 module.exports = router;
@@ -0,0 +1,127 @@
+const express = require("express");
+const router = express.Router();
+const { getJobStatus, cancelJob } = require("../controllers/jobController");
+const { optionalAuth } = require("../middleware/authMiddleware");
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     AnalysisJob:
+ *       type: object
+ *       properties:
+ *         jobId:
+ *           type: string
+ *         type:
+ *           type: string
+ *           enum: [prompt, deeper-scrape, batch-analysis]
+ *         status:
+ *           type: string
+ *           enum: [queued, running, completed, failed, cancelled]
+ *         progress:
+ *           type: object
+ *           properties:
+ *             currentStage:
+ *               type: string
+ *             sourcesTotal:
+ *               type: number
+ *             sourcesDone:
+ *               type: number
+ *             itemsTotal:
+ *               type: number
+ *               description: batch-analysis only - articles in the batch
+ *             itemsDone:
+ *               type: number
+ *         stages:
+ *           type: array
+ *           description: Completed pipeline stages in order (summary, sources_proposed, source_enriched, ...)
+ *           items:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               at:
+ *                 type: string
+ *                 format: date-time
+ *               detail:
+ *                 type: object
+ *         attempts:
+ *           type: number
+ *         maxAttempts:
+ *           type: number
+ *         error:
+ *           type: object
+ *           nullable: true
+ *           properties:
+ *             message:
+ *               type: string
+ *             code:
+ *               type: string
+ *             transient:
+ *               type: boolean
+ *         result:
+ *           type: object
+ *           nullable: true
+ *           description: Same payload the synchronous endpoint returns, once completed
+ *         partialResult:
+ *           type: object
+ *           nullable: true
+ *           description: |
+ *             batch-analysis only, while running or after a failure/cancel - { feed, items, report }
+ *             with the articles finished so far and the aggregate report over them
+ */
+
+/**
+ * @swagger
+ * /api/jobs/{jobId}:
+ *   get:
+ *     summary: Get status, progress and result of a background analysis job
+ *     security:
+ *       - bearerAuth: []
+ *       - anonymousId: []
+ *     tags:
+ *       - Jobs
+ *     parameters:
+ *       - in: path
+ *         name: jobId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Job status
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AnalysisJob'
+ *       404:
+ *         description: Job not found or access denied
+ *
+ * /api/jobs/{jobId}/cancel:
+ *   post:
+ *     summary: Cancel a queued or running job
+ *     security:
+ *       - bearerAuth: []
+ *       - anonymousId: []
+ *     tags:
+ *       - Jobs
+ *     parameters:
+ *       - in: path
+ *         name: jobId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Job cancelled, or cancellation requested for a running job
+ *       404:
+ *         description: Job not found, access denied or already finished
+ */
+
+// jobs belong to whoever queued them, anonymous buckets included
+router.use(optionalAuth);
+
+router.get("/:jobId", getJobStatus);
+router.post("/:jobId/cancel", cancelJob);
+
+module.exports = router;
@@ -1,10 +1,14 @@
 const express = require("express");
 const router = express.Router();
-//const authenticateToken = require('../middleware/authMiddleware');
 const {
   scrapeAndSave,
   deeperScrape,
+  deeperScrapeStream,
+  analyzeDocument,
+  batchAnalysis,
 } = require("../controllers/scrapeController");
+const uploadDocument = require("../middleware/documentUpload");
+const { optionalAuth } = require("../middleware/authMiddleware");
 const { default: rateLimit } = require("express-rate-limit");
 
 /**
@@ -12,6 +16,9 @@ const { default: rateLimit } = require("express-rate-limit");
  * /scrape:
  *   post:
  *     summary: Scrape content from a given URL
+ *     security:
+ *       - bearerAuth: []
+ *       - anonymousId: []
  *     requestBody:
  *       required: true
  *       content:
@@ -22,14 +29,38 @@ const { default: rateLimit } = require("express-rate-limit");
  *               url:
  *                 type: string
  *                 description: URL to scrape
+ *               annotate:
+ *                 type: boolean
+ *                 description: Add loaded-language spans (see /analyze-sentiment) as annotations
  *     responses:
  *       200:
- *         description: Successful scrape
+ *         description: |
+ *           Successful scrape. text is the extracted main content; outline lists its headings,
+ *           paragraphs, lists and quotes; extraction.confidence (0-1) and extraction.lowConfidence
+ *           flag pages where the extractor may have picked up boilerplate instead of the article.
+ *           extractor names what handled the page: a site extractor (wikipedia, substack, medium,
+ *           liveblog), "generic" or "document"; paginated live blogs report extraction.pages.
+ *           metadata holds headline, authors, publishedAt, modifiedAt (ISO 8601), publisher,
+ *           language and canonicalUrl read from JSON-LD, OpenGraph, Twitter and meta tags
+ *           (null / [] when absent); metadata.fieldSources names where each field came from.
+ *           PDFs, plain-text and Markdown documents are read too; for those document holds
+ *           type, pageCount and pages ([{ page, start, end }] offsets into the extracted text).
  *       400:
- *         description: Bad request, URL missing
+ *         description: Bad request, URL missing or not a plain http(s) URL (code INVALID_URL)
+ *       403:
+ *         description: |
+ *           The URL resolves to a private, loopback or link-local address (code BLOCKED_DESTINATION),
+ *           or the site's robots.txt disallows our crawler (code BLOCKED_BY_ROBOTS)
+ *       415:
+ *         description: The page is not HTML/XML, plain text, Markdown or PDF (code UNSUPPORTED_CONTENT_TYPE)
+ *       422:
+ *         description: Too many redirects, body over the size limit or host not resolvable (code TOO_MANY_REDIRECTS, RESPONSE_TOO_LARGE, UNRESOLVABLE_HOST)
  * /deeper-scrape:
  *   post:
  *     summary: Perform a deeper scrape of a given URL
+ *     security:
+ *       - bearerAuth: []
+ *       - anonymousId: []
  *     requestBody:
  *       required: true
  *       content:
@@ -40,14 +71,146 @@ const { default: rateLimit } = require("express-rate-limit");
  *               url:
  *                 type: string
  *                 description: URL for deeper scraping
+ *               async:
+ *                 type: boolean
+ *                 description: Run as a background job and return 202 with a job id (also ?async=true)
+ *               annotate:
+ *                 type: boolean
+ *                 description: Add loaded-language spans for the main article as main.annotations
+ *     responses:
+ *       202:
+ *         description: Job queued - poll /api/jobs/{jobId} for progress and the result
+ *       200:
+ *         description: |
+ *           Successful deeper scrape. main.metadata carries the article byline, dates, publisher
+ *           and canonical URL. citations describes the article's own outbound links: counts per
+ *           category in byCategory (same_site, primary_source, academic, government, news,
+ *           social_media, other), citationDensity (external links per 1,000 words),
+ *           primarySourceRatio and the classified links; researchQuality.factors include
+ *           citation-based factors.
+ *       400:
+ *         description: Bad request, URL missing or not a plain http(s) URL (code INVALID_URL)
+ *       403:
+ *         description: |
+ *           The URL resolves to a private, loopback or link-local address (code BLOCKED_DESTINATION),
+ *           or the site's robots.txt disallows our crawler (code BLOCKED_BY_ROBOTS)
+ *       415:
+ *         description: The page is not HTML/XML, plain text, Markdown or PDF (code UNSUPPORTED_CONTENT_TYPE)
+ *       422:
+ *         description: Too many redirects, body over the size limit or host not resolvable (code TOO_MANY_REDIRECTS, RESPONSE_TOO_LARGE, UNRESOLVABLE_HOST)
+ * /deeper-scrape/stream:
+ *   post:
+ *     summary: Streaming variant of /deeper-scrape using Server-Sent Events
+ *     security:
+ *       - bearerAuth: []
+ *       - anonymousId: []
+ *     description: |
+ *       Emits page_scraped, then the same stage events as /prompt/stream
+ *       (summary, sources_proposed, source_enriched, bias_analysis, metrics,
+ *       quick_assessment), annotations (when annotate is set), history_saved and
+ *       finally complete with the full result.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               url:
+ *                 type: string
+ *               annotate:
+ *                 type: boolean
  *     responses:
  *       200:
- *         description: Successful deeper scrape
+ *         description: Event stream of analysis progress
+ *         content:
+ *           text/event-stream:
+ *             schema:
+ *               type: string
  *       400:
  *         description: Bad request, URL missing
+ * /analyze-document:
+ *   post:
+ *     summary: Deeper analysis of an uploaded PDF, plain-text or Markdown document
+ *     security:
+ *       - bearerAuth: []
+ *       - anonymousId: []
+ *     description: |
+ *       Runs the same analysis as /deeper-scrape on an uploaded file. main.url is
+ *       "upload:<filename>"; main.document holds type, pageCount and pages
+ *       ([{ page, start, end }] character offsets into the extracted text) and
+ *       main.metadata the title, authors and dates from the document properties.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               file:
+ *                 type: string
+ *                 format: binary
+ *                 description: .pdf, .txt or .md file (UPLOAD_MAX_BYTES, 15 MB by default)
+ *               annotate:
+ *                 type: boolean
+ *                 description: Add loaded-language spans for the document as main.annotations
+ *     responses:
+ *       200:
+ *         description: Same payload as /deeper-scrape
+ *       400:
+ *         description: No file in the "file" field
+ *       413:
+ *         description: File over the upload size limit (code LIMIT_FILE_SIZE)
+ *       415:
+ *         description: Not a PDF, plain-text or Markdown file (code UNSUPPORTED_FILE_TYPE)
+ *       422:
+ *         description: Too little text could be extracted (e.g. a scanned PDF without a text layer)
+ * /batch-analysis:
+ *   post:
+ *     summary: Analyse every article of an RSS/Atom feed or a list of URLs as a background batch
+ *     security:
+ *       - bearerAuth: []
+ *       - anonymousId: []
+ *     description: |
+ *       Each article is scraped and gets a summary, neutrality and sentiment scores, tags and
+ *       a credibility score. Poll /api/jobs/{jobId}: while the batch runs, partialResult holds
+ *       the finished items and the report so far; once completed, result holds
+ *       { feed, summary, report, items }. report has averageNeutrality, averageSentiment,
+ *       averageCredibility, per-outlet averages (outlets) and tagFrequencies. Articles that
+ *       fail (blocked by robots.txt, unreachable, too little text) are listed with a status
+ *       and error and don't stop the batch. At most BATCH_MAX_ITEMS (25) articles per batch.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               feedUrl:
+ *                 type: string
+ *                 description: RSS or Atom feed URL (either this or urls)
+ *               urls:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: Article URLs
+ *               limit:
+ *                 type: integer
+ *                 description: Analyse only the first N items
+ *     responses:
+ *       202:
+ *         description: Batch queued - poll /api/jobs/{jobId} for progress and the result
+ *       400:
+ *         description: Missing feedUrl/urls, both given, an invalid URL or a bad limit
+ *       403:
+ *         description: The feed URL resolves to a private or reserved address (code BLOCKED_DESTINATION)
  */
 
-router.post("/scrape", scrapeAndSave);
-router.post("/deeper-scrape", deeperScrape);
+// results are saved to the caller's history - signed in or an anonymous trial bucket
+router.post("/scrape", optionalAuth, scrapeAndSave);
+router.post("/deeper-scrape", optionalAuth, deeperScrape);
+router.post("/deeper-scrape/stream", optionalAuth, deeperScrapeStream);
+router.post("/analyze-document", optionalAuth, uploadDocument, analyzeDocument);
+router.post("/batch-analysis", optionalAuth, batchAnalysis);
 
 module.exports = router;
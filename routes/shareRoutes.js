@@ -0,0 +1,165 @@
+const express = require("express");
+const router = express.Router();
+const {
+  getShareLinks,
+  revokeShareLink,
+  getSharedResult,
+} = require("../controllers/shareController");
+const rateLimiter = require("../middleware/rateLimiter");
+const { optionalAuth } = require("../middleware/authMiddleware");
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ShareLink:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         historyId:
+ *           type: string
+ *         token:
+ *           type: string
+ *         url:
+ *           type: string
+ *           description: SHARE_BASE_URL/{token}, or the public API route when it isn't set
+ *         status:
+ *           type: string
+ *           enum: [active, expired, revoked]
+ *         redactQuery:
+ *           type: boolean
+ *         expiresAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         revokedAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         viewCount:
+ *           type: number
+ *         lastViewedAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *     SharedResult:
+ *       type: object
+ *       properties:
+ *         entryType:
+ *           type: string
+ *         query:
+ *           type: string
+ *           nullable: true
+ *           description: null when the owner redacted it
+ *         queryRedacted:
+ *           type: boolean
+ *         timestamp:
+ *           type: string
+ *           format: date-time
+ *         resultSummary:
+ *           type: object
+ *         sourceDomains:
+ *           type: array
+ *           items:
+ *             type: string
+ *         result:
+ *           $ref: '#/components/schemas/FullSearchResult'
+ *         sharedAt:
+ *           type: string
+ *           format: date-time
+ *         expiresAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         viewCount:
+ *           type: number
+ */
+
+/**
+ * @swagger
+ * /api/shared/{token}:
+ *   get:
+ *     summary: Read-only view of a shared analysis
+ *     description: |
+ *       Public - no authentication. Shows the entry's summary and full result, without the
+ *       owner's tags, notes or collections. Each successful request counts as a view.
+ *     tags:
+ *       - Sharing
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The shared result
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SharedResult'
+ *       404:
+ *         description: Unknown link, or the entry was deleted
+ *       410:
+ *         description: The link was revoked or has expired
+ */
+
+/**
+ * @swagger
+ * /api/share-links:
+ *   get:
+ *     summary: List the user's share links
+ *     description: Newest first, revoked and expired links included.
+ *     tags:
+ *       - Sharing
+ *     security:
+ *       - bearerAuth: []
+ *       - anonymousId: []
+ *     responses:
+ *       200:
+ *         description: Share links
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/ShareLink'
+ */
+
+/**
+ * @swagger
+ * /api/share-links/{linkId}:
+ *   delete:
+ *     summary: Revoke a share link
+ *     description: The link stops working immediately but stays listed with its view count.
+ *     tags:
+ *       - Sharing
+ *     security:
+ *       - bearerAuth: []
+ *       - anonymousId: []
+ *     parameters:
+ *       - in: path
+ *         name: linkId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The revoked link
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ShareLink'
+ *       404:
+ *         description: Share link not found
+ */
+
+router.get("/shared/:token", rateLimiter, getSharedResult);
+router.get("/share-links", optionalAuth, getShareLinks);
+router.delete("/share-links/:linkId", optionalAuth, revokeShareLink);
+
+module.exports = router;
@@ -3,6 +3,7 @@ const router = express.Router();
 const thnkController = require("../controllers/thnkController");
 const rateLimiter = require("../middleware/rateLimiter");
 const apiKeyCheck = require("../middleware/apiKeyCheck");
+const { optionalAuth } = require("../middleware/authMiddleware");
 
 /**
  * @swagger
@@ -19,6 +20,9 @@ const apiKeyCheck = require("../middleware/apiKeyCheck");
  *               text:
  *                 type: string
  *                 description: Text to analyze
+ *               annotate:
+ *                 type: boolean
+ *                 description: Also return sentence-level loaded-language spans
  *     responses:
  *       200:
  *         description: Analysis result with neutrality and sentiment scores
@@ -27,12 +31,57 @@ const apiKeyCheck = require("../middleware/apiKeyCheck");
  *             schema:
  *               type: object
  *               properties:
- *                 neutralityScore:
- *                   type: number
- *                   format: float
- *                 sentimentScore:
- *                   type: number
- *                   format: float
+ *                 result:
+ *                   type: object
+ *                   properties:
+ *                     neutralityScore:
+ *                       type: number
+ *                       format: float
+ *                     sentimentScore:
+ *                       type: number
+ *                       format: float
+ *                 aiMeta:
+ *                   type: object
+ *                   properties:
+ *                     fallbackFields:
+ *                       type: array
+ *                       items:
+ *                         type: string
+ *                       description: Scores that are defaults rather than model output
+ *                 annotations:
+ *                   type: object
+ *                   description: Only present when annotate is true
+ *                   properties:
+ *                     text:
+ *                       type: string
+ *                       description: The analysed text (input truncated to 6000 chars) - span offsets index into this
+ *                     truncated:
+ *                       type: boolean
+ *                     spans:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           start:
+ *                             type: integer
+ *                           end:
+ *                             type: integer
+ *                             description: Exclusive, text.slice(start, end) equals the span text
+ *                           text:
+ *                             type: string
+ *                           sentenceIndex:
+ *                             type: integer
+ *                           category:
+ *                             type: string
+ *                             enum: [loaded_term, hedging, appeal_to_emotion, unattributed_claim]
+ *                           severity:
+ *                             type: string
+ *                             enum: [low, medium, high]
+ *                           suggestion:
+ *                             type: string
+ *                             description: Neutral rewording of the span
+ *                     summary:
+ *                       type: object
  *       400:
  *         description: Bad request, text missing
  *
@@ -61,6 +110,13 @@ const apiKeyCheck = require("../middleware/apiKeyCheck");
  *                   type: array
  *                   items:
  *                     type: string
+ *                 aiMeta:
+ *                   type: object
+ *                   properties:
+ *                     fallbackFields:
+ *                       type: array
+ *                       items:
+ *                         type: string
  *       400:
  *         description: Bad request, text missing
  *
@@ -155,7 +211,8 @@ const apiKeyCheck = require("../middleware/apiKeyCheck");
  *   post:
  *     summary: Process prompt with enhanced source validation and bias analysis
  *     security:
- *       - ApiKeyAuth: []
+ *       - bearerAuth: []
+ *       - anonymousId: []
  *     requestBody:
  *       required: true
  *       content:
@@ -166,7 +223,18 @@ const apiKeyCheck = require("../middleware/apiKeyCheck");
  *               prompt:
  *                 type: string
  *                 description: User prompt to generate response & validated sources
+ *               async:
+ *                 type: boolean
+ *                 description: Run as a background job and return 202 with a job id (also ?async=true)
+ *               includeClaims:
+ *                 type: boolean
+ *                 description: Also split the summary into claims and verify each against the sources (see /verify-claims)
+ *               includeCounterPerspectives:
+ *                 type: boolean
+ *                 description: Also find sources for perspectives missing from the result (see /api/history/{historyId}/counter-perspectives)
  *     responses:
+ *       202:
+ *         description: Job queued - poll /api/jobs/{jobId} for progress and the result
  *       200:
  *         description: Enhanced response with validated sources and bias analysis
  *         content:
@@ -211,6 +279,38 @@ const apiKeyCheck = require("../middleware/apiKeyCheck");
  *                         type: boolean
  *                       predefined:
  *                         type: boolean
+ *                       status:
+ *                         type: string
+ *                         enum: [enriched, unscraped, failed, pending]
+ *                         description: pending means enrichment did not finish inside the time budget
+ *                       analysisRationale:
+ *                         type: string
+ *                       extractionConfidence:
+ *                         type: number
+ *                         description: 0-1 confidence that the scraped text is the article body (null when not scraped)
+ *                       extractor:
+ *                         type: string
+ *                         description: Extractor that handled the source page (wikipedia, substack, medium, liveblog, generic or document)
+ *                       metadata:
+ *                         type: object
+ *                         description: Article byline, publishedAt, publisher and canonicalUrl from the source page (null when not scraped)
+ *                 blockedSources:
+ *                   type: array
+ *                   description: Proposed sources skipped because their robots.txt disallows our crawler; replacements from other domains are already in sources
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       url:
+ *                         type: string
+ *                       title:
+ *                         type: string
+ *                       domain:
+ *                         type: string
+ *                       status:
+ *                         type: string
+ *                         enum: [blocked_by_robots]
+ *                       reason:
+ *                         type: string
  *                 biasAnalysis:
  *                   type: object
  *                 researchQuality:
@@ -221,9 +321,141 @@ const apiKeyCheck = require("../middleware/apiKeyCheck");
  *                   type: object
  *                 sourcesValidated:
  *                   type: boolean
+ *                 aiMeta:
+ *                   type: object
+ *                   description: Paths of fields filled with fallback values because the model output was missing or failed validation
+ *                   properties:
+ *                     fallbackFields:
+ *                       type: array
+ *                       items:
+ *                         type: string
+ *                       example: ["sources[1].tags", "biasAnalysis.confidenceLevel"]
+ *                 claims:
+ *                   type: object
+ *                   description: Only present when includeClaims is true - same shape as /verify-claims
+ *                 counterPerspectives:
+ *                   type: object
+ *                   description: Only present when includeCounterPerspectives is true
  *       400:
  *         description: Prompt missing or invalid
  *
+ * /prompt/stream:
+ *   post:
+ *     summary: Streaming variant of /prompt using Server-Sent Events
+ *     security:
+ *       - bearerAuth: []
+ *       - anonymousId: []
+ *     description: |
+ *       Responds with text/event-stream. Events are emitted as each stage completes:
+ *       summary, sources_proposed, source_enriched (one per source), bias_analysis,
+ *       metrics, quick_assessment, claims (when includeClaims is set),
+ *       counter_source_enriched and counter_perspectives (when includeCounterPerspectives is set),
+ *       history_saved, then complete - whose data is the
+ *       same payload /prompt returns. An error event is sent if the pipeline fails.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               prompt:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Event stream of analysis progress
+ *         content:
+ *           text/event-stream:
+ *             schema:
+ *               type: string
+ *       400:
+ *         description: Prompt missing or invalid
+ *
+ * /verify-claims:
+ *   post:
+ *     summary: Split text into factual claims and check each one against sources
+ *     description: |
+ *       Provide either text or a url to scrape. Sources are scraped from sourceUrls when given,
+ *       otherwise they are discovered the same way /prompt finds them. A supports/contradicts
+ *       verdict is only kept when its quote is found in the scraped source text.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               text:
+ *                 type: string
+ *               url:
+ *                 type: string
+ *                 description: Article to scrape when text is not given
+ *               sourceUrls:
+ *                 type: array
+ *                 maxItems: 25
+ *                 description: Capped at BATCH_MAX_ITEMS (25 by default)
+ *                 items:
+ *                   type: string
+ *     responses:
+ *       200:
+ *         description: Per-claim verdicts with verbatim quotes
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 claims:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       claim:
+ *                         type: string
+ *                       status:
+ *                         type: string
+ *                         enum: [supported, contradicted, contested, unsupported]
+ *                       supports:
+ *                         type: integer
+ *                       contradicts:
+ *                         type: integer
+ *                       notMentioned:
+ *                         type: integer
+ *                       sources:
+ *                         type: array
+ *                         items:
+ *                           type: object
+ *                           properties:
+ *                             url:
+ *                               type: string
+ *                             title:
+ *                               type: string
+ *                             verdict:
+ *                               type: string
+ *                               enum: [supports, contradicts, not_mentioned]
+ *                             quote:
+ *                               type: string
+ *                             quoteStart:
+ *                               type: integer
+ *                             quoteEnd:
+ *                               type: integer
+ *                             quoteRejected:
+ *                               type: boolean
+ *                               description: The model quoted text that isn't in the source, so its verdict was dropped
+ *                 sourcesChecked:
+ *                   type: integer
+ *                 aiMeta:
+ *                   type: object
+ *       400:
+ *         description: Text/URL missing or sourceUrls not an array
+ *       403:
+ *         description: url resolves to a private or reserved address (code BLOCKED_DESTINATION) or robots.txt disallows it (code BLOCKED_BY_ROBOTS)
+ *       404:
+ *         description: URL could not be scraped
+ *       415:
+ *         description: url is not an HTML/XML/plain-text page (code UNSUPPORTED_CONTENT_TYPE)
+ *       422:
+ *         description: Too many redirects or response over the size limit
+ *
  * /query:
  *   post:
  *     summary: Process a user input query using AI with source validation
@@ -250,6 +482,18 @@ router.post("/generate-tags", thnkController.generateTags);
 router.post("/generate-summary", thnkController.generateSummary);
 router.post("/deep-dive", thnkController.deepDive);
 router.post("/query", thnkController.queryHandle);
-router.post("/prompt", rateLimiter, thnkController.processUserPrompt);
+router.post("/verify-claims", rateLimiter, thnkController.verifyClaims);
+router.post(
+  "/prompt",
+  rateLimiter,
+  optionalAuth,
+  thnkController.processUserPrompt
+);
+router.post(
+  "/prompt/stream",
+  rateLimiter,
+  optionalAuth,
+  thnkController.processUserPromptStream
+);
 
 module.exports = router;
@@ -0,0 +1,302 @@
+const express = require("express");
+const router = express.Router();
+const {
+  addWatchlistItem,
+  getWatchlist,
+  getWatchlistItem,
+  getWatchlistVersion,
+  checkWatchlistItem,
+  updateWatchlistItem,
+  removeWatchlistItem,
+} = require("../controllers/watchlistController");
+const rateLimiter = require("../middleware/rateLimiter");
+const { authenticateToken } = require("../middleware/authMiddleware");
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     WatchlistItem:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         url:
+ *           type: string
+ *         title:
+ *           type: string
+ *         intervalMinutes:
+ *           type: number
+ *         status:
+ *           type: string
+ *           enum: [active, paused, error]
+ *           description: error means checks failed repeatedly - resume with PATCH paused=false
+ *         nextCheckAt:
+ *           type: string
+ *           format: date-time
+ *         lastCheckedAt:
+ *           type: string
+ *           format: date-time
+ *         lastChangedAt:
+ *           type: string
+ *           format: date-time
+ *         versionCount:
+ *           type: number
+ *         latestVersion:
+ *           type: object
+ *           properties:
+ *             version:
+ *               type: number
+ *             headline:
+ *               type: string
+ *             neutralityScore:
+ *               type: number
+ *             sentimentScore:
+ *               type: number
+ *             detectedAt:
+ *               type: string
+ *               format: date-time
+ *         lastError:
+ *           type: object
+ *           properties:
+ *             message:
+ *               type: string
+ *             code:
+ *               type: string
+ *     WatchlistVersion:
+ *       type: object
+ *       properties:
+ *         version:
+ *           type: number
+ *           description: 1 is the baseline recorded when the URL was added
+ *         snapshotId:
+ *           type: string
+ *         headline:
+ *           type: string
+ *         neutralityScore:
+ *           type: number
+ *         sentimentScore:
+ *           type: number
+ *         detectedAt:
+ *           type: string
+ *           format: date-time
+ *         changes:
+ *           type: object
+ *           nullable: true
+ *           description: Changes since the previous version (null for the baseline)
+ *           properties:
+ *             headline:
+ *               type: object
+ *               nullable: true
+ *               properties:
+ *                 from:
+ *                   type: string
+ *                 to:
+ *                   type: string
+ *             scoreDeltas:
+ *               type: object
+ *               properties:
+ *                 neutrality:
+ *                   type: number
+ *                 sentiment:
+ *                   type: number
+ *             diff:
+ *               type: object
+ *               properties:
+ *                 addedWords:
+ *                   type: number
+ *                 removedWords:
+ *                   type: number
+ *                 changeRatio:
+ *                   type: number
+ *                   description: Changed words over the words of both versions (0-1)
+ *                 hunks:
+ *                   type: array
+ *                   description: Sentence-level edits (only on the single-version endpoint)
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       removed:
+ *                         type: string
+ *                         nullable: true
+ *                       added:
+ *                         type: string
+ *                         nullable: true
+ */
+
+/**
+ * @swagger
+ * /api/watchlist:
+ *   get:
+ *     summary: List the user's watched URLs
+ *     tags:
+ *       - Watchlist
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Watchlist items, newest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/WatchlistItem'
+ *   post:
+ *     summary: Watch a URL for edits
+ *     description: |
+ *       Scrapes the page straight away to record the baseline version. The scheduler then
+ *       re-scrapes it every intervalMinutes; when the text or headline changes a new version
+ *       is recorded with a sentence-level diff and neutrality/sentiment deltas.
+ *     tags:
+ *       - Watchlist
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               url:
+ *                 type: string
+ *               intervalMinutes:
+ *                 type: integer
+ *                 description: Minutes between checks (30 to 10080, default 360)
+ *     responses:
+ *       201:
+ *         description: Item created with its baseline version
+ *       400:
+ *         description: URL missing or invalid interval
+ *       409:
+ *         description: URL already watched or watchlist full
+ *       422:
+ *         description: The page could not be scraped
+ * /api/watchlist/{itemId}:
+ *   get:
+ *     summary: A watched URL with its version timeline
+ *     description: Versions newest first, with score deltas and diff stats (no texts or hunks).
+ *     tags:
+ *       - Watchlist
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: itemId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Item and versions
+ *       404:
+ *         description: Not found or access denied
+ *   patch:
+ *     summary: Change the check interval, or pause / resume checks
+ *     tags:
+ *       - Watchlist
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: itemId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               intervalMinutes:
+ *                 type: integer
+ *               paused:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Updated item
+ *       400:
+ *         description: Nothing to update or invalid values
+ *       404:
+ *         description: Not found or access denied
+ *   delete:
+ *     summary: Stop watching a URL and delete its versions
+ *     tags:
+ *       - Watchlist
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: itemId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Removed
+ *       404:
+ *         description: Not found or access denied
+ * /api/watchlist/{itemId}/versions/{version}:
+ *   get:
+ *     summary: One version with its full text and diff hunks
+ *     tags:
+ *       - Watchlist
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: itemId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: version
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: The version
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/WatchlistVersion'
+ *       404:
+ *         description: Not found or access denied
+ * /api/watchlist/{itemId}/check:
+ *   post:
+ *     summary: Re-scrape a watched URL now
+ *     tags:
+ *       - Watchlist
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: itemId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: changed tells whether a new version was recorded; version is the latest
+ *       404:
+ *         description: Not found or access denied
+ *       422:
+ *         description: The page could not be scraped
+ */
+
+// scheduled re-scrapes need a real account
+router.use(authenticateToken);
+
+router.get("/", getWatchlist);
+router.post("/", rateLimiter, addWatchlistItem);
+router.get("/:itemId", getWatchlistItem);
+router.patch("/:itemId", updateWatchlistItem);
+router.delete("/:itemId", removeWatchlistItem);
+router.get("/:itemId/versions/:version", getWatchlistVersion);
+router.post("/:itemId/check", rateLimiter, checkWatchlistItem);
+
+module.exports = router;
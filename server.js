@@ -14,10 +14,36 @@ console.log("NODE_ENV:", process.env.NODE_ENV);
 const scrapeRoutes = require("./routes/scrapeRoutes");
 const thnkRoutes = require("./routes/thnkRoutes");
 const historyRoutes = require("./routes/historyRoutes");
+const adminRoutes = require("./routes/adminRoutes");
+const jobRoutes = require("./routes/jobRoutes");
+const watchlistRoutes = require("./routes/watchlistRoutes");
+const authRoutes = require("./routes/authRoutes");
+const collectionRoutes = require("./routes/collectionRoutes");
+const shareRoutes = require("./routes/shareRoutes");
+const accountRoutes = require("./routes/accountRoutes");
+const { startJobWorker } = require("./services/jobQueue");
+const jobsConfig = require("./config/jobs");
+const { startWatchlistScheduler } = require("./services/watchlist");
+const watchlistConfig = require("./config/watchlist");
+const { initDomainReputation } = require("./services/domainReputation");
+const { backfillHistoryEntryTypes } = require("./services/userHistory");
 
-// Connect to database
+// Connect to database, then seed/load the domain reputation registry and type older history entries
 console.log("Connecting to DB...");
-connectDB();
+connectDB().then(async () => {
+  await initDomainReputation();
+  await backfillHistoryEntryTypes();
+});
+
+// Background worker for async analyses (/api/jobs)
+if (jobsConfig.workerEnabled) {
+  startJobWorker();
+}
+
+// Re-scrapes watched URLs on their interval (/api/watchlist)
+if (watchlistConfig.schedulerEnabled) {
+  startWatchlistScheduler();
+}
 
 const app = express();
 
@@ -45,6 +71,8 @@ app.use(
       }
     },
     credentials: true,
+    // anonymous trial users keep the id issued in this header (see middleware/authMiddleware.js)
+    exposedHeaders: ["X-Anonymous-Id"],
   })
 );
 
@@ -65,6 +93,14 @@ app.use((req, res, next) => {
 app.use("/api", scrapeRoutes);
 app.use("/api", thnkRoutes);
 app.use("/api/history", historyRoutes);
+app.use("/api/admin", adminRoutes);
+app.use("/api/jobs", jobRoutes);
+app.use("/api/watchlist", watchlistRoutes);
+app.use("/api/auth", authRoutes);
+app.use("/api/collections", collectionRoutes);
+// share links - /api/shared/:token is public
+app.use("/api", shareRoutes);
+app.use("/api/account", accountRoutes);
 
 // Health check endpoint (IMPORTANT for Railway)
 app.get("/health", (req, res) => {
@@ -0,0 +1,311 @@
+// services/accountData.js
+// Everything stored for one user: a downloadable export of it and account erasure. Data is
+// held in SearchHistory (plus the full results it points to in CachedScrapedContent, and for
+// /api/scrape entries the ScrapedContent documents those reference), Collection, ShareLink,
+// WatchlistItem / WatchlistVersion and AnalysisJob. Page snapshots and cached AI output are
+// shared between users and keyed by URL / input hash, so they are exported but not erased.
+const crypto = require("crypto");
+const mongoose = require("mongoose");
+const archiver = require("archiver");
+const SearchHistory = require("../models/SearchHistory");
+const CachedScrapedContent = require("../models/CachedScrapedContent");
+const ScrapedContent = require("../models/ScrapedContent");
+const Collection = require("../models/Collection");
+const ShareLink = require("../models/ShareLink");
+const WatchlistItem = require("../models/WatchlistItem");
+const WatchlistVersion = require("../models/WatchlistVersion");
+const AnalysisJob = require("../models/AnalysisJob");
+const { getSnapshot } = require("./snapshotStore");
+const { toCsv } = require("../utils/csv");
+const { sleep } = require("../utils/concurrency");
+const jobsConfig = require("../config/jobs");
+
+const EXPORT_FORMAT_VERSION = 1;
+// pause before the second erasure sweep, for writes that were already in flight
+const ERASURE_SWEEP_DELAY_MS = 2000;
+
+// /api/scrape stores the ids of its ScrapedContent documents as the "full result"
+function scrapedContentIds(searchData) {
+  if (!Array.isArray(searchData)) return [];
+  return searchData.filter((id) => mongoose.isValidObjectId(id));
+}
+
+function toJson(value) {
+  return JSON.stringify(value, null, 2);
+}
+
+const HISTORY_COLUMNS = [
+  { header: "id", value: (entry) => entry._id },
+  { header: "timestamp", value: (entry) => entry.timestamp },
+  { header: "type", value: (entry) => entry.entryType },
+  { header: "query", value: (entry) => entry.query },
+  { header: "summary", value: (entry) => entry.resultSummary?.summary },
+  {
+    header: "neutralityScore",
+    value: (entry) => entry.resultSummary?.neutralityScore,
+  },
+  {
+    header: "persuasionScore",
+    value: (entry) => entry.resultSummary?.persuasionScore,
+  },
+  {
+    header: "sourcesCount",
+    value: (entry) => entry.resultSummary?.sourcesCount,
+  },
+  { header: "sourceDomains", value: (entry) => entry.sourceDomains },
+  { header: "tags", value: (entry) => entry.tags },
+  { header: "collections", value: (entry) => entry.collectionNames },
+  { header: "notes", value: (entry) => entry.notes },
+  {
+    header: "fullResultFile",
+    value: (entry) => entry.fullResultFile,
+  },
+];
+
+const SOURCE_NOTE_COLUMNS = [
+  { header: "historyId", value: (note) => note.historyId },
+  { header: "sourceUrl", value: (note) => note.sourceUrl },
+  { header: "notes", value: (note) => note.notes },
+  { header: "updatedAt", value: (note) => note.updatedAt },
+];
+
+// Full result of one entry as exported - scrape entries get their ScrapedContent documents
+async function loadFullResult(fullResultId) {
+  if (!fullResultId) return null;
+  const fullResult = await CachedScrapedContent.findById(fullResultId).lean();
+  if (!fullResult) return null; // full results expire after 7 days
+
+  const contentIds = scrapedContentIds(fullResult.searchData);
+  if (contentIds.length === 0) return fullResult.searchData;
+  return {
+    scrapedContent: await ScrapedContent.find({
+      _id: { $in: contentIds },
+    }).lean(),
+  };
+}
+
+// Each snapshot as metadata + extracted text, plus the stored body (already gzip) when kept
+async function appendSnapshot(archive, snapshotId) {
+  const snapshot = await getSnapshot(snapshotId, { includeRaw: true });
+  if (!snapshot) return false;
+
+  const fields = snapshot.toObject();
+  delete fields.raw;
+  archive.append(toJson(fields), { name: `snapshots/${snapshotId}.json` });
+  if (snapshot.rawStored && snapshot.raw?.length > 0) {
+    archive.append(Buffer.from(snapshot.raw), {
+      name: `snapshots/${snapshotId}.body.gz`,
+      store: true,
+    });
+  }
+  return true;
+}
+
+// Streams a zip of the user's data into output (e.g. the response) and resolves with the
+// counts in its manifest once the archive has been written:
+//   manifest.json, history.json, history.csv, source-notes.csv, collections.json,
+//   share-links.json, watchlist.json, full-results/<historyId>.json,
+//   snapshots/<snapshotId>.json (+ .body.gz)
+async function streamAccountExport(userId, output) {
+  const archive = archiver("zip", { zlib: { level: 6 } });
+  const failed = new Promise((_, reject) => archive.on("error", reject));
+  failed.catch(() => {});
+  archive.on("warning", (warning) =>
+    console.warn("Account export warning:", warning.message)
+  );
+  archive.pipe(output);
+
+  const collections = await Collection.find({ userId })
+    .sort({ name: 1 })
+    .lean();
+  const collectionNames = new Map(
+    collections.map((collection) => [String(collection._id), collection.name])
+  );
+
+  // one entry at a time so large histories never sit in memory with their full results
+  const entries = [];
+  const sourceNotes = [];
+  const snapshotIds = new Set();
+  let fullResultCount = 0;
+  const cursor = SearchHistory.find({ userId })
+    .sort({ timestamp: -1 })
+    .lean()
+    .cursor();
+  for await (const entry of cursor) {
+    const fullResult = await loadFullResult(entry.fullResultId);
+    const fullResultFile = fullResult ? `full-results/${entry._id}.json` : null;
+    if (fullResult) {
+      archive.append(toJson(fullResult), { name: fullResultFile });
+      fullResultCount++;
+    }
+
+    (entry.snapshotIds || []).forEach((id) => snapshotIds.add(String(id)));
+    (entry.sourceNotes || []).forEach((note) =>
+      sourceNotes.push({ historyId: entry._id, ...note })
+    );
+    entries.push({
+      ...entry,
+      collectionNames: (entry.collectionIds || [])
+        .map((id) => collectionNames.get(String(id)))
+        .filter(Boolean),
+      fullResultFile,
+    });
+  }
+
+  const watchlistItems = await WatchlistItem.find({ userId }).lean();
+  const watchlistVersions = await WatchlistVersion.find({ userId })
+    .sort({ version: 1 })
+    .lean();
+  watchlistVersions.forEach((version) => {
+    if (version.snapshotId) snapshotIds.add(String(version.snapshotId));
+  });
+  const watchlist = watchlistItems.map((item) => ({
+    ...item,
+    versions: watchlistVersions.filter(
+      (version) => String(version.itemId) === String(item._id)
+    ),
+  }));
+
+  const shareLinks = await ShareLink.find({ userId })
+    .sort({ createdAt: -1 })
+    .lean();
+
+  let snapshotCount = 0;
+  for (const snapshotId of snapshotIds) {
+    if (await appendSnapshot(archive, snapshotId)) snapshotCount++;
+  }
+
+  archive.append(toJson(entries), { name: "history.json" });
+  archive.append(toCsv(HISTORY_COLUMNS, entries), { name: "history.csv" });
+  archive.append(toCsv(SOURCE_NOTE_COLUMNS, sourceNotes), {
+    name: "source-notes.csv",
+  });
+  archive.append(toJson(collections), { name: "collections.json" });
+  archive.append(toJson(shareLinks), { name: "share-links.json" });
+  archive.append(toJson(watchlist), { name: "watchlist.json" });
+
+  const manifest = {
+    format: "thnk-account-export",
+    version: EXPORT_FORMAT_VERSION,
+    userId,
+    exportedAt: new Date().toISOString(),
+    counts: {
+      historyEntries: entries.length,
+      fullResults: fullResultCount,
+      sourceNotes: sourceNotes.length,
+      collections: collections.length,
+      shareLinks: shareLinks.length,
+      watchlistItems: watchlistItems.length,
+      watchlistVersions: watchlistVersions.length,
+      snapshots: snapshotCount,
+    },
+    // full results are kept for 7 days, so older entries only have their summary
+    missingFullResults: entries.filter(
+      (entry) => entry.fullResultId && !entry.fullResultFile
+    ).length,
+  };
+  archive.append(toJson(manifest), { name: "manifest.json" });
+
+  await Promise.race([archive.finalize(), failed]);
+  return manifest;
+}
+
+// One pass over everything held for the user; resolves with the deleted count per collection.
+// Jobs go first so running ones stop before saving new history (the worker aborts a job
+// whose document is gone at its next poll); history goes last so a failed erasure can
+// simply be run again.
+async function eraseStoredData(userId) {
+  const deleted = {};
+
+  deleted.analysisJobs = (
+    await AnalysisJob.deleteMany({ userId })
+  ).deletedCount;
+
+  const entries = await SearchHistory.find(
+    { userId },
+    { fullResultId: 1 }
+  ).lean();
+  const fullResultIds = entries
+    .map((entry) => entry.fullResultId)
+    .filter(Boolean);
+  const scrapeResults = await CachedScrapedContent.find(
+    { _id: { $in: fullResultIds }, "searchData.0": { $exists: true } },
+    { searchData: 1 }
+  ).lean();
+  const contentIds = scrapeResults.flatMap((result) =>
+    scrapedContentIds(result.searchData)
+  );
+
+  deleted.scrapedContent = (
+    await ScrapedContent.deleteMany({ _id: { $in: contentIds } })
+  ).deletedCount;
+  deleted.fullResults = (
+    await CachedScrapedContent.deleteMany({ _id: { $in: fullResultIds } })
+  ).deletedCount;
+  deleted.shareLinks = (await ShareLink.deleteMany({ userId })).deletedCount;
+  deleted.collections = (await Collection.deleteMany({ userId })).deletedCount;
+  deleted.watchlistVersions = (
+    await WatchlistVersion.deleteMany({ userId })
+  ).deletedCount;
+  deleted.watchlistItems = (
+    await WatchlistItem.deleteMany({ userId })
+  ).deletedCount;
+  deleted.searchHistory = (
+    await SearchHistory.deleteMany({ userId })
+  ).deletedCount;
+
+  return deleted;
+}
+
+// Deletes everything held for the user and resolves with a receipt of what went. A job (or
+// request) that was already saving its result when the erasure started can still write once
+// more, so after running jobs have had time to stop everything is swept a second time.
+async function eraseAccountData(userId) {
+  const runningJobs = await AnalysisJob.countDocuments({
+    userId,
+    status: "running",
+  });
+
+  const deleted = await eraseStoredData(userId);
+  // workers notice their job is gone within one poll interval, then stop before saving
+  await sleep(
+    (runningJobs > 0 ? 2 * jobsConfig.pollIntervalMs : 0) +
+      ERASURE_SWEEP_DELAY_MS
+  );
+  const swept = await eraseStoredData(userId);
+  Object.keys(swept).forEach((key) => {
+    deleted[key] += swept[key];
+  });
+
+  const receipt = {
+    receiptId: crypto.randomUUID(),
+    userId,
+    erasedAt: new Date().toISOString(),
+    deleted,
+    retained: [
+      {
+        data: "pageSnapshots",
+        reason:
+          "Shared cache of public pages, not linked to any account once the history referencing it is deleted",
+      },
+      {
+        data: "aiCache",
+        reason:
+          "Shared cache of AI output keyed by a hash of each prompt. It includes output for documents you uploaded (their analysis, tags and summaries), which is not linked to your account and can't be found without the document text; entries expire on their own, within 7 days by default",
+      },
+      {
+        data: "signInAccount",
+        reason:
+          "Managed by the identity provider (e.g. Firebase) - delete it there to close the account",
+      },
+    ],
+  };
+  console.log(`Account data erased (receipt ${receipt.receiptId})`);
+  return receipt;
+}
+
+module.exports = {
+  scrapedContentIds,
+  streamAccountExport,
+  eraseAccountData,
+};
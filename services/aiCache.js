@@ -0,0 +1,134 @@
+// services/aiCache.js
+// Two-tier cache in front of callAI: optional in-memory LRU, then Mongo with per-task TTLs
+const crypto = require("crypto");
+const mongoose = require("mongoose");
+const AICacheEntry = require("../models/AICacheEntry");
+const aiConfig = require("../config/ai");
+
+// Map keeps insertion order, so re-inserting on read gives us LRU eviction for free
+const memoryCache = new Map();
+
+function hashInput(input) {
+  return crypto.createHash("sha256").update(input).digest("hex");
+}
+
+// key format: task:provider:model:promptVersion:inputHash - prefixes line up with invalidation
+// (provider is part of it because the same model name can be served by more than one provider)
+function buildCacheKey({ task, provider, model, promptVersion, input }) {
+  const inputHash = hashInput(input);
+  return {
+    key: `${task}:${provider}:${model}:${promptVersion}:${inputHash}`,
+    inputHash,
+  };
+}
+
+// Skip Mongo entirely when it isn't connected instead of waiting on mongoose buffering
+function isDbReady() {
+  return mongoose.connection.readyState === 1;
+}
+
+function getFromMemory(key) {
+  const entry = memoryCache.get(key);
+  if (!entry) return undefined;
+  if (entry.expiresAt <= Date.now()) {
+    memoryCache.delete(key);
+    return undefined;
+  }
+  memoryCache.delete(key);
+  memoryCache.set(key, entry);
+  // Hand out copies so callers can't mutate the cached value
+  return structuredClone(entry.value);
+}
+
+function setInMemory(key, value, expiresAt) {
+  const { memorySize } = aiConfig.cache;
+  if (memorySize <= 0) return;
+
+  memoryCache.delete(key);
+  memoryCache.set(key, { value: structuredClone(value), expiresAt });
+  while (memoryCache.size > memorySize) {
+    memoryCache.delete(memoryCache.keys().next().value);
+  }
+}
+
+async function getCachedResponse(key) {
+  if (!aiConfig.cache.enabled) return undefined;
+
+  const memoryValue = getFromMemory(key);
+  if (memoryValue !== undefined) return memoryValue;
+
+  if (!isDbReady()) return undefined;
+  try {
+    const entry = await AICacheEntry.findOne({
+      key,
+      expiresAt: { $gt: new Date() },
+    }).lean();
+    if (!entry) return undefined;
+
+    setInMemory(key, entry.value, entry.expiresAt.getTime());
+    return entry.value;
+  } catch (error) {
+    console.warn("AI cache lookup failed:", error.message);
+    return undefined;
+  }
+}
+
+async function setCachedResponse(
+  { key, task, provider, model, promptVersion, inputHash },
+  value
+) {
+  const ttl = aiConfig.getCacheTtl(task);
+  if (!aiConfig.cache.enabled || ttl <= 0) return;
+
+  const expiresAt = Date.now() + ttl * 1000;
+  setInMemory(key, value, expiresAt);
+
+  if (!isDbReady()) return;
+  try {
+    await AICacheEntry.findOneAndUpdate(
+      { key },
+      {
+        key,
+        task,
+        provider,
+        model,
+        promptVersion,
+        inputHash,
+        value,
+        createdAt: new Date(),
+        expiresAt: new Date(expiresAt),
+      },
+      { upsert: true }
+    );
+  } catch (error) {
+    console.warn("AI cache write failed:", error.message);
+  }
+}
+
+// Remove every entry whose key starts with prefix (e.g. "sentiment:" or "bias:gemini:gemini-2.5-flash-lite:v2")
+// deletedCount is null when Mongo isn't connected and only the memory tier was cleared
+async function invalidateByPrefix(prefix) {
+  let memoryDeleted = 0;
+  for (const key of [...memoryCache.keys()]) {
+    if (key.startsWith(prefix)) {
+      memoryCache.delete(key);
+      memoryDeleted++;
+    }
+  }
+
+  if (!isDbReady()) return { memoryDeleted, deletedCount: null };
+
+  const escaped = prefix.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+  const result = await AICacheEntry.deleteMany({
+    key: { $regex: `^${escaped}` },
+  });
+
+  return { memoryDeleted, deletedCount: result.deletedCount };
+}
+
+module.exports = {
+  buildCacheKey,
+  getCachedResponse,
+  setCachedResponse,
+  invalidateByPrefix,
+};
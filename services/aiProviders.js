@@ -0,0 +1,200 @@
+// services/aiProviders.js
+// Provider adapters behind callAI - every adapter takes the same request shape
+// ({ model, prompt, systemInstruction, responseSchema, thinkingConfig }) and returns the raw response text
+const axios = require("axios");
+const crypto = require("crypto");
+const aiConfig = require("../config/ai");
+
+// Gemini adapter - the client is loaded lazily so offline/mock runs never need a key
+const geminiProvider = {
+  name: "gemini",
+  async generate({
+    model,
+    prompt,
+    systemInstruction,
+    responseSchema,
+    thinkingConfig,
+  }) {
+    const ai = require("../config/gemini.js");
+
+    const config = { systemInstruction };
+    if (responseSchema) {
+      config.responseMimeType = "application/json";
+      config.responseSchema = responseSchema;
+    }
+    if (thinkingConfig) config.thinkingConfig = thinkingConfig;
+
+    const response = await ai.models.generateContent({
+      model,
+      contents: [{ type: "text", text: prompt }],
+      config,
+    });
+
+    return response?.candidates?.[0]?.content?.parts?.[0]?.text || null;
+  },
+};
+
+// Converts the Gemini Type schema into plain JSON Schema for providers that don't know Type.*
+function toJsonSchema(schema) {
+  if (!schema || typeof schema !== "object") return schema;
+
+  const converted = {};
+  for (const [key, value] of Object.entries(schema)) {
+    if (key === "type" && typeof value === "string") {
+      converted.type = value.toLowerCase();
+    } else if (key === "properties") {
+      converted.properties = {};
+      for (const [prop, propSchema] of Object.entries(value)) {
+        converted.properties[prop] = toJsonSchema(propSchema);
+      }
+    } else if (key === "items") {
+      converted.items = toJsonSchema(value);
+    } else {
+      converted[key] = value;
+    }
+  }
+  return converted;
+}
+
+// OpenAI-compatible adapter (OpenAI, Ollama, llama.cpp server, vLLM, LM Studio...)
+const openaiProvider = {
+  name: "openai",
+  async generate({ model, prompt, systemInstruction, responseSchema }) {
+    const { baseUrl, apiKey, timeout } = aiConfig.openai;
+
+    // json_object is the most widely supported structured mode, so the schema goes in the system prompt
+    let system = systemInstruction || "";
+    if (responseSchema) {
+      system += `\nRespond ONLY with JSON matching this JSON Schema:\n${JSON.stringify(
+        toJsonSchema(responseSchema)
+      )}`;
+    }
+
+    const body = {
+      model,
+      messages: [
+        { role: "system", content: system.trim() },
+        { role: "user", content: prompt },
+      ],
+      temperature: 0.2,
+    };
+    // json_object mode requires a top-level object, arrays are left to the prompt
+    if (responseSchema && responseSchema.type === "OBJECT") {
+      body.response_format = { type: "json_object" };
+    }
+
+    const { data } = await axios.post(
+      `${baseUrl.replace(/\/$/, "")}/chat/completions`,
+      body,
+      {
+        timeout,
+        headers: apiKey ? { Authorization: `Bearer ${apiKey}` } : {},
+      }
+    );
+
+    return data?.choices?.[0]?.message?.content || null;
+  },
+};
+
+// Small seeded PRNG so mock output is stable for the same input
+function seededRandom(seedText) {
+  let seed = crypto
+    .createHash("sha256")
+    .update(seedText)
+    .digest()
+    .readUInt32LE(0);
+  return () => {
+    seed = (seed + 0x6d2b79f5) | 0;
+    let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Builds a value that matches the response schema, using property names for plausible content
+function buildMockValue(schema, random, key = "value", index = 0) {
+  switch (schema?.type) {
+    case "OBJECT": {
+      const value = {};
+      for (const [prop, propSchema] of Object.entries(
+        schema.properties || {}
+      )) {
+        value[prop] = buildMockValue(propSchema, random, prop, index);
+      }
+      return value;
+    }
+    case "ARRAY":
+      return [0, 1, 2].map((i) =>
+        buildMockValue(schema.items, random, key, i)
+      );
+    case "NUMBER":
+      return Math.round(random() * 100) / 100;
+    case "INTEGER":
+      return Math.floor(random() * 10);
+    case "BOOLEAN":
+      return random() > 0.5;
+    default: {
+      if (schema?.enum) {
+        return schema.enum[Math.floor(random() * schema.enum.length)];
+      }
+      const lowerKey = key.toLowerCase();
+      if (lowerKey.includes("url")) {
+        return `https://example.org/mock-source-${index + 1}`;
+      }
+      if (lowerKey.includes("domain")) return "example.org";
+      if (lowerKey === "sourcetype") return "organization";
+      if (lowerKey.includes("level")) return "medium";
+      return `Mock ${key} ${index + 1}`;
+    }
+  }
+}
+
+// Deterministic in-process provider for offline development
+const mockProvider = {
+  name: "mock",
+  async generate({ prompt, responseSchema }) {
+    const random = seededRandom(prompt);
+
+    if (responseSchema) {
+      return JSON.stringify(buildMockValue(responseSchema, random));
+    }
+
+    // Plain text tasks get the first couple of sentences of the input back
+    const [instruction, ...rest] = prompt.split("\n");
+    const body =
+      rest.join(" ").trim() ||
+      instruction.slice(instruction.indexOf(":") + 1).trim() ||
+      prompt;
+    const sentences = body.match(/[^.!?]+[.!?]+/g) || [body];
+    return `[mock] ${sentences.slice(0, 2).join(" ").trim()}`;
+  },
+};
+
+const providers = {
+  gemini: geminiProvider,
+  openai: openaiProvider,
+  mock: mockProvider,
+};
+
+// Allow extra adapters to be plugged in without touching this file
+function registerProvider(name, provider) {
+  providers[name.toLowerCase()] = provider;
+}
+
+// Run a request for a task through whichever provider/model is configured for it
+async function generate(task, request) {
+  const { provider: providerName, model } = aiConfig.getTaskConfig(task);
+  const provider = providers[providerName];
+  if (!provider) {
+    throw new Error(`Unknown AI provider "${providerName}" for task ${task}`);
+  }
+
+  const text = await provider.generate({ model, ...request });
+  return { text, provider: providerName, model };
+}
+
+module.exports = {
+  generate,
+  registerProvider,
+  toJsonSchema,
+};
@@ -1,52 +1,164 @@
-const ai = require("../config/gemini.js");
+const { generate } = require("./aiProviders");
+const aiConfig = require("../config/ai");
+const {
+  validateAgainstSchema,
+  parseJsonLenient,
+  mergeWithFallback,
+  describeErrors,
+} = require("./aiValidation");
+const {
+  buildCacheKey,
+  getCachedResponse,
+  setCachedResponse,
+} = require("./aiCache");
 const { scrapeWebsite } = require("./scrapper");
+const {
+  extractDomain,
+  getCredibility,
+  getFallbackDomains,
+} = require("./domainReputation");
+const scraperConfig = require("../config/scraper");
+const { createLimiter, createKeyedLimiter } = require("../utils/concurrency");
 const { Type } = require("@google/genai");
 
-// Optimized utility function with better JSON and non-JSON response handling
-async function callAI(params, fallbackValue) {
-  try {
-    const response = await ai.models.generateContent(params);
+// Bump a task's version whenever its prompt template changes so old cache entries stop matching
+const PROMPT_VERSIONS = {
+  summary: "v1",
+  answer: "v1",
+  tags: "v2",
+  sentiment: "v2",
+  sources: "v2",
+  bias: "v2",
+  analysis: "v1",
+  claims: "v1",
+  language: "v1",
+  perspectives: "v1",
+};
 
-    const text = response?.candidates?.[0]?.content?.parts?.[0]?.text;
-    if (!text) {
-      console.error("Missing response text");
-      return fallbackValue;
-    }
+// Cache identity for a request - the input hash covers the instruction as well as the prompt text
+function getCacheIdentity(task, request) {
+  const { provider, model } = aiConfig.getTaskConfig(task);
+  const promptVersion = PROMPT_VERSIONS[task] || "v1";
+  const { key, inputHash } = buildCacheKey({
+    task,
+    provider,
+    model,
+    promptVersion,
+    input: JSON.stringify([request.systemInstruction || "", request.prompt]),
+  });
+  return { key, inputHash, task, provider, model, promptVersion };
+}
 
-    // Check response size before parsing
-    if (text.length > 100000) {
-      console.error("Response too large, likely truncated:", text.length);
-      return fallbackValue;
-    }
+// Structured call with schema validation, bounded repair retries and field-level fallback
+// task picks the provider/model from config/ai.js (summary, answer, tags, sentiment, sources, bias)
+// Returns { value, aiMeta: { fallbackFields, attempts, cached } } so callers can tell model output from defaults
+async function callAIWithMeta(task, request, fallbackValue) {
+  const { responseSchema } = request;
+  const maxAttempts = 1 + Math.max(0, aiConfig.maxRepairAttempts);
 
-    // Better JSON detection to handle cases where AI returns plain text
-    const trimmedText = text.trim();
-    if (
-      (trimmedText.startsWith("{") && trimmedText.endsWith("}")) ||
-      (trimmedText.startsWith("[") && trimmedText.endsWith("]"))
-    ) {
-      try {
-        return JSON.parse(text);
-      } catch (e) {
-        console.error("JSON parse error:", e.message);
-        console.error("First 500 chars:", text.substring(0, 500));
-        return fallbackValue;
+  const cacheIdentity = getCacheIdentity(task, request);
+  const cachedValue = await getCachedResponse(cacheIdentity.key);
+  if (cachedValue !== undefined) {
+    return {
+      value: cachedValue,
+      aiMeta: { fallbackFields: [], attempts: 0, cached: true },
+    };
+  }
+
+  let prompt = request.prompt;
+  let lastCandidate;
+  let attempts = 0;
+
+  while (attempts < maxAttempts) {
+    attempts++;
+    try {
+      const { text } = await generate(task, { ...request, prompt });
+      if (!text) {
+        console.error("Missing response text");
+        continue;
       }
-    } else {
-      // Handle non-JSON responses gracefully
-      console.warn("AI returned non-JSON response, using fallback");
-      console.log("AI response sample:", text.substring(0, 200));
-      return fallbackValue;
+
+      // Check response size before parsing
+      if (text.length > 100000) {
+        console.error("Response too large, likely truncated:", text.length);
+        continue;
+      }
+
+      // Lenient parse handles fences, leading prose and truncated JSON
+      const parsed = parseJsonLenient(text);
+      if (parsed === undefined) {
+        console.warn(`AI returned non-JSON response for ${task}`);
+        console.log("AI response sample:", text.substring(0, 200));
+        prompt = `${request.prompt}\n\nYour previous response was not valid JSON. Return ONLY JSON matching the schema.`;
+        continue;
+      }
+
+      const errors = validateAgainstSchema(parsed, responseSchema);
+      if (errors.length === 0) {
+        // Only clean model output is cached - fallbacks should be retried next time
+        await setCachedResponse(cacheIdentity, parsed);
+        return {
+          value: parsed,
+          aiMeta: { fallbackFields: [], attempts, cached: false },
+        };
+      }
+
+      lastCandidate = parsed;
+      console.warn(
+        `AI output for ${task} failed validation (attempt ${attempts}/${maxAttempts}):\n${describeErrors(
+          errors
+        )}`
+      );
+
+      // Feed the validation errors back so the model can correct itself
+      prompt = `${request.prompt}
+
+Your previous response did not match the required schema:
+${describeErrors(errors)}
+
+Previous response:
+${JSON.stringify(parsed).substring(0, 2000)}
+
+Return corrected JSON only.`;
+    } catch (error) {
+      console.error("AI service call failed:", error.message);
     }
-  } catch (error) {
-    console.error("AI service call failed:", error.message);
-    return fallbackValue;
   }
+
+  // Out of attempts - keep whatever was valid and fall back field by field
+  const fallbackFields = [];
+  const value =
+    lastCandidate === undefined
+      ? (fallbackFields.push("*"), fallbackValue)
+      : mergeWithFallback(
+          lastCandidate,
+          responseSchema,
+          fallbackValue,
+          fallbackFields
+        );
+
+  return { value, aiMeta: { fallbackFields, attempts, cached: false } };
+}
+
+// Convenience wrapper for callers that only need the value
+async function callAI(task, request, fallbackValue) {
+  const { value } = await callAIWithMeta(task, request, fallbackValue);
+  return value;
+}
+
+// Plain text generation (summaries, initial answers) - returns null when the provider fails
+async function generateText(task, request) {
+  const cacheIdentity = getCacheIdentity(task, request);
+  const cachedText = await getCachedResponse(cacheIdentity.key);
+  if (cachedText !== undefined) return cachedText;
+
+  const { text } = await generate(task, request);
+  if (text) await setCachedResponse(cacheIdentity, text);
+  return text || null;
 }
 
 // Pre-defined configs for better performance
 const FAST_THINKING_CONFIG = { thinkingBudget: 0 };
-const FLASH_LITE_MODEL = "gemini-2.5-flash-lite";
 
 // URL cleaning function to remove tracking parameters and fix malformed URLs
 function cleanUrl(url) {
@@ -77,121 +189,213 @@ function isValidUrl(string) {
   }
 }
 
-// Helper function to extract domain
-function extractDomain(url) {
-  try {
-    const domain = new URL(url).hostname;
-    return domain.replace("www.", "");
-  } catch (_) {
-    return null;
+// Shared limiters so concurrent requests don't hammer the same host
+const enrichmentLimit = createLimiter(scraperConfig.enrichment.concurrency);
+const hostLimit = createKeyedLimiter(
+  scraperConfig.enrichment.perHostConcurrency
+);
+
+// Scrape + analyse one source with a single structured AI call
+async function enrichSource(source, cleanedUrl) {
+  console.log(`Attempting to scrape: ${cleanedUrl}`);
+
+  // Use scrapeWebsite to validate URL and get real content
+  const scrapedData = await scrapeWebsite(cleanedUrl);
+  const domain = extractDomain(cleanedUrl);
+  const credibility = getCredibility(domain, source.sourceType);
+
+  if (scrapedData && scrapedData.text) {
+    // Successfully scraped - use real data
+    console.log(`Successfully scraped: ${cleanedUrl}`);
+
+    const analysis = await getSourceAnalysis(
+      scrapedData.text.substring(0, 3000)
+    );
+
+    return {
+      url: cleanedUrl,
+      title: scrapedData.title || source.title || "No title available",
+      text: scrapedData.text.substring(0, 2000) + "...",
+      tags: analysis.tags,
+      neutralityScore: analysis.neutralityScore,
+      sentimentScore: analysis.sentimentScore,
+      analysisRationale: analysis.rationale,
+      domain,
+      sourceType: source.sourceType || "general",
+      credibilityScore: credibility.score,
+      credibilityBasis: credibility.basis,
+      credibilityRule: credibility.rule,
+      aiGenerated: false,
+      verified: true,
+      lastVerified: new Date().toISOString(),
+      contentSource: "direct_scraping",
+      // low values mean the scraper may have grabbed boilerplate instead of the article
+      extractionConfidence: scrapedData.extraction?.confidence ?? null,
+      extractor: scrapedData.extractor || null,
+      metadata: scrapedData.metadata || null,
+      // PDF / text sources: { type, pageCount, pages }
+      document: scrapedData.document || null,
+      snapshot: scrapedData.snapshot || null,
+      scrapedSuccessfully: true,
+      status: "enriched",
+      aiFallbackFields: analysis.aiMeta.fallbackFields,
+      aiCached: analysis.aiMeta.cached,
+    };
   }
+
+  // Scraping failed - use original data with lower credibility
+  console.warn(`Scraping failed for URL: ${cleanedUrl}`);
+
+  // Use whatever content we have for analysis
+  const contentToAnalyze =
+    source.contentSnippet || source.title || "No content available";
+  const analysis = await getSourceAnalysis(contentToAnalyze);
+
+  return {
+    ...source,
+    url: cleanedUrl,
+    title: source.title || "No title available",
+    text: source.contentSnippet || "Content not available through scraping",
+    tags: analysis.tags,
+    neutralityScore: analysis.neutralityScore,
+    sentimentScore: analysis.sentimentScore,
+    analysisRationale: analysis.rationale,
+    domain,
+    sourceType: source.sourceType || "general",
+    credibilityScore: Math.max(0.2, (source.credibilityScore || 0.5) - 0.3),
+    credibilityBasis: "unscraped",
+    credibilityRule: credibility.rule,
+    verified: false,
+    lastVerified: new Date().toISOString(),
+    scrapedSuccessfully: false,
+    status: "unscraped",
+    aiFallbackFields: analysis.aiMeta.fallbackFields,
+    aiCached: analysis.aiMeta.cached,
+  };
 }
 
-// Enhanced source validation with actual scraping and better error handling
-async function validateAndEnrichSourcesWithScraping(sources) {
+// Enhanced source validation with actual scraping - runs with bounded concurrency (global and per host)
+// and returns whatever finished inside the time budget; the rest come back with status "pending"
+// onSourceEnriched(source, index) fires as each source finishes, for progress streaming
+async function validateAndEnrichSourcesWithScraping(
+  sources,
+  {
+    timeBudgetMs = scraperConfig.enrichment.timeBudgetMs,
+    onSourceEnriched,
+  } = {}
+) {
   if (!sources || sources.length === 0) return [];
 
-  const validatedSources = [];
-
-  for (const source of sources) {
-    try {
-      // Clean the URL first
-      const cleanedUrl = cleanUrl(source.url);
+  // Clean the URLs first and drop anything we can't fetch
+  const candidates = sources
+    .map((source) => ({ source, cleanedUrl: cleanUrl(source.url) }))
+    .filter(({ source, cleanedUrl }) => {
       if (!cleanedUrl || !isValidUrl(cleanedUrl)) {
         console.warn(`Invalid URL format: ${source.url}`);
-        continue;
+        return false;
       }
+      return true;
+    });
 
-      console.log(`Attempting to scrape: ${cleanedUrl}`);
-
-      // Use scrapeWebsite to validate URL and get real content
-      const scrapedData = await scrapeWebsite(cleanedUrl);
-
-      if (scrapedData && scrapedData.text) {
-        // Successfully scraped - use real data
-        console.log(`Successfully scraped: ${cleanedUrl}`);
-
-        const analysis = await getNeutralityAndSentiment(
-          scrapedData.text.substring(0, 3000)
-        );
-        const tags = await getTagsFromAI(scrapedData.text.substring(0, 3000));
-
-        validatedSources.push({
-          url: cleanedUrl,
-          title: scrapedData.title || source.title || "No title available",
-          text: scrapedData.text.substring(0, 2000) + "...",
-          tags: Array.isArray(tags) ? tags : [],
-          neutralityScore: analysis.neutralityScore || 0.5,
-          sentimentScore: analysis.sentimentScore || 0.5,
-          domain: extractDomain(cleanedUrl),
-          sourceType: source.sourceType || "general",
-          credibilityScore: calculateCredibilityScore(
-            extractDomain(cleanedUrl),
-            source.sourceType
-          ),
-          aiGenerated: false,
-          verified: true,
-          lastVerified: new Date().toISOString(),
-          contentSource: "direct_scraping",
-          scrapedSuccessfully: true,
-        });
-      } else {
-        // Scraping failed - use original data with lower credibility
-        console.warn(`Scraping failed for URL: ${cleanedUrl}`);
-
-        // Use whatever content we have for analysis
-        const contentToAnalyze =
-          source.contentSnippet || source.title || "No content available";
-        const analysis = await getNeutralityAndSentiment(contentToAnalyze);
-        const tags = await getTagsFromAI(contentToAnalyze);
-
-        validatedSources.push({
+  const results = new Array(candidates.length);
+
+  // host limiter outside, so sources queued behind others on the same host don't sit on
+  // global slots that other hosts could use
+  const tasks = candidates.map(({ source, cleanedUrl }, index) =>
+    hostLimit(new URL(cleanedUrl).hostname, () =>
+      enrichmentLimit(() => enrichSource(source, cleanedUrl))
+    )
+      .then((enriched) => {
+        results[index] = enriched;
+      })
+      .catch((error) => {
+        // The site asked crawlers to stay away - reported so the caller can pick another source
+        if (error.code === "BLOCKED_BY_ROBOTS") {
+          console.warn(`robots.txt disallows ${cleanedUrl}, skipping`);
+          results[index] = {
+            ...source,
+            url: cleanedUrl,
+            domain: extractDomain(cleanedUrl),
+            tags: [],
+            neutralityScore: null,
+            sentimentScore: null,
+            verified: false,
+            scrapedSuccessfully: false,
+            status: "blocked_by_robots",
+            aiFallbackFields: [],
+            error: error.message,
+          };
+          return;
+        }
+
+        console.error(`Error validating source ${source.url}:`, error.message);
+        // Still include the source but mark it as failed
+        results[index] = {
           ...source,
           url: cleanedUrl,
-          title: source.title || "No title available",
-          text:
-            source.contentSnippet || "Content not available through scraping",
-          tags: Array.isArray(tags) ? tags : [],
-          neutralityScore: analysis.neutralityScore || 0.5,
-          sentimentScore: analysis.sentimentScore || 0.5,
-          domain: extractDomain(cleanedUrl),
-          sourceType: source.sourceType || "general",
-          credibilityScore: Math.max(
-            0.2,
-            (source.credibilityScore || 0.5) - 0.3
-          ),
+          tags: [],
+          neutralityScore: 0.5,
+          sentimentScore: 0.5,
+          credibilityScore: 0.2,
+          credibilityBasis: "failed",
+          credibilityRule: null,
           verified: false,
-          lastVerified: new Date().toISOString(),
           scrapedSuccessfully: false,
-        });
-      }
-    } catch (error) {
-      console.error(`Error validating source ${source.url}:`, error.message);
-      // Still include the source but mark it as failed
-      validatedSources.push({
-        ...source,
-        tags: [],
-        neutralityScore: 0.5,
-        sentimentScore: 0.5,
-        credibilityScore: 0.2,
-        verified: false,
-        scrapedSuccessfully: false,
-        error: error.message,
-      });
-    }
-  }
+          status: "failed",
+          aiFallbackFields: ["neutralityScore", "sentimentScore", "tags"],
+          error: error.message,
+        };
+      })
+      .then(() => {
+        if (onSourceEnriched) onSourceEnriched(results[index], index);
+      })
+  );
+
+  // Unfinished work keeps running in the background and still warms the AI cache
+  let budgetTimer;
+  const budgetExpired = new Promise((resolve) => {
+    budgetTimer = setTimeout(resolve, timeBudgetMs);
+  });
+  await Promise.race([Promise.all(tasks), budgetExpired]);
+  clearTimeout(budgetTimer);
+
+  return candidates.map(({ source, cleanedUrl }, index) => {
+    if (results[index]) return results[index];
 
-  return validatedSources;
+    console.warn(`Enrichment time budget exceeded for ${cleanedUrl}`);
+    const domain = extractDomain(cleanedUrl);
+    const credibility = getCredibility(domain, source.sourceType);
+    return {
+      ...source,
+      url: cleanedUrl,
+      title: source.title || "No title available",
+      text: source.contentSnippet || "Analysis still in progress",
+      tags: [],
+      neutralityScore: null,
+      sentimentScore: null,
+      domain,
+      sourceType: source.sourceType || "general",
+      credibilityScore: credibility.score,
+      credibilityBasis: credibility.basis,
+      credibilityRule: credibility.rule,
+      verified: false,
+      scrapedSuccessfully: false,
+      status: "pending",
+      aiFallbackFields: [],
+    };
+  });
 }
 
 // Basic AI analysis functions
-async function getNeutralityAndSentiment(text) {
+// Scores plus aiMeta - getNeutralityAndSentiment returns just the scores
+async function getNeutralityAndSentimentWithMeta(text) {
   const responseSchema = {
     type: Type.OBJECT,
     properties: {
-      neutralityScore: { type: Type.NUMBER },
-      sentimentScore: { type: Type.NUMBER },
+      neutralityScore: { type: Type.NUMBER, minimum: 0, maximum: 1 },
+      sentimentScore: { type: Type.NUMBER, minimum: 0, maximum: 1 },
     },
+    required: ["neutralityScore", "sentimentScore"],
   };
 
   const prompt = `Analyze this text for neutrality (0=biased, 1=neutral) and sentiment (0=negative, 1=positive): ${text.substring(
@@ -199,43 +403,105 @@ async function getNeutralityAndSentiment(text) {
     3000
   )}`;
 
-  return await callAI(
+  const { value, aiMeta } = await callAIWithMeta(
+    "sentiment",
     {
-      model: FLASH_LITE_MODEL,
-      contents: [{ type: "text", text: prompt }],
-      config: {
-        responseMimeType: "application/json",
-        responseSchema,
-        thinkingConfig: FAST_THINKING_CONFIG,
-        systemInstruction:
-          "Provide only JSON with neutralityScore and sentimentScore.",
-      },
+      prompt,
+      responseSchema,
+      thinkingConfig: FAST_THINKING_CONFIG,
+      systemInstruction:
+        "Provide only JSON with neutralityScore and sentimentScore, both between 0 and 1.",
     },
     { neutralityScore: 0.5, sentimentScore: 0.5 }
   );
+
+  // Name the fields explicitly when the whole response fell back
+  if (aiMeta.fallbackFields.includes("*")) {
+    aiMeta.fallbackFields = ["neutralityScore", "sentimentScore"];
+  }
+
+  return { scores: value, aiMeta };
 }
 
-async function getTagsFromAI(text) {
+async function getNeutralityAndSentiment(text) {
+  const { scores } = await getNeutralityAndSentimentWithMeta(text);
+  return scores;
+}
+
+// Tags plus aiMeta - getTagsFromAI keeps returning a plain array for existing callers
+async function getTagsWithMeta(text) {
   const responseSchema = {
     type: Type.ARRAY,
     items: { type: Type.STRING },
+    maxItems: 15,
   };
 
   const prompt = `Extract relevant tags from: ${text.substring(0, 2000)}`;
 
-  return await callAI(
+  const { value, aiMeta } = await callAIWithMeta(
+    "tags",
     {
-      model: FLASH_LITE_MODEL,
-      contents: [{ type: "text", text: prompt }],
-      config: {
-        responseMimeType: "application/json",
-        responseSchema,
-        thinkingConfig: FAST_THINKING_CONFIG,
-        systemInstruction: "Return only a JSON array of tags.",
-      },
+      prompt,
+      responseSchema,
+      thinkingConfig: FAST_THINKING_CONFIG,
+      systemInstruction: "Return only a JSON array of tags.",
     },
     []
   );
+
+  return { tags: value, aiMeta };
+}
+
+async function getTagsFromAI(text) {
+  const { tags } = await getTagsWithMeta(text);
+  return tags;
+}
+
+// One structured call per source instead of separate sentiment + tags calls
+async function getSourceAnalysis(text) {
+  const responseSchema = {
+    type: Type.OBJECT,
+    properties: {
+      neutralityScore: { type: Type.NUMBER, minimum: 0, maximum: 1 },
+      sentimentScore: { type: Type.NUMBER, minimum: 0, maximum: 1 },
+      tags: { type: Type.ARRAY, items: { type: Type.STRING }, maxItems: 10 },
+      rationale: { type: Type.STRING },
+    },
+    required: ["neutralityScore", "sentimentScore", "tags", "rationale"],
+  };
+
+  const prompt = `Analyze this source text. Score neutrality (0=biased, 1=neutral) and sentiment (0=negative, 1=positive), extract relevant topic tags, and give a one or two sentence rationale for the scores:
+
+${text.substring(0, 3000)}`;
+
+  const fallback = {
+    neutralityScore: 0.5,
+    sentimentScore: 0.5,
+    tags: [],
+    rationale: "Analysis unavailable",
+  };
+
+  const { value, aiMeta } = await callAIWithMeta(
+    "analysis",
+    {
+      prompt,
+      responseSchema,
+      thinkingConfig: FAST_THINKING_CONFIG,
+      systemInstruction:
+        "Return only JSON with neutralityScore and sentimentScore between 0 and 1, tags, and rationale.",
+    },
+    fallback
+  );
+
+  if (aiMeta.fallbackFields.includes("*")) {
+    aiMeta.fallbackFields = Object.keys(fallback);
+  }
+  // Collapse item-level paths like "tags[3]" to the field name
+  aiMeta.fallbackFields = [
+    ...new Set(aiMeta.fallbackFields.map((field) => field.split(/[.[]/)[0])),
+  ];
+
+  return { ...value, aiMeta };
 }
 
 async function getGenSummary(text) {
@@ -244,15 +510,11 @@ async function getGenSummary(text) {
 
 ${text.substring(0, 6000)}`;
 
-    const response = await ai.models.generateContent({
-      model: FLASH_LITE_MODEL,
-      contents: [{ type: "text", text: prompt }],
-      config: {
-        systemInstruction: "Provide only a concise summary as plain text.",
-      },
+    const summary = await generateText("summary", {
+      prompt,
+      systemInstruction: "Provide only a concise summary as plain text.",
     });
 
-    const summary = response?.candidates?.[0]?.content?.parts?.[0]?.text;
     return summary || text.slice(0, 200) + "...";
   } catch (error) {
     console.error("Summary generation failed:", error.message);
@@ -260,27 +522,6 @@ ${text.substring(0, 6000)}`;
   }
 }
 
-// Pre-defined reliable sources for fallback
-const reliableDomains = {
-  health: [
-    "https://www.cdc.gov/",
-    "https://www.nih.gov/",
-    "https://www.who.int/",
-    "https://www.mayoclinic.org/",
-    "https://www.health.harvard.edu/",
-  ],
-  nutrition: [
-    "https://www.nutrition.gov/",
-    "https://www.hsph.harvard.edu/nutritionsource/",
-    "https://www.eatright.org/",
-  ],
-  general: [
-    "https://www.wikipedia.org/",
-    "https://www.britannica.com/",
-    "https://www.sciencedaily.com/",
-  ],
-};
-
 // Generate predefined reliable sources
 async function generatePredefinedSources(prompt) {
   let category = "general";
@@ -300,10 +541,10 @@ async function generatePredefinedSources(prompt) {
     category = "nutrition";
   }
 
-  const domains = reliableDomains[category].slice(0, 3);
+  const domains = getFallbackDomains(category, 3);
 
-  return domains.map((domain) => ({
-    url: domain,
+  return domains.map(({ url, domain, credibility }) => ({
+    url,
     title: `Reliable ${category} information source`,
     text: `Visit this reputable ${category} website for verified information about "${prompt.substring(
       0,
@@ -312,9 +553,11 @@ async function generatePredefinedSources(prompt) {
     tags: [category, "reliable", "verified"],
     neutralityScore: 0.7,
     sentimentScore: 0.5,
-    domain: extractDomain(domain),
+    domain,
     sourceType: category === "health" ? "medical" : "general",
-    credibilityScore: 0.8,
+    credibilityScore: credibility.score,
+    credibilityBasis: credibility.basis,
+    credibilityRule: credibility.rule,
     aiGenerated: false,
     verified: true,
     predefined: true,
@@ -324,13 +567,38 @@ async function generatePredefinedSources(prompt) {
 }
 
 // More reliable approach for getting sources with fallback
-async function getReliableSourcesWithFallback(prompt) {
+// onProgress(event, data) is called as each stage completes (see services/analysisPipeline.js)
+async function getReliableSourcesWithFallback(
+  prompt,
+  { onProgress, signal } = {}
+) {
+  const emit = (event, data) => onProgress && onProgress(event, data);
+
   try {
     const initialResponse = await getInitialAIResponse(prompt);
+    emit("summary", { summary: initialResponse });
+
     const sourcesAnalysis = await getActualSourcesUsed(prompt, initialResponse);
-    const validatedSources = await validateAndEnrichSourcesWithScraping(
-      sourcesAnalysis.sources
+    emit("sources_proposed", {
+      sources: (sourcesAnalysis.sources || []).map((source) => ({
+        url: source.url,
+        title: source.title,
+        domain: source.domain,
+        sourceType: source.sourceType,
+      })),
+    });
+
+    const enrichedSources = await validateAndEnrichSourcesWithScraping(
+      sourcesAnalysis.sources,
+      {
+        onSourceEnriched: (source, index) =>
+          emit("source_enriched", { index, source }),
+      }
     );
+    const { sources: validatedSources, blockedSources } =
+      await replaceBlockedSources(prompt, initialResponse, enrichedSources, {
+        onProgress,
+      });
 
     if (validatedSources.length > 0) {
       return {
@@ -338,6 +606,9 @@ async function getReliableSourcesWithFallback(prompt) {
         neutralityScore: sourcesAnalysis.overallNeutrality || 0.5,
         persuasionScore: sourcesAnalysis.overallPersuasion || 0.5,
         sources: validatedSources,
+        blockedSources,
+        aiFallbackFields: mapSourcesAnalysisFallbacks(sourcesAnalysis.aiMeta),
+        aiCachedFields: sourcesAnalysis.aiMeta?.cached ? ["sources"] : [],
       };
     }
 
@@ -345,35 +616,110 @@ async function getReliableSourcesWithFallback(prompt) {
       "No AI-validated sources found, using predefined reliable sources"
     );
     const fallbackSources = await generatePredefinedSources(prompt);
+    emit("sources_proposed", { sources: fallbackSources, predefined: true });
 
     return {
       summary: initialResponse,
       neutralityScore: 0.5,
       persuasionScore: 0.5,
       sources: fallbackSources,
+      blockedSources,
       usedFallback: true,
+      aiFallbackFields: ["neutralityScore", "persuasionScore", "sources"],
     };
   } catch (error) {
+    // A cancelled run should stop, not fall back to more AI calls
+    if (signal?.aborted) throw error;
     console.error("Error in reliable sources approach:", error);
     return await getFallbackResponse(prompt);
   }
 }
 
+// Sources whose sites disallow crawling (robots.txt) are swapped for fresh proposals from
+// other domains - one extra round. Returns the usable sources plus a record of the blocked ones.
+async function replaceBlockedSources(
+  prompt,
+  aiResponse,
+  sources,
+  { onProgress } = {}
+) {
+  const emit = (event, data) => onProgress && onProgress(event, data);
+  const isBlocked = (source) => source.status === "blocked_by_robots";
+  const blocked = sources.filter(isBlocked);
+  const usable = sources.filter((source) => !isBlocked(source));
+  const describeBlocked = (source) => ({
+    url: source.url,
+    title: source.title || null,
+    domain: source.domain,
+    status: source.status,
+    reason: source.error,
+  });
+  if (blocked.length === 0) return { sources: usable, blockedSources: [] };
+
+  const excludeDomains = [
+    ...new Set(sources.map((source) => source.domain).filter(Boolean)),
+  ];
+  const replacementAnalysis = await getActualSourcesUsed(prompt, aiResponse, {
+    excludeDomains,
+  });
+  const proposed = (replacementAnalysis.sources || [])
+    .filter((source) => !excludeDomains.includes(extractDomain(source.url)))
+    .slice(0, blocked.length);
+  emit("sources_proposed", {
+    sources: proposed.map((source) => ({
+      url: source.url,
+      title: source.title,
+      domain: source.domain,
+      sourceType: source.sourceType,
+    })),
+    replacing: blocked.map((source) => source.url),
+  });
+
+  const replacements = await validateAndEnrichSourcesWithScraping(proposed, {
+    onSourceEnriched: (source, index) =>
+      emit("source_enriched", { index: sources.length + index, source }),
+  });
+
+  return {
+    sources: [
+      ...usable,
+      ...replacements.filter((source) => !isBlocked(source)),
+    ],
+    blockedSources: [...blocked, ...replacements.filter(isBlocked)].map(
+      describeBlocked
+    ),
+  };
+}
+
+// Translate getActualSourcesUsed fallback paths into response field names
+function mapSourcesAnalysisFallbacks(aiMeta) {
+  const fieldNames = {
+    overallNeutrality: "neutralityScore",
+    overallPersuasion: "persuasionScore",
+  };
+  const fields = new Set();
+  for (const field of aiMeta?.fallbackFields || []) {
+    if (field === "*") {
+      ["neutralityScore", "persuasionScore", "sources"].forEach((f) =>
+        fields.add(f)
+      );
+    } else {
+      const root = field.split(/[.[]/)[0];
+      fields.add(fieldNames[root] || root);
+    }
+  }
+  return [...fields];
+}
+
 // Step 1: Get initial AI response
 async function getInitialAIResponse(prompt) {
   try {
-    const response = await ai.models.generateContent({
-      model: FLASH_LITE_MODEL,
-      contents: [
-        { type: "text", text: `Provide a comprehensive answer to: ${prompt}` },
-      ],
-      config: {
-        systemInstruction:
-          "Provide a well-researched, balanced response based on credible information.",
-      },
+    const text = await generateText("answer", {
+      prompt: `Provide a comprehensive answer to: ${prompt}`,
+      systemInstruction:
+        "Provide a well-researched, balanced response based on credible information.",
     });
 
-    const text = response?.candidates?.[0]?.content?.parts?.[0]?.text;
     return text || "Unable to generate response";
   } catch (error) {
     console.error("Initial AI response failed:", error.message);
@@ -382,12 +728,17 @@ async function getInitialAIResponse(prompt) {
 }
 
 // Step 2: Get ACTUAL sources used by Gemini
-async function getActualSourcesUsed(prompt, aiResponse) {
+// excludeDomains keeps the model away from sites we already know we can't use
+async function getActualSourcesUsed(
+  prompt,
+  aiResponse,
+  { excludeDomains = [] } = {}
+) {
   const responseSchema = {
     type: Type.OBJECT,
     properties: {
-      overallNeutrality: { type: Type.NUMBER },
-      overallPersuasion: { type: Type.NUMBER },
+      overallNeutrality: { type: Type.NUMBER, minimum: 0, maximum: 1 },
+      overallPersuasion: { type: Type.NUMBER, minimum: 0, maximum: 1 },
       sources: {
         type: Type.ARRAY,
         items: {
@@ -399,9 +750,11 @@ async function getActualSourcesUsed(prompt, aiResponse) {
             domain: { type: Type.STRING },
             sourceType: { type: Type.STRING },
           },
+          required: ["url"],
         },
       },
     },
+    required: ["overallNeutrality", "overallPersuasion", "sources"],
   };
 
   const promptText = `
@@ -412,20 +765,21 @@ CRITICAL REQUIREMENTS:
 - Only include well-known, authoritative domains like .gov, .edu, .org
 - Do NOT include any Facebook tracking parameters
 - If you cannot provide a clean, verifiable URL, do not include the source
-
+${
+  excludeDomains.length
+    ? `- Do NOT use any of these domains: ${excludeDomains.join(", ")}\n`
+    : ""
+}
 Return as JSON with the exact schema provided.
 `;
 
-  const result = await callAI(
+  const { value: result, aiMeta } = await callAIWithMeta(
+    "sources",
     {
-      model: FLASH_LITE_MODEL,
-      contents: [{ type: "text", text: promptText }],
-      config: {
-        responseMimeType: "application/json",
-        responseSchema,
-        systemInstruction:
-          "You MUST return only clean, verifiable URLs without tracking parameters.",
-      },
+      prompt: promptText,
+      responseSchema,
+      systemInstruction:
+        "You MUST return only clean, verifiable URLs without tracking parameters.",
     },
     {
       overallNeutrality: 0.5,
@@ -445,40 +799,25 @@ Return as JSON with the exact schema provided.
       .filter((source) => source.url);
   }
 
-  return result;
+  return { ...result, aiMeta };
 }
 
-// Calculate credibility based on domain and source type
-function calculateCredibilityScore(domain, sourceType) {
-  let score = 0.5;
-
-  if (domain) {
-    const domainLower = domain.toLowerCase();
-    if (domainLower.includes(".edu")) score = 0.9;
-    else if (domainLower.includes(".gov")) score = 0.85;
-    else if (domainLower.includes(".org")) score = 0.7;
-    else if (domainLower.includes(".com")) {
-      const trustedNews = ["reuters", "apnews", "bbc", "npr", "pbs"];
-      if (trustedNews.some((news) => domainLower.includes(news))) score = 0.8;
-      else score = 0.6;
-    }
-  }
-
-  const typeScores = {
-    academic: 0.9,
-    government: 0.85,
-    scientific_journal: 0.9,
-    established_news: 0.8,
-    news: 0.7,
-    organization: 0.7,
-    general: 0.5,
-  };
-
-  if (sourceType && typeScores[sourceType]) {
-    score = Math.max(score, typeScores[sourceType]);
-  }
-
-  return Math.max(0.1, Math.min(1, score));
+// Propose sources for arbitrary text (e.g. a scraped article) and scrape/validate them
+async function findValidatedSources(text, options = {}) {
+  const sourcesAnalysis = await getActualSourcesUsed(
+    text.substring(0, 500),
+    text
+  );
+  const enriched = await validateAndEnrichSourcesWithScraping(
+    sourcesAnalysis.sources,
+    options
+  );
+  const { sources } = await replaceBlockedSources(
+    text.substring(0, 500),
+    text,
+    enriched
+  );
+  return sources;
 }
 
 // Fallback response
@@ -490,6 +829,10 @@ async function getFallbackResponse(prompt) {
     persuasionScore: 0.5,
     sources: [],
     fallback: true,
+    aiMeta: {
+      fallbackFields: ["neutralityScore", "persuasionScore", "sources"],
+      cachedFields: [],
+    },
   };
 }
 
@@ -501,7 +844,10 @@ async function getBiasAnalysisInsights(aiResponse) {
     !Array.isArray(aiResponse.sources)
   ) {
     console.warn("Invalid response data for bias analysis");
-    return getFallbackBiasAnalysis();
+    return {
+      ...getFallbackBiasAnalysis(),
+      aiMeta: { fallbackFields: ["*"], attempts: 0 },
+    };
   }
 
   const responseSchema = {
@@ -514,7 +860,10 @@ async function getBiasAnalysisInsights(aiResponse) {
         items: { type: Type.STRING },
       },
       researchSuggestions: { type: Type.ARRAY, items: { type: Type.STRING } },
-      confidenceLevel: { type: Type.STRING },
+      confidenceLevel: {
+        type: Type.STRING,
+        enum: ["low", "medium", "high"],
+      },
       biasIndicators: {
         type: Type.OBJECT,
         properties: {
@@ -524,6 +873,14 @@ async function getBiasAnalysisInsights(aiResponse) {
         },
       },
     },
+    required: [
+      "overallAssessment",
+      "keyFindings",
+      "criticalThinkingQuestions",
+      "researchSuggestions",
+      "confidenceLevel",
+      "biasIndicators",
+    ],
   };
 
   // Safely build the analysis prompt with proper error handling
@@ -541,6 +898,7 @@ Source ${index + 1}:
 - Sentiment: ${source.sentimentScore || 0.5}
 - Tags: ${tags.join(", ") || "No tags"}
 ${source.predefined ? "- Note: Predefined reliable source" : ""}
+${source.status === "pending" ? "- Note: Analysis still pending, scores unknown" : ""}
 ${
   source.scrapedSuccessfully
     ? "- Note: Content obtained through direct scraping"
@@ -569,19 +927,18 @@ Provide a comprehensive bias analysis that helps users understand:
 Focus on educational value and helping users understand the actual sources behind AI responses.
 `;
 
-  return await callAI(
+  const { value, aiMeta } = await callAIWithMeta(
+    "bias",
     {
-      model: FLASH_LITE_MODEL,
-      contents: [{ type: "text", text: analysisPrompt }],
-      config: {
-        responseMimeType: "application/json",
-        responseSchema,
-        systemInstruction:
-          "Provide educational, non-political bias analysis based on the ACTUAL sources used.",
-      },
+      prompt: analysisPrompt,
+      responseSchema,
+      systemInstruction:
+        "Provide educational, non-political bias analysis based on the ACTUAL sources used. confidenceLevel must be low, medium or high.",
     },
     getFallbackBiasAnalysis()
   );
+
+  return { ...value, aiMeta };
 }
 
 function getFallbackBiasAnalysis() {
@@ -602,10 +959,20 @@ function getFallbackBiasAnalysis() {
 }
 
 // Enhanced version with actual source validation
-async function getEnhancedSmartResponseWithSources(prompt) {
+async function getEnhancedSmartResponseWithSources(prompt, options = {}) {
+  const emit = (event, data) =>
+    options.onProgress && options.onProgress(event, data);
+
   try {
-    const aiResponse = await getSmartResponseWithSources(prompt);
-    if (!aiResponse) return null;
+    const smartResponse = await getSmartResponseWithSources(prompt, options);
+    if (!smartResponse) return null;
+
+    // Top-level fallback markers are folded into aiMeta below
+    const {
+      aiFallbackFields = [],
+      aiCachedFields = [],
+      ...aiResponse
+    } = smartResponse;
 
     // Always ensure sources array exists and has proper structure
     const sources = Array.isArray(aiResponse.sources) ? aiResponse.sources : [];
@@ -613,48 +980,105 @@ async function getEnhancedSmartResponseWithSources(prompt) {
     // Update the response with validated sources structure
     const responseWithSources = {
       ...aiResponse,
-      sources: sources.map((source) => ({
-        ...source,
-        tags: Array.isArray(source.tags) ? source.tags : [],
-        neutralityScore: source.neutralityScore || 0.5,
-        sentimentScore: source.sentimentScore || 0.5,
-        credibilityScore: source.credibilityScore || 0.5,
-      })),
+      sources: sources.map((source) =>
+        // Pending sources keep null scores so they don't skew the metrics
+        source.status === "pending"
+          ? { ...source, tags: [] }
+          : {
+              ...source,
+              tags: Array.isArray(source.tags) ? source.tags : [],
+              neutralityScore: source.neutralityScore || 0.5,
+              sentimentScore: source.sentimentScore || 0.5,
+              credibilityScore: source.credibilityScore || 0.5,
+            }
+      ),
     };
 
-    const biasInsights = await getBiasAnalysisInsights(responseWithSources);
+    const { aiMeta: biasMeta, ...biasInsights } =
+      await getBiasAnalysisInsights(responseWithSources);
+    emit("bias_analysis", { biasAnalysis: biasInsights });
+
     const sourceMetrics = calculateSourceMetrics(responseWithSources.sources);
     const researchQuality = assessResearchQuality(
       responseWithSources,
-      sourceMetrics
+      sourceMetrics,
+      options.citations
+    );
+    emit("metrics", { sourceMetrics, researchQuality });
+
+    const quickAssessment = generateQuickAssessment(
+      responseWithSources,
+      sourceMetrics,
+      researchQuality
     );
+    emit("quick_assessment", { quickAssessment });
 
     return {
       ...responseWithSources,
       biasAnalysis: biasInsights,
       sourceMetrics,
       researchQuality,
-      quickAssessment: generateQuickAssessment(
-        responseWithSources,
-        sourceMetrics,
-        researchQuality
-      ),
+      quickAssessment,
       sourcesValidated: true,
+      aiMeta: {
+        fallbackFields: collectFallbackFields(
+          aiFallbackFields,
+          responseWithSources.sources,
+          biasMeta
+        ),
+        cachedFields: collectCachedFields(
+          aiCachedFields,
+          responseWithSources.sources,
+          biasMeta
+        ),
+      },
     };
   } catch (error) {
+    if (options.signal?.aborted) throw error;
     console.error("Error in enhanced smart response:", error);
     return await getFallbackResponse(prompt);
   }
 }
 
+// Flattens every fallback marker into response paths, e.g. "sources[1].tags" or "biasAnalysis.keyFindings"
+function collectFallbackFields(topLevelFields, sources, biasMeta) {
+  const fields = [...topLevelFields];
+
+  sources.forEach((source, index) => {
+    (source.aiFallbackFields || []).forEach((field) =>
+      fields.push(`sources[${index}].${field}`)
+    );
+  });
+
+  (biasMeta?.fallbackFields || []).forEach((field) =>
+    fields.push(field === "*" ? "biasAnalysis" : `biasAnalysis.${field}`)
+  );
+
+  return fields;
+}
+
+// Same idea for cache hits, so clients can see which stages were served from the AI cache
+function collectCachedFields(topLevelFields, sources, biasMeta) {
+  const fields = [...topLevelFields];
+  sources.forEach((source, index) => {
+    if (source.aiCached) fields.push(`sources[${index}]`);
+  });
+  if (biasMeta?.cached) fields.push("biasAnalysis");
+  return fields;
+}
+
 // Updated main function
-async function getSmartResponseWithSources(prompt) {
-  return await getReliableSourcesWithFallback(prompt);
+async function getSmartResponseWithSources(prompt, options = {}) {
+  return await getReliableSourcesWithFallback(prompt, options);
 }
 
 // Helper functions (keep the same implementations as before)
-function calculateSourceMetrics(sources) {
-  if (!sources || sources.length === 0) {
+function calculateSourceMetrics(allSources) {
+  // Sources still pending enrichment have no scores yet
+  const sources = (allSources || []).filter(
+    (source) => source.status !== "pending"
+  );
+  if (sources.length === 0) {
     return {
       neutralityRange: { min: 0, max: 0, average: 0 },
       sentimentRange: { min: 0, max: 0, average: 0 },
@@ -702,7 +1126,9 @@ function countSourceTypes(sources) {
   return types;
 }
 
-function assessResearchQuality(aiResponse, sourceMetrics) {
+// citations (optional) is the analyzeCitations() block for a scraped article - how the
+// piece itself is sourced counts alongside the sources we found for it
+function assessResearchQuality(aiResponse, sourceMetrics, citations = null) {
   const {
     neutralityScore = 0.5,
     persuasionScore = 0.5,
@@ -756,8 +1182,28 @@ function assessResearchQuality(aiResponse, sourceMetrics) {
     factors.push("Adequate source quantity");
   }
 
+  if (citations) {
+    const { externalLinks, primarySourceRatio, socialMediaRatio } = citations;
+    if (externalLinks === 0) {
+      qualityScore -= 0.1;
+      factors.push("Article cites no outside sources");
+    } else if (primarySourceRatio >= 0.5) {
+      qualityScore += 0.15;
+      factors.push("Article cites primary sources");
+    } else if (primarySourceRatio > 0) {
+      qualityScore += 0.05;
+      factors.push("Article cites some primary sources");
+    } else {
+      factors.push("Article cites no primary sources");
+    }
+    if (socialMediaRatio > 0.5) {
+      qualityScore -= 0.05;
+      factors.push("Article relies mostly on social media links");
+    }
+  }
+
   return {
-    qualityScore: Math.min(qualityScore, 1),
+    qualityScore: Math.max(0, Math.min(qualityScore, 1)),
     factors,
     rating: qualityScore > 0.7 ? "high" : qualityScore > 0.4 ? "medium" : "low",
   };
@@ -839,10 +1285,19 @@ function checkPerspectiveBalance(neutralityScores) {
 }
 
 module.exports = {
+  callAIWithMeta,
+  validateAndEnrichSourcesWithScraping,
+  findValidatedSources,
   getNeutralityAndSentiment,
+  getNeutralityAndSentimentWithMeta,
   getTagsFromAI,
+  getTagsWithMeta,
   getGenSummary,
+  getSourceAnalysis,
   getSmartResponseWithSources,
   getEnhancedSmartResponseWithSources,
   getBiasAnalysisInsights,
+  calculateSourceMetrics,
+  assessResearchQuality,
+  generateQuickAssessment,
 };
@@ -0,0 +1,228 @@
+// services/aiValidation.js
+// Validates structured AI output against the same responseSchema we send to the model
+// (Gemini Type schema: type, properties, items, required, enum, minimum, maximum, minItems, maxItems)
+
+// Returns a list of { path, message } - empty when the value matches the schema
+function validateAgainstSchema(value, schema, path = "") {
+  const errors = [];
+  if (!schema || !schema.type) return errors;
+
+  const label = path || "response";
+  const fail = (message) => errors.push({ path: label, message });
+
+  switch (schema.type) {
+    case "OBJECT": {
+      if (!value || typeof value !== "object" || Array.isArray(value)) {
+        fail("expected an object");
+        break;
+      }
+      for (const key of schema.required || []) {
+        if (value[key] === undefined || value[key] === null) {
+          errors.push({
+            path: path ? `${path}.${key}` : key,
+            message: "is required",
+          });
+        }
+      }
+      for (const [key, propSchema] of Object.entries(schema.properties || {})) {
+        if (value[key] === undefined || value[key] === null) continue;
+        errors.push(
+          ...validateAgainstSchema(
+            value[key],
+            propSchema,
+            path ? `${path}.${key}` : key
+          )
+        );
+      }
+      break;
+    }
+    case "ARRAY": {
+      if (!Array.isArray(value)) {
+        fail("expected an array");
+        break;
+      }
+      if (schema.minItems !== undefined && value.length < schema.minItems) {
+        fail(`expected at least ${schema.minItems} items`);
+      }
+      if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+        fail(`expected at most ${schema.maxItems} items`);
+      }
+      value.forEach((item, index) => {
+        errors.push(
+          ...validateAgainstSchema(item, schema.items, `${label}[${index}]`)
+        );
+      });
+      break;
+    }
+    case "NUMBER":
+    case "INTEGER": {
+      if (typeof value !== "number" || Number.isNaN(value)) {
+        fail("expected a number");
+        break;
+      }
+      if (schema.type === "INTEGER" && !Number.isInteger(value)) {
+        fail("expected an integer");
+      }
+      if (schema.minimum !== undefined && value < schema.minimum) {
+        fail(`must be >= ${schema.minimum} (got ${value})`);
+      }
+      if (schema.maximum !== undefined && value > schema.maximum) {
+        fail(`must be <= ${schema.maximum} (got ${value})`);
+      }
+      break;
+    }
+    case "BOOLEAN":
+      if (typeof value !== "boolean") fail("expected a boolean");
+      break;
+    case "STRING":
+      if (typeof value !== "string") {
+        fail("expected a string");
+      } else if (schema.enum && !schema.enum.includes(value)) {
+        fail(`must be one of ${schema.enum.join(", ")}`);
+      }
+      break;
+    default:
+      break;
+  }
+
+  return errors;
+}
+
+// Best-effort recovery of JSON the model mangled: markdown fences, leading prose,
+// trailing commas and responses truncated mid-object
+function parseJsonLenient(text) {
+  if (!text || typeof text !== "string") return undefined;
+
+  let candidate = text
+    .trim()
+    .replace(/^```(?:json)?\s*/i, "")
+    .replace(/\s*```$/, "");
+
+  // Skip any prose before the first bracket
+  const start = candidate.search(/[[{]/);
+  if (start === -1) return undefined;
+  candidate = candidate.slice(start);
+
+  try {
+    return JSON.parse(candidate);
+  } catch (_) {
+    // fall through to repair
+  }
+
+  // Walk the text tracking open brackets/strings so a truncated response can be closed off
+  const stack = [];
+  let inString = false;
+  let escaped = false;
+  let lastSafeIndex = -1;
+  for (let i = 0; i < candidate.length; i++) {
+    const char = candidate[i];
+    if (inString) {
+      if (escaped) escaped = false;
+      else if (char === "\\") escaped = true;
+      else if (char === '"') inString = false;
+      continue;
+    }
+    if (char === '"') inString = true;
+    else if (char === "{" || char === "[") stack.push(char);
+    else if (char === "}" || char === "]") {
+      stack.pop();
+      if (stack.length === 0) {
+        lastSafeIndex = i;
+        break;
+      }
+    }
+  }
+
+  let repaired =
+    lastSafeIndex !== -1 ? candidate.slice(0, lastSafeIndex + 1) : candidate;
+  if (lastSafeIndex === -1) {
+    if (inString) repaired += '"';
+    // Drop a dangling key (inside objects) or comma before closing the open brackets
+    repaired =
+      stack[stack.length - 1] === "{"
+        ? repaired.replace(/,\s*("[^"]*"\s*)?$/, "")
+        : repaired.replace(/,\s*$/, "");
+    repaired = repaired.replace(/:\s*$/, ": null");
+    while (stack.length) repaired += stack.pop() === "{" ? "}" : "]";
+  }
+  repaired = repaired.replace(/,\s*([}\]])/g, "$1");
+
+  try {
+    return JSON.parse(repaired);
+  } catch (_) {
+    return undefined;
+  }
+}
+
+// Keeps every part of the model output that is valid and swaps invalid parts for the fallback,
+// recording the path of each swapped field in fallbackFields ("*" means the whole value)
+function mergeWithFallback(value, schema, fallback, fallbackFields, path = "") {
+  if (validateAgainstSchema(value, schema).length === 0) return value;
+
+  const record = () => fallbackFields.push(path || "*");
+
+  if (schema.type === "OBJECT") {
+    if (!value || typeof value !== "object" || Array.isArray(value)) {
+      record();
+      return fallback;
+    }
+    const merged = { ...value };
+    for (const [key, propSchema] of Object.entries(schema.properties || {})) {
+      const childPath = path ? `${path}.${key}` : key;
+      const fallbackChild = fallback ? fallback[key] : undefined;
+      if (value[key] === undefined || value[key] === null) {
+        if (fallbackChild !== undefined) {
+          merged[key] = fallbackChild;
+          fallbackFields.push(childPath);
+        }
+        continue;
+      }
+      merged[key] = mergeWithFallback(
+        value[key],
+        propSchema,
+        fallbackChild,
+        fallbackFields,
+        childPath
+      );
+    }
+    return merged;
+  }
+
+  if (schema.type === "ARRAY") {
+    if (!Array.isArray(value)) {
+      record();
+      return fallback;
+    }
+    // Invalid items are dropped rather than invented
+    const kept = value.filter((item, index) => {
+      const valid = validateAgainstSchema(item, schema.items).length === 0;
+      if (!valid) fallbackFields.push(`${path || "*"}[${index}]`);
+      return valid;
+    });
+    if (kept.length === 0 && Array.isArray(fallback) && fallback.length > 0) {
+      record();
+      return fallback;
+    }
+    return schema.maxItems !== undefined
+      ? kept.slice(0, schema.maxItems)
+      : kept;
+  }
+
+  record();
+  return fallback;
+}
+
+// Short, model-readable description of what was wrong with the last attempt
+function describeErrors(errors, limit = 8) {
+  return errors
+    .slice(0, limit)
+    .map((error) => `- ${error.path}: ${error.message}`)
+    .join("\n");
+}
+
+module.exports = {
+  validateAgainstSchema,
+  parseJsonLenient,
+  mergeWithFallback,
+  describeErrors,
+};
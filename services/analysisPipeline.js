@@ -0,0 +1,192 @@
+// services/analysisPipeline.js
+// The full /api/prompt and /api/deeper-scrape flows, shared by the JSON endpoints and their
+// streaming variants so both always return the same payload
+const { getEnhancedSmartResponseWithSources } = require("./aiServices");
+const {
+  deeperScrapeWebsite,
+  deeperAnalyzeContent,
+  scrapeUploadedDocument,
+} = require("./scrapper");
+const { saveSearchHistory } = require("./userHistory");
+const { verifyClaims } = require("./claimVerification");
+const { annotateLoadedLanguage } = require("./languageAnalysis");
+const { findCounterPerspectives } = require("./counterPerspectives");
+
+// Shape the enhanced AI response into what the frontend consumes
+function buildPromptResponse(enhancedResponse) {
+  const processedSources = enhancedResponse.sources.map((source) => ({
+    url: source.url,
+    title: source.title,
+    text: source.text,
+    tags: source.tags,
+    neutralityScore: source.neutralityScore,
+    sentimentScore: source.sentimentScore,
+    credibilityScore: source.credibilityScore,
+    credibilityBasis: source.credibilityBasis,
+    credibilityRule: source.credibilityRule,
+    domain: source.domain,
+    sourceType: source.sourceType,
+    verified: source.verified,
+    predefined: source.predefined,
+    status: source.status,
+    extractionConfidence: source.extractionConfidence ?? null,
+    extractor: source.extractor || null,
+    metadata: source.metadata || null,
+    document: source.document || null,
+    snapshot: source.snapshot || null,
+    analysisRationale: source.analysisRationale,
+    aiGenerated: false,
+    aiFallbackFields: source.aiFallbackFields || [],
+    aiCached: source.aiCached || false,
+  }));
+
+  return {
+    // Core response
+    summary: enhancedResponse.summary,
+    neutralityScore: enhancedResponse.neutralityScore,
+    persuasionScore: enhancedResponse.persuasionScore,
+    sources: processedSources,
+    // sources skipped because robots.txt disallows them (replacements are already in sources)
+    blockedSources: enhancedResponse.blockedSources || [],
+
+    // Enhanced educational content
+    biasAnalysis: enhancedResponse.biasAnalysis,
+    sourceMetrics: enhancedResponse.sourceMetrics,
+    researchQuality: enhancedResponse.researchQuality,
+    quickAssessment: enhancedResponse.quickAssessment,
+    sourcesValidated: enhancedResponse.sourcesValidated,
+    aiMeta: enhancedResponse.aiMeta,
+  };
+}
+
+// Wraps onProgress so an aborted run (cancelled job) stops at the next stage boundary
+function createReporter(onProgress, signal) {
+  return (event, data) => {
+    if (signal) signal.throwIfAborted();
+    if (onProgress) onProgress(event, data);
+  };
+}
+
+// Prompt -> enhanced response -> (claims, counter-perspectives) -> history.
+// Returns null when the AI response failed entirely
+async function runPromptAnalysis(
+  prompt,
+  userId,
+  {
+    onProgress,
+    signal,
+    includeClaims = false,
+    includeCounterPerspectives = false,
+  } = {}
+) {
+  const report = createReporter(onProgress, signal);
+
+  const enhancedResponse = await getEnhancedSmartResponseWithSources(prompt, {
+    onProgress: report,
+    signal,
+  });
+  if (!enhancedResponse) return null;
+
+  const responseData = buildPromptResponse(enhancedResponse);
+
+  // Claims are checked against the raw enriched sources, which still carry scrapedSuccessfully
+  if (includeClaims) {
+    responseData.claims = await verifyClaims(
+      enhancedResponse.summary,
+      enhancedResponse.sources
+    );
+    report("claims", { claims: responseData.claims });
+  }
+
+  if (includeCounterPerspectives) {
+    responseData.counterPerspectives = await findCounterPerspectives(
+      responseData,
+      {
+        onSourceEnriched: (source, index) =>
+          report("counter_source_enriched", { index, source }),
+      }
+    );
+    report("counter_perspectives", {
+      counterPerspectives: responseData.counterPerspectives,
+    });
+  }
+
+  // Never write history for a run that was cancelled
+  if (signal) signal.throwIfAborted();
+  const historyEntry = await saveSearchHistory(userId, prompt, responseData);
+  report("history_saved", { historyId: historyEntry._id });
+
+  return responseData;
+}
+
+// URL -> deeper scrape + AI analysis -> (annotations) -> history. Returns null when the page couldn't be scraped
+async function runDeeperScrape(
+  url,
+  userId,
+  { onProgress, signal, annotate = false } = {}
+) {
+  const report = createReporter(onProgress, signal);
+
+  const result = await deeperScrapeWebsite(
+    url,
+    getEnhancedSmartResponseWithSources,
+    { onProgress: report, signal }
+  );
+  if (!result) return null;
+
+  await annotateMain(result, annotate, report);
+
+  if (signal) signal.throwIfAborted();
+  const historyEntry = await saveSearchHistory(userId, url, result);
+  report("history_saved", { historyId: historyEntry._id });
+
+  return result;
+}
+
+// Loaded-language spans for the main article, offsets point into annotations.text
+async function annotateMain(result, annotate, report) {
+  if (!annotate || !result.main?.text) return;
+  result.main.annotations = await annotateLoadedLanguage(result.main.text);
+  report("annotations", {
+    spanCount: result.main.annotations.spans.length,
+  });
+}
+
+// Same analysis as runDeeperScrape for an uploaded PDF / text / Markdown file.
+// Resolves with null when the file has too little extractable text (scanned PDFs).
+async function runDocumentAnalysis(
+  file,
+  userId,
+  { onProgress, signal, annotate = false } = {}
+) {
+  const report = createReporter(onProgress, signal);
+
+  const mainResult = await scrapeUploadedDocument(file.buffer, {
+    filename: file.originalname,
+    contentType: file.mimetype,
+  });
+  if (!mainResult) return null;
+
+  const result = await deeperAnalyzeContent(
+    mainResult,
+    getEnhancedSmartResponseWithSources,
+    { onProgress: report, signal }
+  );
+  if (!result) return null;
+
+  await annotateMain(result, annotate, report);
+
+  if (signal) signal.throwIfAborted();
+  const historyEntry = await saveSearchHistory(userId, mainResult.url, result);
+  report("history_saved", { historyId: historyEntry._id });
+
+  return result;
+}
+
+module.exports = {
+  buildPromptResponse,
+  createReporter,
+  runPromptAnalysis,
+  runDeeperScrape,
+  runDocumentAnalysis,
+};
@@ -0,0 +1,216 @@
+// services/batchAnalysis.js
+// Many articles at once - from a feed or a list of URLs - each scraped and analysed (summary,
+// neutrality, sentiment, tags, credibility), rolled up into per-outlet averages and tag counts
+const { getGenSummary, getSourceAnalysis } = require("./aiServices");
+const { scrapeWebsite } = require("./scrapper");
+const { fetchFeed } = require("./feedParser");
+const { createReporter } = require("./analysisPipeline");
+const { saveSearchHistory } = require("./userHistory");
+const { extractDomain, getCredibility } = require("./domainReputation");
+const { createLimiter } = require("../utils/concurrency");
+const { FetchError } = require("../utils/safeFetch");
+const { batch: batchConfig } = require("../config/scraper");
+
+const TOP_TAGS = 30;
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+function average(values) {
+  const present = values.filter((value) => typeof value === "number");
+  if (present.length === 0) return null;
+  return round(present.reduce((sum, value) => sum + value, 0) / present.length);
+}
+
+// Feed items or plain URLs -> [{ url, title, publishedAt }], deduplicated and capped
+async function resolveBatchItems({ feedUrl, urls }, limit) {
+  const maxItems = Math.min(
+    limit || batchConfig.maxItems,
+    batchConfig.maxItems
+  );
+
+  if (feedUrl) {
+    const feed = await fetchFeed(feedUrl);
+    return {
+      feed: {
+        url: feed.url,
+        title: feed.title,
+        link: feed.link,
+        format: feed.format,
+        itemCount: feed.items.length,
+      },
+      items: feed.items.slice(0, maxItems),
+    };
+  }
+
+  const unique = [...new Set(urls.map((url) => String(url).trim()))];
+  return {
+    feed: null,
+    items: unique
+      .slice(0, maxItems)
+      .map((url) => ({ url, title: null, publishedAt: null })),
+  };
+}
+
+// Scrape + summary + structured analysis for one article. Never throws for a bad article -
+// failures come back as items with a status so the rest of the batch carries on.
+async function analyzeBatchItem(item) {
+  const domain = extractDomain(item.url);
+  const base = {
+    url: item.url,
+    title: item.title,
+    domain,
+    publishedAt: item.publishedAt,
+  };
+
+  try {
+    const scraped = await scrapeWebsite(item.url);
+    if (!scraped) {
+      return {
+        ...base,
+        status: "failed",
+        error: "Unable to scrape the article",
+      };
+    }
+
+    const [summary, analysis] = await Promise.all([
+      getGenSummary(scraped.text),
+      getSourceAnalysis(scraped.text.substring(0, 3000)),
+    ]);
+    const credibility = getCredibility(domain);
+
+    return {
+      ...base,
+      title: scraped.title || item.title,
+      publishedAt: scraped.metadata?.publishedAt || item.publishedAt,
+      status: "analyzed",
+      summary,
+      neutralityScore: analysis.neutralityScore,
+      sentimentScore: analysis.sentimentScore,
+      tags: analysis.tags,
+      analysisRationale: analysis.rationale,
+      credibilityScore: credibility.score,
+      credibilityBasis: credibility.basis,
+      extractionConfidence: scraped.extraction?.confidence ?? null,
+      snapshot: scraped.snapshot || null,
+      aiFallbackFields: analysis.aiMeta.fallbackFields,
+    };
+  } catch (error) {
+    if (error instanceof FetchError) {
+      return {
+        ...base,
+        status:
+          error.code === "BLOCKED_BY_ROBOTS" ? "blocked_by_robots" : "failed",
+        error: error.message,
+        code: error.code,
+      };
+    }
+    console.error(`Batch item failed for ${item.url}:`, error.message);
+    return { ...base, status: "failed", error: "Analysis failed" };
+  }
+}
+
+// Aggregate report over the items analysed so far - also used for partial results
+function buildBatchReport(items, totalItems = items.length) {
+  const analyzed = items.filter((item) => item.status === "analyzed");
+
+  const byOutlet = new Map();
+  analyzed.forEach((item) => {
+    if (!byOutlet.has(item.domain)) byOutlet.set(item.domain, []);
+    byOutlet.get(item.domain).push(item);
+  });
+  const outlets = [...byOutlet.entries()]
+    .map(([domain, outletItems]) => ({
+      domain,
+      articleCount: outletItems.length,
+      averageNeutrality: average(
+        outletItems.map((item) => item.neutralityScore)
+      ),
+      averageSentiment: average(outletItems.map((item) => item.sentimentScore)),
+      credibilityScore: outletItems[0].credibilityScore,
+    }))
+    .sort((a, b) => b.articleCount - a.articleCount);
+
+  // tags are counted once per article, case-insensitively
+  const tagCounts = new Map();
+  analyzed.forEach((item) => {
+    new Set((item.tags || []).map((tag) => tag.trim().toLowerCase())).forEach(
+      (tag) => {
+        if (tag) tagCounts.set(tag, (tagCounts.get(tag) || 0) + 1);
+      }
+    );
+  });
+  const tagFrequencies = [...tagCounts.entries()]
+    .map(([tag, count]) => ({ tag, count }))
+    .sort((a, b) => b.count - a.count || a.tag.localeCompare(b.tag))
+    .slice(0, TOP_TAGS);
+
+  return {
+    totalItems,
+    processedItems: items.length,
+    analyzedItems: analyzed.length,
+    failedItems: items.length - analyzed.length,
+    averageNeutrality: average(analyzed.map((item) => item.neutralityScore)),
+    averageSentiment: average(analyzed.map((item) => item.sentimentScore)),
+    averageCredibility: average(analyzed.map((item) => item.credibilityScore)),
+    outlets,
+    tagFrequencies,
+  };
+}
+
+// input: { feedUrl } or { urls: [...] }, optional limit. Emits batch_started, one batch_item
+// per finished article (with the report so far) and history_saved.
+async function runBatchAnalysis(input, userId, { onProgress, signal } = {}) {
+  const report = createReporter(onProgress, signal);
+
+  const { feed, items } = await resolveBatchItems(input, input.limit);
+  report("batch_started", { feed, totalItems: items.length });
+
+  const limit = createLimiter(batchConfig.concurrency);
+  const results = [];
+  await Promise.all(
+    items.map((item, index) =>
+      limit(async () => {
+        // cancelled batches stop picking up new articles
+        if (signal) signal.throwIfAborted();
+        const result = { index, ...(await analyzeBatchItem(item)) };
+        results.push(result);
+        report("batch_item", {
+          item: result,
+          report: buildBatchReport(results, items.length),
+        });
+      })
+    )
+  );
+
+  results.sort((a, b) => a.index - b.index);
+  const batchReport = buildBatchReport(results, items.length);
+  const result = {
+    feed,
+    summary: `Analysed ${batchReport.analyzedItems} of ${
+      items.length
+    } articles${feed?.title ? ` from ${feed.title}` : ""}`,
+    neutralityScore: batchReport.averageNeutrality,
+    report: batchReport,
+    items: results,
+    analyzedAt: new Date().toISOString(),
+  };
+
+  if (signal) signal.throwIfAborted();
+  const historyEntry = await saveSearchHistory(
+    userId,
+    feed?.url || `batch:${items.length} urls`,
+    result,
+    { entryType: "batch" }
+  );
+  report("history_saved", { historyId: historyEntry._id });
+
+  return result;
+}
+
+module.exports = {
+  runBatchAnalysis,
+  analyzeBatchItem,
+  buildBatchReport,
+};
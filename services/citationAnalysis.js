@@ -0,0 +1,197 @@
+// services/citationAnalysis.js
+// Outbound citations of a scraped article: classify the links in the article body with the
+// domain reputation registry and work out how densely (and how primarily) the piece is sourced
+const { parse } = require("tldts");
+const { findReputationRule, normalizeDomain } = require("./domainReputation");
+
+const CITATION_CATEGORIES = [
+  "same_site",
+  "primary_source",
+  "academic",
+  "government",
+  "news",
+  "social_media",
+  "other",
+];
+
+// Categories counted as primary sourcing (original documents, research, official records)
+const PRIMARY_CATEGORIES = ["primary_source", "academic", "government"];
+
+const SOCIAL_MEDIA_DOMAINS = [
+  "twitter.com",
+  "x.com",
+  "facebook.com",
+  "instagram.com",
+  "threads.net",
+  "tiktok.com",
+  "youtube.com",
+  "youtu.be",
+  "reddit.com",
+  "linkedin.com",
+  "t.me",
+  "bsky.app",
+  "mastodon.social",
+  "truthsocial.com",
+];
+
+// Scholarly hosts that the registry's suffix rules (edu, ac.uk, ...) don't cover
+const ACADEMIC_DOMAINS = [
+  "doi.org",
+  "arxiv.org",
+  "jstor.org",
+  "ssrn.com",
+  "pubmed.ncbi.nlm.nih.gov",
+  "scholar.google.com",
+  "nature.com",
+  "science.org",
+  "sciencedirect.com",
+  "springer.com",
+  "wiley.com",
+  "plos.org",
+  "thelancet.com",
+  "nejm.org",
+  "bmj.com",
+];
+
+// Links straight to documents and datasets are primary material wherever they are hosted
+const DOCUMENT_PATTERN = /\.(pdf|csv|xlsx?|json|docx?|pptx?)$/i;
+
+const MAX_LISTED_LINKS = 100;
+
+function matchesDomain(host, domains) {
+  return domains.some(
+    (domain) => host === domain || host.endsWith(`.${domain}`)
+  );
+}
+
+// Registry categories collapsed into citation classes. Suffix rules only count for
+// academic / government - the generic "org" or "com" rules say nothing about the site.
+function categoryFromRule(match) {
+  if (!match) return null;
+  const { rule } = match;
+  if (
+    rule.matchType === "suffix" &&
+    !["academic", "government"].includes(rule.category)
+  ) {
+    return null;
+  }
+
+  switch (rule.category) {
+    case "academic":
+      return "academic";
+    case "government":
+      return "government";
+    case "established_news":
+    case "news":
+      return "news";
+    // official statements / reports from organisations and health bodies
+    case "organization":
+    case "medical":
+      return "primary_source";
+    default:
+      return null;
+  }
+}
+
+// registrable domain ("bbc.co.uk"), or the bare host for IPs / localhost
+function siteOf(hostname) {
+  return parse(hostname).domain || normalizeDomain(hostname);
+}
+
+function classifyLink(url, pageSite) {
+  const host = normalizeDomain(url.hostname);
+
+  if (siteOf(url.hostname) === pageSite) return "same_site";
+  if (matchesDomain(host, SOCIAL_MEDIA_DOMAINS)) return "social_media";
+  if (DOCUMENT_PATTERN.test(url.pathname)) return "primary_source";
+  if (/^data\./.test(host)) return "primary_source";
+
+  const fromRule = categoryFromRule(findReputationRule(host));
+  if (fromRule) return fromRule;
+
+  if (matchesDomain(host, ACADEMIC_DOMAINS)) return "academic";
+  return "other";
+}
+
+// links: [{ href, text }] from the content extractor, resolved against the page URL.
+// Returns counts per category, density per 1,000 words and the primary-source ratio.
+// Uploaded documents have no page URL - every absolute link counts as external.
+function analyzeCitations(links, pageUrl, articleText = "") {
+  let page = null;
+  try {
+    page = new URL(pageUrl);
+    page.hash = "";
+  } catch (_) {
+    // "upload:report.pdf" and friends
+  }
+  if (page && !["http:", "https:"].includes(page.protocol)) page = null;
+  const pageSite = page ? siteOf(page.hostname) : null;
+  const seen = new Set();
+  const citations = [];
+
+  for (const link of links || []) {
+    let url;
+    try {
+      url = new URL(link.href, page || undefined);
+    } catch (_) {
+      continue;
+    }
+    if (!["http:", "https:"].includes(url.protocol)) continue;
+
+    url.hash = "";
+    // in-page anchors and the article linking to itself aren't citations
+    if (page && url.href === page.href) continue;
+    if (seen.has(url.href)) continue;
+    seen.add(url.href);
+
+    citations.push({
+      url: url.href,
+      text: link.text || null,
+      domain: normalizeDomain(url.hostname),
+      category: classifyLink(url, pageSite),
+    });
+  }
+
+  const byCategory = Object.fromEntries(
+    CITATION_CATEGORIES.map((category) => [
+      category,
+      citations.filter((citation) => citation.category === category).length,
+    ])
+  );
+  const external = citations.length - byCategory.same_site;
+  const primary = PRIMARY_CATEGORIES.reduce(
+    (total, category) => total + byCategory[category],
+    0
+  );
+  const wordCount = articleText.split(/\s+/).filter(Boolean).length;
+
+  return {
+    totalLinks: citations.length,
+    externalLinks: external,
+    internalLinks: byCategory.same_site,
+    uniqueDomains: new Set(
+      citations
+        .filter((citation) => citation.category !== "same_site")
+        .map((citation) => citation.domain)
+    ).size,
+    byCategory,
+    // external citations per 1,000 words of article text
+    citationDensity:
+      wordCount > 0 ? Math.round((external / wordCount) * 1000 * 100) / 100 : 0,
+    // share of external citations pointing at primary material
+    primarySourceRatio:
+      external > 0 ? Math.round((primary / external) * 100) / 100 : 0,
+    socialMediaRatio:
+      external > 0
+        ? Math.round((byCategory.social_media / external) * 100) / 100
+        : 0,
+    wordCount,
+    links: citations.slice(0, MAX_LISTED_LINKS),
+  };
+}
+
+module.exports = {
+  analyzeCitations,
+  classifyLink,
+  CITATION_CATEGORIES,
+};
@@ -0,0 +1,192 @@
+// services/claimVerification.js
+// Splits a summary or article into discrete factual claims and checks each one against the
+// validated sources, quoting the passage that supports or contradicts it
+const { Type } = require("@google/genai");
+const { callAIWithMeta } = require("./aiServices");
+const { createLimiter } = require("../utils/concurrency");
+const { findQuoteInText } = require("../utils/textSpans");
+
+const MAX_CLAIMS = 10;
+const verificationLimit = createLimiter(3);
+
+async function extractClaims(text) {
+  const responseSchema = {
+    type: Type.ARRAY,
+    items: {
+      type: Type.OBJECT,
+      properties: {
+        claim: { type: Type.STRING },
+        checkable: { type: Type.BOOLEAN },
+      },
+      required: ["claim"],
+    },
+    maxItems: MAX_CLAIMS,
+  };
+
+  const prompt = `Split the following text into at most ${MAX_CLAIMS} discrete factual claims. Each claim must be a single self-contained, checkable statement (no opinions, no questions). Mark checkable=false for claims that cannot be verified against sources.
+
+TEXT:
+${text.substring(0, 6000)}`;
+
+  const { value, aiMeta } = await callAIWithMeta(
+    "claims",
+    {
+      prompt,
+      responseSchema,
+      systemInstruction:
+        "Return only a JSON array of { claim, checkable } objects.",
+    },
+    []
+  );
+
+  const claims = value
+    .filter((item) => item.claim && item.checkable !== false)
+    .map((item) => item.claim.trim());
+
+  return { claims, aiMeta };
+}
+
+// One AI call per source covering every claim
+async function checkClaimsAgainstSource(claims, source) {
+  const responseSchema = {
+    type: Type.ARRAY,
+    items: {
+      type: Type.OBJECT,
+      properties: {
+        claimIndex: { type: Type.INTEGER, minimum: 0 },
+        verdict: {
+          type: Type.STRING,
+          enum: ["supports", "contradicts", "not_mentioned"],
+        },
+        quote: { type: Type.STRING },
+      },
+      required: ["claimIndex", "verdict"],
+    },
+  };
+
+  const claimList = claims
+    .map((claim, index) => `${index}. ${claim}`)
+    .join("\n");
+
+  const prompt = `For each numbered claim, decide whether the SOURCE TEXT supports it, contradicts it, or does not mention it. For supports/contradicts, copy the relevant passage from the source text WORD FOR WORD into quote (one or two sentences, no paraphrasing).
+
+CLAIMS:
+${claimList}
+
+SOURCE (${source.url}):
+${source.text}`;
+
+  const { value } = await callAIWithMeta(
+    "claims",
+    {
+      prompt,
+      responseSchema,
+      systemInstruction:
+        "Return only a JSON array of { claimIndex, verdict, quote }. Quotes must be copied exactly from the source text.",
+    },
+    []
+  );
+
+  return value;
+}
+
+function summarizeVerdicts(sourceResults) {
+  const counts = { supports: 0, contradicts: 0, not_mentioned: 0 };
+  sourceResults.forEach((result) => counts[result.verdict]++);
+
+  let status = "unsupported";
+  if (counts.supports > 0 && counts.contradicts > 0) status = "contested";
+  else if (counts.contradicts > 0) status = "contradicted";
+  else if (counts.supports > 0) status = "supported";
+
+  return {
+    supports: counts.supports,
+    contradicts: counts.contradicts,
+    notMentioned: counts.not_mentioned,
+    status,
+  };
+}
+
+// Main entry point - sources need url/title/text, only successfully scraped ones are used
+async function verifyClaims(text, sources) {
+  const { claims, aiMeta } = await extractClaims(text);
+  const fallbackFields = aiMeta.fallbackFields.length ? ["claims"] : [];
+
+  const usableSources = (sources || [])
+    .filter((source) => source.scrapedSuccessfully && source.text)
+    .map((source) => ({
+      url: source.url,
+      title: source.title,
+      domain: source.domain,
+      // enrichment appends "..." to truncated text, which would never match a quote
+      text: source.text.replace(/\.\.\.$/, ""),
+    }));
+
+  if (claims.length === 0 || usableSources.length === 0) {
+    return {
+      claims: claims.map((claim) => ({
+        claim,
+        sources: [],
+        ...summarizeVerdicts([]),
+      })),
+      sourcesChecked: usableSources.length,
+      aiMeta: { fallbackFields },
+    };
+  }
+
+  const perSource = await Promise.all(
+    usableSources.map((source) =>
+      verificationLimit(() => checkClaimsAgainstSource(claims, source))
+    )
+  );
+
+  const results = claims.map((claim, claimIndex) => {
+    const sourceResults = usableSources.map((source, sourceIndex) => {
+      const judgement = perSource[sourceIndex].find(
+        (item) => item.claimIndex === claimIndex
+      );
+      const verdict = judgement?.verdict || "not_mentioned";
+
+      if (verdict === "not_mentioned") {
+        return { url: source.url, title: source.title, verdict };
+      }
+
+      // A verdict is only kept if its quote really exists in the scraped text
+      const match = findQuoteInText(judgement.quote, source.text);
+      if (!match) {
+        return {
+          url: source.url,
+          title: source.title,
+          verdict: "not_mentioned",
+          quoteRejected: true,
+        };
+      }
+
+      return {
+        url: source.url,
+        title: source.title,
+        verdict,
+        quote: match.quote,
+        quoteStart: match.start,
+        quoteEnd: match.end,
+      };
+    });
+
+    return {
+      claim,
+      sources: sourceResults,
+      ...summarizeVerdicts(sourceResults),
+    };
+  });
+
+  return {
+    claims: results,
+    sourcesChecked: usableSources.length,
+    aiMeta: { fallbackFields },
+  };
+}
+
+module.exports = {
+  verifyClaims,
+  extractClaims,
+};
@@ -0,0 +1,170 @@
+// services/collections.js
+// User-owned collections of history entries. Membership is stored on the entries
+// (SearchHistory.collectionIds), so an entry can sit in several collections and deleting a
+// collection leaves its entries in the history.
+const mongoose = require("mongoose");
+const Collection = require("../models/Collection");
+const SearchHistory = require("../models/SearchHistory");
+
+const TOP_DOMAINS = 20;
+const TOP_TAGS = 20;
+
+function round(value) {
+  return typeof value === "number" ? Math.round(value * 100) / 100 : null;
+}
+
+async function countCollections(userId) {
+  return Collection.countDocuments({ userId });
+}
+
+// Collections by name, each with its entry count
+async function listCollections(userId) {
+  const collections = await Collection.find({ userId })
+    .sort({ name: 1 })
+    .lean();
+  const counts = await SearchHistory.aggregate([
+    { $match: { userId, "collectionIds.0": { $exists: true } } },
+    { $unwind: "$collectionIds" },
+    { $group: { _id: "$collectionIds", count: { $sum: 1 } } },
+  ]);
+  const countById = new Map(
+    counts.map(({ _id, count }) => [String(_id), count])
+  );
+  return collections.map((collection) => ({
+    ...collection,
+    entryCount: countById.get(String(collection._id)) || 0,
+  }));
+}
+
+async function createCollection(userId, { name, description }) {
+  const collection = new Collection({ userId, name, description });
+  await collection.save();
+  return collection;
+}
+
+async function getCollection(collectionId, userId) {
+  return Collection.findOne({ _id: collectionId, userId });
+}
+
+async function updateCollection(collectionId, userId, { name, description }) {
+  const update = { updatedAt: new Date() };
+  if (name !== undefined) update.name = name;
+  if (description !== undefined) update.description = description;
+  return Collection.findOneAndUpdate({ _id: collectionId, userId }, update, {
+    new: true,
+    runValidators: true,
+  });
+}
+
+// The entries stay in the history, they just leave the collection
+async function deleteCollection(collectionId, userId) {
+  const collection = await Collection.findOneAndDelete({
+    _id: collectionId,
+    userId,
+  });
+  if (collection) {
+    await SearchHistory.updateMany(
+      { userId, collectionIds: collection._id },
+      { $pull: { collectionIds: collection._id } }
+    );
+  }
+  return collection;
+}
+
+// Only the user's own entries are added; resolves with { matched, added }
+async function addEntriesToCollection(collection, userId, historyIds) {
+  const result = await SearchHistory.updateMany(
+    { _id: { $in: historyIds }, userId },
+    { $addToSet: { collectionIds: collection._id } }
+  );
+  return { matched: result.matchedCount, added: result.modifiedCount };
+}
+
+async function removeEntryFromCollection(collection, userId, historyId) {
+  const result = await SearchHistory.updateOne(
+    { _id: historyId, userId, collectionIds: collection._id },
+    { $pull: { collectionIds: collection._id } }
+  );
+  return result.modifiedCount > 0;
+}
+
+// Aggregates over a collection's entries: average scores, entry types, date range, the
+// domains the research draws on (and how concentrated it is on the top one) and tags
+async function getCollectionStats(collection, userId) {
+  const [facets] = await SearchHistory.aggregate([
+    {
+      $match: {
+        userId,
+        collectionIds: new mongoose.Types.ObjectId(String(collection._id)),
+      },
+    },
+    {
+      $facet: {
+        totals: [
+          {
+            $group: {
+              _id: null,
+              entryCount: { $sum: 1 },
+              averageNeutrality: { $avg: "$resultSummary.neutralityScore" },
+              averagePersuasion: { $avg: "$resultSummary.persuasionScore" },
+              firstEntryAt: { $min: "$timestamp" },
+              lastEntryAt: { $max: "$timestamp" },
+            },
+          },
+        ],
+        entryTypes: [{ $group: { _id: "$entryType", count: { $sum: 1 } } }],
+        domains: [
+          { $unwind: "$sourceDomains" },
+          { $group: { _id: "$sourceDomains", count: { $sum: 1 } } },
+          { $sort: { count: -1, _id: 1 } },
+        ],
+        tags: [
+          { $unwind: "$tags" },
+          { $group: { _id: "$tags", count: { $sum: 1 } } },
+          { $sort: { count: -1, _id: 1 } },
+          { $limit: TOP_TAGS },
+        ],
+      },
+    },
+  ]);
+
+  const totals = facets.totals[0] || { entryCount: 0 };
+  const domainMentions = facets.domains.reduce(
+    (total, domain) => total + domain.count,
+    0
+  );
+  return {
+    entryCount: totals.entryCount,
+    averageNeutrality: round(totals.averageNeutrality),
+    averagePersuasion: round(totals.averagePersuasion),
+    firstEntryAt: totals.firstEntryAt || null,
+    lastEntryAt: totals.lastEntryAt || null,
+    entryTypes: Object.fromEntries(
+      facets.entryTypes.map(({ _id, count }) => [_id || "unknown", count])
+    ),
+    domainSpread: {
+      distinctDomains: facets.domains.length,
+      // share of all domain mentions taken by the most-cited domain - 1 means a single source
+      topDomainShare:
+        domainMentions > 0
+          ? round(facets.domains[0].count / domainMentions)
+          : null,
+      domains: facets.domains
+        .slice(0, TOP_DOMAINS)
+        .map(({ _id, count }) => ({ domain: _id, entryCount: count })),
+    },
+    tags: facets.tags.map(({ _id, count }) => ({ tag: _id, count })),
+  };
+}
+
+module.exports = {
+  countCollections,
+  listCollections,
+  createCollection,
+  getCollection,
+  updateCollection,
+  deleteCollection,
+  addEntriesToCollection,
+  removeEntryFromCollection,
+  getCollectionStats,
+};
@@ -0,0 +1,413 @@
+// services/contentExtractor.js
+// Readability-style main-content extraction: strip boilerplate, score text blocks, pick the
+// container holding the article and walk it into clean text plus a structured outline
+
+// Containers that look like boilerplate unless they also look like content
+const UNLIKELY_PATTERN =
+  /cookie|consent|gdpr|banner|comment|disqus|related|recommend|share|social|promo|newsletter|subscribe|signup|advert|sponsor|\bads?\b|sidebar|footer|masthead|\bnav|menu|popup|modal|breadcrumb|teaser|outbrain|taboola|paywall|skip-link/i;
+const POSITIVE_PATTERN =
+  /article|content|main|body|story|post|entry|text|blog|prose/i;
+const NEGATIVE_PATTERN =
+  /comment|related|share|social|footer|sidebar|promo|advert|sponsor|widget|teaser|meta|tags|byline-list/i;
+
+const REMOVE_SELECTOR = [
+  "script",
+  "style",
+  "noscript",
+  "template",
+  "iframe",
+  "svg",
+  "canvas",
+  "form",
+  "button",
+  "input",
+  "select",
+  "textarea",
+  "nav",
+  "aside",
+  "footer",
+  "[role=navigation]",
+  "[role=banner]",
+  "[role=contentinfo]",
+  "[role=complementary]",
+  "[role=dialog]",
+  "[aria-hidden=true]",
+  "[hidden]",
+].join(",");
+
+const BLOCK_TAGS = new Set([
+  "address",
+  "article",
+  "blockquote",
+  "body",
+  "dd",
+  "details",
+  "div",
+  "dl",
+  "dt",
+  "figcaption",
+  "figure",
+  "h1",
+  "h2",
+  "h3",
+  "h4",
+  "h5",
+  "h6",
+  "header",
+  "hr",
+  "li",
+  "main",
+  "ol",
+  "p",
+  "pre",
+  "section",
+  "table",
+  "ul",
+]);
+
+// <br> is swapped for this so text() keeps line breaks without confusing them with source newlines
+const LINE_BREAK = "\u2028";
+const MIN_PARAGRAPH_LENGTH = 25;
+const MAX_OUTLINE_BLOCKS = 300;
+const LOW_CONFIDENCE_THRESHOLD = 0.5;
+
+const cleanText = (text) => (text || "").replace(/\s+/g, " ").trim();
+
+const isTag = (node) => node && node.type === "tag";
+
+const hasBlockChildren = ($, el) =>
+  $(el)
+    .children()
+    .toArray()
+    .some((child) => BLOCK_TAGS.has(child.tagName));
+
+// Share of the element's text that sits inside links - nav lists and teasers are mostly links
+const getLinkDensity = ($, el) => {
+  const textLength = cleanText($(el).text()).length;
+  if (textLength === 0) return 0;
+  const linkLength = $(el)
+    .find("a")
+    .toArray()
+    .reduce((total, link) => total + cleanText($(link).text()).length, 0);
+  return Math.min(linkLength / textLength, 1);
+};
+
+const getClassWeight = (el) => {
+  const label = `${el.attribs?.class || ""} ${el.attribs?.id || ""}`;
+  let weight = 0;
+  if (POSITIVE_PATTERN.test(label)) weight += 25;
+  if (NEGATIVE_PATTERN.test(label)) weight -= 25;
+  if (el.attribs?.itemprop === "articleBody") weight += 25;
+  return weight;
+};
+
+const getBaseScore = (el) => {
+  const tagScores = {
+    article: 10,
+    main: 5,
+    div: 5,
+    section: 3,
+    pre: 3,
+    td: 3,
+    blockquote: 3,
+    form: -3,
+    ol: -3,
+    ul: -3,
+    dl: -3,
+    li: -3,
+    h1: -5,
+    h2: -5,
+    h3: -5,
+    h4: -5,
+    h5: -5,
+    h6: -5,
+    th: -5,
+  };
+  return (tagScores[el.tagName] || 0) + getClassWeight(el);
+};
+
+// protectedRoots (a site extractor's content containers) and their ancestors are never swept
+// as "unlikely" - the site's own markup decides what the article is
+const removeBoilerplate = ($, protectedRoots = []) => {
+  const keep = new Set();
+  protectedRoots.forEach((root) => {
+    for (let node = root; isTag(node); node = node.parent) keep.add(node);
+  });
+
+  $(REMOVE_SELECTOR).remove();
+  $("br").replaceWith(LINE_BREAK);
+  // a <header> inside the article often holds the headline, page-level ones are chrome
+  $("header")
+    .filter((_, el) => $(el).closest("article, main").length === 0)
+    .remove();
+
+  $("*").each((_, el) => {
+    if (["html", "body", "article", "main"].includes(el.tagName)) return;
+    if (keep.has(el)) return;
+    const label = `${el.attribs?.class || ""} ${el.attribs?.id || ""}`;
+    if (
+      UNLIKELY_PATTERN.test(label) &&
+      !POSITIVE_PATTERN.test(label) &&
+      $(el).closest("[itemprop=articleBody]").length === 0
+    ) {
+      $(el).remove();
+    }
+  });
+};
+
+// Paragraph-like blocks add to their parent (full score) and grandparent (half)
+const scoreCandidates = ($) => {
+  const scores = new Map();
+  const addScore = (el, amount) => {
+    if (!isTag(el) || el.tagName === "html") return;
+    if (!scores.has(el)) scores.set(el, getBaseScore(el));
+    scores.set(el, scores.get(el) + amount);
+  };
+
+  $("p, pre, td, blockquote, li, div").each((_, el) => {
+    // divs only count when they hold text directly (div-only layouts)
+    if (el.tagName === "div" && hasBlockChildren($, el)) return;
+
+    const text = cleanText($(el).text());
+    if (text.length < MIN_PARAGRAPH_LENGTH) return;
+
+    const contentScore =
+      1 +
+      (text.match(/,/g) || []).length +
+      Math.min(Math.floor(text.length / 100), 3);
+    addScore(el.parent, contentScore);
+    addScore(el.parent?.parent, contentScore / 2);
+  });
+
+  const ranked = [...scores.entries()]
+    .map(([el, score]) => ({ el, score: score * (1 - getLinkDensity($, el)) }))
+    .sort((a, b) => b.score - a.score);
+
+  return {
+    scores: new Map(ranked.map(({ el, score }) => [el, score])),
+    ranked,
+  };
+};
+
+// Top candidate plus siblings that look like part of the same article
+const collectContentRoots = ($, top, scores) => {
+  const parent = top.el.parent;
+  if (!isTag(parent)) return [top.el];
+
+  const threshold = Math.max(10, top.score * 0.2);
+  return $(parent)
+    .children()
+    .toArray()
+    .filter((sibling) => {
+      if (sibling === top.el) return true;
+      if ((scores.get(sibling) || 0) >= threshold) return true;
+      if (sibling.tagName !== "p") return false;
+      const text = cleanText($(sibling).text());
+      return text.length > 80 && getLinkDensity($, sibling) < 0.25;
+    });
+};
+
+// Walks the chosen roots into outline blocks, keeping headings, lists and quotes
+const buildOutline = ($, roots) => {
+  const blocks = [];
+  let looseText = "";
+
+  const push = (block) => {
+    if (blocks.length < MAX_OUTLINE_BLOCKS) blocks.push(block);
+  };
+  const pushParagraph = (text) => {
+    if (text.length >= MIN_PARAGRAPH_LENGTH) {
+      push({ type: "paragraph", text });
+    }
+  };
+  // text sitting directly in a container (div-only layouts, <br> separated copy)
+  const pushLines = (text) =>
+    text.split(LINE_BREAK).map(cleanText).forEach(pushParagraph);
+  const flushLooseText = () => {
+    pushLines(looseText);
+    looseText = "";
+  };
+
+  const visit = (node) => {
+    if (node.type === "text") {
+      looseText += node.data;
+      return;
+    }
+    if (!isTag(node)) return;
+
+    const tag = node.tagName;
+    if (!BLOCK_TAGS.has(tag)) {
+      looseText += $(node).text();
+      return;
+    }
+
+    flushLooseText();
+    const text = cleanText($(node).text());
+
+    if (/^h[1-6]$/.test(tag)) {
+      if (text) push({ type: "heading", level: Number(tag[1]), text });
+    } else if (tag === "ul" || tag === "ol") {
+      const items = $(node)
+        .children("li")
+        .toArray()
+        .map((item) => cleanText($(item).text()))
+        .filter(Boolean);
+      // link-heavy lists are navigation or "read more" blocks
+      if (items.length > 0 && getLinkDensity($, node) < 0.5) {
+        push({ type: "list", ordered: tag === "ol", items });
+      }
+    } else if (tag === "blockquote") {
+      if (text) push({ type: "quote", text });
+    } else if (tag === "p" || tag === "pre") {
+      if (getLinkDensity($, node) < 0.5) pushParagraph(text);
+    } else if (tag === "table" || tag === "hr") {
+      // tables rarely carry article prose
+    } else if (hasBlockChildren($, node)) {
+      $(node).contents().toArray().forEach(visit);
+      flushLooseText();
+    } else if (getLinkDensity($, node) < 0.5) {
+      pushLines($(node).text());
+    }
+  };
+
+  roots.forEach((root) => {
+    visit(root);
+    flushLooseText();
+  });
+  return blocks;
+};
+
+// Links inside the chosen roots, minus link-heavy lists and link-only paragraphs ("read more"
+// and related-article blocks) - what's left are the article's own citations
+const collectBodyLinks = ($, roots) => {
+  const links = [];
+  roots.forEach((root) => {
+    $(root)
+      .find("a[href]")
+      .addBack("a[href]")
+      .each((_, link) => {
+        const container = $(link).closest("p, ul, ol");
+        if (
+          container.length &&
+          getLinkDensity($, container[0]) >= 0.5 &&
+          (container.is("ul, ol") || container.find("a").length > 2)
+        ) {
+          return;
+        }
+        links.push({
+          href: link.attribs.href.trim(),
+          text: cleanText($(link).text()),
+        });
+      });
+  });
+  return links;
+};
+
+const outlineToText = (outline) =>
+  outline
+    .map((block) => {
+      if (block.type === "list") {
+        return block.items
+          .map((item, index) =>
+            block.ordered ? `${index + 1}. ${item}` : `- ${item}`
+          )
+          .join("\n");
+      }
+      return block.text;
+    })
+    .join("\n\n");
+
+// How much to trust the extraction: enough prose, several paragraphs, few links and a
+// winner that clearly beat the next candidate
+const scoreConfidence = ({ text, outline, linkDensity, ranked, method }) => {
+  const paragraphCount = outline.filter(
+    (block) => block.type === "paragraph" || block.type === "quote"
+  ).length;
+  const lengthFactor = Math.min(text.length / 2000, 1);
+  const paragraphFactor = Math.min(paragraphCount / 5, 1);
+  const [first, second] = ranked;
+  // a site extractor's selector is as sure a pick as a candidate that beat everything else
+  let dominance = method === "selector" ? 1 : 0;
+  if (method !== "selector" && first && first.score > 0) {
+    dominance = first.score / (first.score + Math.max(second?.score || 0, 0));
+  }
+
+  let confidence =
+    0.35 * lengthFactor +
+    0.2 * paragraphFactor +
+    0.2 * (1 - linkDensity) +
+    0.25 * dominance;
+  if (method === "fallback") confidence *= 0.5;
+
+  return { confidence: Math.round(confidence * 100) / 100, paragraphCount };
+};
+
+// $ is a loaded cheerio document - it is modified (boilerplate removed).
+// options.rootSelector: content containers from a site extractor, used instead of scoring
+// as long as they hold enough text
+const extractMainContent = ($, { rootSelector } = {}) => {
+  const matched = rootSelector ? $(rootSelector).toArray() : [];
+  // nested matches would repeat their text
+  const selectedRoots = matched.filter(
+    (el) =>
+      !$(el)
+        .parents()
+        .toArray()
+        .some((parent) => matched.includes(parent))
+  );
+  removeBoilerplate($, selectedRoots);
+
+  const { scores, ranked } = scoreCandidates($);
+  const top = ranked[0];
+
+  let method = "selector";
+  let roots = selectedRoots;
+  let outline = buildOutline($, roots);
+
+  if (outlineToText(outline).length < 250) {
+    method = "readability";
+    roots = top ? collectContentRoots($, top, scores) : [];
+    outline = buildOutline($, roots);
+  }
+
+  // Nothing convincing - fall back to the whole body
+  if (outlineToText(outline).length < 250) {
+    method = "fallback";
+    roots = $("body").toArray();
+    outline = buildOutline($, roots);
+  }
+
+  const text = outlineToText(outline);
+  const linkDensity =
+    roots.length > 0
+      ? roots.reduce((total, root) => total + getLinkDensity($, root), 0) /
+        roots.length
+      : 1;
+  const { confidence, paragraphCount } = scoreConfidence({
+    text,
+    outline,
+    linkDensity,
+    ranked,
+    method,
+  });
+
+  return {
+    text,
+    outline,
+    links: collectBodyLinks($, roots),
+    extraction: {
+      method,
+      confidence,
+      lowConfidence: confidence < LOW_CONFIDENCE_THRESHOLD,
+      blockCount: outline.length,
+      paragraphCount,
+      linkDensity: Math.round(linkDensity * 100) / 100,
+    },
+  };
+};
+
+module.exports = {
+  extractMainContent,
+  outlineToText,
+  LOW_CONFIDENCE_THRESHOLD,
+};
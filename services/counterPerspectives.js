@@ -0,0 +1,220 @@
+// services/counterPerspectives.js
+// Finds the framing the current sources share, asks for sources covering the perspectives they
+// miss and runs those through the normal scraping/enrichment path
+const { Type } = require("@google/genai");
+const {
+  callAIWithMeta,
+  validateAndEnrichSourcesWithScraping,
+  calculateSourceMetrics,
+  assessResearchQuality,
+  generateQuickAssessment,
+} = require("./aiServices");
+
+const MAX_MISSING_PERSPECTIVES = 3;
+
+function describeSources(sources) {
+  return sources
+    .map(
+      (source, index) =>
+        `[${index}] ${source.title || "Untitled"} (${
+          source.domain || source.url
+        }, ${source.sourceType || "general"}, neutrality ${
+          source.neutralityScore ?? "n/a"
+        })\n${(source.text || "").substring(0, 300)}`
+    )
+    .join("\n\n");
+}
+
+// Step 1: what do the current sources have in common, and what's missing
+async function identifyFraming(summary, sources) {
+  const responseSchema = {
+    type: Type.OBJECT,
+    properties: {
+      dominantFraming: { type: Type.STRING },
+      coveredPerspectives: {
+        type: Type.ARRAY,
+        items: { type: Type.STRING },
+      },
+      missingPerspectives: {
+        type: Type.ARRAY,
+        items: {
+          type: Type.OBJECT,
+          properties: {
+            perspective: { type: Type.STRING },
+            rationale: { type: Type.STRING },
+          },
+          required: ["perspective"],
+        },
+        maxItems: MAX_MISSING_PERSPECTIVES,
+      },
+    },
+    required: ["dominantFraming", "missingPerspectives"],
+  };
+
+  const prompt = `Here is a summary of a topic and the sources currently used to support it.
+
+SUMMARY:
+${summary.substring(0, 2000)}
+
+SOURCES:
+${describeSources(sources)}
+
+Describe in one or two sentences the dominant framing these sources share. List the perspectives they already cover, then up to ${MAX_MISSING_PERSPECTIVES} credible perspectives that are missing (e.g. other stakeholders, opposing policy positions, other regions or disciplines) with a short rationale for each.`;
+
+  return callAIWithMeta(
+    "perspectives",
+    {
+      prompt,
+      responseSchema,
+      systemInstruction:
+        "Return only JSON with dominantFraming, coveredPerspectives and missingPerspectives.",
+    },
+    {
+      dominantFraming: "Unknown",
+      coveredPerspectives: [],
+      missingPerspectives: [],
+    }
+  );
+}
+
+// Step 2: real sources for each missing perspective
+async function proposeCounterSources(summary, missingPerspectives, sources) {
+  const responseSchema = {
+    type: Type.OBJECT,
+    properties: {
+      sources: {
+        type: Type.ARRAY,
+        items: {
+          type: Type.OBJECT,
+          properties: {
+            url: { type: Type.STRING },
+            title: { type: Type.STRING },
+            contentSnippet: { type: Type.STRING },
+            domain: { type: Type.STRING },
+            sourceType: { type: Type.STRING },
+            perspective: { type: Type.STRING },
+          },
+          required: ["url", "perspective"],
+        },
+        maxItems: MAX_MISSING_PERSPECTIVES * 2,
+      },
+    },
+    required: ["sources"],
+  };
+
+  const perspectiveList = missingPerspectives
+    .map((item) => `- ${item.perspective}`)
+    .join("\n");
+  const existingDomains = [
+    ...new Set(sources.map((source) => source.domain).filter(Boolean)),
+  ];
+
+  const prompt = `Topic summary:
+${summary.substring(0, 1000)}
+
+For each of these missing perspectives provide 1-2 REAL, VERIFIABLE sources that represent it:
+${perspectiveList}
+
+CRITICAL REQUIREMENTS:
+- Return ONLY clean, simple URLs without tracking parameters
+- Prefer credible outlets, institutions and researchers that hold the perspective
+- Do not reuse these domains: ${existingDomains.join(", ") || "none"}
+- Set perspective to the exact perspective text from the list above`;
+
+  return callAIWithMeta(
+    "perspectives",
+    {
+      prompt,
+      responseSchema,
+      systemInstruction:
+        "You MUST return only clean, verifiable URLs without tracking parameters.",
+    },
+    { sources: [] }
+  );
+}
+// Takes an analysis result ({ summary, sources, neutralityScore, persuasionScore, citations? }) and returns
+// Takes an analysis result ({ summary, sources, neutralityScore, persuasionScore }) and returns
+// the tagged counter sources plus metrics recomputed over both sets
+async function findCounterPerspectives(analysis, { onSourceEnriched } = {}) {
+  const {
+    summary = "",
+    neutralityScore,
+    persuasionScore,
+    citations,
+  } = analysis;
+  const currentSources = analysis.sources || [];
+  const { value: framing, aiMeta: framingMeta } = await identifyFraming(
+    summary,
+    currentSources
+  );
+
+  const fallbackFields = framingMeta.fallbackFields.includes("*")
+    ? ["dominantFraming", "missingPerspectives"]
+    : framingMeta.fallbackFields;
+
+  let counterSources = [];
+  if (framing.missingPerspectives.length > 0) {
+    const { value: proposal, aiMeta: proposalMeta } =
+      await proposeCounterSources(
+        summary,
+        framing.missingPerspectives,
+        currentSources
+      );
+    if (proposalMeta.fallbackFields.length) fallbackFields.push("sources");
+
+    const existingUrls = new Set(currentSources.map((source) => source.url));
+    const proposed = proposal.sources.filter(
+      (source) => !existingUrls.has(source.url)
+    );
+
+    // Enriched one at a time so each result keeps its perspective - the shared
+    // limiters in aiServices still cap concurrency across all of them
+    let enrichedCount = 0;
+    const enriched = await Promise.all(
+      proposed.map(async (source) => {
+        const [result] = await validateAndEnrichSourcesWithScraping([source]);
+        if (!result) return null;
+
+        const tagged = {
+          ...result,
+          perspective: source.perspective,
+          counterPerspective: true,
+        };
+        if (onSourceEnriched) onSourceEnriched(tagged, enrichedCount++);
+        return tagged;
+      })
+    );
+    counterSources = enriched.filter(Boolean);
+  }
+
+  // Metrics over the original plus counter sources, so clients can compare with the originals
+  const combinedResponse = {
+    neutralityScore,
+    persuasionScore,
+    sources: [...currentSources, ...counterSources],
+  };
+  const sourceMetrics = calculateSourceMetrics(combinedResponse.sources);
+  const researchQuality = assessResearchQuality(
+    combinedResponse,
+    sourceMetrics,
+    citations
+  );
+  const quickAssessment = generateQuickAssessment(
+    combinedResponse,
+    sourceMetrics,
+    researchQuality
+  );
+
+  return {
+    dominantFraming: framing.dominantFraming,
+    coveredPerspectives: framing.coveredPerspectives || [],
+    missingPerspectives: framing.missingPerspectives,
+    sources: counterSources,
+    combinedMetrics: { sourceMetrics, researchQuality, quickAssessment },
+    aiMeta: { fallbackFields },
+  };
+}
+
+module.exports = {
+  findCounterPerspectives,
+};
@@ -0,0 +1,426 @@
+// services/documentExtractor.js
+// Non-HTML documents (PDF, plain text, Markdown) turned into the same shape contentExtractor
+// gives us for web pages: text, outline, links, extraction confidence and article-style metadata
+const pdfParse = require("pdf-parse/lib/pdf-parse.js");
+
+const LOW_CONFIDENCE_THRESHOLD = 0.5;
+const MAX_OUTLINE_BLOCKS = 300;
+const URL_PATTERN = /\bhttps?:\/\/[^\s<>"')\]]+[^\s<>"')\].,;:!?]/g;
+
+const cleanText = (text) => (text || "").replace(/\s+/g, " ").trim();
+
+const toIsoDate = (value) => {
+  if (!value) return null;
+  const date = new Date(String(value).trim());
+  return Number.isNaN(date.getTime()) ? null : date.toISOString();
+};
+
+// "D:20240115103000+01'00'" (PDF date format) -> ISO string
+const parsePdfDate = (value) => {
+  const match =
+    /^D?:?(\d{4})(\d{2})?(\d{2})?(\d{2})?(\d{2})?(\d{2})?([Zz]|[+-]\d{2}'?\d{2}'?)?/.exec(
+      String(value || "")
+    );
+  if (!match) return null;
+  const [
+    ,
+    year,
+    month = "01",
+    day = "01",
+    hour = "00",
+    minute = "00",
+    second = "00",
+  ] = match;
+  let zone = match[7] || "Z";
+  if (zone !== "Z" && zone !== "z") {
+    zone = `${zone.slice(0, 3)}:${zone.replace(/'/g, "").slice(3, 5)}`;
+  }
+  return toIsoDate(
+    `${year}-${month}-${day}T${hour}:${minute}:${second}${zone.toUpperCase()}`
+  );
+};
+
+// Which extractor handles a response: by content type, then file extension, then magic bytes
+const detectDocumentType = (contentType, name = "", body = null) => {
+  const mimeType = String(contentType || "")
+    .split(";")[0]
+    .trim()
+    .toLowerCase();
+  if (mimeType === "application/pdf") return "pdf";
+  if (["text/markdown", "text/x-markdown"].includes(mimeType)) {
+    return "markdown";
+  }
+  if (mimeType === "text/plain") {
+    return /\.(md|markdown)$/i.test(name) ? "markdown" : "text";
+  }
+  if (/html|xml/.test(mimeType)) return "html";
+
+  if (Buffer.isBuffer(body) && body.subarray(0, 5).toString() === "%PDF-") {
+    return "pdf";
+  }
+  if (/\.pdf$/i.test(name)) return "pdf";
+  if (/\.(md|markdown)$/i.test(name)) return "markdown";
+  if (/\.txt$/i.test(name)) return "text";
+  return mimeType ? null : "html";
+};
+
+const scoreConfidence = (text, pageCount = 1) => {
+  // scanned PDFs come back with little or no text per page
+  const perPage = text.length / Math.max(pageCount, 1);
+  const confidence =
+    text.length < 100 ? 0.1 : 0.3 + 0.65 * Math.min(perPage / 1500, 1);
+  return Math.round(confidence * 100) / 100;
+};
+
+const emptyMetadata = () => ({
+  headline: null,
+  authors: [],
+  publishedAt: null,
+  modifiedAt: null,
+  publisher: null,
+  language: null,
+  canonicalUrl: null,
+  articleType: null,
+  fieldSources: {},
+});
+
+// PDF lines -> paragraphs: short lines ending a sentence close a paragraph, words broken
+// with a hyphen at the end of a line are glued back together
+const linesToParagraphs = (lines) => {
+  const paragraphs = [];
+  let current = "";
+  const typicalLength =
+    [...lines].map((line) => line.length).sort((a, b) => b - a)[
+      Math.floor(lines.length / 4)
+    ] || 80;
+
+  for (const rawLine of lines) {
+    const line = cleanText(rawLine);
+    if (!line) {
+      if (current) paragraphs.push(current);
+      current = "";
+      continue;
+    }
+    if (/\w-$/.test(current)) {
+      current = current.slice(0, -1) + line;
+    } else {
+      current = current ? `${current} ${line}` : line;
+    }
+    if (line.length < typicalLength * 0.7 && /[.!?:"”]$/.test(line)) {
+      paragraphs.push(current);
+      current = "";
+    }
+  }
+  if (current) paragraphs.push(current);
+  return paragraphs;
+};
+
+// Same text layout as the HTML extractor (blocks separated by blank lines), with the
+// character range of every page so quotes and spans can be traced back to a page number
+const buildPagedText = (pageTexts) => {
+  const outline = [];
+  const pages = [];
+  let text = "";
+
+  pageTexts.forEach((pageText, index) => {
+    const start = text.length ? text.length + 2 : 0;
+    const paragraphs = linesToParagraphs(pageText.split("\n"));
+    if (paragraphs.length === 0) {
+      pages.push({ page: index + 1, start: text.length, end: text.length });
+      return;
+    }
+    text += (text.length ? "\n\n" : "") + paragraphs.join("\n\n");
+    pages.push({ page: index + 1, start, end: text.length });
+    paragraphs.forEach((paragraph) => {
+      if (outline.length < MAX_OUTLINE_BLOCKS) {
+        outline.push({ type: "paragraph", text: paragraph, page: index + 1 });
+      }
+    });
+  });
+
+  return { text, outline, pages };
+};
+
+const extractPdf = async (buffer) => {
+  const pageTexts = [];
+  // pdf.js reads the Buffer's whole underlying ArrayBuffer - small Buffers are slices of a
+  // shared pool, so hand it a copy that starts at offset 0
+  const parsed = await pdfParse(new Uint8Array(buffer), {
+    // pages are rendered in order, one at a time
+    pagerender: async (pageData) => {
+      const content = await pageData.getTextContent({
+        normalizeWhitespace: false,
+        disableCombineTextItems: false,
+      });
+      let lastY;
+      let pageText = "";
+      for (const item of content.items) {
+        const y = item.transform[5];
+        pageText +=
+          lastY === undefined || lastY === y ? item.str : `\n${item.str}`;
+        lastY = y;
+      }
+      pageTexts.push(pageText);
+      return pageText;
+    },
+  });
+
+  const info = parsed.info || {};
+  const { text, outline, pages } = buildPagedText(pageTexts);
+  const metadata = emptyMetadata();
+
+  // Word exports often carry "Microsoft Word - report.docx" as their title
+  const infoTitle = cleanText(info.Title);
+  const titleFromInfo =
+    infoTitle &&
+    !/^(microsoft\s+\w+\s+-|untitled)|\.(docx?|pdf)$/i.test(infoTitle)
+      ? infoTitle
+      : null;
+  const firstLine = cleanText(
+    pageTexts[0]?.split("\n").find((line) => cleanText(line))
+  );
+  metadata.headline =
+    titleFromInfo || (firstLine.length <= 200 ? firstLine : null);
+  if (metadata.headline) {
+    metadata.fieldSources.headline = titleFromInfo ? "pdf-info" : "first-line";
+  }
+
+  const author = cleanText(info.Author);
+  if (author) {
+    metadata.authors = author
+      .split(/\s*;\s*|\s+and\s+|\s*&\s*/i)
+      .map(cleanText)
+      .filter(Boolean);
+    metadata.fieldSources.authors = "pdf-info";
+  }
+  metadata.publishedAt = parsePdfDate(info.CreationDate);
+  if (metadata.publishedAt) metadata.fieldSources.publishedAt = "pdf-info";
+  metadata.modifiedAt = parsePdfDate(info.ModDate);
+  if (metadata.modifiedAt) metadata.fieldSources.modifiedAt = "pdf-info";
+  metadata.articleType = "PDF";
+
+  return {
+    title: metadata.headline,
+    text,
+    outline,
+    links: [...new Set(text.match(URL_PATTERN) || [])].map((href) => ({
+      href,
+      text: null,
+    })),
+    metadata,
+    document: {
+      type: "pdf",
+      pageCount: parsed.numpages,
+      pages,
+      subject: cleanText(info.Subject) || null,
+      keywords: cleanText(info.Keywords) || null,
+      producer: cleanText(info.Producer) || null,
+    },
+    confidence: scoreConfidence(text, parsed.numpages),
+  };
+};
+
+// "---\ntitle: x\nauthor: y\n---" at the top of a Markdown file
+const parseFrontMatter = (source) => {
+  const match = /^---\r?\n([\s\S]*?)\r?\n---\r?\n?/.exec(source);
+  if (!match) return { fields: {}, body: source };
+  const fields = {};
+  match[1].split(/\r?\n/).forEach((line) => {
+    const field = /^([\w-]+):\s*(.*)$/.exec(line);
+    if (field) {
+      fields[field[1].toLowerCase()] = field[2].replace(/^["']|["']$/g, "");
+    }
+  });
+  return { fields, body: source.slice(match[0].length) };
+};
+
+// Inline Markdown -> plain text, collecting [text](url) links on the way
+const stripInlineMarkdown = (text, links) =>
+  text
+    .replace(/!\[([^\]]*)\]\([^)]*\)/g, "$1")
+    .replace(/\[([^\]]+)\]\(([^)\s]+)[^)]*\)/g, (_, label, href) => {
+      links.push({ href, text: cleanText(label) });
+      return label;
+    })
+    .replace(/<[^>]+>/g, "")
+    .replace(/(\*\*|__|\*|_|~~|`)(\S(?:.*?\S)?)\1/g, "$2");
+
+const extractMarkdown = (source) => {
+  const { fields, body } = parseFrontMatter(source);
+  const links = [];
+  const outline = [];
+  let paragraph = [];
+  let list = null;
+  let inCode = false;
+  let code = [];
+
+  const push = (block) => {
+    if (outline.length < MAX_OUTLINE_BLOCKS) outline.push(block);
+  };
+  const flushParagraph = () => {
+    const text = cleanText(stripInlineMarkdown(paragraph.join(" "), links));
+    if (text) push({ type: "paragraph", text });
+    paragraph = [];
+  };
+  const flushList = () => {
+    if (list) push(list);
+    list = null;
+  };
+
+  for (const line of body.split(/\r?\n/)) {
+    if (/^\s*(```|~~~)/.test(line)) {
+      if (inCode) {
+        if (code.length) push({ type: "paragraph", text: code.join("\n") });
+        code = [];
+      } else {
+        flushParagraph();
+        flushList();
+      }
+      inCode = !inCode;
+      continue;
+    }
+    if (inCode) {
+      code.push(line);
+      continue;
+    }
+
+    const heading = /^(#{1,6})\s+(.*?)\s*#*\s*$/.exec(line);
+    const listItem = /^\s*([-*+]|\d+[.)])\s+(.*)$/.exec(line);
+    const quote = /^\s*>\s?(.*)$/.exec(line);
+
+    if (heading) {
+      flushParagraph();
+      flushList();
+      push({
+        type: "heading",
+        level: heading[1].length,
+        text: cleanText(stripInlineMarkdown(heading[2], links)),
+      });
+    } else if (listItem) {
+      flushParagraph();
+      const ordered = /\d/.test(listItem[1]);
+      if (!list || list.ordered !== ordered) {
+        flushList();
+        list = { type: "list", ordered, items: [] };
+      }
+      list.items.push(cleanText(stripInlineMarkdown(listItem[2], links)));
+    } else if (quote) {
+      flushParagraph();
+      flushList();
+      const text = cleanText(stripInlineMarkdown(quote[1], links));
+      const previous = outline[outline.length - 1];
+      if (previous?.type === "quote") previous.text += ` ${text}`;
+      else if (text) push({ type: "quote", text });
+    } else if (!line.trim() || /^\s*([-*_])(\s*\1){2,}\s*$/.test(line)) {
+      flushParagraph();
+      flushList();
+    } else {
+      flushList();
+      paragraph.push(line);
+    }
+  }
+  flushParagraph();
+  flushList();
+
+  const metadata = emptyMetadata();
+  const firstHeading = outline.find((block) => block.type === "heading");
+  metadata.headline = fields.title || firstHeading?.text || null;
+  if (metadata.headline) {
+    metadata.fieldSources.headline = fields.title ? "front-matter" : "heading";
+  }
+  if (fields.author) {
+    metadata.authors = [fields.author];
+    metadata.fieldSources.authors = "front-matter";
+  }
+  metadata.publishedAt = toIsoDate(fields.date);
+  if (metadata.publishedAt) metadata.fieldSources.publishedAt = "front-matter";
+  metadata.articleType = "Markdown";
+
+  return { outline, links, metadata };
+};
+
+const extractPlainText = (source) => {
+  const outline = source
+    .split(/\r?\n\s*\r?\n/)
+    .map(cleanText)
+    .filter(Boolean)
+    .slice(0, MAX_OUTLINE_BLOCKS)
+    .map((text) => ({ type: "paragraph", text }));
+
+  const metadata = emptyMetadata();
+  const firstLine = cleanText(
+    source.split(/\r?\n/).find((line) => line.trim())
+  );
+  if (firstLine && firstLine.length <= 120) {
+    metadata.headline = firstLine;
+    metadata.fieldSources.headline = "first-line";
+  }
+  return {
+    outline,
+    links: [...new Set(source.match(URL_PATTERN) || [])].map((href) => ({
+      href,
+      text: null,
+    })),
+    metadata,
+  };
+};
+
+const outlineToText = (outline) =>
+  outline
+    .map((block) =>
+      block.type === "list"
+        ? block.items
+            .map((item, index) =>
+              block.ordered ? `${index + 1}. ${item}` : `- ${item}`
+            )
+            .join("\n")
+        : block.text
+    )
+    .join("\n\n");
+
+// body is a Buffer (or a string for text documents); type comes from detectDocumentType.
+// Resolves with { title, text, outline, links, metadata, document, extraction }.
+const extractDocument = async (body, type) => {
+  let result;
+  if (type === "pdf") {
+    result = await extractPdf(Buffer.isBuffer(body) ? body : Buffer.from(body));
+  } else {
+    const source = Buffer.isBuffer(body) ? body.toString("utf8") : body;
+    const extracted =
+      type === "markdown" ? extractMarkdown(source) : extractPlainText(source);
+    const text = outlineToText(extracted.outline);
+    result = {
+      ...extracted,
+      title: extracted.metadata.headline,
+      text,
+      document: { type, pageCount: null, pages: null },
+      confidence: scoreConfidence(text),
+    };
+  }
+
+  return {
+    title: result.title,
+    text: result.text,
+    outline: result.outline,
+    links: result.links,
+    metadata: result.metadata,
+    document: result.document,
+    extraction: {
+      method: type === "text" ? "plain_text" : type,
+      extractor: "document",
+      confidence: result.confidence,
+      lowConfidence: result.confidence < LOW_CONFIDENCE_THRESHOLD,
+      blockCount: result.outline.length,
+      paragraphCount: result.outline.filter(
+        (block) => block.type === "paragraph" || block.type === "quote"
+      ).length,
+      linkDensity: 0,
+    },
+  };
+};
+
+module.exports = {
+  detectDocumentType,
+  extractDocument,
+  parsePdfDate,
+};
@@ -0,0 +1,312 @@
+// services/domainReputation.js
+// Domain credibility registry: rules live in the DomainReputation collection (seeded from
+// data/domainReputation.json) and are matched on registrable domains / public suffixes via tldts
+const fs = require("fs");
+const path = require("path");
+const mongoose = require("mongoose");
+const { parse } = require("tldts");
+const DomainReputation = require("../models/DomainReputation");
+
+const SEED_FILE = path.join(__dirname, "../data/domainReputation.json");
+const REFRESH_INTERVAL_MS = 5 * 60 * 1000;
+const DEFAULT_CREDIBILITY = 0.5;
+
+// Used only for domains no rule matches - the source type comes from the model, so it must
+// never lift a domain above what its registry rule says (an "academic" edu.evil.com)
+const SOURCE_TYPE_SCORES = {
+  academic: 0.9,
+  government: 0.85,
+  scientific_journal: 0.9,
+  established_news: 0.8,
+  news: 0.7,
+  organization: 0.7,
+  general: 0.5,
+};
+
+const RULE_FIELDS = [
+  "domain",
+  "matchType",
+  "credibility",
+  "category",
+  "ownership",
+  "editorialNotes",
+  "fallbackTopics",
+  "homepage",
+  "provenance",
+];
+
+// "www.Reuters.com." / ".edu" -> "reuters.com" / "edu"
+function normalizeDomain(domain) {
+  return String(domain || "")
+    .trim()
+    .toLowerCase()
+    .replace(/^\.+|\.+$/g, "")
+    .replace(/^www\./, "");
+}
+
+function extractDomain(url) {
+  try {
+    return normalizeDomain(new URL(url).hostname);
+  } catch (_) {
+    return null;
+  }
+}
+
+function loadSeedEntries() {
+  return JSON.parse(fs.readFileSync(SEED_FILE, "utf8")).map((entry) => ({
+    ...entry,
+    provenance: { source: "seed", ...entry.provenance },
+  }));
+}
+
+function buildRules(entries) {
+  const rules = new Map();
+  for (const entry of entries) {
+    const domain = normalizeDomain(entry.domain);
+    const matchType = entry.matchType || "domain";
+    rules.set(`${matchType}:${domain}`, { ...entry, domain, matchType });
+  }
+  return rules;
+}
+
+// The bundled seed is used until the collection has been loaded (or when it is empty)
+let registry = { rules: buildRules(loadSeedEntries()), loadedAt: 0 };
+let refreshing = null;
+
+async function refreshRegistry() {
+  if (mongoose.connection.readyState !== 1) return false;
+
+  const entries = await DomainReputation.find().lean();
+  registry = {
+    rules: buildRules(entries.length > 0 ? entries : loadSeedEntries()),
+    loadedAt: Date.now(),
+  };
+  return true;
+}
+
+// Lookups stay synchronous - a stale registry is refreshed in the background
+function refreshIfStale() {
+  if (refreshing || Date.now() - registry.loadedAt < REFRESH_INTERVAL_MS) {
+    return;
+  }
+  refreshing = refreshRegistry()
+    .catch((error) =>
+      console.warn("Domain reputation refresh failed:", error.message)
+    )
+    .finally(() => {
+      refreshing = null;
+    });
+}
+
+// Most specific rule first: the host and its parents down to the registrable domain, then the
+// public suffix and its parents. "edu.evil.com" only ever sees evil.com and com rules.
+function findReputationRule(domainOrUrl) {
+  refreshIfStale();
+
+  const parsed = parse(String(domainOrUrl || ""));
+  if (!parsed.hostname || parsed.isIp) return null;
+
+  const host = normalizeDomain(parsed.hostname);
+  const { rules } = registry;
+
+  if (parsed.domain) {
+    const labels = host.split(".");
+    const registrableLength = parsed.domain.split(".").length;
+    for (let i = 0; labels.length - i >= registrableLength; i++) {
+      const candidate = labels.slice(i).join(".");
+      const rule = rules.get(`domain:${candidate}`);
+      if (rule) return { rule, matchedOn: candidate };
+    }
+  }
+
+  if (parsed.publicSuffix) {
+    const suffixLabels = parsed.publicSuffix.split(".");
+    for (let i = 0; i < suffixLabels.length; i++) {
+      const candidate = suffixLabels.slice(i).join(".");
+      const rule = rules.get(`suffix:${candidate}`);
+      if (rule) return { rule, matchedOn: candidate };
+    }
+  }
+
+  return null;
+}
+
+// Citation attached to sources so clients can show why a score was given
+function describeRule({ rule, matchedOn }) {
+  return {
+    id: rule._id ? String(rule._id) : null,
+    domain: rule.domain,
+    matchType: rule.matchType,
+    matchedOn,
+    credibility: rule.credibility,
+    category: rule.category || null,
+    ownership: rule.ownership || null,
+    provenance: rule.provenance || null,
+  };
+}
+
+// { score, basis: "registry" | "source_type" | "default", rule } for a domain + source type
+function getCredibility(domain, sourceType) {
+  const match = domain ? findReputationRule(domain) : null;
+  let score = match ? match.rule.credibility : DEFAULT_CREDIBILITY;
+  let basis = match ? "registry" : "default";
+
+  const typeScore = SOURCE_TYPE_SCORES[sourceType];
+  if (!match && typeScore && typeScore > score) {
+    score = typeScore;
+    basis = "source_type";
+  }
+
+  return {
+    score: Math.max(0.1, Math.min(1, score)),
+    basis,
+    rule: match ? describeRule(match) : null,
+  };
+}
+
+// Highest-rated domains flagged as fallbacks for a topic (used when no AI sources validate)
+function getFallbackDomains(topic, limit = 3) {
+  refreshIfStale();
+  return [...registry.rules.values()]
+    .filter(
+      (rule) =>
+        rule.matchType === "domain" && rule.fallbackTopics?.includes(topic)
+    )
+    .sort(
+      (a, b) =>
+        b.credibility - a.credibility || a.domain.localeCompare(b.domain)
+    )
+    .slice(0, limit)
+    .map((rule) => ({
+      url: rule.homepage || `https://www.${rule.domain}/`,
+      domain: rule.domain,
+      credibility: {
+        score: rule.credibility,
+        basis: "registry",
+        rule: describeRule({ rule, matchedOn: rule.domain }),
+      },
+    }));
+}
+
+// Admin CRUD - every write refreshes the in-memory registry
+
+function pickRuleFields(data) {
+  const picked = {};
+  for (const field of RULE_FIELDS) {
+    if (data[field] !== undefined) picked[field] = data[field];
+  }
+  if (picked.domain !== undefined)
+    picked.domain = normalizeDomain(picked.domain);
+  return picked;
+}
+
+async function listReputations({ q, matchType, limit = 100, skip = 0 } = {}) {
+  const filter = {};
+  if (matchType) filter.matchType = matchType;
+  if (q) {
+    filter.domain = {
+      $regex: String(q).replace(/[.*+?^${}()|[\]\\]/g, "\\$&"),
+      $options: "i",
+    };
+  }
+
+  const [entries, total] = await Promise.all([
+    DomainReputation.find(filter).sort({ domain: 1 }).skip(skip).limit(limit),
+    DomainReputation.countDocuments(filter),
+  ]);
+  return { entries, total };
+}
+
+async function getReputation(domain) {
+  return DomainReputation.findOne({ domain: normalizeDomain(domain) });
+}
+
+async function createReputation(data) {
+  const fields = pickRuleFields(data);
+  const entry = new DomainReputation({
+    ...fields,
+    provenance: { source: "admin", ...fields.provenance },
+  });
+  await entry.save();
+  await refreshRegistry();
+  return entry;
+}
+
+async function updateReputation(domain, data) {
+  const fields = pickRuleFields(data);
+  const entry = await DomainReputation.findOneAndUpdate(
+    { domain: normalizeDomain(domain) },
+    {
+      ...fields,
+      provenance: { source: "admin", ...fields.provenance },
+      updatedAt: new Date(),
+    },
+    { new: true, runValidators: true }
+  );
+  if (entry) await refreshRegistry();
+  return entry;
+}
+
+async function deleteReputation(domain) {
+  const entry = await DomainReputation.findOneAndDelete({
+    domain: normalizeDomain(domain),
+  });
+  if (entry) await refreshRegistry();
+  return entry;
+}
+
+// Upserts the bundled seed. Without overwrite, rules edited by admins are left alone.
+async function seedDomainReputations({ overwrite = false } = {}) {
+  const entries = loadSeedEntries();
+  const result = await DomainReputation.bulkWrite(
+    entries.map((entry) => {
+      const fields = pickRuleFields(entry);
+      return {
+        updateOne: {
+          filter: { domain: fields.domain },
+          update: overwrite
+            ? { $set: { ...fields, updatedAt: new Date() } }
+            : { $setOnInsert: fields },
+          upsert: true,
+        },
+      };
+    })
+  );
+  await refreshRegistry();
+  return {
+    total: entries.length,
+    inserted: result.upsertedCount,
+    updated: result.modifiedCount,
+  };
+}
+
+// Called once the DB is connected: seed an empty collection, then load it
+async function initDomainReputation() {
+  try {
+    const count = await DomainReputation.estimatedDocumentCount();
+    if (count === 0) {
+      const { inserted } = await seedDomainReputations();
+      console.log(`Seeded ${inserted} domain reputation rules`);
+    } else {
+      await refreshRegistry();
+    }
+  } catch (error) {
+    console.warn("Domain reputation init failed:", error.message);
+  }
+}
+
+module.exports = {
+  extractDomain,
+  normalizeDomain,
+  findReputationRule,
+  getCredibility,
+  getFallbackDomains,
+  refreshRegistry,
+  initDomainReputation,
+  listReputations,
+  getReputation,
+  createReputation,
+  updateReputation,
+  deleteReputation,
+  seedDomainReputations,
+};
@@ -0,0 +1,148 @@
+// services/feedParser.js
+// RSS 2.0 / RSS 1.0 (RDF) / Atom feeds -> { title, link, format, items: [{ url, title, publishedAt }] }
+const cheerio = require("cheerio");
+const { politeFetch } = require("../utils/crawlPolicy");
+const { FetchError } = require("../utils/safeFetch");
+
+const FEED_CONTENT_TYPES = [
+  "application/rss+xml",
+  "application/atom+xml",
+  "application/rdf+xml",
+  "application/xml",
+  "text/xml",
+  // plenty of feeds are served with a generic or HTML type
+  "text/html",
+  "text/plain",
+  "application/octet-stream",
+];
+const FEED_MAX_BYTES = 5 * 1024 * 1024;
+
+const cleanText = (text) => (text || "").replace(/\s+/g, " ").trim();
+
+const toIsoDate = (value) => {
+  if (!value) return null;
+  const date = new Date(cleanText(value));
+  return Number.isNaN(date.getTime()) ? null : date.toISOString();
+};
+
+// relative item links resolve against the feed URL; anything that isn't http(s) is dropped
+const resolveLink = (href, baseUrl) => {
+  try {
+    const url = new URL(cleanText(href), baseUrl);
+    return ["http:", "https:"].includes(url.protocol) ? url.href : null;
+  } catch (_) {
+    return null;
+  }
+};
+
+// Atom links: rel="alternate" (or no rel) is the article itself
+const atomLink = ($, element) => {
+  const links = $(element).children("link").toArray();
+  const alternate =
+    links.find((link) =>
+      ["alternate", undefined].includes($(link).attr("rel"))
+    ) || links[0];
+  return alternate ? $(alternate).attr("href") : null;
+};
+
+// Parses feed XML; returns null when the document is not a feed
+const parseFeed = (xml, feedUrl) => {
+  const $ = cheerio.load(xml, { xml: true });
+
+  let format;
+  let items;
+  if ($("feed").length > 0) {
+    format = "atom";
+    items = $("feed > entry")
+      .toArray()
+      .map((entry) => ({
+        url: atomLink($, entry),
+        title: $(entry).children("title").first().text(),
+        publishedAt:
+          $(entry).children("published").first().text() ||
+          $(entry).children("updated").first().text(),
+      }));
+  } else if ($("rss, rdf\\:RDF, RDF").length > 0) {
+    format = "rss";
+    items = $("item")
+      .toArray()
+      .map((item) => {
+        const $item = $(item);
+        const guid = $item.children("guid").first();
+        return {
+          // <guid isPermaLink="true"> is the article URL when <link> is missing
+          url:
+            $item.children("link").first().text() ||
+            (guid.attr("isPermaLink") !== "false" ? guid.text() : null) ||
+            $item.attr("rdf:about"),
+          title: $item.children("title").first().text(),
+          publishedAt:
+            $item.children("pubDate").first().text() ||
+            $item.children("dc\\:date").first().text(),
+        };
+      });
+  } else {
+    return null;
+  }
+
+  const channel = format === "atom" ? $("feed") : $("channel").first();
+  const seen = new Set();
+  return {
+    title: cleanText(channel.children("title").first().text()) || null,
+    link:
+      resolveLink(
+        format === "atom"
+          ? atomLink($, channel)
+          : channel.children("link").first().text(),
+        feedUrl
+      ) || null,
+    format,
+    items: items
+      .map((item) => ({
+        url: resolveLink(item.url || "", feedUrl),
+        title: cleanText(item.title) || null,
+        publishedAt: toIsoDate(item.publishedAt),
+      }))
+      .filter((item) => {
+        if (!item.url || seen.has(item.url)) return false;
+        seen.add(item.url);
+        return true;
+      }),
+  };
+};
+
+// Fetches a feed politely (robots.txt, per-host limits) and parses it.
+// Throws FetchError("NOT_A_FEED") when the URL doesn't serve RSS or Atom.
+const fetchFeed = async (feedUrl) => {
+  const response = await politeFetch(feedUrl, {
+    headers: {
+      Accept:
+        "application/rss+xml,application/atom+xml,application/xml;q=0.9,text/xml;q=0.9,*/*;q=0.5",
+    },
+    maxBytes: FEED_MAX_BYTES,
+    allowedContentTypes: FEED_CONTENT_TYPES,
+  });
+
+  if (response.status >= 400) {
+    throw new FetchError(
+      "FEED_UNAVAILABLE",
+      `Feed ${feedUrl} returned HTTP ${response.status}`,
+      422
+    );
+  }
+
+  const feed = parseFeed(String(response.data), response.url);
+  if (!feed) {
+    throw new FetchError(
+      "NOT_A_FEED",
+      `${feedUrl} is not an RSS or Atom feed`,
+      422
+    );
+  }
+  return { ...feed, url: response.url };
+};
+
+module.exports = {
+  fetchFeed,
+  parseFeed,
+};
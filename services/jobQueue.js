@@ -0,0 +1,392 @@
+// services/jobQueue.js
+// Mongo-backed job queue: long analyses are enqueued by the controllers and run by a polling
+// worker, so they survive client disconnects and platform request timeouts
+const os = require("os");
+const AnalysisJob = require("../models/AnalysisJob");
+const jobsConfig = require("../config/jobs");
+const { runPromptAnalysis, runDeeperScrape } = require("./analysisPipeline");
+const { runBatchAnalysis } = require("./batchAnalysis");
+
+const workerId = `${os.hostname()}:${process.pid}`;
+
+// type -> async (job, { onProgress, signal }) => result
+const jobHandlers = {};
+
+function registerJobHandler(type, handler) {
+  jobHandlers[type] = handler;
+}
+
+// Thrown by handlers for failures worth retrying (upstream timeouts, empty AI responses...)
+class TransientJobError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "TransientJobError";
+    this.transient = true;
+  }
+}
+
+class JobCancelledError extends Error {
+  constructor() {
+    super("Job cancelled");
+    this.name = "JobCancelledError";
+  }
+}
+
+// Network blips, rate limits and 5xx responses are retried, everything else fails the job
+function isTransientError(error) {
+  if (error.transient) return true;
+  const transientCodes = [
+    "ECONNRESET",
+    "ECONNREFUSED",
+    "ETIMEDOUT",
+    "ECONNABORTED",
+    "EAI_AGAIN",
+  ];
+  if (transientCodes.includes(error.code)) return true;
+  const status = error.response?.status || error.status;
+  return status === 429 || (status >= 500 && status < 600);
+}
+
+async function enqueueJob(type, userId, input) {
+  if (!jobHandlers[type]) throw new Error(`Unknown job type: ${type}`);
+
+  const job = new AnalysisJob({
+    type,
+    userId,
+    input,
+    maxAttempts: jobsConfig.maxAttempts,
+  });
+  await job.save();
+  return job;
+}
+
+async function getJob(jobId, userId) {
+  return AnalysisJob.findOne({ _id: jobId, userId });
+}
+
+// Queued jobs are cancelled straight away, running ones are flagged and stopped by the worker
+async function cancelJob(jobId, userId) {
+  const job = await AnalysisJob.findOneAndUpdate(
+    { _id: jobId, userId, status: "queued" },
+    {
+      status: "cancelled",
+      finishedAt: new Date(),
+      expiresAt: finishedExpiry(),
+    },
+    { new: true }
+  );
+  if (job) return job;
+
+  return AnalysisJob.findOneAndUpdate(
+    { _id: jobId, userId, status: "running" },
+    { cancelRequested: true },
+    { new: true }
+  );
+}
+
+function finishedExpiry() {
+  return new Date(Date.now() + jobsConfig.resultTtlSeconds * 1000);
+}
+
+// Keep stage details small - the full payload only goes in result
+function summarizeStage(event, data = {}) {
+  switch (event) {
+    case "sources_proposed":
+      return { count: data.sources?.length || 0 };
+    case "source_enriched":
+      return {
+        index: data.index,
+        url: data.source?.url,
+        status: data.source?.status,
+      };
+    case "counter_perspectives":
+      return {
+        count: data.counterPerspectives?.sources?.length || 0,
+      };
+    case "claims":
+      return { count: data.claims?.claims?.length || 0 };
+    case "batch_started":
+      return { totalItems: data.totalItems };
+    case "batch_item":
+      return {
+        index: data.item?.index,
+        url: data.item?.url,
+        status: data.item?.status,
+      };
+    case "history_saved":
+      return { historyId: data.historyId };
+    default:
+      return undefined;
+  }
+}
+
+// The job as this run claimed it (attempts tells apart a later claim by the same worker).
+// Once it has been requeued, taken over, cancelled or deleted, this run's writes match nothing.
+function claimedBy(job) {
+  return {
+    _id: job._id,
+    status: "running",
+    lockedBy: workerId,
+    attempts: job.attempts,
+  };
+}
+
+// Records each pipeline event on the job document - writes go out one at a time, in event
+// order, so batch_item can't land before the batch_started that resets partialResult
+function createProgressRecorder(job) {
+  let sourcesDone = 0;
+  let writes = Promise.resolve();
+
+  return (event, data = {}) => {
+    const update = {
+      $push: {
+        stages: {
+          name: event,
+          at: new Date(),
+          detail: summarizeStage(event, data),
+        },
+      },
+      $set: { "progress.currentStage": event },
+    };
+    if (event === "sources_proposed") {
+      update.$set["progress.sourcesTotal"] = data.sources?.length || 0;
+      update.$set["progress.sourcesDone"] = 0;
+    }
+    if (event === "source_enriched") {
+      update.$set["progress.sourcesDone"] = ++sourcesDone;
+    }
+    // batches expose finished items and the running report while they work
+    if (event === "batch_started") {
+      update.$set["progress.itemsTotal"] = data.totalItems;
+      update.$set["progress.itemsDone"] = 0;
+      update.$set.partialResult = { feed: data.feed, items: [], report: null };
+    }
+    if (event === "batch_item") {
+      update.$set["progress.itemsDone"] = data.report.processedItems;
+      update.$set["partialResult.report"] = data.report;
+      update.$push["partialResult.items"] = data.item;
+    }
+
+    writes = writes
+      .then(() => AnalysisJob.updateOne(claimedBy(job), update))
+      .catch((error) =>
+        console.warn(
+          `Failed to record progress for job ${job._id}:`,
+          error.message
+        )
+      );
+  };
+}
+
+async function runJob(job) {
+  const handler = jobHandlers[job.type];
+  const controller = new AbortController();
+
+  // Poll for a cancel request while the handler runs, refreshing the lock on every tick so
+  // long jobs aren't taken for stale and run again by requeueStaleJobs
+  const cancelWatcher = setInterval(async () => {
+    try {
+      const current = await AnalysisJob.findOneAndUpdate(
+        claimedBy(job),
+        { lockedAt: new Date() },
+        { new: true, projection: { cancelRequested: 1 } }
+      ).lean();
+      // a job deleted (account erasure) or taken over by another worker while running must
+      // not go on to save results
+      if (!current || current.cancelRequested) {
+        controller.abort(new JobCancelledError());
+      }
+    } catch (_) {
+      // keep running, we'll check again on the next tick
+    }
+  }, jobsConfig.pollIntervalMs);
+
+  const cancelled = new Promise((_, reject) => {
+    controller.signal.addEventListener("abort", () =>
+      reject(controller.signal.reason)
+    );
+  });
+
+  try {
+    if (!handler) {
+      throw new Error(`No handler registered for job type ${job.type}`);
+    }
+
+    const work = handler(job, {
+      onProgress: createProgressRecorder(job),
+      signal: controller.signal,
+    });
+    // once cancelled we stop waiting, but the handler may still settle later
+    work.catch(() => {});
+
+    const result = await Promise.race([work, cancelled]);
+
+    await AnalysisJob.updateOne(claimedBy(job), {
+      status: "completed",
+      result,
+      "progress.currentStage": "complete",
+      finishedAt: new Date(),
+      expiresAt: finishedExpiry(),
+      $unset: { error: 1, lockedAt: 1, lockedBy: 1, partialResult: 1 },
+    });
+  } catch (error) {
+    if (error instanceof JobCancelledError) {
+      console.log(`Job ${job._id} cancelled`);
+      await AnalysisJob.updateOne(claimedBy(job), {
+        status: "cancelled",
+        finishedAt: new Date(),
+        expiresAt: finishedExpiry(),
+        $unset: { lockedAt: 1, lockedBy: 1 },
+      });
+      return;
+    }
+
+    const transient = isTransientError(error);
+    const canRetry = transient && job.attempts < job.maxAttempts;
+    console.error(
+      `Job ${job._id} failed (attempt ${job.attempts}/${job.maxAttempts}${
+        canRetry ? ", will retry" : ""
+      }):`,
+      error.message
+    );
+
+    const errorInfo = {
+      message: error.message,
+      code: error.code || error.name,
+      transient,
+      at: new Date(),
+    };
+
+    await AnalysisJob.updateOne(
+      claimedBy(job),
+      canRetry
+        ? {
+            status: "queued",
+            error: errorInfo,
+            // exponential backoff: base, 2x base, 4x base...
+            nextRunAt: new Date(
+              Date.now() +
+                jobsConfig.retryBaseDelayMs * 2 ** (job.attempts - 1)
+            ),
+            $unset: { lockedAt: 1, lockedBy: 1 },
+          }
+        : {
+            status: "failed",
+            error: errorInfo,
+            finishedAt: new Date(),
+            expiresAt: finishedExpiry(),
+            $unset: { lockedAt: 1, lockedBy: 1 },
+          }
+    );
+  } finally {
+    clearInterval(cancelWatcher);
+  }
+}
+
+// Atomically claim the oldest runnable job
+async function claimNextJob() {
+  return AnalysisJob.findOneAndUpdate(
+    {
+      status: "queued",
+      nextRunAt: { $lte: new Date() },
+      type: { $in: Object.keys(jobHandlers) },
+    },
+    {
+      status: "running",
+      lockedAt: new Date(),
+      lockedBy: workerId,
+      startedAt: new Date(),
+      stages: [],
+      progress: {},
+      $unset: { partialResult: 1 },
+      $inc: { attempts: 1 },
+    },
+    { sort: { nextRunAt: 1, createdAt: 1 }, new: true }
+  );
+}
+
+// Jobs whose worker died mid-run go back on the queue
+async function requeueStaleJobs() {
+  const staleBefore = new Date(Date.now() - jobsConfig.lockTimeoutMs);
+  const result = await AnalysisJob.updateMany(
+    { status: "running", lockedAt: { $lt: staleBefore } },
+    {
+      status: "queued",
+      nextRunAt: new Date(),
+      $unset: { lockedAt: 1, lockedBy: 1 },
+    }
+  );
+  if (result.modifiedCount > 0) {
+    console.warn(`Requeued ${result.modifiedCount} stale job(s)`);
+  }
+}
+
+function startJobWorker({
+  pollIntervalMs = jobsConfig.pollIntervalMs,
+  concurrency = jobsConfig.concurrency,
+} = {}) {
+  let active = 0;
+  let polling = false;
+
+  const poll = async () => {
+    if (polling) return;
+    polling = true;
+    try {
+      await requeueStaleJobs();
+      while (active < concurrency) {
+        const job = await claimNextJob();
+        if (!job) break;
+
+        active++;
+        console.log(`Worker ${workerId} running job ${job._id} (${job.type})`);
+        runJob(job).finally(() => {
+          active--;
+        });
+      }
+    } catch (error) {
+      console.error("Job worker poll failed:", error.message);
+    } finally {
+      polling = false;
+    }
+  };
+
+  const timer = setInterval(poll, pollIntervalMs);
+  console.log(`Job worker started (${workerId}, concurrency ${concurrency})`);
+  return () => clearInterval(timer);
+}
+
+// Built-in analysis jobs - results are the same payloads the synchronous endpoints return
+registerJobHandler("prompt", async (job, options) => {
+  const result = await runPromptAnalysis(job.input.prompt, job.userId, {
+    ...options,
+    includeClaims: job.input.includeClaims === true,
+    includeCounterPerspectives: job.input.includeCounterPerspectives === true,
+  });
+  if (!result) throw new TransientJobError("Failed to get AI response");
+  return result;
+});
+
+registerJobHandler("deeper-scrape", async (job, options) => {
+  const result = await runDeeperScrape(job.input.url, job.userId, {
+    ...options,
+    annotate: job.input.annotate === true,
+  });
+  if (!result) {
+    throw new TransientJobError("Unable to scrape the provided URL");
+  }
+  return result;
+});
+
+registerJobHandler("batch-analysis", async (job, options) =>
+  runBatchAnalysis(job.input, job.userId, options)
+);
+
+module.exports = {
+  registerJobHandler,
+  enqueueJob,
+  getJob,
+  cancelJob,
+  startJobWorker,
+  TransientJobError,
+  JobCancelledError,
+};
@@ -0,0 +1,139 @@
+// services/languageAnalysis.js
+// Sentence-level loaded-language annotation: the model flags phrases per numbered sentence and
+// we map each phrase back to exact offsets, dropping anything that isn't really in the text
+const { Type } = require("@google/genai");
+const { callAIWithMeta } = require("./aiServices");
+const { findQuoteInText, splitSentences } = require("../utils/textSpans");
+
+const MAX_ANNOTATED_CHARS = 6000;
+const MAX_SPANS = 40;
+
+const SPAN_CATEGORIES = [
+  "loaded_term",
+  "hedging",
+  "appeal_to_emotion",
+  "unattributed_claim",
+];
+const SEVERITY_RANK = { low: 1, medium: 2, high: 3 };
+
+// Overlapping spans keep the more severe one (earlier one on a tie)
+function removeOverlaps(spans) {
+  const sorted = [...spans].sort((a, b) => a.start - b.start);
+  const kept = [];
+  for (const span of sorted) {
+    const previous = kept[kept.length - 1];
+    if (!previous || span.start >= previous.end) {
+      kept.push(span);
+    } else if (SEVERITY_RANK[span.severity] > SEVERITY_RANK[previous.severity]) {
+      kept[kept.length - 1] = span;
+    }
+  }
+  return kept;
+}
+
+// Returns { text, truncated, spans, summary, aiMeta } - every span satisfies
+// text.slice(span.start, span.end) === span.text for the text returned here
+async function annotateLoadedLanguage(text) {
+  const analyzedText = text.substring(0, MAX_ANNOTATED_CHARS);
+  const sentences = splitSentences(analyzedText);
+
+  const responseSchema = {
+    type: Type.ARRAY,
+    items: {
+      type: Type.OBJECT,
+      properties: {
+        sentenceIndex: { type: Type.INTEGER, minimum: 0 },
+        phrase: { type: Type.STRING },
+        category: { type: Type.STRING, enum: SPAN_CATEGORIES },
+        severity: { type: Type.STRING, enum: ["low", "medium", "high"] },
+        suggestion: { type: Type.STRING },
+      },
+      required: ["sentenceIndex", "phrase", "category", "severity"],
+    },
+    maxItems: MAX_SPANS,
+  };
+
+  const sentenceList = sentences
+    .map((sentence, index) => `[${index}] ${sentence.text}`)
+    .join("\n");
+
+  const prompt = `Find biased or manipulative language in the numbered sentences below. For each instance give the sentence number, the exact phrase copied WORD FOR WORD from that sentence (keep it short - the offending words only), a category, a severity and a neutral rewording of the phrase.
+
+Categories:
+- loaded_term: emotionally charged or pejorative wording where a neutral term exists
+- hedging: vague qualifiers that soften or obscure a claim ("some say", "arguably")
+- appeal_to_emotion: wording meant to provoke fear, anger or pity instead of informing
+- unattributed_claim: a factual assertion presented without any source
+
+Only flag real problems; neutral sentences need no entries.
+
+SENTENCES:
+${sentenceList}`;
+
+  const { value, aiMeta } = await callAIWithMeta(
+    "language",
+    {
+      prompt,
+      responseSchema,
+      systemInstruction:
+        "Return only a JSON array of { sentenceIndex, phrase, category, severity, suggestion }. Phrases must be copied exactly from the given sentence.",
+    },
+    []
+  );
+
+  let rejected = 0;
+  const spans = [];
+  for (const item of value) {
+    const sentence = sentences[item.sentenceIndex];
+    // Only search inside the sentence the model pointed at, so a common word
+    // can't be matched somewhere else in the text
+    const match = sentence && findQuoteInText(item.phrase, sentence.text);
+    if (!match) {
+      rejected++;
+      continue;
+    }
+
+    const start = sentence.start + match.start;
+    const end = sentence.start + match.end;
+    spans.push({
+      start,
+      end,
+      text: analyzedText.slice(start, end),
+      sentenceIndex: item.sentenceIndex,
+      category: item.category,
+      severity: item.severity,
+      suggestion: item.suggestion || null,
+    });
+  }
+
+  const finalSpans = removeOverlaps(spans);
+  const byCategory = Object.fromEntries(
+    SPAN_CATEGORIES.map((category) => [
+      category,
+      finalSpans.filter((span) => span.category === category).length,
+    ])
+  );
+
+  return {
+    text: analyzedText,
+    truncated: text.length > analyzedText.length,
+    spans: finalSpans,
+    summary: {
+      sentenceCount: sentences.length,
+      flaggedSentences: new Set(finalSpans.map((span) => span.sentenceIndex))
+        .size,
+      byCategory,
+      // spans whose phrase couldn't be found in the sentence are dropped
+      rejectedSpans: rejected,
+    },
+    aiMeta: {
+      fallbackFields: aiMeta.fallbackFields.length ? ["spans"] : [],
+      cached: aiMeta.cached,
+    },
+  };
+}
+
+module.exports = {
+  annotateLoadedLanguage,
+  SPAN_CATEGORIES,
+};
@@ -0,0 +1,222 @@
+// services/metadataExtractor.js
+// Article metadata (byline, dates, publisher, language, canonical URL) from JSON-LD, OpenGraph,
+// Twitter cards and plain meta/time/link tags. Must run before extractMainContent strips the page.
+
+const ARTICLE_TYPES = [
+  "Article",
+  "NewsArticle",
+  "ReportageNewsArticle",
+  "AnalysisNewsArticle",
+  "OpinionNewsArticle",
+  "BackgroundNewsArticle",
+  "ReviewNewsArticle",
+  "BlogPosting",
+  "LiveBlogPosting",
+  "ScholarlyArticle",
+  "Report",
+];
+
+const DATE_META_NAMES = [
+  "date",
+  "pubdate",
+  "publish-date",
+  "publish_date",
+  "dc.date",
+  "dc.date.issued",
+  "dcterms.created",
+  "parsely-pub-date",
+  "sailthru.date",
+];
+
+const cleanText = (text) => (text || "").replace(/\s+/g, " ").trim();
+
+const toIsoDate = (value) => {
+  if (!value) return null;
+  const date = new Date(String(value).trim());
+  return Number.isNaN(date.getTime()) ? null : date.toISOString();
+};
+
+const resolveUrl = (value, baseUrl) => {
+  if (!value) return null;
+  try {
+    return new URL(value.trim(), baseUrl).href;
+  } catch (_) {
+    return null;
+  }
+};
+
+// "en_US" -> "en-US"
+const normalizeLanguage = (value) =>
+  value ? cleanText(value).replace("_", "-") : null;
+
+const meta = ($, attribute, name) =>
+  cleanText($(`meta[${attribute}="${name}"]`).first().attr("content")) || null;
+
+// JSON-LD blocks can be single objects, arrays or { "@graph": [...] }
+const parseJsonLd = ($) => {
+  const items = [];
+  $('script[type="application/ld+json"]').each((_, el) => {
+    const raw = $(el)
+      .html()
+      .replace(/^\s*<!\[CDATA\[|\]\]>\s*$/g, "");
+    try {
+      const flatten = (node) => {
+        if (Array.isArray(node)) return node.forEach(flatten);
+        if (!node || typeof node !== "object") return;
+        if (node["@graph"]) flatten(node["@graph"]);
+        items.push(node);
+      };
+      flatten(JSON.parse(raw));
+    } catch (_) {
+      // sites ship broken JSON-LD surprisingly often - just skip it
+    }
+  });
+  return items;
+};
+
+const hasType = (item, types) =>
+  [].concat(item["@type"] || []).some((type) => types.includes(String(type)));
+
+const nameOf = (value) => {
+  if (!value) return null;
+  if (typeof value === "string") return cleanText(value);
+  return cleanText(value.name) || null;
+};
+
+// Bylines come as "By Jane Doe and John Roe", arrays of Person objects or profile URLs
+const normalizeAuthors = (values) => {
+  const names = [];
+  for (const value of [].concat(values || [])) {
+    const name = nameOf(value);
+    if (!name || /^https?:\/\//i.test(name)) continue;
+    name
+      .replace(/^by\s+/i, "")
+      .split(/\s+(?:and|&)\s+|\s*;\s*/i)
+      .map(cleanText)
+      .filter(Boolean)
+      .forEach((author) => {
+        if (!names.some((n) => n.toLowerCase() === author.toLowerCase())) {
+          names.push(author);
+        }
+      });
+  }
+  return names;
+};
+
+// Returns the normalised fields plus fieldSources naming where each one came from
+const extractArticleMetadata = ($, pageUrl) => {
+  const fieldSources = {};
+  const pick = (field, candidates) => {
+    for (const [source, value] of candidates) {
+      const empty = Array.isArray(value) ? value.length === 0 : !value;
+      if (!empty) {
+        fieldSources[field] = source;
+        return value;
+      }
+    }
+    return Array.isArray(candidates[0]?.[1]) ? [] : null;
+  };
+
+  const jsonLd = parseJsonLd($);
+  const article =
+    jsonLd.find((item) => hasType(item, ARTICLE_TYPES)) ||
+    jsonLd.find((item) => hasType(item, ["WebPage"])) ||
+    {};
+  const organization = jsonLd.find((item) =>
+    hasType(item, ["Organization", "NewsMediaOrganization"])
+  );
+
+  // <time> inside the article (or marked as the publish date) beats the first one on the page
+  const timeElement =
+    $("[itemprop=datePublished]").first().attr("content") ||
+    $("time[itemprop=datePublished]").first().attr("datetime") ||
+    $("article time[datetime]").first().attr("datetime") ||
+    $("time[pubdate]").first().attr("datetime") ||
+    $("time[datetime]").first().attr("datetime");
+
+  const authors = pick("authors", [
+    ["json-ld", normalizeAuthors(article.author || article.creator)],
+    ["meta", normalizeAuthors(meta($, "name", "author"))],
+    ["opengraph", normalizeAuthors(meta($, "property", "article:author"))],
+    [
+      "html",
+      normalizeAuthors(
+        $("a[rel=author], [itemprop=author] [itemprop=name]")
+          .toArray()
+          .map((el) => $(el).text())
+      ),
+    ],
+    ["twitter", normalizeAuthors(meta($, "name", "twitter:creator"))],
+  ]);
+
+  const publishedAt = pick("publishedAt", [
+    ["json-ld", toIsoDate(article.datePublished)],
+    ["opengraph", toIsoDate(meta($, "property", "article:published_time"))],
+    [
+      "meta",
+      toIsoDate(
+        DATE_META_NAMES.map((name) => meta($, "name", name)).find(Boolean)
+      ),
+    ],
+    ["time", toIsoDate(timeElement)],
+  ]);
+
+  const modifiedAt = pick("modifiedAt", [
+    ["json-ld", toIsoDate(article.dateModified)],
+    ["opengraph", toIsoDate(meta($, "property", "article:modified_time"))],
+    ["opengraph", toIsoDate(meta($, "property", "og:updated_time"))],
+  ]);
+
+  const publisher = pick("publisher", [
+    ["json-ld", nameOf(article.publisher) || nameOf(organization)],
+    ["opengraph", meta($, "property", "og:site_name")],
+    ["meta", meta($, "name", "application-name")],
+    ["twitter", meta($, "name", "twitter:site")],
+  ]);
+
+  const language = pick("language", [
+    ["json-ld", normalizeLanguage(nameOf(article.inLanguage))],
+    ["html", normalizeLanguage($("html").attr("lang"))],
+    ["opengraph", normalizeLanguage(meta($, "property", "og:locale"))],
+    ["meta", normalizeLanguage(meta($, "http-equiv", "content-language"))],
+  ]);
+
+  const canonicalUrl = pick("canonicalUrl", [
+    ["link", resolveUrl($("link[rel=canonical]").attr("href"), pageUrl)],
+    ["opengraph", resolveUrl(meta($, "property", "og:url"), pageUrl)],
+    [
+      "json-ld",
+      resolveUrl(
+        article.mainEntityOfPage?.["@id"] ||
+          (typeof article.mainEntityOfPage === "string"
+            ? article.mainEntityOfPage
+            : null) ||
+          article.url,
+        pageUrl
+      ),
+    ],
+  ]);
+
+  const headline = pick("headline", [
+    ["json-ld", cleanText(article.headline) || null],
+    ["opengraph", meta($, "property", "og:title")],
+    ["twitter", meta($, "name", "twitter:title")],
+  ]);
+
+  return {
+    headline,
+    authors,
+    publishedAt,
+    modifiedAt,
+    publisher,
+    language,
+    canonicalUrl,
+    articleType: article["@type"] ? [].concat(article["@type"])[0] : null,
+    fieldSources,
+  };
+};
+
+module.exports = {
+  extractArticleMetadata,
+  parseJsonLd,
+};
@@ -1,6 +1,20 @@
 // services/scrapper.js
-const axios = require("axios");
 const cheerio = require("cheerio");
+const { extractMainContent, outlineToText } = require("./contentExtractor");
+const { extractArticleMetadata } = require("./metadataExtractor");
+const { builtInExtractors } = require("./siteExtractors");
+const { analyzeCitations } = require("./citationAnalysis");
+const { detectDocumentType, extractDocument } = require("./documentExtractor");
+const { FetchError } = require("../utils/safeFetch");
+const { politeFetch } = require("../utils/crawlPolicy");
+const {
+  findReusableSnapshot,
+  conditionalHeaders,
+  loadSnapshotBody,
+  touchSnapshot,
+  recordSnapshot,
+} = require("./snapshotStore");
+const { extractors: extractorsConfig } = require("../config/scraper");
 
 // REMOVED the circular import - deeperScrapeWebsite will need to be refactored
 // const { getEnhancedSmartResponseWithSources } = require("./aiServices");
@@ -9,16 +23,7 @@ const cheerio = require("cheerio");
 // This helps prevent wasting time on invalid or inaccessible URLs
 const validateUrl = async (url, timeout = 8000) => {
   try {
-    const response = await axios.head(url, {
-      timeout,
-      headers: {
-        "User-Agent":
-          "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36",
-      },
-      validateStatus: function (status) {
-        return status < 500; // accept any status code less than 500 as potentially valid
-      },
-    });
+    const response = await politeFetch(url, { method: "HEAD", timeout });
 
     return {
       exists: response.status < 400, // consider 400+ status codes as failures
@@ -27,6 +32,8 @@ const validateUrl = async (url, timeout = 8000) => {
       url: url, //include the URL for better logging
     };
   } catch (error) {
+    // blocked / invalid destinations are reported to the caller, not treated as "missing"
+    if (error instanceof FetchError) throw error;
     console.warn(`URL validation failed for ${url}:`, error.message);
     return {
       exists: false,
@@ -36,94 +43,355 @@ const validateUrl = async (url, timeout = 8000) => {
   }
 };
 
-// updating the main scraping function to be more robust with better error handling
-// This includes URL validation, retry logic, and content filtering
-const scrapeWebsite = async (url, retries = 2) => {
+// Site extractor registry - checked in registration order, host matches before detect().
+// Definitions are described at the top of siteExtractors.js.
+const siteExtractors = [];
+
+// Registering a name again replaces the earlier definition
+const registerExtractor = (definition) => {
+  if (!definition?.name) throw new Error("Site extractors need a name");
+  if (!definition.hosts?.length && !definition.detect) {
+    throw new Error(`Site extractor ${definition.name} needs hosts or detect`);
+  }
+  if (!definition.contentSelector && !definition.extract) {
+    throw new Error(
+      `Site extractor ${definition.name} needs a contentSelector or extract`
+    );
+  }
+  unregisterExtractor(definition.name);
+  siteExtractors.push({ hosts: [], ...definition });
+};
+
+const unregisterExtractor = (name) => {
+  const index = siteExtractors.findIndex(
+    (extractor) => extractor.name === name
+  );
+  if (index >= 0) siteExtractors.splice(index, 1);
+};
+
+const listExtractors = () =>
+  siteExtractors.map(({ name, hosts, detect }) => ({
+    name,
+    hosts: hosts.map(String),
+    detects: Boolean(detect),
+  }));
+
+// "example.com" matches exactly, "*.example.com" also matches example.com itself
+const matchesHost = (pattern, hostname) => {
+  if (pattern instanceof RegExp) return pattern.test(hostname);
+  const host = String(pattern).toLowerCase();
+  if (host.startsWith("*.")) {
+    return hostname === host.slice(2) || hostname.endsWith(host.slice(1));
+  }
+  return hostname === host;
+};
+
+const findSiteExtractor = ($, pageUrl) => {
+  if (!extractorsConfig.enabled) return null;
+  const hostname = new URL(pageUrl).hostname.toLowerCase();
+  return (
+    siteExtractors.find((extractor) =>
+      extractor.hosts.some((pattern) => matchesHost(pattern, hostname))
+    ) ||
+    siteExtractors.find((extractor) => extractor.detect?.($, pageUrl)) ||
+    null
+  );
+};
+
+builtInExtractors.forEach(registerExtractor);
+
+const extractTitle = ($) =>
+  $("title").text() ||
+  $("meta[property='og:title']").attr("content") ||
+  "No title found";
+
+// site-specific values win over the generic ones; empty ones are ignored
+const mergeMetadata = (metadata, overrides) => {
+  if (!overrides) return metadata;
+  const merged = { ...metadata, fieldSources: { ...metadata.fieldSources } };
+  Object.entries(overrides).forEach(([field, value]) => {
+    const empty = Array.isArray(value) ? value.length === 0 : value == null;
+    if (empty) return;
+    merged[field] = value;
+    merged.fieldSources[field] = "site";
+  });
+  return merged;
+};
+
+const resolvePageUrl = (href, pageUrl) => {
   try {
-    // First, validate the URL exists before attempting full scraping
-    // This saves time and resources on invalid URLs
-    const validation = await validateUrl(url);
-    if (!validation.exists) {
+    return href ? new URL(href, pageUrl).href : null;
+  } catch (_) {
+    return null;
+  }
+};
+
+// One page through a site extractor. Everything that reads the page (metadata, links, the next
+// page) runs before cleanup strips the site's chrome. content is null when the extractor found
+// nothing usable and the generic extractor should take over.
+const runSiteExtractor = (extractor, $, pageUrl) => {
+  const context = { url: pageUrl };
+  const metadata = mergeMetadata(
+    extractArticleMetadata($, pageUrl),
+    extractor.metadata?.($, context)
+  );
+  const links = extractor.links?.($, context) || null;
+  const nextPageUrl = resolvePageUrl(extractor.nextPage?.($, context), pageUrl);
+
+  if (typeof extractor.cleanup === "function") extractor.cleanup($, context);
+  else if (extractor.cleanup?.length) $(extractor.cleanup.join(",")).remove();
+
+  let content = extractor.extract?.($, context) || null;
+  if (!content && extractor.contentSelector) {
+    content = extractMainContent($, {
+      rootSelector: extractor.contentSelector,
+    });
+    // the selector matched nothing worth keeping - the extraction was generic after all
+    if (content.extraction.method !== "selector") content = null;
+  }
+
+  return {
+    metadata,
+    nextPageUrl,
+    content: content && {
+      ...content,
+      links: links || content.links || [],
+      extraction: { ...content.extraction, extractor: extractor.name },
+    },
+  };
+};
+
+// Later pages of a paginated article (live blogs push older updates onto page 2, 3, ...) go
+// through the same extractor. Only same-host pages are followed; a failing page ends the walk.
+const followPagination = async (extractor, firstPage, pageUrl) => {
+  const maxPages = Math.min(
+    extractor.maxPages || extractorsConfig.maxPages,
+    extractorsConfig.maxPages
+  );
+  const { host } = new URL(pageUrl);
+  const outline = [...firstPage.content.outline];
+  const links = [...firstPage.content.links];
+  const seenUrls = new Set([pageUrl]);
+  // pinned posts repeat on every page
+  const seenBlocks = new Set(outline.map((block) => JSON.stringify(block)));
+
+  let nextUrl = firstPage.nextPageUrl;
+  let pages = 1;
+  while (
+    nextUrl &&
+    pages < maxPages &&
+    !seenUrls.has(nextUrl) &&
+    new URL(nextUrl).host === host
+  ) {
+    seenUrls.add(nextUrl);
+    try {
+      const response = await politeFetch(nextUrl, {
+        headers: { Accept: "text/html,application/xhtml+xml" },
+      });
+      if (response.status >= 400) break;
+
+      const page = runSiteExtractor(
+        extractor,
+        cheerio.load(String(response.data)),
+        response.url
+      );
+      if (!page.content) break;
+
+      page.content.outline.forEach((block) => {
+        const key = JSON.stringify(block);
+        if (seenBlocks.has(key)) return;
+        seenBlocks.add(key);
+        outline.push(block);
+      });
+      links.push(...page.content.links);
+      nextUrl = page.nextPageUrl;
+      pages++;
+    } catch (error) {
+      console.warn(`Stopped following pages at ${nextUrl}:`, error.message);
+      break;
+    }
+  }
+
+  return {
+    ...firstPage.content,
+    text: pages > 1 ? outlineToText(outline) : firstPage.content.text,
+    outline,
+    links,
+    extraction: {
+      ...firstPage.content.extraction,
+      blockCount: outline.length,
+      paragraphCount: outline.filter(
+        (block) => block.type === "paragraph" || block.type === "quote"
+      ).length,
+      pages,
+    },
+  };
+};
+
+// HTML page -> title, article metadata and main content, through a site extractor when one
+// matches and the generic readability-style extraction otherwise
+const extractHtmlPage = async (html, pageUrl) => {
+  // load the HTML content into Cheerio for parsing
+  let $ = cheerio.load(html);
+
+  // extract the page title for metadata
+  const title = extractTitle($);
+
+  const siteExtractor = findSiteExtractor($, pageUrl);
+  let metadata = null;
+  if (siteExtractor) {
+    try {
+      const page = runSiteExtractor(siteExtractor, $, pageUrl);
+      metadata = page.metadata;
+      if (page.content) {
+        const content = await followPagination(siteExtractor, page, pageUrl);
+        return {
+          title,
+          text: content.text,
+          outline: content.outline,
+          links: content.links,
+          extraction: content.extraction,
+          metadata,
+          document: null,
+        };
+      }
+    } catch (error) {
       console.warn(
-        `URL validation failed: ${url} - Status: ${
-          validation.status || "Connection failed"
-        }`
+        `Site extractor ${siteExtractor.name} failed for ${pageUrl}:`,
+        error.message
       );
-      return null;
     }
+    // the site extractor already cut the page up - start the generic pass from scratch
+    $ = cheerio.load(html);
+  }
+
+  // byline, dates, publisher and canonical URL - read before extraction strips <head> scripts
+  // relative links resolve against where the redirects ended up
+  metadata = metadata || extractArticleMetadata($, pageUrl);
 
-    // If validation passes, proceed with the full scraping
-    const { data } = await axios.get(url, {
-      timeout: 10000,
+  // readability-style extraction: scores DOM blocks, strips boilerplate (cookie banners,
+  // comments, related links) and keeps headings/lists/quotes - see contentExtractor.js
+  const { text, outline, links, extraction } = extractMainContent($);
+  return {
+    title,
+    text,
+    outline,
+    links,
+    extraction: {
+      ...extraction,
+      extractor: "generic",
+      // the site extractor that matched but came up empty
+      fallbackFrom: siteExtractor?.name,
+    },
+    metadata,
+    document: null,
+  };
+};
+
+// PDFs and plain-text / Markdown documents get their own extractors, everything else is HTML
+const extractBody = async (body, contentType, pageUrl) => {
+  const type =
+    detectDocumentType(contentType, new URL(pageUrl).pathname, body) || "html";
+  return type === "html"
+    ? extractHtmlPage(String(body), pageUrl)
+    : extractDocument(body, type);
+};
+
+// The result shape shared by web pages, fetched documents and uploads - null when there is
+// too little text to analyse
+const buildScrapeResult = (url, extracted) => {
+  const bodyText = (extracted.text || "").trim();
+  if (!bodyText || bodyText.length < 100) return null;
+
+  // limit text length to avoid token limits in AI processing
+  const limitedBodyText = bodyText.substring(0, 8000);
+
+  // removing the direct AI service calls that were causing circular dependencies
+  // Instead -> return the raw scraped data and let the caller handle AI processing
+  return {
+    url,
+    title: extracted.title || "No title found",
+    text: limitedBodyText, // return the raw text instead of AI-processed summary
+    rawContent: bodyText, // include both limited and full content for flexibility
+    contentLength: bodyText.length,
+    outline: extracted.outline, // headings, paragraphs, lists and quotes in document order
+    extraction: extracted.extraction, // method + confidence so low-quality extractions can be flagged
+    extractor: extracted.extraction?.extractor || null, // "generic", "document" or a site extractor's name
+    links: extracted.links, // raw { href, text } links from the article body, see citationAnalysis.js
+    metadata: extracted.metadata, // { headline, authors, publishedAt, modifiedAt, publisher, language, canonicalUrl, ... }
+    // PDF / text / Markdown only: { type, pageCount, pages: [{ page, start, end }] } - offsets into rawContent
+    document: extracted.document,
+    scrapedAt: new Date().toISOString(),
+    // Note: AI processing like tags, sentiment, and summaries should be handled by the caller
+    // This prevents circular dependencies between scrapper and aiServices
+  };
+};
+
+// updating the main scraping function to be more robust with better error handling
+// Fetches go through politeFetch: our own user agent, robots.txt and per-host rate limits.
+// A single GET - a separate HEAD check would just double the requests to every host.
+const scrapeWebsite = async (url) => {
+  try {
+    // the last snapshot's ETag / Last-Modified turn a re-scrape into a conditional GET
+    const previous = await findReusableSnapshot(url);
+    const response = await politeFetch(url, {
       headers: {
-        "User-Agent":
-          "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36",
         Accept:
-          "text/html,application/xhtml+xml,application/xml;q=0.9,image/webp,*/*;q=0.8",
+          "text/html,application/xhtml+xml,application/xml;q=0.9,application/pdf;q=0.9,text/plain;q=0.8,text/markdown;q=0.8,*/*;q=0.5",
         "Accept-Language": "en-US,en;q=0.5",
         "Accept-Encoding": "gzip, deflate, br",
-        Connection: "keep-alive",
+        ...conditionalHeaders(previous),
       },
     });
 
-    // load the HTML content into Cheerio for parsing
-    const $ = cheerio.load(data);
-
-    // extract the page title for metadata
-    const title =
-      $("title").text() ||
-      $("meta[property='og:title']").attr("content") ||
-      "No title found";
-
-    // extract paragraphs and filter out very short ones to get meaningful content
-    // This helps avoid navigation text, ads, and other non-content elements
-    const paragraphs = $("p")
-      .map((i, el) => $(el).text().trim())
-      .get()
-      .filter((text) => text.length > 50) // filter out very short paragraphs that are likely not main content
-      .join("\n\n");
+    // 304 - the page hasn't changed, re-extract from the stored snapshot
+    if (response.status === 304 && previous) {
+      const body = await loadSnapshotBody(previous);
+      const result = buildScrapeResult(
+        url,
+        await extractBody(body, previous.contentType, previous.url)
+      );
+      if (!result) return null;
+      return { ...result, snapshot: await touchSnapshot(previous) };
+    }
 
-    // use the filtered paragraphs as the main body text
-    const bodyText = paragraphs.trim();
+    // a 403 under an honest user agent is the site's answer, not worth retrying
+    if (response.status >= 400 || response.status === 304) {
+      console.error(
+        `Scraping failed for ${url} with status ${response.status}`
+      );
+      return null;
+    }
 
+    const result = buildScrapeResult(
+      url,
+      await extractBody(
+        response.data,
+        response.headers["content-type"],
+        response.url
+      )
+    );
     // check if there's sufficient content to proceed
-    if (!bodyText || bodyText.length < 100) {
+    if (!result) {
       console.warn("Insufficient text content found for:", url);
       return null;
     }
 
-    // limit text length to avoid token limits in AI processing
-    const limitedBodyText = bodyText.substring(0, 8000);
-
-    // removing the direct AI service calls that were causing circular dependencies
-    // Instead -> return the raw scraped data and let the caller handle AI processing
-    return {
-      url,
-      title,
-      text: limitedBodyText, // return the raw text instead of AI-processed summary
-      rawContent: bodyText, // include both limited and full content for flexibility
-      contentLength: bodyText.length,
-      scrapedAt: new Date().toISOString(),
-      // Note: AI processing like tags, sentiment, and summaries should be handled by the caller
-      // This prevents circular dependencies between scrapper and aiServices
-    };
+    // raw body + extracted text, so history can show exactly what was analysed
+    const snapshot = await recordSnapshot({
+      requestedUrl: url,
+      response,
+      title: result.title,
+      text: result.rawContent,
+    });
+    return { ...result, snapshot };
   } catch (error) {
-    // handle 403 errors with retry logic since they're often temporary
-    if (error.response?.status === 403 && retries > 0) {
-      console.log(`Retrying ${url} due to 403... (${retries} retries left)`);
-      // wait a bit before retrying to avoid rate limiting
-      await new Promise((resolve) => setTimeout(resolve, 1000));
-      return scrapeWebsite(url, retries - 1);
-    }
+    // blocked destinations, robots.txt, oversized bodies etc. - the controllers turn these into 4xx
+    if (error instanceof FetchError) throw error;
 
     // handle other types of errors with appropriate logging
     if (error.code === "ECONNABORTED") {
       console.error(`Scraping timeout for ${url}:`, error.message);
-    } else if (error.response) {
-      console.error(
-        `Scraping failed for ${url} with status ${error.response.status}:`,
-        error.message
-      );
     } else {
       console.error("Scraping failed for", url, ":", error.message);
     }
@@ -136,15 +404,14 @@ const scrapeWebsite = async (url, retries = 2) => {
 // This is useful when only needing to verify a URL exists and get basic info
 const quickScrapeForValidation = async (url) => {
   try {
-    const { data } = await axios.get(url, {
+    const response = await politeFetch(url, {
       timeout: 5000, // Shorter timeout for validation
-      headers: {
-        "User-Agent":
-          "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36",
-      },
     });
+    if (response.status >= 400) {
+      return { exists: false, status: response.status, url: url };
+    }
 
-    const $ = cheerio.load(data);
+    const $ = cheerio.load(response.data);
     const title = $("title").text() || "No title found";
 
     return {
@@ -157,14 +424,33 @@ const quickScrapeForValidation = async (url) => {
     return {
       exists: false,
       error: error.message,
+      code: error instanceof FetchError ? error.code : undefined,
       url: url,
     };
   }
 };
 
+// Uploaded files go through the same extractors and result shape as fetched documents.
+// url is "upload:<filename>" so history, citations and the UI can tell uploads apart.
+const scrapeUploadedDocument = async (buffer, { filename, contentType }) => {
+  const type = detectDocumentType(contentType, filename, buffer);
+  if (!type || type === "html") return null;
+
+  const extracted = await extractDocument(buffer, type);
+  return buildScrapeResult(`upload:${filename}`, {
+    ...extracted,
+    title: extracted.title || filename,
+  });
+};
+
 // UPDATED: deeperScrapeWebsite without circular dependency
 // This function now requires the AI service to be passed in or called separately
-const deeperScrapeWebsite = async (url, aiAnalysisFunction = null) => {
+// options.onProgress(event, data) is forwarded to the AI function for progress streaming
+const deeperScrapeWebsite = async (
+  url,
+  aiAnalysisFunction = null,
+  options = {}
+) => {
   try {
     // First, extract and summarize the main article using our basic scraper
     const mainResult = await scrapeWebsite(url);
@@ -175,6 +461,40 @@ const deeperScrapeWebsite = async (url, aiAnalysisFunction = null) => {
       return null;
     }
 
+    return await deeperAnalyzeContent(mainResult, aiAnalysisFunction, options);
+  } catch (error) {
+    if (options.signal?.aborted || error instanceof FetchError) throw error;
+    console.error("Deeper scraping failed:", error.message);
+    return null;
+  }
+};
+
+// The analysis half of deeperScrapeWebsite - citations, related sources and bias for content
+// that is already extracted (a scraped page, a fetched document or an uploaded file)
+const deeperAnalyzeContent = async (
+  mainResult,
+  aiAnalysisFunction = null,
+  options = {}
+) => {
+  try {
+    // what the article itself links to - primary sources, news, social media, ...
+    const citations = analyzeCitations(
+      mainResult.links,
+      mainResult.url,
+      mainResult.rawContent
+    );
+
+    if (options.onProgress) {
+      options.onProgress("page_scraped", {
+        url: mainResult.url,
+        title: mainResult.title,
+        contentLength: mainResult.contentLength,
+        extractionConfidence: mainResult.extraction?.confidence,
+        extractor: mainResult.extractor,
+        citationCount: citations.externalLinks,
+      });
+    }
+
     // If no AI function provided, return basic scraped data
     if (!aiAnalysisFunction) {
       console.warn(
@@ -186,12 +506,17 @@ const deeperScrapeWebsite = async (url, aiAnalysisFunction = null) => {
         neutralityScore: 0.5,
         persuasionScore: 0.5,
         relatedSources: [],
+        citations,
         analyzedAt: new Date().toISOString(),
       };
     }
 
     // use the provided AI service to get related sources and deeper analysis
-    const relatedResult = await aiAnalysisFunction(mainResult.text);
+    // citations feed into the research-quality factors
+    const relatedResult = await aiAnalysisFunction(mainResult.text, {
+      ...options,
+      citations,
+    });
 
     // return a comprehensive result combining raw scraping and AI analysis
     return {
@@ -200,20 +525,30 @@ const deeperScrapeWebsite = async (url, aiAnalysisFunction = null) => {
         title: mainResult.title,
         text: mainResult.text,
         contentLength: mainResult.contentLength,
+        outline: mainResult.outline,
+        extraction: mainResult.extraction,
+        extractor: mainResult.extractor || null,
+        metadata: mainResult.metadata,
+        document: mainResult.document || null,
+        snapshot: mainResult.snapshot || null, // { id, contentHash, ... } - see /api/history/{id}/snapshot
         scrapedAt: mainResult.scrapedAt,
       },
       aiSummary: relatedResult?.summary || "No summary available",
       neutralityScore: relatedResult?.neutralityScore || 0.5,
       persuasionScore: relatedResult?.persuasionScore || 0.5,
       relatedSources: relatedResult?.sources || [], // Array of related sources with analysis
+      blockedSources: relatedResult?.blockedSources || [], // skipped because of robots.txt
+      citations,
       biasAnalysis: relatedResult?.biasAnalysis || null,
       researchQuality: relatedResult?.researchQuality || null,
       sourceMetrics: relatedResult?.sourceMetrics || null,
+      aiMeta: relatedResult?.aiMeta || null,
       // include metadata about when the analysis was performed
       analyzedAt: new Date().toISOString(),
     };
   } catch (error) {
-    console.error("Deeper scraping failed:", error.message);
+    if (options.signal?.aborted) throw error;
+    console.error("Deeper analysis failed:", error.message);
     return null;
   }
 };
@@ -256,7 +591,12 @@ const validateMultipleUrls = async (urls, concurrency = 3) => {
 module.exports = {
   scrapeWebsite,
   deeperScrapeWebsite, // Now accepts an optional AI analysis function
+  deeperAnalyzeContent,
+  scrapeUploadedDocument,
   validateUrl,
   quickScrapeForValidation,
   validateMultipleUrls,
+  registerExtractor,
+  unregisterExtractor,
+  listExtractors,
 };
@@ -0,0 +1,199 @@
+// services/shareLinks.js
+// Public share links: an unguessable token that exposes a read-only view of one history entry
+// and its full result to anyone holding it, until it expires or the owner revokes it.
+const crypto = require("crypto");
+const ShareLink = require("../models/ShareLink");
+const SearchHistory = require("../models/SearchHistory");
+const ScrapedContent = require("../models/ScrapedContent");
+const { extractDomain } = require("./domainReputation");
+const { scrapedContentIds } = require("./accountData");
+
+const TOKEN_PATTERN = /^[A-Za-z0-9_-]{32}$/;
+
+// 24 random bytes -> 32 base64url characters
+function generateToken() {
+  return crypto.randomBytes(24).toString("base64url");
+}
+
+function linkStatus(link, now = new Date()) {
+  if (link.revokedAt) return "revoked";
+  if (link.expiresAt && link.expiresAt <= now) return "expired";
+  return "active";
+}
+
+async function countActiveLinks(historyId, userId) {
+  return ShareLink.countDocuments({
+    historyId,
+    userId,
+    revokedAt: null,
+    $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }],
+  });
+}
+
+async function createShareLink(historyEntry, { expiresInHours, redactQuery }) {
+  const link = new ShareLink({
+    token: generateToken(),
+    userId: historyEntry.userId,
+    historyId: historyEntry._id,
+    redactQuery: Boolean(redactQuery),
+    expiresAt: expiresInHours
+      ? new Date(Date.now() + expiresInHours * 60 * 60 * 1000)
+      : null,
+  });
+  await link.save();
+  return link;
+}
+
+// Newest first; options.historyId narrows it to one entry
+async function listShareLinks(userId, { historyId } = {}) {
+  const query = { userId };
+  if (historyId) query.historyId = historyId;
+  return ShareLink.find(query).sort({ createdAt: -1 });
+}
+
+// Revoking twice is a no-op - resolves with the link, or null when it isn't the user's
+async function revokeShareLink(linkId, userId) {
+  const link = await ShareLink.findOne({ _id: linkId, userId });
+  if (link && !link.revokedAt) {
+    link.revokedAt = new Date();
+    await link.save();
+  }
+  return link;
+}
+
+// /api/scrape entries store [ScrapedContent _id] as their full result - shared as the pages
+// themselves, in the shape the account export uses
+async function resolveFullResult(searchData) {
+  const contentIds = scrapedContentIds(searchData);
+  if (contentIds.length === 0) return searchData || null;
+  const scrapedContent = await ScrapedContent.find({ _id: { $in: contentIds } })
+    .select("-_id -__v")
+    .lean();
+  return { scrapedContent };
+}
+
+// Domains that would give away what was analysed: the queried URL's, the main page's (after
+// redirects), the scraped pages' and the feed's
+function queryDomains(entry, result) {
+  return new Set(
+    [
+      extractDomain(entry.query),
+      extractDomain(result?.main?.url),
+      ...(result?.scrapedContent || []).map((page) => extractDomain(page.url)),
+      extractDomain(result?.feed?.url),
+      extractDomain(result?.feed?.link),
+    ].filter(Boolean)
+  );
+}
+
+// A scraped page reduced to its scores and extraction details - its address, title, metadata
+// and the text itself all identify it
+function redactPage(page) {
+  const {
+    url,
+    title,
+    text,
+    outline,
+    metadata,
+    document,
+    snapshot,
+    ...redacted
+  } = page;
+  return redacted;
+}
+
+// The full result without anything naming the page, file or feed the analysis started from:
+// its URL, title, text and metadata, and the article's links back to its own site
+function redactResult(result) {
+  if (!result || typeof result !== "object" || Array.isArray(result)) {
+    return result;
+  }
+  const { url, title, ...redacted } = result;
+  if (redacted.main) redacted.main = redactPage(redacted.main);
+  if (redacted.scrapedContent) {
+    redacted.scrapedContent = redacted.scrapedContent.map(redactPage);
+  }
+  if (redacted.feed) redacted.feed = null;
+  if (redacted.citations?.links) {
+    redacted.citations = {
+      ...redacted.citations,
+      links: redacted.citations.links.filter(
+        (citation) => citation.category !== "same_site"
+      ),
+    };
+  }
+  return redacted;
+}
+
+// What a link exposes: the analysis, never the owner's id, tags, notes or collections.
+// result is the entry's full result with scrape references resolved (see resolveFullResult) -
+// unresolved references are left out rather than shared as bare ids.
+function buildSharedView(
+  link,
+  entry,
+  result = entry.fullResultId?.searchData ?? null
+) {
+  if (scrapedContentIds(result).length > 0) result = null;
+  const resultSummary = { ...entry.resultSummary };
+  let sourceDomains = entry.sourceDomains || [];
+  if (link.redactQuery) {
+    delete resultSummary.mainUrl;
+    const hidden = queryDomains(entry, result);
+    sourceDomains = sourceDomains.filter((domain) => !hidden.has(domain));
+  }
+  return {
+    entryType: entry.entryType,
+    query: link.redactQuery ? null : entry.query,
+    queryRedacted: link.redactQuery,
+    timestamp: entry.timestamp,
+    resultSummary,
+    sourceDomains,
+    result: link.redactQuery ? redactResult(result) : result,
+    sharedAt: link.createdAt,
+    expiresAt: link.expiresAt,
+    viewCount: link.viewCount,
+  };
+}
+
+// Resolves with null for unknown tokens (or entries deleted since), { status } for revoked and
+// expired links, and { status: "active", view } otherwise - counting the view
+async function openShareLink(token) {
+  if (!TOKEN_PATTERN.test(token || "")) return null;
+
+  const link = await ShareLink.findOne({ token });
+  if (!link) return null;
+  const status = linkStatus(link);
+  if (status !== "active") return { status };
+
+  const entry = await SearchHistory.findOne({
+    _id: link.historyId,
+    userId: link.userId,
+  })
+    .populate("fullResultId")
+    .lean();
+  if (!entry) return null;
+
+  const viewed = await ShareLink.findOneAndUpdate(
+    { _id: link._id },
+    { $inc: { viewCount: 1 }, lastViewedAt: new Date() },
+    { new: true }
+  );
+  const result = await resolveFullResult(entry.fullResultId?.searchData);
+  return { status, view: buildSharedView(viewed || link, entry, result) };
+}
+
+// Links of deleted history entries go with them
+async function deleteShareLinksForEntries(historyIds) {
+  return ShareLink.deleteMany({ historyId: { $in: historyIds } });
+}
+
+module.exports = {
+  buildSharedView,
+  linkStatus,
+  countActiveLinks,
+  createShareLink,
+  listShareLinks,
+  revokeShareLink,
+  openShareLink,
+  deleteShareLinksForEntries,
+};
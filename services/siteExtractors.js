@@ -0,0 +1,255 @@
+// services/siteExtractors.js
+// Built-in site extractors, registered with the scraper in scrapper.js. Each one tells the
+// generic extraction where a site keeps its article and what to throw away first:
+//   name            reported as `extractor` in scrape results
+//   hosts           hostnames, "*.example.com" wildcards or RegExps
+//   detect($, url)  optional - matches pages on any host (custom domains, live blogs)
+//   contentSelector content containers handed to extractMainContent
+//   cleanup         selectors (or a function($, context)) removed before extraction
+//   metadata($, context) / links($, context) / nextPage($, context) - read before cleanup
+//   extract($, context)  optional - replaces selector extraction, null falls back to it
+//   maxPages        cap on pages followed through nextPage (config caps it again)
+const { outlineToText } = require("./contentExtractor");
+const { parseJsonLd } = require("./metadataExtractor");
+
+const cleanText = (text) => (text || "").replace(/\s+/g, " ").trim();
+
+const toIsoDate = (value) => {
+  if (!value) return null;
+  const date = new Date(cleanText(value));
+  return Number.isNaN(date.getTime()) ? null : date.toISOString();
+};
+
+const hasType = (item, type) => [].concat(item["@type"] || []).includes(type);
+
+// rel="next" as a <link> in the head or an <a> in the page
+const relNextPage = ($) =>
+  $("link[rel=next]").attr("href") || $("a[rel~=next]").first().attr("href");
+
+// --- Wikipedia -----------------------------------------------------------------------------
+
+// sections after the article proper - their links are kept as citations, their text isn't
+const WIKIPEDIA_TRAILING_SECTIONS =
+  /^(references|notes|footnotes|citations|sources|bibliography|see also|external links|further reading)$/i;
+
+const removeWikipediaTrailingSections = ($) => {
+  $("#mw-content-text .mw-parser-output").each((_, container) => {
+    let removing = false;
+    $(container)
+      .children()
+      .toArray()
+      .forEach((child) => {
+        // newer skins wrap headings in <div class="mw-heading">
+        const heading = $(child).is("h2")
+          ? $(child)
+          : $(child).children("h2").first();
+        if (heading.length) {
+          removing = WIKIPEDIA_TRAILING_SECTIONS.test(
+            cleanText(heading.text())
+          );
+        }
+        if (removing) $(child).remove();
+      });
+  });
+};
+
+const wikipedia = {
+  name: "wikipedia",
+  hosts: ["*.wikipedia.org"],
+  contentSelector: "#mw-content-text .mw-parser-output",
+  metadata: ($) => ({
+    headline: cleanText($("#firstHeading").text()) || null,
+    publisher: "Wikipedia",
+  }),
+  // the body's own links are almost all internal wiki links - the sources are in the
+  // references list
+  links: ($) =>
+    $(".references a.external, .reflist a.external, .refbegin a.external")
+      .toArray()
+      .map((link) => ({
+        href: link.attribs.href.trim(),
+        text: cleanText($(link).text()),
+      })),
+  cleanup: ($) => {
+    $(
+      [
+        ".mw-editsection",
+        "sup.reference",
+        ".mw-references-wrap",
+        ".reflist",
+        "ol.references",
+        ".navbox",
+        ".vertical-navbox",
+        ".infobox",
+        ".sidebar",
+        ".hatnote",
+        ".ambox",
+        ".metadata",
+        ".toc",
+        "#toc",
+        ".mw-jump-link",
+        ".noprint",
+      ].join(",")
+    ).remove();
+    removeWikipediaTrailingSections($);
+  },
+};
+
+// --- Substack ------------------------------------------------------------------------------
+
+const substack = {
+  name: "substack",
+  hosts: ["*.substack.com"],
+  // publications on their own domain still load everything from substackcdn.com
+  detect: ($) =>
+    $('link[href*="substackcdn.com"], script[src*="substackcdn.com"]').length >
+      0 && $(".body.markup").length > 0,
+  contentSelector: ".available-content .body.markup, article .body.markup",
+  metadata: ($) => ({
+    // free preview of a paid post - the text stops where the paywall starts
+    paywalled: $(".paywall, [data-testid=paywall]").length > 0,
+  }),
+  cleanup: [
+    ".subscription-widget-wrap",
+    ".subscription-widget-wrap-editor",
+    ".subscribe-widget",
+    ".captioned-button-wrap",
+    ".button-wrapper",
+    ".share-dialog",
+    ".paywall",
+    ".footnote-anchor",
+  ],
+};
+
+// --- Medium --------------------------------------------------------------------------------
+
+const medium = {
+  name: "medium",
+  hosts: ["medium.com", "*.medium.com"],
+  detect: ($) =>
+    $('meta[property="al:android:package"][content="com.medium.reader"]')
+      .length > 0,
+  contentSelector: "article section",
+  metadata: ($) => ({
+    authors: $("[data-testid=authorName]")
+      .toArray()
+      .map((el) => cleanText($(el).text()))
+      .filter(Boolean),
+    paywalled: /member-only story/i.test($("article").text()),
+  }),
+  // byline, clap/response bar and "listen" buttons all sit in .speechify-ignore
+  cleanup: [
+    ".speechify-ignore",
+    "[data-testid=headerClapButton]",
+    "[data-testid=audioPlayButton]",
+    ".pw-multi-vote-count",
+  ],
+};
+
+// --- Live blogs ----------------------------------------------------------------------------
+
+const LIVE_UPDATE_SELECTOR = [
+  "[itemprop=liveBlogUpdate]",
+  "[data-live-update]",
+  ".live-blog-post",
+  ".liveblog-entry",
+  ".liveblog__entry",
+].join(",");
+
+const findLiveBlogPosting = ($) =>
+  parseJsonLd($).find((item) => hasType(item, "LiveBlogPosting")) || null;
+
+// Updates from the LiveBlogPosting JSON-LD, or from the update markup when there is none
+const collectLiveUpdates = ($) => {
+  const posting = findLiveBlogPosting($);
+  const fromJsonLd = [].concat(posting?.liveBlogUpdate || []).map((update) => ({
+    headline: cleanText(update.headline) || null,
+    publishedAt: toIsoDate(update.datePublished),
+    paragraphs: String(update.articleBody || "")
+      .split(/\n+/)
+      .map(cleanText)
+      .filter(Boolean),
+  }));
+  if (fromJsonLd.some((update) => update.paragraphs.length > 0)) {
+    return fromJsonLd;
+  }
+
+  return $(LIVE_UPDATE_SELECTOR)
+    .toArray()
+    .map((el) => ({
+      headline: cleanText($(el).find("h2, h3, h4").first().text()) || null,
+      publishedAt: toIsoDate($(el).find("time[datetime]").attr("datetime")),
+      paragraphs: $(el)
+        .find("p, blockquote")
+        .toArray()
+        .map((p) => cleanText($(p).text()))
+        .filter(Boolean),
+    }));
+};
+
+const liveBlog = {
+  name: "liveblog",
+  detect: ($) =>
+    Boolean(findLiveBlogPosting($)) || $(LIVE_UPDATE_SELECTOR).length >= 3,
+  metadata: ($) => {
+    const updates = collectLiveUpdates($);
+    const latest = updates
+      .map((update) => update.publishedAt)
+      .filter(Boolean)
+      .sort()
+      .pop();
+    return {
+      articleType: "LiveBlogPosting",
+      // a live blog changes with every update
+      modifiedAt: latest || null,
+    };
+  },
+  links: ($) =>
+    $(LIVE_UPDATE_SELECTOR)
+      .find("a[href]")
+      .toArray()
+      .map((link) => ({
+        href: link.attribs.href.trim(),
+        text: cleanText($(link).text()),
+      })),
+  nextPage: relNextPage,
+  maxPages: 3,
+  // each update becomes a heading (its time or headline) followed by its paragraphs
+  extract: ($) => {
+    const updates = collectLiveUpdates($).filter(
+      (update) => update.paragraphs.length > 0
+    );
+    if (updates.length === 0) return null;
+
+    const outline = [];
+    updates.forEach((update) => {
+      outline.push({
+        type: "heading",
+        level: 3,
+        text: update.headline || update.publishedAt || "Update",
+        publishedAt: update.publishedAt,
+      });
+      update.paragraphs.forEach((text) =>
+        outline.push({ type: "paragraph", text })
+      );
+    });
+
+    return {
+      text: outlineToText(outline),
+      outline,
+      extraction: {
+        method: "live_blog",
+        // structured updates leave little room for picking up the wrong block
+        confidence: 0.9,
+        lowConfidence: false,
+        blockCount: outline.length,
+        paragraphCount: outline.length - updates.length,
+        linkDensity: 0,
+      },
+    };
+  },
+};
+
+module.exports = {
+  builtInExtractors: [wikipedia, substack, medium, liveBlog],
+};
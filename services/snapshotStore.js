@@ -0,0 +1,187 @@
+// services/snapshotStore.js
+// Page snapshots for scrapeWebsite: conditional GET headers from the last fetch, recording
+// new bodies (gzip + content hash) and loading a stored body back when a server says 304
+const crypto = require("crypto");
+const zlib = require("zlib");
+const { promisify } = require("util");
+const mongoose = require("mongoose");
+const PageSnapshot = require("../models/PageSnapshot");
+const { snapshots: snapshotConfig } = require("../config/scraper");
+
+const gzip = promisify(zlib.gzip);
+const gunzip = promisify(zlib.gunzip);
+
+function sha256(value) {
+  return crypto.createHash("sha256").update(value).digest("hex");
+}
+
+// Snapshots are an optimisation for scraping - without a database connection scraping just
+// goes ahead without them instead of waiting on mongoose buffering
+function isEnabled() {
+  return snapshotConfig.enabled && mongoose.connection.readyState === 1;
+}
+
+function toBuffer(body) {
+  return Buffer.isBuffer(body) ? body : Buffer.from(String(body || ""), "utf8");
+}
+
+// Public view of a snapshot as it appears in scrape results and history
+function describeSnapshot(snapshot, { notModified = false } = {}) {
+  return {
+    id: snapshot._id,
+    contentHash: snapshot.contentHash,
+    textHash: snapshot.textHash || null,
+    fetchedAt: snapshot.fetchedAt,
+    lastCheckedAt: snapshot.lastCheckedAt,
+    notModified,
+  };
+}
+
+// Latest snapshot of a URL whose body we can re-extract - only those are worth a conditional GET
+async function findReusableSnapshot(requestedUrl) {
+  if (!isEnabled()) return null;
+  try {
+    const snapshot = await PageSnapshot.findOne({ requestedUrl })
+      .sort({ fetchedAt: -1 })
+      .select("-text");
+    if (!snapshot || !snapshot.rawStored) return null;
+    if (!snapshot.etag && !snapshot.lastModified) return null;
+    return snapshot;
+  } catch (error) {
+    // a database hiccup just means a full fetch
+    console.warn(`Snapshot lookup failed for ${requestedUrl}:`, error.message);
+    return null;
+  }
+}
+
+function conditionalHeaders(snapshot) {
+  if (!snapshot) return {};
+  const headers = {};
+  if (snapshot.etag) headers["If-None-Match"] = snapshot.etag;
+  if (snapshot.lastModified) {
+    headers["If-Modified-Since"] = snapshot.lastModified;
+  }
+  return headers;
+}
+
+// Decompressed body of a stored snapshot - a string for text types, a Buffer otherwise
+async function loadSnapshotBody(snapshot, { asBuffer = false } = {}) {
+  if (!snapshot.rawStored || !snapshot.raw) return null;
+  const body = await gunzip(snapshot.raw);
+  if (asBuffer) return body;
+  return /^application\/pdf/i.test(snapshot.contentType || "")
+    ? body
+    : body.toString("utf8");
+}
+
+// The server said 304 - the stored snapshot is still what the page says
+async function touchSnapshot(snapshot) {
+  try {
+    const updated = await PageSnapshot.findByIdAndUpdate(
+      snapshot._id,
+      {
+        lastCheckedAt: new Date(),
+        $inc: { checkCount: 1, notModifiedCount: 1 },
+      },
+      { new: true, projection: { raw: 0, text: 0 } }
+    );
+    return describeSnapshot(updated || snapshot, { notModified: true });
+  } catch (error) {
+    console.warn(`Snapshot update failed for ${snapshot.url}:`, error.message);
+    return describeSnapshot(snapshot, { notModified: true });
+  }
+}
+
+// Stores a fetched body + extracted text, or reuses the latest snapshot when the bytes are
+// identical. Resolves with the snapshot description, or null when it couldn't be stored.
+async function recordSnapshot({ requestedUrl, response, title, text }) {
+  if (!isEnabled()) return null;
+  try {
+    const body = toBuffer(response.data);
+    const hash = sha256(body);
+    const etag = response.headers.etag || undefined;
+    const lastModified = response.headers["last-modified"] || undefined;
+
+    const latest = await PageSnapshot.findOne({ requestedUrl })
+      .sort({ fetchedAt: -1 })
+      .select({ raw: 0, text: 0 });
+    if (latest && latest.contentHash === hash) {
+      const updated = await PageSnapshot.findByIdAndUpdate(
+        latest._id,
+        {
+          lastCheckedAt: new Date(),
+          // validators can change even when the body doesn't
+          etag,
+          lastModified,
+          $inc: { checkCount: 1 },
+        },
+        { new: true, projection: { raw: 0, text: 0 } }
+      );
+      return describeSnapshot(updated || latest);
+    }
+
+    const compressed = await gzip(body);
+    const rawStored = compressed.length <= snapshotConfig.maxStoredBytes;
+    const snapshot = new PageSnapshot({
+      requestedUrl,
+      url: response.url,
+      status: response.status,
+      contentType: response.headers["content-type"],
+      etag,
+      lastModified,
+      contentHash: hash,
+      textHash: text ? sha256(text) : undefined,
+      rawSize: body.length,
+      raw: rawStored ? compressed : undefined,
+      rawStored,
+      title,
+      text,
+    });
+    await snapshot.save();
+    return describeSnapshot(snapshot);
+  } catch (error) {
+    console.warn(`Failed to store snapshot of ${requestedUrl}:`, error.message);
+    return null;
+  }
+}
+
+async function getSnapshot(snapshotId, { includeRaw = false } = {}) {
+  return PageSnapshot.findById(snapshotId, includeRaw ? undefined : { raw: 0 });
+}
+
+// Lightweight list for the snapshot picker of a history entry, in the given id order
+async function listSnapshots(snapshotIds) {
+  const snapshots = await PageSnapshot.find(
+    { _id: { $in: snapshotIds } },
+    { requestedUrl: 1, url: 1, title: 1, contentHash: 1, fetchedAt: 1 }
+  ).lean();
+  const byId = new Map(
+    snapshots.map((snapshot) => [String(snapshot._id), snapshot])
+  );
+  return snapshotIds.map((id) => byId.get(String(id))).filter(Boolean);
+}
+
+// Snapshot ids referenced by an analysis result: the main page, sources and batch items
+function collectSnapshotIds(result) {
+  if (!result || typeof result !== "object") return [];
+  const ids = [
+    result.snapshot?.id,
+    result.main?.snapshot?.id,
+    ...(result.sources || []).map((source) => source.snapshot?.id),
+    ...(result.relatedSources || []).map((source) => source.snapshot?.id),
+    ...(result.items || []).map((item) => item.snapshot?.id),
+  ].filter(Boolean);
+  return [...new Set(ids.map(String))];
+}
+
+module.exports = {
+  findReusableSnapshot,
+  conditionalHeaders,
+  loadSnapshotBody,
+  touchSnapshot,
+  recordSnapshot,
+  getSnapshot,
+  listSnapshots,
+  collectSnapshotIds,
+  sha256,
+};
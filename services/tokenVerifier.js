@@ -0,0 +1,103 @@
+// services/tokenVerifier.js
+// Pluggable bearer-token verification. A verifier is { name, verify(token) } where verify
+// resolves with { uid, email, provider } or rejects. "firebase" checks Firebase ID tokens (the
+// admin SDK is only loaded on first use), "local" checks HS256 JWTs signed with
+// AUTH_LOCAL_SECRET so the whole auth flow runs without a Firebase project.
+const jwt = require("jsonwebtoken");
+const authConfig = require("../config/auth");
+
+function createFirebaseVerifier() {
+  let admin = null;
+  return {
+    name: "firebase",
+    async verify(token) {
+      // config/firebase.js needs the service account key - only deployments using it load it
+      if (!admin) admin = require("../config/firebase");
+      const decoded = await admin.auth().verifyIdToken(token);
+      return {
+        uid: decoded.uid,
+        email: decoded.email || null,
+        provider: "firebase",
+      };
+    },
+  };
+}
+
+function createLocalVerifier({
+  secret = authConfig.localSecret,
+  issuer = authConfig.localIssuer,
+  ttlSeconds = authConfig.localTokenTtlSeconds,
+} = {}) {
+  if (!secret) {
+    throw new Error("AUTH_LOCAL_SECRET must be set to use the local verifier");
+  }
+  if (process.env.NODE_ENV === "production") {
+    console.warn(
+      "Local token verifier in production - tokens must come from your own issuer, /api/auth/local-token is disabled"
+    );
+  }
+  return {
+    name: "local",
+    async verify(token) {
+      const payload = jwt.verify(token, secret, {
+        algorithms: ["HS256"],
+        issuer,
+      });
+      if (!payload.sub) {
+        const error = new Error("Token has no subject");
+        error.name = "TokenError";
+        throw error;
+      }
+      return {
+        uid: payload.sub,
+        email: payload.email || null,
+        provider: "local",
+      };
+    },
+    // only the local verifier can issue tokens - see POST /api/auth/local-token
+    sign(uid, { email } = {}) {
+      return jwt.sign(email ? { email } : {}, secret, {
+        algorithm: "HS256",
+        subject: uid,
+        issuer,
+        expiresIn: ttlSeconds,
+      });
+    },
+  };
+}
+
+const verifierFactories = {
+  firebase: createFirebaseVerifier,
+  local: createLocalVerifier,
+};
+
+let activeVerifier = null;
+
+// Adds a verifier type selectable through AUTH_VERIFIER
+function registerVerifier(name, factory) {
+  verifierFactories[name] = factory;
+}
+
+// Replaces the active verifier outright (e.g. one built with custom options)
+function setTokenVerifier(verifier) {
+  activeVerifier = verifier;
+}
+
+function getTokenVerifier() {
+  if (!activeVerifier) {
+    const factory = verifierFactories[authConfig.verifier];
+    if (!factory) {
+      throw new Error(`Unknown AUTH_VERIFIER "${authConfig.verifier}"`);
+    }
+    activeVerifier = factory();
+  }
+  return activeVerifier;
+}
+
+module.exports = {
+  getTokenVerifier,
+  setTokenVerifier,
+  registerVerifier,
+  createFirebaseVerifier,
+  createLocalVerifier,
+};
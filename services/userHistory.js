@@ -1,11 +1,61 @@
+const mongoose = require("mongoose");
 const SearchHistory = require("../models/SearchHistory");
 const ScrapedContent = require("../models/CachedScrapedContent");
+const { collectSnapshotIds } = require("./snapshotStore");
+const { deleteShareLinksForEntries } = require("./shareLinks");
+const { extractDomain, normalizeDomain } = require("./domainReputation");
 
-exports.saveSearchHistory = async (userId, query, deeperScrapeResult) => {
+// History sort orders - field plus direction; _id breaks ties so cursors are stable
+const HISTORY_SORTS = {
+  newest: { field: "timestamp", direction: -1 },
+  oldest: { field: "timestamp", direction: 1 },
+  most_neutral: { field: "resultSummary.neutralityScore", direction: -1 },
+  least_neutral: { field: "resultSummary.neutralityScore", direction: 1 },
+  most_persuasive: { field: "resultSummary.persuasionScore", direction: -1 },
+  least_persuasive: { field: "resultSummary.persuasionScore", direction: 1 },
+  // text search only
+  relevance: { field: "relevance", direction: -1 },
+};
+exports.HISTORY_SORTS = HISTORY_SORTS;
+
+// What kind of analysis an entry is, for entries saved without an explicit type
+const inferEntryType = (query) => {
+  if (/^https?:\/\//i.test(query || "")) return "url";
+  if (/^upload:/.test(query || "")) return "document";
+  if (/^batch:/.test(query || "")) return "batch";
+  return "prompt";
+};
+
+// Domains of the analysed page, its sources and batch items
+const collectSourceDomains = (query, result) => {
+  if (!result || typeof result !== "object") result = {};
+  const domains = [
+    extractDomain(query),
+    extractDomain(result.main?.url),
+    ...[
+      ...(result.sources || []),
+      ...(result.relatedSources || []),
+      ...(result.items || []),
+    ].map((source) =>
+      source.domain ? normalizeDomain(source.domain) : extractDomain(source.url)
+    ),
+  ];
+  return [...new Set(domains.filter(Boolean))];
+};
+
+// options.snapshotIds adds snapshots the result itself doesn't reference (e.g. /scrape),
+// options.entryType overrides the type guessed from the query
+exports.saveSearchHistory = async (
+  userId,
+  query,
+  deeperScrapeResult,
+  { snapshotIds = [], entryType } = {}
+) => {
   try {
     // Extract summary data for quick history display
     const resultSummary = {
-      summary: deeperScrapeResult.summary,
+      // deeper scrapes call it aiSummary
+      summary: deeperScrapeResult.summary || deeperScrapeResult.aiSummary,
       neutralityScore: deeperScrapeResult.neutralityScore,
       persuasionScore: deeperScrapeResult.persuasionScore,
       sourcesCount: deeperScrapeResult.sources?.length || 0,
@@ -27,8 +77,16 @@ exports.saveSearchHistory = async (userId, query, deeperScrapeResult) => {
     const searchHistory = new SearchHistory({
       userId,
       query,
+      entryType: entryType || inferEntryType(query),
       resultSummary,
       fullResultId,
+      snapshotIds: [
+        ...new Set([
+          ...snapshotIds.filter(Boolean).map(String),
+          ...collectSnapshotIds(deeperScrapeResult),
+        ]),
+      ],
+      sourceDomains: collectSourceDomains(query, deeperScrapeResult),
       timestamp: new Date(),
     });
 
@@ -40,18 +98,155 @@ exports.saveSearchHistory = async (userId, query, deeperScrapeResult) => {
   }
 };
 
-exports.getUserSearchHistory = async (userId, limit = 10) => {
+// Opaque cursor: the sort it belongs to plus the last entry's sort value and id
+const encodeCursor = (sortName, entry) => {
+  const { field } = HISTORY_SORTS[sortName];
+  let value = field.split(".").reduce((node, key) => node?.[key], entry);
+  if (value instanceof Date) value = value.toISOString();
+  return Buffer.from(
+    JSON.stringify({ s: sortName, v: value, id: String(entry._id) })
+  ).toString("base64url");
+};
+
+// Returns { sort, value, id } or null when the cursor is malformed
+exports.decodeHistoryCursor = (cursor) => {
   try {
-    const history = await SearchHistory.find({ userId })
-      .sort({ timestamp: -1 })
-      .limit(limit);
-    return history;
+    const { s, v, id } = JSON.parse(
+      Buffer.from(String(cursor), "base64url").toString("utf8")
+    );
+    if (!HISTORY_SORTS[s] || !mongoose.isValidObjectId(id)) return null;
+    if (typeof v !== "number" && typeof v !== "string") return null;
+    return { sort: s, value: v, id };
+  } catch (_) {
+    return null;
+  }
+};
+
+// Entries after the cursor in sort order
+const cursorFilter = ({ field, direction }, cursor) => {
+  const after = direction === -1 ? "$lt" : "$gt";
+  const value = field === "timestamp" ? new Date(cursor.value) : cursor.value;
+  return {
+    $or: [
+      { [field]: { [after]: value } },
+      {
+        [field]: value,
+        _id: { [after]: new mongoose.Types.ObjectId(cursor.id) },
+      },
+    ],
+  };
+};
+
+const rangeFilter = (min, max) => {
+  const range = {};
+  if (min !== undefined) range.$gte = min;
+  if (max !== undefined) range.$lte = max;
+  return Object.keys(range).length > 0 ? range : null;
+};
+
+// Filtered, sorted and cursor-paginated history. filters: { q, from, to, minNeutrality,
+// maxNeutrality, minPersuasion, maxPersuasion, domains, types, tags, collectionId, sort,
+// limit, cursor } where
+// cursor is the decoded form (see decodeHistoryCursor). Resolves with
+// { entries, total, nextCursor } - total counts every match, not just this page.
+exports.searchUserHistory = async (userId, filters) => {
+  try {
+    const sortName = filters.sort || "newest";
+    const sort = HISTORY_SORTS[sortName];
+    const limit = filters.limit || 10;
+
+    const match = { userId };
+    if (filters.q) match.$text = { $search: filters.q };
+    const timestamp = rangeFilter(filters.from, filters.to);
+    if (timestamp) match.timestamp = timestamp;
+    const neutrality = rangeFilter(
+      filters.minNeutrality,
+      filters.maxNeutrality
+    );
+    if (neutrality) match["resultSummary.neutralityScore"] = neutrality;
+    const persuasion = rangeFilter(
+      filters.minPersuasion,
+      filters.maxPersuasion
+    );
+    if (persuasion) match["resultSummary.persuasionScore"] = persuasion;
+    // sorting by a score only lists entries that have one
+    if (sort.field.startsWith("resultSummary.")) {
+      match[sort.field] = { $ne: null, ...match[sort.field] };
+    }
+    if (filters.domains?.length) {
+      match.sourceDomains = { $in: filters.domains.map(normalizeDomain) };
+    }
+    if (filters.types?.length) match.entryType = { $in: filters.types };
+    if (filters.tags?.length) match.tags = { $in: filters.tags };
+    if (filters.collectionId) {
+      match.collectionIds = new mongoose.Types.ObjectId(filters.collectionId);
+    }
+
+    const pipeline = [{ $match: match }];
+    if (filters.q) {
+      pipeline.push({ $addFields: { relevance: { $meta: "textScore" } } });
+    }
+    if (filters.cursor) {
+      pipeline.push({ $match: cursorFilter(sort, filters.cursor) });
+    }
+    pipeline.push(
+      { $sort: { [sort.field]: sort.direction, _id: sort.direction } },
+      // one extra tells us whether there is another page
+      { $limit: limit + 1 }
+    );
+
+    const [entries, total] = await Promise.all([
+      SearchHistory.aggregate(pipeline),
+      SearchHistory.countDocuments(match),
+    ]);
+    const hasMore = entries.length > limit;
+    if (hasMore) entries.pop();
+
+    return {
+      entries,
+      total,
+      nextCursor: hasMore
+        ? encodeCursor(sortName, entries[entries.length - 1])
+        : null,
+    };
   } catch (error) {
-    console.error("Error fetching user search history:", error);
+    console.error("Error searching user search history:", error);
     throw error;
   }
 };
 
+// Entries saved before entryType existed get it from their query (feeds look like URLs -
+// only new batch entries are typed "batch")
+exports.backfillHistoryEntryTypes = async () => {
+  try {
+    const untyped = { entryType: { $exists: false } };
+    const updates = await Promise.all([
+      SearchHistory.updateMany(
+        { ...untyped, query: /^https?:\/\//i },
+        { entryType: "url" }
+      ),
+      SearchHistory.updateMany(
+        { ...untyped, query: /^upload:/ },
+        { entryType: "document" }
+      ),
+      SearchHistory.updateMany(
+        { ...untyped, query: /^batch:/ },
+        { entryType: "batch" }
+      ),
+    ]);
+    const rest = await SearchHistory.updateMany(untyped, {
+      entryType: "prompt",
+    });
+    const modified = [...updates, rest].reduce(
+      (total, update) => total + update.modifiedCount,
+      0
+    );
+    if (modified > 0) console.log(`Typed ${modified} older history entries`);
+  } catch (error) {
+    console.warn("History entry type backfill failed:", error.message);
+  }
+};
+
 exports.getFullSearchResult = async (historyId, userId) => {
   try {
     const historyEntry = await SearchHistory.findOne({
@@ -70,6 +265,79 @@ exports.getFullSearchResult = async (historyId, userId) => {
   }
 };
 
+exports.getSearchHistoryEntry = async (historyId, userId) => {
+  try {
+    return await SearchHistory.findOne({ _id: historyId, userId: userId });
+  } catch (error) {
+    console.error("Error fetching search history entry:", error);
+    throw error;
+  }
+};
+
+// Merge extra fields (e.g. counterPerspectives) into a stored full result
+exports.updateFullSearchResult = async (historyId, userId, fields) => {
+  try {
+    const historyEntry = await SearchHistory.findOne({
+      _id: historyId,
+      userId: userId,
+    });
+
+    if (!historyEntry || !historyEntry.fullResultId) {
+      return null;
+    }
+
+    const update = {};
+    for (const [key, value] of Object.entries(fields)) {
+      update[`searchData.${key}`] = value;
+    }
+    return await ScrapedContent.findByIdAndUpdate(
+      historyEntry.fullResultId,
+      { $set: update },
+      { new: true }
+    );
+  } catch (error) {
+    console.error("Error updating full search result:", error);
+    throw error;
+  }
+};
+
+// User-editable fields of an entry: tags (already normalised) and markdown notes
+exports.updateHistoryEntry = async (historyId, userId, { tags, notes }) => {
+  try {
+    const update = {};
+    if (tags !== undefined) update.tags = tags;
+    if (notes !== undefined) {
+      update.notes = notes || undefined;
+      update.notesUpdatedAt = new Date();
+    }
+    return await SearchHistory.findOneAndUpdate(
+      { _id: historyId, userId: userId },
+      update,
+      { new: true }
+    );
+  } catch (error) {
+    console.error("Error updating search history entry:", error);
+    throw error;
+  }
+};
+
+// Adds, replaces or (with empty notes) removes the note on one source of an entry
+exports.setSourceNote = async (historyEntry, sourceUrl, notes) => {
+  try {
+    const others = historyEntry.sourceNotes.filter(
+      (note) => note.sourceUrl !== sourceUrl
+    );
+    historyEntry.sourceNotes = notes
+      ? [...others, { sourceUrl, notes, updatedAt: new Date() }]
+      : others;
+    await historyEntry.save();
+    return historyEntry;
+  } catch (error) {
+    console.error("Error saving source note:", error);
+    throw error;
+  }
+};
+
 exports.deleteSearchHistory = async (historyId, userId) => {
   try {
     const historyEntry = await SearchHistory.findOne({
@@ -85,6 +353,7 @@ exports.deleteSearchHistory = async (historyId, userId) => {
       _id: historyId,
       userId: userId,
     });
+    if (result) await deleteShareLinksForEntries([result._id]);
     return result;
   } catch (error) {
     console.error("Error deleting search history:", error);
@@ -105,6 +374,9 @@ exports.deleteAllUserHistory = async (userId) => {
       await ScrapedContent.deleteMany({ _id: { $in: fullResultIds } });
     }
 
+    // Share links of the entries stop working with them
+    await deleteShareLinksForEntries(userHistory.map((entry) => entry._id));
+
     // Delete all history entries
     const result = await SearchHistory.deleteMany({ userId });
     return result;
@@ -0,0 +1,357 @@
+// services/watchlist.js
+// Article watchlist: watched URLs are re-scraped on an interval by a polling scheduler. When
+// the extracted text or headline changes, a new version is recorded with a sentence-level
+// diff and neutrality/sentiment deltas against the previous version.
+const os = require("os");
+const { diffSentences } = require("diff");
+const WatchlistItem = require("../models/WatchlistItem");
+const WatchlistVersion = require("../models/WatchlistVersion");
+const watchlistConfig = require("../config/watchlist");
+const { scrapeWebsite } = require("./scrapper");
+const { getNeutralityAndSentimentWithMeta } = require("./aiServices");
+const { sha256 } = require("./snapshotStore");
+
+const schedulerId = `${os.hostname()}:${process.pid}`;
+
+const MAX_VERSION_TEXT = 100000;
+const MAX_HUNKS = 50;
+const DIFF_TIMEOUT_MS = 5000;
+
+function round(value) {
+  return Math.round(value * 1000) / 1000;
+}
+
+function countWords(text) {
+  return (text || "").split(/\s+/).filter(Boolean).length;
+}
+
+function nextCheckFrom(item, from = Date.now()) {
+  return new Date(from + item.intervalMinutes * 60 * 1000);
+}
+
+// Sentence-level diff; adjacent removals/additions are paired into one hunk (an edit)
+function diffTexts(previous, current) {
+  const parts = diffSentences(previous, current, { timeout: DIFF_TIMEOUT_MS });
+  const totalWords = countWords(previous) + countWords(current);
+  if (!parts) {
+    // gave up - pages rewritten this heavily are reported as changed throughout
+    return {
+      addedWords: countWords(current),
+      removedWords: countWords(previous),
+      changeRatio: 1,
+      hunks: [],
+      truncated: true,
+    };
+  }
+
+  const hunks = [];
+  let addedWords = 0;
+  let removedWords = 0;
+  let open = null;
+  parts.forEach((part) => {
+    if (!part.added && !part.removed) {
+      open = null;
+      return;
+    }
+    const words = countWords(part.value);
+    if (part.added) addedWords += words;
+    else removedWords += words;
+
+    if (!open) {
+      open = { removed: null, added: null };
+      hunks.push(open);
+    }
+    const key = part.added ? "added" : "removed";
+    open[key] = [open[key], part.value.trim()].filter(Boolean).join(" ");
+  });
+
+  return {
+    addedWords,
+    removedWords,
+    changeRatio:
+      totalWords > 0 ? round((addedWords + removedWords) / totalWords) : 0,
+    hunks: hunks.slice(0, MAX_HUNKS),
+    truncated: hunks.length > MAX_HUNKS,
+  };
+}
+
+function buildChanges(previous, current) {
+  return {
+    headline:
+      previous.headline !== current.headline
+        ? { from: previous.headline || null, to: current.headline || null }
+        : null,
+    scoreDeltas: {
+      neutrality: round(current.neutralityScore - previous.neutralityScore),
+      sentiment: round(current.sentimentScore - previous.sentimentScore),
+    },
+    diff: diffTexts(previous.text || "", current.text),
+  };
+}
+
+// Re-scrapes one item and records a new version when it changed. Resolves with
+// { changed, version } or null when the page couldn't be scraped; FetchErrors propagate.
+async function checkWatchlistItem(item) {
+  const scraped = await scrapeWebsite(item.url);
+  if (!scraped) return null;
+
+  const text = scraped.rawContent.substring(0, MAX_VERSION_TEXT);
+  const textHash = sha256(text);
+  const headline = scraped.metadata?.headline || scraped.title;
+  const now = new Date();
+
+  const previous = await WatchlistVersion.findOne({ itemId: item._id }).sort({
+    version: -1,
+  });
+  if (
+    previous &&
+    previous.textHash === textHash &&
+    previous.headline === headline
+  ) {
+    await WatchlistItem.updateOne(
+      { _id: item._id },
+      {
+        lastCheckedAt: now,
+        nextCheckAt: nextCheckFrom(item, now.getTime()),
+        consecutiveFailures: 0,
+        $inc: { checkCount: 1 },
+        $unset: { lastError: 1 },
+      }
+    );
+    return { changed: false, version: previous };
+  }
+
+  // only changed content is re-scored
+  const { scores, aiMeta } = await getNeutralityAndSentimentWithMeta(text);
+  const current = {
+    headline,
+    text,
+    neutralityScore: scores.neutralityScore,
+    sentimentScore: scores.sentimentScore,
+  };
+
+  const version = new WatchlistVersion({
+    itemId: item._id,
+    userId: item.userId,
+    version: (previous?.version || 0) + 1,
+    snapshotId: scraped.snapshot?.id,
+    textHash,
+    ...current,
+    aiFallbackFields: aiMeta.fallbackFields,
+    changes: previous ? buildChanges(previous, current) : null,
+    detectedAt: now,
+  });
+  await version.save();
+
+  await WatchlistItem.updateOne(
+    { _id: item._id },
+    {
+      title: headline,
+      lastCheckedAt: now,
+      lastChangedAt: previous ? now : item.lastChangedAt,
+      nextCheckAt: nextCheckFrom(item, now.getTime()),
+      consecutiveFailures: 0,
+      versionCount: version.version,
+      latestVersion: {
+        version: version.version,
+        textHash,
+        headline,
+        neutralityScore: version.neutralityScore,
+        sentimentScore: version.sentimentScore,
+        detectedAt: now,
+      },
+      $inc: { checkCount: 1 },
+      $unset: { lastError: 1 },
+    }
+  );
+  return { changed: Boolean(previous), version };
+}
+
+// Failed checks are retried on the normal interval; repeated failures pause the item
+async function recordCheckFailure(item, error) {
+  const failures = (item.consecutiveFailures || 0) + 1;
+  const update = {
+    lastCheckedAt: new Date(),
+    nextCheckAt: nextCheckFrom(item),
+    consecutiveFailures: failures,
+    lastError: {
+      message: error.message,
+      code: error.code || error.name,
+      at: new Date(),
+    },
+    $inc: { checkCount: 1 },
+  };
+  if (failures >= watchlistConfig.maxConsecutiveFailures) {
+    update.status = "error";
+  }
+  await WatchlistItem.updateOne({ _id: item._id }, update);
+}
+
+async function runScheduledCheck(item) {
+  try {
+    const outcome = await checkWatchlistItem(item);
+    if (!outcome) {
+      await recordCheckFailure(item, new Error("Unable to scrape the article"));
+    } else if (outcome.changed) {
+      console.log(
+        `Watchlist item ${item._id} changed (version ${outcome.version.version})`
+      );
+    }
+  } catch (error) {
+    // a manual check computed the same version first and has already recorded it and
+    // rescheduled the item - that's not a failure of the page
+    if (error.code === 11000) {
+      console.log(`Watchlist item ${item._id} was checked concurrently`);
+      return;
+    }
+    console.error(`Watchlist check failed for ${item.url}:`, error.message);
+    await recordCheckFailure(item, error).catch((updateError) =>
+      console.warn(
+        `Failed to record watchlist failure for ${item._id}:`,
+        updateError.message
+      )
+    );
+  }
+}
+
+// Atomically claim the most overdue item - pushing nextCheckAt out doubles as the lock, so a
+// check whose process died is simply picked up again after checkTimeoutMs
+async function claimDueItem() {
+  const now = Date.now();
+  return WatchlistItem.findOneAndUpdate(
+    { status: "active", nextCheckAt: { $lte: new Date(now) } },
+    { nextCheckAt: new Date(now + watchlistConfig.checkTimeoutMs) },
+    { sort: { nextCheckAt: 1 }, new: true }
+  );
+}
+
+function startWatchlistScheduler({
+  pollIntervalMs = watchlistConfig.pollIntervalMs,
+  concurrency = watchlistConfig.concurrency,
+} = {}) {
+  let active = 0;
+  let polling = false;
+
+  const poll = async () => {
+    if (polling) return;
+    polling = true;
+    try {
+      while (active < concurrency) {
+        const item = await claimDueItem();
+        if (!item) break;
+
+        active++;
+        runScheduledCheck(item).finally(() => {
+          active--;
+        });
+      }
+    } catch (error) {
+      console.error("Watchlist scheduler poll failed:", error.message);
+    } finally {
+      polling = false;
+    }
+  };
+
+  const timer = setInterval(poll, pollIntervalMs);
+  console.log(
+    `Watchlist scheduler started (${schedulerId}, concurrency ${concurrency})`
+  );
+  return () => clearInterval(timer);
+}
+
+async function countWatchlistItems(userId) {
+  return WatchlistItem.countDocuments({ userId });
+}
+
+// Creates the item and records the baseline version straight away. Resolves with null (and
+// nothing saved) when the page can't be scraped.
+async function addToWatchlist(userId, url, { intervalMinutes }) {
+  // created already claimed (as claimDueItem would), so the scheduler can't check it while
+  // the baseline is still being recorded - the check then sets the real nextCheckAt
+  const item = new WatchlistItem({
+    userId,
+    url,
+    intervalMinutes,
+    nextCheckAt: new Date(Date.now() + watchlistConfig.checkTimeoutMs),
+  });
+  await item.save();
+
+  try {
+    const outcome = await checkWatchlistItem(item);
+    if (!outcome) {
+      await WatchlistItem.deleteOne({ _id: item._id });
+      return null;
+    }
+    return WatchlistItem.findById(item._id);
+  } catch (error) {
+    await WatchlistItem.deleteOne({ _id: item._id });
+    await WatchlistVersion.deleteMany({ itemId: item._id });
+    throw error;
+  }
+}
+
+async function listWatchlist(userId) {
+  return WatchlistItem.find({ userId }).sort({ createdAt: -1 });
+}
+
+async function getWatchlistItem(itemId, userId) {
+  return WatchlistItem.findOne({ _id: itemId, userId });
+}
+
+// Timeline without the stored texts and diff hunks - see getWatchlistVersion for those
+async function getWatchlistTimeline(itemId, userId) {
+  return WatchlistVersion.find(
+    { itemId, userId },
+    { text: 0, "changes.diff.hunks": 0 }
+  ).sort({ version: -1 });
+}
+
+async function getWatchlistVersion(itemId, userId, version) {
+  return WatchlistVersion.findOne({ itemId, userId, version });
+}
+
+// intervalMinutes and/or paused; resuming also clears an "error" status
+async function updateWatchlistItem(
+  itemId,
+  userId,
+  { intervalMinutes, paused }
+) {
+  const item = await getWatchlistItem(itemId, userId);
+  if (!item) return null;
+
+  if (intervalMinutes !== undefined) {
+    item.intervalMinutes = intervalMinutes;
+    item.nextCheckAt = nextCheckFrom(
+      item,
+      (item.lastCheckedAt || new Date()).getTime()
+    );
+  }
+  if (paused === true) item.status = "paused";
+  if (paused === false && item.status !== "active") {
+    item.status = "active";
+    item.consecutiveFailures = 0;
+    item.nextCheckAt = new Date();
+  }
+  await item.save();
+  return item;
+}
+
+async function removeFromWatchlist(itemId, userId) {
+  const item = await WatchlistItem.findOneAndDelete({ _id: itemId, userId });
+  if (item) await WatchlistVersion.deleteMany({ itemId: item._id });
+  return item;
+}
+
+module.exports = {
+  addToWatchlist,
+  listWatchlist,
+  countWatchlistItems,
+  getWatchlistItem,
+  getWatchlistTimeline,
+  getWatchlistVersion,
+  updateWatchlistItem,
+  removeFromWatchlist,
+  checkWatchlistItem,
+  startWatchlistScheduler,
+  diffTexts,
+};
@@ -0,0 +1,62 @@
+// AI cache keys and the in-memory tier (Mongo isn't connected, so it is skipped)
+process.env.AI_CACHE_ENABLED = "true";
+process.env.AI_CACHE_MEMORY_SIZE = "10";
+
+const { test } = require("node:test");
+const assert = require("node:assert");
+const {
+  buildCacheKey,
+  getCachedResponse,
+  setCachedResponse,
+  invalidateByPrefix,
+} = require("../services/aiCache");
+
+const request = {
+  task: "sentiment",
+  provider: "gemini",
+  model: "shared-model",
+  promptVersion: "v2",
+  input: '["", "some text"]',
+};
+
+test("keys are task:provider:model:promptVersion:inputHash", () => {
+  const { key, inputHash } = buildCacheKey(request);
+  assert.match(inputHash, /^[0-9a-f]{64}$/);
+  assert.strictEqual(key, `sentiment:gemini:shared-model:v2:${inputHash}`);
+  assert.deepStrictEqual(buildCacheKey({ ...request }), { key, inputHash });
+});
+
+test("the same model and input under another provider is another entry", () => {
+  const keys = ["gemini", "openai", "mock"].map(
+    (provider) => buildCacheKey({ ...request, provider }).key
+  );
+  assert.strictEqual(new Set(keys).size, 3);
+  assert.notStrictEqual(
+    buildCacheKey(request).key,
+    buildCacheKey({ ...request, input: '["", "other text"]' }).key
+  );
+});
+
+test("invalidation by prefix clears the memory tier and skips Mongo when it's down", async () => {
+  const gemini = { ...request, ...buildCacheKey(request) };
+  const openaiRequest = { ...request, provider: "openai" };
+  const openai = { ...openaiRequest, ...buildCacheKey(openaiRequest) };
+  await setCachedResponse(gemini, { neutralityScore: 0.4 });
+  await setCachedResponse(openai, { neutralityScore: 0.9 });
+
+  const cached = await getCachedResponse(gemini.key);
+  assert.deepStrictEqual(cached, { neutralityScore: 0.4 });
+  cached.neutralityScore = 0; // callers get copies
+  assert.deepStrictEqual(await getCachedResponse(gemini.key), {
+    neutralityScore: 0.4,
+  });
+
+  assert.deepStrictEqual(await invalidateByPrefix("sentiment:gemini:"), {
+    memoryDeleted: 1,
+    deletedCount: null,
+  });
+  assert.strictEqual(await getCachedResponse(gemini.key), undefined);
+  assert.deepStrictEqual(await getCachedResponse(openai.key), {
+    neutralityScore: 0.9,
+  });
+});
@@ -0,0 +1,84 @@
+// politeFetch against a local server - one page slot per host to catch slot deadlocks
+process.env.FETCH_ALLOW_PRIVATE_NETWORKS = "true";
+process.env.FETCH_PER_HOST_CONCURRENCY = "1";
+process.env.FETCH_MIN_HOST_DELAY_MS = "1";
+process.env.FETCH_TOTAL_TIMEOUT_MS = "5000";
+
+const { test, before, after } = require("node:test");
+const assert = require("node:assert");
+const http = require("http");
+const { politeFetch } = require("../utils/crawlPolicy");
+
+let server;
+let base;
+const userAgents = [];
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    userAgents.push(req.headers["user-agent"]);
+    const { port } = server.address();
+    const routes = {
+      "/robots.txt": () => {
+        res.writeHead(200, { "Content-Type": "application/octet-stream" });
+        res.end("User-agent: *\nDisallow: /private\n");
+      },
+      "/page": () => {
+        res.writeHead(200, { "Content-Type": "text/html" });
+        res.end("<p>hello</p>");
+      },
+      "/to-private": () => {
+        res.writeHead(302, { Location: "/private/page" });
+        res.end();
+      },
+      // same host and port, different origin - the hop needs its own robots.txt check
+      "/to-https": () => {
+        res.writeHead(302, { Location: `https://127.0.0.1:${port}/page` });
+        res.end();
+      },
+    };
+    const route = routes[req.url];
+    if (route) return route();
+    res.writeHead(404);
+    res.end();
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  base = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+  server.closeAllConnections();
+  server.close();
+});
+
+test("fetches allowed pages with the crawler user agent", async () => {
+  const response = await politeFetch(`${base}/page`);
+  assert.strictEqual(response.status, 200);
+  assert.strictEqual(response.data, "<p>hello</p>");
+  assert.ok(userAgents.every((agent) => agent.startsWith("THNKBot")));
+});
+
+test("refuses paths robots.txt disallows, also when served as octet-stream", async () => {
+  await assert.rejects(politeFetch(`${base}/private/page`), {
+    code: "BLOCKED_BY_ROBOTS",
+  });
+});
+
+test("checks robots.txt again on a redirect hop", async () => {
+  await assert.rejects(politeFetch(`${base}/to-private`), {
+    code: "BLOCKED_BY_ROBOTS",
+  });
+});
+
+test("a redirect to another origin on the same host isn't stuck behind the page's host slot", async () => {
+  // the https hop can't connect to the plain http server - what matters is that it gets that
+  // far instead of queueing its robots.txt fetch behind the page request (the total timeout)
+  const error = await politeFetch(`${base}/to-https`).then(
+    () => assert.fail("expected the https hop to fail"),
+    (error) => error
+  );
+  assert.notStrictEqual(error.code, "ECONNABORTED", error.message);
+
+  // and the host's slot was released for the next fetch
+  const response = await politeFetch(`${base}/page`);
+  assert.strictEqual(response.status, 200);
+});
@@ -0,0 +1,51 @@
+// getCredibility against the bundled seed registry (no DB connection, so it is never refreshed)
+const { test } = require("node:test");
+const assert = require("node:assert");
+const {
+  getCredibility,
+  findReputationRule,
+  extractDomain,
+} = require("../services/domainReputation");
+
+test("matches registrable domains, not look-alike subdomains", () => {
+  assert.strictEqual(findReputationRule("www.nih.gov").matchedOn, "nih.gov");
+  assert.strictEqual(
+    findReputationRule("news.bbc.co.uk").matchedOn,
+    "bbc.co.uk"
+  );
+  assert.strictEqual(findReputationRule("edu.evil.com").matchedOn, "com");
+  assert.strictEqual(findReputationRule("192.168.0.1"), null);
+});
+
+test("public suffix rules score domains without their own rule", () => {
+  const { score, basis, rule } = getCredibility("physics.example.edu");
+  assert.strictEqual(score, 0.9);
+  assert.strictEqual(basis, "registry");
+  assert.strictEqual(rule.matchType, "suffix");
+});
+
+test("the model's source type never lifts a domain above its rule", () => {
+  const credibility = getCredibility("edu.evil.com", "academic");
+  assert.strictEqual(credibility.score, 0.6);
+  assert.strictEqual(credibility.basis, "registry");
+  assert.strictEqual(credibility.rule.matchedOn, "com");
+});
+
+test("the source type only scores domains no rule matches", () => {
+  assert.deepStrictEqual(getCredibility("example.zz", "academic"), {
+    score: 0.9,
+    basis: "source_type",
+    rule: null,
+  });
+  assert.deepStrictEqual(getCredibility("example.zz", "made_up"), {
+    score: 0.5,
+    basis: "default",
+    rule: null,
+  });
+  assert.strictEqual(getCredibility(null).basis, "default");
+});
+
+test("extractDomain drops www and bad URLs", () => {
+  assert.strictEqual(extractDomain("https://WWW.Reuters.com/x"), "reuters.com");
+  assert.strictEqual(extractDomain("not a url"), null);
+});
@@ -0,0 +1,53 @@
+// GET /api/history response shapes, with the history search stubbed out
+const { test } = require("node:test");
+const assert = require("node:assert");
+const userHistory = require("../services/userHistory");
+
+const searches = [];
+userHistory.searchUserHistory = async (userId, filters) => {
+  searches.push(filters);
+  return { entries: [{ query: "a" }], total: 1, nextCursor: null };
+};
+const { getUserHistory } = require("../controllers/historyController");
+
+function get(query) {
+  return new Promise((resolve) => {
+    const res = {
+      statusCode: 200,
+      status(code) {
+        this.statusCode = code;
+        return this;
+      },
+      json(body) {
+        resolve({ status: this.statusCode, body });
+      },
+    };
+    getUserHistory({ user: { uid: "alice" }, query }, res);
+  });
+}
+
+test("returns the bare array unless paging is asked for", async () => {
+  assert.deepStrictEqual((await get({})).body, [{ query: "a" }]);
+
+  const paged = await get({ paginate: "true" });
+  assert.deepStrictEqual(paged.body.entries, [{ query: "a" }]);
+  assert.strictEqual(paged.body.total, 1);
+  assert.strictEqual(paged.body.hasMore, false);
+});
+
+test("caps large limits instead of rejecting them", async () => {
+  const { status, body } = await get({ limit: "500" });
+  assert.strictEqual(status, 200);
+  assert.ok(Array.isArray(body));
+  assert.strictEqual(searches.at(-1).limit, 100);
+});
+
+test("bad limits fall back to the default for the bare array only", async () => {
+  assert.strictEqual((await get({ limit: "abc" })).status, 200);
+  assert.strictEqual(searches.at(-1).limit, undefined);
+
+  assert.strictEqual(
+    (await get({ limit: "abc", paginate: "true" })).status,
+    400
+  );
+});
@@ -0,0 +1,82 @@
+// The job worker against stubbed AnalysisJob statics
+const { test } = require("node:test");
+const assert = require("node:assert");
+const AnalysisJob = require("../models/AnalysisJob");
+const { registerJobHandler, startJobWorker } = require("../services/jobQueue");
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// A query-like result: awaitable, with .lean()
+function query(value) {
+  const promise = Promise.resolve(value);
+  promise.lean = () => promise;
+  return promise;
+}
+
+test("a run writes progress in order and only to the job it claimed", async () => {
+  const job = { _id: "job-1", type: "test-batch", attempts: 2, input: {} };
+  const updates = [];
+  let inFlight = 0;
+  let overlapped = false;
+  let finished;
+  const done = new Promise((resolve) => {
+    finished = resolve;
+  });
+
+  const originals = {
+    findOneAndUpdate: AnalysisJob.findOneAndUpdate,
+    updateOne: AnalysisJob.updateOne,
+    updateMany: AnalysisJob.updateMany,
+  };
+  let claimed = false;
+  AnalysisJob.findOneAndUpdate = () => {
+    const value = claimed ? null : job;
+    claimed = true;
+    return query(value);
+  };
+  AnalysisJob.updateMany = async () => ({ modifiedCount: 0 });
+  AnalysisJob.updateOne = async (filter, update) => {
+    if (update.status) {
+      updates.push({ filter, status: update.status });
+      finished();
+      return;
+    }
+    inFlight++;
+    overlapped = overlapped || inFlight > 1;
+    // the first write is the slowest - it must still be stored first
+    await sleep(updates.length === 0 ? 30 : 1);
+    updates.push({ filter, stage: update.$set["progress.currentStage"] });
+    inFlight--;
+  };
+
+  registerJobHandler("test-batch", async (_job, { onProgress }) => {
+    onProgress("batch_started", { totalItems: 2, feed: null });
+    onProgress("batch_item", { report: { processedItems: 1 }, item: {} });
+    onProgress("batch_item", { report: { processedItems: 2 }, item: {} });
+    await sleep(100);
+    return { ok: true };
+  });
+
+  const stop = startJobWorker({ pollIntervalMs: 5, concurrency: 1 });
+  try {
+    await done;
+  } finally {
+    stop();
+    Object.assign(AnalysisJob, originals);
+  }
+
+  assert.deepStrictEqual(
+    updates.map((update) => update.stage || update.status),
+    ["batch_started", "batch_item", "batch_item", "completed"]
+  );
+  assert.strictEqual(overlapped, false);
+  for (const { filter } of updates) {
+    assert.deepStrictEqual(filter, {
+      _id: "job-1",
+      status: "running",
+      lockedBy: filter.lockedBy,
+      attempts: 2,
+    });
+    assert.ok(filter.lockedBy.endsWith(`:${process.pid}`));
+  }
+});
@@ -0,0 +1,123 @@
+// safeFetch against a local server (private networks allowed unless a test turns them off)
+process.env.FETCH_ALLOW_PRIVATE_NETWORKS = "true";
+
+const { test, before, after } = require("node:test");
+const assert = require("node:assert");
+const http = require("http");
+const scraperConfig = require("../config/scraper");
+const { safeFetch, isBlockedAddress } = require("../utils/safeFetch");
+
+let server;
+let base;
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    const hops = /^\/hops\/(\d+)$/.exec(req.url);
+    if (hops) {
+      const left = Number(hops[1]);
+      res.writeHead(302, { Location: left ? `/hops/${left - 1}` : "/page" });
+      return res.end();
+    }
+    if (req.url === "/page") {
+      res.writeHead(200, { "Content-Type": "text/html; charset=utf-8" });
+      return res.end("<p>hello</p>");
+    }
+    if (req.url === "/image") {
+      res.writeHead(200, { "Content-Type": "image/png" });
+      return res.end("png");
+    }
+    if (req.url === "/drip") {
+      // a byte every 100ms never trips the idle socket timeout
+      res.writeHead(200, { "Content-Type": "text/plain" });
+      const timer = setInterval(() => res.write("x"), 100);
+      return res.on("close", () => clearInterval(timer));
+    }
+    res.writeHead(404);
+    res.end();
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  base = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+  server.closeAllConnections();
+  server.close();
+});
+
+test("follows redirects, checking every hop", async () => {
+  const hops = [];
+  const response = await safeFetch(`${base}/hops/2`, {
+    beforeRequest: (url) => hops.push(url.pathname),
+  });
+  assert.strictEqual(response.status, 200);
+  assert.strictEqual(response.url, `${base}/page`);
+  assert.strictEqual(response.data, "<p>hello</p>");
+  assert.deepStrictEqual(response.redirects, [
+    `${base}/hops/2`,
+    `${base}/hops/1`,
+    `${base}/hops/0`,
+  ]);
+  assert.deepStrictEqual(hops, ["/hops/2", "/hops/1", "/hops/0", "/page"]);
+});
+
+test("stops after maxRedirects", async () => {
+  await assert.rejects(safeFetch(`${base}/hops/5`, { maxRedirects: 2 }), {
+    code: "TOO_MANY_REDIRECTS",
+  });
+});
+
+test("refuses content types outside the allow list", async () => {
+  await assert.rejects(safeFetch(`${base}/image`), {
+    code: "UNSUPPORTED_CONTENT_TYPE",
+    statusCode: 415,
+  });
+});
+
+test("refuses private destinations unless allowed", async () => {
+  scraperConfig.fetch.allowPrivateNetworks = false;
+  try {
+    await assert.rejects(safeFetch(`${base}/page`), {
+      code: "BLOCKED_DESTINATION",
+      statusCode: 403,
+    });
+  } finally {
+    scraperConfig.fetch.allowPrivateNetworks = true;
+  }
+});
+
+test("blocks private, reserved and IPv4-embedding IPv6 addresses", () => {
+  for (const address of [
+    "127.0.0.1",
+    "10.1.2.3",
+    "169.254.169.254",
+    "::1",
+    "::ffff:127.0.0.1",
+    "64:ff9b::7f00:1",
+    "2002:7f00:1::1",
+    "fd00::1",
+    "not-an-ip",
+  ]) {
+    assert.strictEqual(isBlockedAddress(address), true, address);
+  }
+  for (const address of ["93.184.216.34", "2606:4700::1111"]) {
+    assert.strictEqual(isBlockedAddress(address), false, address);
+  }
+});
+
+test("the total timeout cuts off a slow-drip body", async () => {
+  const started = Date.now();
+  await assert.rejects(safeFetch(`${base}/drip`, { totalTimeout: 500 }), {
+    code: "ECONNABORTED",
+  });
+  assert.ok(Date.now() - started < 2000);
+});
+
+test("the total timeout also covers a beforeRequest hook that never settles", async () => {
+  await assert.rejects(
+    safeFetch(`${base}/page`, {
+      totalTimeout: 300,
+      beforeRequest: () => new Promise(() => {}),
+    }),
+    { code: "ECONNABORTED" }
+  );
+});
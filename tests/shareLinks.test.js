@@ -0,0 +1,178 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const mongoose = require("mongoose");
+const ShareLink = require("../models/ShareLink");
+const SearchHistory = require("../models/SearchHistory");
+const ScrapedContent = require("../models/ScrapedContent");
+const { buildSharedView, openShareLink } = require("../services/shareLinks");
+
+const QUERY = "https://news.example.com/2026/10/secret-story";
+
+// A deeper-scrape entry as saveSearchHistory stores it, with its populated full result
+function deeperScrapeEntry() {
+  return {
+    _id: "entry",
+    userId: "alice",
+    query: QUERY,
+    entryType: "url",
+    timestamp: new Date("2026-10-01T00:00:00Z"),
+    tags: ["private"],
+    notes: "my notes",
+    resultSummary: {
+      summary: "A balanced summary",
+      neutralityScore: 0.7,
+      mainUrl: QUERY,
+    },
+    sourceDomains: ["news.example.com", "reuters.com"],
+    fullResultId: {
+      searchData: {
+        main: {
+          url: QUERY,
+          title: "Secret story headline",
+          text: "Article body",
+          metadata: {
+            headline: "Secret story headline",
+            canonicalUrl: QUERY,
+          },
+          snapshot: { id: "snap" },
+        },
+        aiSummary: "A balanced summary",
+        relatedSources: [
+          { url: "https://reuters.com/a", domain: "reuters.com" },
+        ],
+        citations: {
+          totalLinks: 2,
+          links: [
+            {
+              url: "https://news.example.com/2026/10/other-story",
+              domain: "news.example.com",
+              category: "same_site",
+            },
+            {
+              url: "https://reuters.com/a",
+              domain: "reuters.com",
+              category: "news",
+            },
+          ],
+        },
+      },
+    },
+  };
+}
+
+const link = (redactQuery) => ({
+  redactQuery,
+  createdAt: new Date(),
+  expiresAt: null,
+  viewCount: 1,
+});
+
+test("a redacted share link leaves no trace of the query", () => {
+  const view = buildSharedView(link(true), deeperScrapeEntry());
+  const payload = JSON.stringify(view);
+
+  assert.equal(view.query, null);
+  assert.equal(view.queryRedacted, true);
+  assert.ok(!payload.includes("news.example.com"), payload);
+  assert.ok(!payload.includes("secret-story"), payload);
+  assert.ok(!payload.includes("Secret story headline"), payload);
+  assert.ok(!payload.includes("Article body"), payload);
+  // the analysis itself is still there
+  assert.equal(view.result.aiSummary, "A balanced summary");
+  assert.deepEqual(view.sourceDomains, ["reuters.com"]);
+});
+
+test("a share link never exposes the owner's id, tags or notes", () => {
+  const view = buildSharedView(link(false), deeperScrapeEntry());
+
+  assert.equal(view.query, QUERY);
+  assert.equal(view.result.main.url, QUERY);
+  for (const key of ["userId", "tags", "notes"]) {
+    assert.ok(!(key in view), key);
+  }
+});
+
+// An /api/scrape entry: its full result is the ids of the ScrapedContent it saved
+const contentId = new mongoose.Types.ObjectId();
+const scrapedPage = {
+  url: QUERY,
+  title: "Secret story headline",
+  text: "Article body",
+  outline: [{ type: "heading", text: "Secret story headline" }],
+  metadata: { canonicalUrl: QUERY },
+  snapshot: { id: "snap" },
+  tags: ["politics"],
+  neutralityScore: 0.6,
+  sentimentScore: 0.4,
+};
+
+function scrapeEntry() {
+  return {
+    _id: "scrape-entry",
+    userId: "alice",
+    query: QUERY,
+    entryType: "url",
+    timestamp: new Date("2026-10-01T00:00:00Z"),
+    resultSummary: { mainUrl: QUERY },
+    sourceDomains: ["news.example.com"],
+    fullResultId: { searchData: [contentId] },
+  };
+}
+
+// openShareLink with its Mongo reads stubbed out
+async function openScrapeLink(redactQuery) {
+  const stored = { _id: "link", ...link(redactQuery) };
+  const query = (value) => ({
+    populate: () => query(value),
+    select: () => query(value),
+    lean: async () => value,
+  });
+  const originals = {
+    linkFind: ShareLink.findOne,
+    linkUpdate: ShareLink.findOneAndUpdate,
+    historyFind: SearchHistory.findOne,
+    contentFind: ScrapedContent.find,
+  };
+  ShareLink.findOne = async () => stored;
+  ShareLink.findOneAndUpdate = async () => stored;
+  SearchHistory.findOne = () => query(scrapeEntry());
+  ScrapedContent.find = (filter) => {
+    assert.deepEqual(filter, { _id: { $in: [contentId] } });
+    return query([{ ...scrapedPage }]);
+  };
+  try {
+    return await openShareLink("a".repeat(32));
+  } finally {
+    ShareLink.findOne = originals.linkFind;
+    ShareLink.findOneAndUpdate = originals.linkUpdate;
+    SearchHistory.findOne = originals.historyFind;
+    ScrapedContent.find = originals.contentFind;
+  }
+}
+
+test("a shared scrape entry shows the scraped page, not its id", async () => {
+  const { status, view } = await openScrapeLink(false);
+
+  assert.equal(status, "active");
+  assert.equal(view.result.scrapedContent[0].text, "Article body");
+  assert.ok(!JSON.stringify(view).includes(String(contentId)));
+});
+
+test("a redacted scrape entry keeps the scores and drops the page", async () => {
+  const { view } = await openScrapeLink(true);
+  const payload = JSON.stringify(view);
+
+  assert.ok(!payload.includes("news.example.com"), payload);
+  assert.ok(!payload.includes("secret-story"), payload);
+  assert.ok(!payload.includes("Secret story headline"), payload);
+  assert.ok(!payload.includes("Article body"), payload);
+  assert.equal(view.result.scrapedContent[0].neutralityScore, 0.6);
+  assert.deepEqual(view.sourceDomains, []);
+});
+
+test("unresolved scrape references are never shared as bare ids", () => {
+  const view = buildSharedView(link(false), scrapeEntry());
+
+  assert.equal(view.result, null);
+  assert.ok(!JSON.stringify(view).includes(String(contentId)));
+});
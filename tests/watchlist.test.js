@@ -0,0 +1,111 @@
+// Watchlist diffs, and the scheduler against stubbed scraping, scoring and models
+const { test } = require("node:test");
+const assert = require("node:assert");
+const scrapper = require("../services/scrapper");
+const aiServices = require("../services/aiServices");
+const WatchlistItem = require("../models/WatchlistItem");
+const WatchlistVersion = require("../models/WatchlistVersion");
+
+scrapper.scrapeWebsite = async () => ({
+  rawContent: "The sky is grey. Grass is green.",
+  title: "Weather",
+});
+aiServices.getNeutralityAndSentimentWithMeta = async () => ({
+  scores: { neutralityScore: 0.6, sentimentScore: 0.5 },
+  aiMeta: { fallbackFields: [] },
+});
+const { diffTexts, startWatchlistScheduler } = require("../services/watchlist");
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+test("pairs a removed and an added sentence into one edit", () => {
+  const diff = diffTexts(
+    "The sky is blue. Grass is green. Water is wet.",
+    "The sky is grey. Grass is green. Water is wet. Fire is hot."
+  );
+  assert.deepStrictEqual(diff.hunks, [
+    { removed: "The sky is blue.", added: "The sky is grey." },
+    { removed: null, added: "Fire is hot." },
+  ]);
+  assert.strictEqual(diff.addedWords, 7);
+  assert.strictEqual(diff.removedWords, 4);
+  assert.strictEqual(diff.changeRatio, 0.478);
+  assert.strictEqual(diff.truncated, false);
+});
+
+test("unchanged text has no hunks and no change", () => {
+  assert.deepStrictEqual(diffTexts("Same text.", "Same text."), {
+    addedWords: 0,
+    removedWords: 0,
+    changeRatio: 0,
+    hunks: [],
+    truncated: false,
+  });
+  assert.strictEqual(diffTexts("", "").changeRatio, 0);
+});
+
+test("keeps at most 50 hunks and says so", () => {
+  const sentences = (word) =>
+    Array.from({ length: 60 }, (_, i) => `Kept ${i}. ${word} ${i}.`).join(" ");
+  const diff = diffTexts(sentences("Old"), sentences("New"));
+  assert.strictEqual(diff.hunks.length, 50);
+  assert.strictEqual(diff.truncated, true);
+});
+
+test("a scheduled check that loses the version race to a manual check isn't a failure", async () => {
+  const item = {
+    _id: "item-1",
+    userId: "alice",
+    url: "https://example.com/a",
+    intervalMinutes: 60,
+    consecutiveFailures: 0,
+  };
+  const itemUpdates = [];
+  let claims = 0;
+  let saveAttempted;
+  const saved = new Promise((resolve) => {
+    saveAttempted = resolve;
+  });
+
+  const originals = {
+    findOneAndUpdate: WatchlistItem.findOneAndUpdate,
+    updateOne: WatchlistItem.updateOne,
+    findOne: WatchlistVersion.findOne,
+    save: WatchlistVersion.prototype.save,
+  };
+  WatchlistItem.findOneAndUpdate = async () => (claims++ === 0 ? item : null);
+  WatchlistItem.updateOne = async (filter, update) => {
+    itemUpdates.push(update);
+  };
+  WatchlistVersion.findOne = () => ({
+    sort: async () => ({
+      version: 1,
+      textHash: "older",
+      headline: "Weather",
+      text: "The sky is blue. Grass is green.",
+      neutralityScore: 0.5,
+      sentimentScore: 0.5,
+    }),
+  });
+  // the manual check saved version 2 first
+  WatchlistVersion.prototype.save = async function () {
+    saveAttempted();
+    throw Object.assign(new Error("E11000 duplicate key error"), {
+      code: 11000,
+    });
+  };
+
+  const stop = startWatchlistScheduler({ pollIntervalMs: 5, concurrency: 1 });
+  try {
+    await saved;
+    await sleep(20);
+  } finally {
+    stop();
+    WatchlistItem.findOneAndUpdate = originals.findOneAndUpdate;
+    WatchlistItem.updateOne = originals.updateOne;
+    WatchlistVersion.findOne = originals.findOne;
+    WatchlistVersion.prototype.save = originals.save;
+  }
+
+  assert.deepStrictEqual(itemUpdates, []);
+});
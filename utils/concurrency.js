@@ -0,0 +1,77 @@
+// Small promise-based limiters used by the scraping/enrichment pipeline
+
+// Runs at most `max` tasks at once, the rest wait in FIFO order
+function createLimiter(max) {
+  let active = 0;
+  const queue = [];
+
+  const next = () => {
+    if (active >= max || queue.length === 0) return;
+    active++;
+    const { task, resolve, reject } = queue.shift();
+    Promise.resolve()
+      .then(task)
+      .then(resolve, reject)
+      .finally(() => {
+        active--;
+        next();
+      });
+  };
+
+  return (task) =>
+    new Promise((resolve, reject) => {
+      queue.push({ task, resolve, reject });
+      next();
+    });
+}
+
+// One limiter per key (e.g. hostname) - idle limiters are dropped to keep the map small
+function createKeyedLimiter(maxPerKey) {
+  const limiters = new Map();
+
+  return (key, task) => {
+    let entry = limiters.get(key);
+    if (!entry) {
+      entry = { limit: createLimiter(maxPerKey), pending: 0 };
+      limiters.set(key, entry);
+    }
+    entry.pending++;
+    return entry.limit(task).finally(() => {
+      entry.pending--;
+      if (entry.pending === 0) limiters.delete(key);
+    });
+  };
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Per-host politeness: at most maxPerHost tasks at once, and task starts for the same host
+// spaced at least delayMs apart (the delay can be raised per call, e.g. from Crawl-delay)
+function createHostThrottle({ maxPerHost, minDelayMs }) {
+  const limit = createKeyedLimiter(maxPerHost);
+  const nextStart = new Map();
+
+  return (host, task, delayMs = minDelayMs) =>
+    limit(host, async () => {
+      const now = Date.now();
+      const start = Math.max(now, nextStart.get(host) || 0);
+      nextStart.set(host, start + Math.max(delayMs, minDelayMs));
+
+      // drop hosts whose slot has long passed so the map doesn't grow forever
+      if (nextStart.size > 1000) {
+        for (const [key, time] of nextStart) {
+          if (time < now) nextStart.delete(key);
+        }
+      }
+
+      if (start > now) await sleep(start - now);
+      return task();
+    });
+}
+
+module.exports = {
+  createLimiter,
+  createKeyedLimiter,
+  createHostThrottle,
+  sleep,
+};
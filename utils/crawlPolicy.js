@@ -0,0 +1,148 @@
+// Polite crawling on top of safeFetch: an honest user agent, robots.txt (cached per origin and
+// checked on every redirect hop) and per-host concurrency / minimum delay shared by all callers
+const robotsParser = require("robots-parser");
+const { safeFetch, assertPublicUrl, FetchError } = require("./safeFetch");
+const { createHostThrottle } = require("./concurrency");
+const { crawler } = require("../config/scraper");
+
+const ROBOTS_MAX_BYTES = 512 * 1024;
+const ROBOTS_CACHE_SIZE = 1000;
+// a 5xx robots.txt means "assume disallow" (RFC 9309) - remembered only briefly
+const ROBOTS_ERROR_TTL_MS = 5 * 60 * 1000;
+
+const throttle = createHostThrottle({
+  maxPerHost: crawler.perHostConcurrency,
+  minDelayMs: crawler.minHostDelayMs,
+});
+
+// robots.txt gets its own per-host slots: a redirect hop checks robots.txt while the page
+// request still holds one of the host's page slots, so sharing them could deadlock
+const robotsThrottle = createHostThrottle({
+  maxPerHost: crawler.perHostConcurrency,
+  minDelayMs: crawler.minHostDelayMs,
+});
+
+// origin -> { robots, disallowAll, expiresAt } or a pending Promise of one
+const robotsCache = new Map();
+
+async function fetchRobots(origin) {
+  const robotsUrl = `${origin}/robots.txt`;
+  try {
+    const response = await robotsThrottle(new URL(origin).host, () =>
+      safeFetch(robotsUrl, {
+        headers: { "User-Agent": crawler.userAgent },
+        maxBytes: ROBOTS_MAX_BYTES,
+        allowedContentTypes: ["text/*", "application/octet-stream"],
+      })
+    );
+
+    if (response.status >= 500) {
+      return { disallowAll: true, expiresAt: Date.now() + ROBOTS_ERROR_TTL_MS };
+    }
+    // 4xx (no robots.txt) means everything is allowed
+    let body = response.status < 400 ? response.data : "";
+    // served as application/octet-stream it arrives as a Buffer
+    if (Buffer.isBuffer(body)) body = body.toString("utf8");
+    return {
+      robots: robotsParser(robotsUrl, body),
+      expiresAt: Date.now() + crawler.robotsCacheTtlMs,
+    };
+  } catch (error) {
+    // blocked / invalid destinations are the caller's problem, not a robots decision
+    if (error instanceof FetchError && error.code !== "RESPONSE_TOO_LARGE") {
+      throw error;
+    }
+    // a host we can't reach at all will fail the page fetch too, with a clearer error
+    console.warn(`robots.txt unavailable for ${origin}:`, error.message);
+    return {
+      robots: robotsParser(robotsUrl, ""),
+      expiresAt: Date.now() + ROBOTS_ERROR_TTL_MS,
+    };
+  }
+}
+
+async function getRobots(origin) {
+  const cached = robotsCache.get(origin);
+  if (cached instanceof Promise) return cached;
+  if (cached && cached.expiresAt > Date.now()) return cached;
+
+  // concurrent requests for the same origin share one robots.txt fetch
+  const pending = fetchRobots(origin).then(
+    (entry) => {
+      robotsCache.set(origin, entry);
+      // oldest origins go first once the cache is full
+      if (robotsCache.size > ROBOTS_CACHE_SIZE) {
+        robotsCache.delete(robotsCache.keys().next().value);
+      }
+      return entry;
+    },
+    (error) => {
+      robotsCache.delete(origin);
+      throw error;
+    }
+  );
+  robotsCache.set(origin, pending);
+  return pending;
+}
+
+// { allowed, crawlDelayMs, reason } for a URL under our robots agent
+async function checkRobots(rawUrl) {
+  if (!crawler.respectRobots) return { allowed: true, crawlDelayMs: 0 };
+
+  const url = new URL(rawUrl);
+  const entry = await getRobots(url.origin);
+  if (entry.disallowAll) {
+    return {
+      allowed: false,
+      crawlDelayMs: 0,
+      reason: "robots.txt returned a server error",
+    };
+  }
+
+  const allowed =
+    entry.robots.isAllowed(url.href, crawler.robotsAgent) !== false;
+  const crawlDelay = entry.robots.getCrawlDelay(crawler.robotsAgent) || 0;
+  return {
+    allowed,
+    crawlDelayMs: Math.min(crawlDelay * 1000, crawler.maxCrawlDelayMs),
+    reason: allowed ? null : "Disallowed by robots.txt",
+  };
+}
+
+async function assertAllowedByRobots(url) {
+  const decision = await checkRobots(url.href);
+  if (!decision.allowed) {
+    throw new FetchError(
+      "BLOCKED_BY_ROBOTS",
+      `${decision.reason}: ${url.href}`,
+      403
+    );
+  }
+  return decision;
+}
+
+// safeFetch with our user agent, robots.txt on every hop and the per-host throttle.
+// Throws FetchError("BLOCKED_BY_ROBOTS") when the site asks crawlers to stay away.
+async function politeFetch(rawUrl, options = {}) {
+  // private / invalid URLs are rejected before robots.txt is even requested
+  const url = await assertPublicUrl(rawUrl);
+  const { crawlDelayMs } = await assertAllowedByRobots(url);
+
+  return throttle(
+    url.host,
+    () =>
+      safeFetch(url.href, {
+        ...options,
+        headers: { ...options.headers, "User-Agent": crawler.userAgent },
+        // redirects may land on another path or host with its own rules
+        beforeRequest: (hop) =>
+          hop.href === url.href ? null : assertAllowedByRobots(hop),
+      }),
+    crawlDelayMs
+  );
+}
+
+module.exports = {
+  politeFetch,
+  checkRobots,
+};
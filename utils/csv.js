@@ -0,0 +1,34 @@
+// Small CSV writer (RFC 4180 quoting) for exports opened in spreadsheets
+
+// Cells a spreadsheet would run as a formula - scraped titles and queries are untrusted
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+function escapeCell(value) {
+  if (value === null || value === undefined) return "";
+  let text =
+    value instanceof Date
+      ? value.toISOString()
+      : Array.isArray(value)
+      ? value.join("; ")
+      : String(value);
+  if (typeof value === "string" && FORMULA_PREFIX.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// columns: [{ header, value(row) }] -> CSV text with a header line, CRLF line endings
+function toCsv(columns, rows) {
+  const lines = [columns.map((column) => escapeCell(column.header)).join(",")];
+  rows.forEach((row) => {
+    lines.push(
+      columns.map((column) => escapeCell(column.value(row))).join(",")
+    );
+  });
+  return `${lines.join("\r\n")}\r\n`;
+}
+
+module.exports = {
+  escapeCell,
+  toCsv,
+};
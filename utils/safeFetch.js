@@ -0,0 +1,374 @@
+// SSRF-safe outbound HTTP for the scraper: only public http(s) destinations (checked before the
+// request, on every redirect and again when the socket connects), bounded redirects, body size,
+// total time and content types. Policy violations throw FetchError with an HTTP status for the
+// API response.
+const dns = require("dns");
+const http = require("http");
+const https = require("https");
+const net = require("net");
+const axios = require("axios");
+const scraperConfig = require("../config/scraper");
+
+class FetchError extends Error {
+  constructor(code, message, statusCode = 400) {
+    super(message);
+    this.name = "FetchError";
+    this.code = code;
+    this.statusCode = statusCode;
+  }
+}
+
+// Loopback, private, link-local (cloud metadata), CGNAT, multicast and reserved ranges.
+// Separate lists per family: BlockList checks IPv4 addresses against IPv6 rules in their
+// ::ffff: form, so the IPv4-mapped rule below would otherwise block every IPv4 address.
+const blockedIPv4 = new net.BlockList();
+const blockedIPv6 = new net.BlockList();
+[
+  ["0.0.0.0", 8],
+  ["10.0.0.0", 8],
+  ["100.64.0.0", 10],
+  ["127.0.0.0", 8],
+  ["169.254.0.0", 16],
+  ["172.16.0.0", 12],
+  ["192.0.0.0", 24],
+  ["192.0.2.0", 24],
+  ["192.88.99.0", 24],
+  ["192.168.0.0", 16],
+  ["198.18.0.0", 15],
+  ["198.51.100.0", 24],
+  ["203.0.113.0", 24],
+  ["224.0.0.0", 4],
+  ["240.0.0.0", 4],
+].forEach(([address, prefix]) =>
+  blockedIPv4.addSubnet(address, prefix, "ipv4")
+);
+[
+  ["::", 128],
+  ["::1", 128],
+  // IPv4-mapped and NAT64 addresses could smuggle any IPv4 address - blocked outright
+  ["::ffff:0:0", 96],
+  ["64:ff9b::", 96],
+  // 6to4 (2002:aabb:ccdd::) carries an IPv4 address right after the prefix
+  ["2002::", 16],
+  ["100::", 64],
+  ["2001:db8::", 32],
+  ["fc00::", 7],
+  ["fe80::", 10],
+  ["ff00::", 8],
+].forEach(([address, prefix]) =>
+  blockedIPv6.addSubnet(address, prefix, "ipv6")
+);
+
+function isBlockedAddress(address) {
+  const family = net.isIP(address);
+  if (family === 4) return blockedIPv4.check(address, "ipv4");
+  if (family === 6) return blockedIPv6.check(address, "ipv6");
+  return true;
+}
+
+function checkAddress(hostname, address) {
+  if (!scraperConfig.fetch.allowPrivateNetworks && isBlockedAddress(address)) {
+    throw new FetchError(
+      "BLOCKED_DESTINATION",
+      `Refusing to fetch ${hostname}: it resolves to a private or reserved address`,
+      403
+    );
+  }
+}
+
+// Validates scheme, credentials and the resolved addresses of a URL before it is requested
+async function assertPublicUrl(rawUrl) {
+  let url;
+  try {
+    url = new URL(rawUrl);
+  } catch (_) {
+    throw new FetchError("INVALID_URL", `Invalid URL: ${rawUrl}`, 400);
+  }
+
+  if (!["http:", "https:"].includes(url.protocol)) {
+    throw new FetchError(
+      "INVALID_URL",
+      `Only http and https URLs can be fetched (got ${url.protocol})`,
+      400
+    );
+  }
+  if (url.username || url.password) {
+    throw new FetchError(
+      "INVALID_URL",
+      "URLs with embedded credentials are not allowed",
+      400
+    );
+  }
+
+  // "[::1]" -> "::1"
+  const hostname = url.hostname.replace(/^\[|\]$/g, "");
+  if (net.isIP(hostname)) {
+    checkAddress(hostname, hostname);
+    return url;
+  }
+
+  let addresses;
+  try {
+    addresses = await dns.promises.lookup(hostname, { all: true });
+  } catch (error) {
+    throw new FetchError(
+      "UNRESOLVABLE_HOST",
+      `Could not resolve host ${hostname}`,
+      422
+    );
+  }
+  addresses.forEach(({ address }) => checkAddress(hostname, address));
+  return url;
+}
+
+// Re-checks at connect time so a DNS answer that changes after assertPublicUrl (rebinding)
+// can't slip a private address through
+function guardedLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+    try {
+      addresses.forEach(({ address }) => checkAddress(hostname, address));
+    } catch (policyError) {
+      return callback(policyError);
+    }
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+const httpAgent = new http.Agent({ lookup: guardedLookup, keepAlive: true });
+const httpsAgent = new https.Agent({ lookup: guardedLookup, keepAlive: true });
+
+function matchesContentType(contentType, allowed) {
+  const mimeType = String(contentType || "")
+    .split(";")[0]
+    .trim()
+    .toLowerCase();
+  return allowed.some((type) =>
+    type.endsWith("/*")
+      ? mimeType.startsWith(type.slice(0, -1))
+      : mimeType === type
+  );
+}
+
+// Same shape as axios' own timeout error, so callers handle both alike
+function timeoutError(url, ms) {
+  const error = new Error(`Fetching ${url} took longer than ${ms}ms`);
+  error.code = "ECONNABORTED";
+  return error;
+}
+
+// Settles with promise, or rejects with signal.reason as soon as signal aborts - so the
+// deadline also covers awaits that know nothing about it (DNS checks, the beforeRequest hook)
+function raceSignal(promise, signal) {
+  if (signal.aborted) return Promise.reject(signal.reason);
+  return new Promise((resolve, reject) => {
+    const onAbort = () => reject(signal.reason);
+    signal.addEventListener("abort", onAbort, { once: true });
+    Promise.resolve(promise)
+      .then(resolve, reject)
+      .finally(() => signal.removeEventListener("abort", onAbort));
+  });
+}
+
+// Reads a response stream into a Buffer, aborting once it grows past maxBytes or the
+// fetch's deadline passes (timeout only covers idle sockets, not a slow drip)
+function readBody(stream, maxBytes, url, signal) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    const onAbort = () => {
+      stream.destroy();
+      reject(signal.reason);
+    };
+    if (signal.aborted) return onAbort();
+    signal.addEventListener("abort", onAbort, { once: true });
+    stream.on("close", () => signal.removeEventListener("abort", onAbort));
+    stream.on("data", (chunk) => {
+      size += chunk.length;
+      if (size > maxBytes) {
+        stream.destroy();
+        reject(
+          new FetchError(
+            "RESPONSE_TOO_LARGE",
+            `Response from ${url} is larger than ${maxBytes} bytes`,
+            422
+          )
+        );
+        return;
+      }
+      chunks.push(chunk);
+    });
+    stream.on("end", () => resolve(Buffer.concat(chunks)));
+    stream.on("error", reject);
+  });
+}
+
+// Text-like bodies are decoded, anything else (PDFs) stays a Buffer
+function isTextContentType(contentType) {
+  return /^text\/|[/+](xml|json)\b|^application\/xhtml/i.test(
+    String(contentType || "text/html").trim()
+  );
+}
+
+function decodeBody(buffer, contentType) {
+  const charset = /charset=["']?([\w-]+)/i.exec(contentType || "")?.[1];
+  try {
+    return new TextDecoder(charset || "utf-8").decode(buffer);
+  } catch (_) {
+    // unknown charset label
+    return buffer.toString("utf8");
+  }
+}
+
+// GET/HEAD a public URL. Redirects are followed by hand so each hop is checked.
+// Resolves with { url (final), status, headers, data, redirects } for any HTTP status -
+// callers decide what a 403/404 means. data is a string for text responses, a Buffer for
+// binary ones (PDF) and undefined for HEAD.
+async function safeFetch(rawUrl, options = {}) {
+  const {
+    method = "GET",
+    headers = {},
+    timeout = scraperConfig.fetch.timeoutMs,
+    maxRedirects = scraperConfig.fetch.maxRedirects,
+    maxBytes = scraperConfig.fetch.maxBytes,
+    allowedContentTypes = scraperConfig.fetch.allowedContentTypes,
+    totalTimeout = scraperConfig.fetch.totalTimeoutMs,
+    beforeRequest, // async (url) hook run for the first request and every redirect hop
+  } = options;
+
+  const deadline = new AbortController();
+  const timer = setTimeout(
+    () => deadline.abort(timeoutError(rawUrl, totalTimeout)),
+    totalTimeout
+  );
+  try {
+    return await fetchWithRedirects(rawUrl, {
+      method,
+      headers,
+      timeout,
+      maxRedirects,
+      maxBytes,
+      allowedContentTypes,
+      beforeRequest,
+      signal: deadline.signal,
+    });
+  } catch (error) {
+    // axios reports the abort as its own CanceledError - surface the timeout instead
+    if (deadline.signal.aborted) throw deadline.signal.reason;
+    throw error;
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+// safeFetch's redirect loop - every hop and the body read share the one deadline signal
+async function fetchWithRedirects(
+  rawUrl,
+  {
+    method,
+    headers,
+    timeout,
+    maxRedirects,
+    maxBytes,
+    allowedContentTypes,
+    beforeRequest,
+    signal,
+  }
+) {
+  const redirects = [];
+  let url = await raceSignal(assertPublicUrl(rawUrl), signal);
+
+  for (;;) {
+    if (beforeRequest) await raceSignal(beforeRequest(url), signal);
+
+    let response;
+    try {
+      response = await axios.request({
+        url: url.href,
+        method,
+        headers,
+        timeout,
+        responseType: "stream",
+        maxRedirects: 0,
+        validateStatus: () => true,
+        httpAgent,
+        httpsAgent,
+        proxy: false, // a proxy would hide the real destination from the address checks
+        signal,
+      });
+    } catch (error) {
+      // axios wraps errors from the guarded lookup - surface the policy error itself
+      if (error.cause instanceof FetchError) throw error.cause;
+      throw error;
+    }
+
+    const location = response.headers.location;
+    if (response.status >= 300 && response.status < 400 && location) {
+      response.data.destroy();
+      if (redirects.length >= maxRedirects) {
+        throw new FetchError(
+          "TOO_MANY_REDIRECTS",
+          `Stopped after ${maxRedirects} redirects from ${rawUrl}`,
+          422
+        );
+      }
+      redirects.push(url.href);
+      url = await raceSignal(
+        assertPublicUrl(new URL(location, url).href),
+        signal
+      );
+      continue;
+    }
+
+    const contentType = response.headers["content-type"];
+    if (method === "HEAD" || response.status >= 400) {
+      response.data.destroy();
+      return {
+        url: url.href,
+        status: response.status,
+        headers: response.headers,
+        data: undefined,
+        redirects,
+      };
+    }
+
+    // servers that omit the header get the benefit of the doubt
+    if (contentType && !matchesContentType(contentType, allowedContentTypes)) {
+      response.data.destroy();
+      throw new FetchError(
+        "UNSUPPORTED_CONTENT_TYPE",
+        `Unsupported content type ${contentType.split(";")[0]} at ${url.href}`,
+        415
+      );
+    }
+
+    const declaredLength = parseInt(response.headers["content-length"]);
+    if (declaredLength > maxBytes) {
+      response.data.destroy();
+      throw new FetchError(
+        "RESPONSE_TOO_LARGE",
+        `Response from ${url.href} is larger than ${maxBytes} bytes`,
+        422
+      );
+    }
+
+    const body = await readBody(response.data, maxBytes, url.href, signal);
+    return {
+      url: url.href,
+      status: response.status,
+      headers: response.headers,
+      data: isTextContentType(contentType)
+        ? decodeBody(body, contentType)
+        : body,
+      redirects,
+    };
+  }
+}
+
+module.exports = {
+  safeFetch,
+  assertPublicUrl,
+  isBlockedAddress,
+  FetchError,
+};
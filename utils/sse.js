@@ -0,0 +1,43 @@
+// Server-Sent Events helper - POST endpoints stream typed events back on the same response
+
+function openEventStream(req, res, { heartbeatMs = 15000 } = {}) {
+  res.status(200);
+  res.set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache, no-transform",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no", // stop proxies (nginx/Railway) from buffering the stream
+  });
+  res.flushHeaders();
+
+  let closed = false;
+  let eventId = 0;
+
+  // Comment lines keep idle connections from being cut by proxies
+  const heartbeat = setInterval(() => {
+    if (!closed) res.write(": keep-alive\n\n");
+  }, heartbeatMs);
+
+  const cleanup = () => {
+    closed = true;
+    clearInterval(heartbeat);
+  };
+  // res, not req: req closes as soon as a POST body has been read, res only when the
+  // response is finished or the client goes away
+  res.on("close", cleanup);
+
+  return {
+    send(event, data) {
+      if (closed) return;
+      eventId++;
+      res.write(`id: ${eventId}\nevent: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    },
+    close() {
+      cleanup();
+      if (!res.writableEnded) res.end();
+    },
+    isClosed: () => closed,
+  };
+}
+
+module.exports = { openEventStream };
@@ -0,0 +1,82 @@
+// Helpers for mapping model-quoted text back to exact character offsets in the original
+// Offsets are JS string indices (UTF-16 code units), so text.slice(start, end) always works
+
+// Collapse whitespace/quotes/case so a model quote can be found in the scraped text
+function normalizeForMatch(text) {
+  return text
+    .toLowerCase()
+    .replace(/[‘’]/g, "'")
+    .replace(/[“”]/g, '"')
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+// Locate quote in text and return its exact span, or null if the model invented it
+function findQuoteInText(quote, text) {
+  if (!quote || !text) return null;
+
+  const exactIndex = text.indexOf(quote);
+  if (exactIndex !== -1) {
+    return {
+      quote,
+      start: exactIndex,
+      end: exactIndex + quote.length,
+    };
+  }
+
+  // Build the normalised text while remembering where each character came from
+  const positions = [];
+  let normalized = "";
+  let lastWasSpace = true;
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (/\s/.test(char)) {
+      if (lastWasSpace) continue;
+      normalized += " ";
+      positions.push(i);
+      lastWasSpace = true;
+      continue;
+    }
+    // lower-casing can expand a character, so map every output char back to i
+    for (const normalizedChar of normalizeForMatch(char)) {
+      normalized += normalizedChar;
+      positions.push(i);
+    }
+    lastWasSpace = false;
+  }
+
+  const needle = normalizeForMatch(quote);
+  const index = normalized.indexOf(needle);
+  if (index === -1 || needle.length === 0) return null;
+
+  const start = positions[index];
+  const end = positions[index + needle.length - 1] + 1;
+  return { quote: text.slice(start, end), start, end };
+}
+
+// Split text into sentences keeping their offsets - good enough for news prose,
+// abbreviations like "Dr." may split early which only makes sentences shorter
+function splitSentences(text) {
+  const sentences = [];
+  const pattern = /[^.!?\n]+(?:[.!?]+["'”’)\]]*|\n|$)/g;
+  let match;
+  while ((match = pattern.exec(text)) !== null) {
+    if (match[0].length === 0) {
+      pattern.lastIndex++;
+      continue;
+    }
+    // trim surrounding whitespace but keep offsets pointing at the original text
+    const leading = match[0].length - match[0].trimStart().length;
+    const trimmed = match[0].trim();
+    if (!trimmed) continue;
+    const start = match.index + leading;
+    sentences.push({ text: trimmed, start, end: start + trimmed.length });
+  }
+  return sentences;
+}
+
+module.exports = {
+  normalizeForMatch,
+  findQuoteInText,
+  splitSentences,
+};